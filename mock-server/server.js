@@ -0,0 +1,142 @@
+/**
+ * Local mock API server for offline development and demos
+ * Serves recorded JSON fixtures for every provider used by src/services
+ *
+ * Run with: node mock-server/server.js            (serve fixtures)
+ *           node mock-server/server.js --record   (proxy misses to the live APIs and save them)
+ *
+ * Then start the app with REACT_APP_MOCK_API_URL=http://localhost:4010
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const UPSTREAMS = require('./upstreams');
+
+const PORT = parseInt(process.env.MOCK_API_PORT, 10) || 4010;
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const RECORD = process.argv.includes('--record');
+
+// Fallback segment for requests with no fixture of their own (e.g. an unrecorded chain)
+const DEFAULT_SEGMENT = '_default';
+
+/**
+ * Split a request path into provider and fixture path segments
+ * '/llama/overview/dexs/Ethereum' -> { provider: 'llama', segments: ['overview', 'dexs', 'Ethereum'] }
+ */
+function parseRequestPath(pathname) {
+  const parts = pathname.split('/').filter(Boolean).map(decodeURIComponent);
+  const provider = parts.shift();
+  return { provider, segments: parts.length > 0 ? parts : ['index'] };
+}
+
+// Query parameters that pick a different payload from the same path, e.g.
+// /overview/fees/Ethereum?dataType=dailyRevenue -> overview/fees/Ethereum.dailyRevenue.json
+const VARIANT_PARAMS = ['dataType'];
+
+function fixtureVariant(searchParams) {
+  // Plain words only - a variant becomes part of a file name
+  const values = VARIANT_PARAMS.map(param => searchParams.get(param)).filter(value => value && /^\w+$/.test(value));
+  return values.length > 0 ? values.join('.') : null;
+}
+
+function fixtureFile(provider, segments, variant = null) {
+  return path.join(FIXTURES_DIR, provider, ...segments) + (variant ? `.${variant}` : '') + '.json';
+}
+
+/**
+ * Fixture files to try, most specific first
+ * Each path segment is swapped for _default from the end, so
+ * coins/bitcoin/market_chart falls back to coins/_default/market_chart.
+ * With a variant, each path is tried as that variant before the plain fixture.
+ */
+function fixtureCandidates(provider, segments, variant = null) {
+  const paths = [segments];
+  for (let i = segments.length - 1; i >= 0; i--) {
+    const fallback = [...segments];
+    fallback[i] = DEFAULT_SEGMENT;
+    paths.push(fallback);
+  }
+  return paths.flatMap(candidate => (variant
+    ? [fixtureFile(provider, candidate, variant), fixtureFile(provider, candidate)]
+    : [fixtureFile(provider, candidate)]));
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+  });
+  res.end(typeof body === 'string' ? body : JSON.stringify(body));
+}
+
+async function recordFixture(provider, segments, search, variant) {
+  const upstreamUrl = `${UPSTREAMS[provider]}/${segments[0] === 'index' ? '' : segments.join('/')}${search}`;
+  const response = await fetch(upstreamUrl);
+  const text = await response.text();
+
+  if (response.ok) {
+    const file = fixtureFile(provider, segments, variant);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    console.log(`  recorded ${path.relative(FIXTURES_DIR, file)}`);
+  }
+
+  return { status: response.status, text };
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://localhost:${PORT}`);
+  const { provider, segments } = parseRequestPath(url.pathname);
+  const variant = fixtureVariant(url.searchParams);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204, { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': '*' });
+    res.end();
+    return;
+  }
+
+  if (!UPSTREAMS[provider]) {
+    sendJSON(res, 404, { error: `Unknown provider "${provider}"` });
+    return;
+  }
+
+  // Never resolve outside the fixtures directory
+  if (segments.some(segment => segment === '..' || segment.includes(path.sep))) {
+    sendJSON(res, 400, { error: 'Invalid path' });
+    return;
+  }
+
+  const exact = fixtureFile(provider, segments, variant);
+  if (RECORD && !fs.existsSync(exact)) {
+    try {
+      const { status, text } = await recordFixture(provider, segments, url.search, variant);
+      sendJSON(res, status, text);
+    } catch (error) {
+      sendJSON(res, 502, { error: error.message });
+    }
+    return;
+  }
+
+  const file = fixtureCandidates(provider, segments, variant).find(candidate => fs.existsSync(candidate));
+  if (!file) {
+    sendJSON(res, 404, { error: `No fixture for ${url.pathname}` });
+    return;
+  }
+
+  sendJSON(res, 200, fs.readFileSync(file, 'utf8'));
+}
+
+const server = http.createServer((req, res) => {
+  handleRequest(req, res).catch(error => {
+    console.error('Mock API error:', error);
+    sendJSON(res, 500, { error: error.message });
+  });
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock API ${RECORD ? 'recording' : 'serving fixtures'} on http://localhost:${PORT}`);
+  Object.keys(UPSTREAMS).forEach(provider => {
+    console.log(`  /${provider} -> ${RECORD ? UPSTREAMS[provider] : path.join('fixtures', provider)}`);
+  });
+});
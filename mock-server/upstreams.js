@@ -0,0 +1,14 @@
+/**
+ * Live API base URLs keyed by provider prefix
+ * Prefixes must match the getBaseUrl() calls in src/services
+ */
+
+module.exports = {
+  llama: 'https://api.llama.fi',
+  coingecko: 'https://api.coingecko.com/api/v3',
+  dexscreener: 'https://api.dexscreener.com/latest/dex',
+  fng: 'https://api.alternative.me/fng',
+  stablecoins: 'https://stablecoins.llama.fi',
+  yields: 'https://yields.llama.fi',
+  bridges: 'https://bridges.llama.fi',
+};
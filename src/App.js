@@ -1,4 +1,4 @@
-import { useState, useRef, useCallback, useEffect, useLayoutEffect } from 'react'
+import { useState, useRef, useCallback, useEffect, useLayoutEffect, useId } from 'react'
 import { Canvas, useFrame, useThree } from '@react-three/fiber'
 import { OrbitControls } from '@react-three/drei'
 import * as THREE from 'three'
@@ -6,6 +6,12 @@ import usePostprocessing from './usePostprocessing'
 import Background from './Background'
 import Hero, { NETWORKS } from './Hero'
 import { DAPP_PALETTE_HEX, DAPP_PALETTE_THREE } from './dappPalette'
+import { parseRoute, buildRoute, findByRouteName } from './routing'
+import { buildTimeline, sampleTimeline } from './timelapse'
+import { COLOR_MODES } from './colorScales'
+import { formatCompact, formatUsdCompact } from './format'
+import { cacheNetworkData, getCachedNetworkData, peekNetworkData, cachedNetworkEntries, cachedNetworkCount, loadNetworkData as loadCachedNetworkData } from './networkDataCache'
+import { QUALITY_PRESETS, QUALITY_LEVELS, AUTO_QUALITY, AUTO_MAX_LEVEL, createQualityGovernor, loadQualitySetting, saveQualitySetting } from './quality'
 import './styles.css'
 
 function ShiftGroup({ children, shifted, onPositionUpdate }) {
@@ -167,8 +173,28 @@ function BounceGroup({ children }) {
   return <group ref={groupRef}>{children}</group>;
 }
 
-function Scene({ onSelect, selectedNetwork, onOrbitStart, onScreenPositionUpdate, onShiftPositionUpdate, shiftX, targetNetwork, dappNodes, onSelectDapp, selectedDapp, onHover }) {
-  usePostprocessing();
+/**
+ * Watches frame times inside the canvas and reports when auto quality should change level
+ * A fresh governor starts each time auto mode is switched on
+ */
+function QualityGovernor({ enabled, onLevelChange }) {
+  const governorRef = useRef(null);
+
+  useEffect(() => {
+    governorRef.current = enabled ? createQualityGovernor() : null;
+    if (enabled) onLevelChange(governorRef.current.level());
+  }, [enabled, onLevelChange]);
+
+  useFrame((_, delta) => {
+    const level = governorRef.current?.sample(delta * 1000);
+    if (level) onLevelChange(level);
+  });
+
+  return null;
+}
+
+function Scene({ onSelect, onCompare, selectedNetwork, onOrbitStart, onScreenPositionUpdate, onShiftPositionUpdate, shiftX, targetNetwork, dappNodes, onSelectDapp, selectedDapp, onHover, spikeMetric, bridgeFlows, selectedBridgeFlow, onSelectBridgeFlow, networks, onNetworksChange, labelProjectionsRef, timelapseRef, colorMode, onColorScaleChange, marketEvents, depegAlerts, quality }) {
+  usePostprocessing(quality);
   const controlsRef = useRef();
   const { camera } = useThree();
   const animationRef = useRef(null);
@@ -224,13 +250,13 @@ function Scene({ onSelect, selectedNetwork, onOrbitStart, onScreenPositionUpdate
           onPositionUpdate={onShiftPositionUpdate}
         >
           <RotationGroup targetNetwork={targetNetwork} selectedNetwork={selectedNetwork}>
-            <Hero onSelect={onSelect} selectedNetwork={selectedNetwork} dappNodes={dappNodes} onSelectDapp={onSelectDapp} selectedDapp={selectedDapp} onHover={onHover} />
-            {selectedNetwork && (
-              <NetworkScreenPosition
-                network={selectedNetwork}
-                onPositionUpdate={onScreenPositionUpdate}
-              />
-            )}
+            <Hero onSelect={onSelect} onCompare={onCompare} selectedNetwork={selectedNetwork} dappNodes={dappNodes} onSelectDapp={onSelectDapp} selectedDapp={selectedDapp} onHover={onHover} spikeMetric={spikeMetric} bridgeFlows={bridgeFlows} selectedBridgeFlow={selectedBridgeFlow} onSelectBridgeFlow={onSelectBridgeFlow} onNetworksChange={onNetworksChange} timelapseRef={timelapseRef} colorMode={colorMode} onColorScaleChange={onColorScaleChange} marketEvents={marketEvents} depegAlerts={depegAlerts} instanceCount={quality.instances} shadows={quality.shadows} shadowMapSize={quality.shadowMapSize} blur={quality.blur} />
+            <NetworkScreenPositions
+              networks={networks}
+              selectedNetwork={selectedNetwork}
+              onPositionUpdate={onScreenPositionUpdate}
+              projectionsRef={labelProjectionsRef}
+            />
           </RotationGroup>
         </ShiftGroup>
       </BounceGroup>
@@ -248,31 +274,69 @@ function Scene({ onSelect, selectedNetwork, onOrbitStart, onScreenPositionUpdate
   )
 }
 
-function NetworkScreenPosition({ network, onPositionUpdate }) {
+// Orb-space radius of the card connector anchor and of the network labels (just above the spikes)
+const CONNECTOR_RADIUS = 2.0;
+const LABEL_RADIUS = 2.7;
+// Camera distance at which labels are drawn at their natural size
+const LABEL_REFERENCE_DISTANCE = 3.5;
+
+/**
+ * Projects every network on the orb to screen space each frame
+ * The selected network goes to onPositionUpdate for the card connector; label
+ * placement for all networks (position, how squarely the spot faces the camera,
+ * distance scale) is written to projectionsRef so NetworkLabels can follow the
+ * orb without re-rendering
+ */
+function NetworkScreenPositions({ networks, selectedNetwork, onPositionUpdate, projectionsRef }) {
   const { camera, size } = useThree();
-  const markerRef = useRef();
+  const anchorRef = useRef();
 
   useFrame(() => {
-    if (!network || !onPositionUpdate || !markerRef.current) return;
+    const anchor = anchorRef.current;
+    if (!anchor) return;
+    anchor.updateWorldMatrix(true, false);
 
+    const center = new THREE.Vector3().setFromMatrixPosition(anchor.matrixWorld);
     const worldPos = new THREE.Vector3();
-    markerRef.current.getWorldPosition(worldPos);
-
-    const vector = worldPos.clone();
-    vector.project(camera);
-
-    if (vector.z > 1) return;
+    const ndc = new THREE.Vector3();
+
+    const project = (network, radius) => {
+      worldPos.copy(network.pos).multiplyScalar(radius);
+      anchor.localToWorld(worldPos);
+      ndc.copy(worldPos).project(camera);
+      return {
+        x: (ndc.x * 0.5 + 0.5) * size.width,
+        y: (ndc.y * -0.5 + 0.5) * size.height,
+        behind: ndc.z > 1,
+      };
+    };
 
-    const x = (vector.x * 0.5 + 0.5) * size.width;
-    const y = (vector.y * -0.5 + 0.5) * size.height;
+    if (selectedNetwork && onPositionUpdate) {
+      const { x, y, behind } = project(selectedNetwork, CONNECTOR_RADIUS);
+      if (!behind) onPositionUpdate({ x, y });
+    }
 
-    onPositionUpdate({ x, y });
+    if (!projectionsRef) return;
+    const projections = new Map();
+    networks.forEach(network => {
+      const { x, y, behind } = project(network, LABEL_RADIUS);
+      const normal = worldPos.clone().sub(center).normalize();
+      const toCamera = camera.position.clone().sub(worldPos);
+      const distance = toCamera.length();
+
+      projections.set(network.name, {
+        x,
+        y,
+        facing: behind ? -1 : normal.dot(toCamera.divideScalar(distance)),
+        scale: LABEL_REFERENCE_DISTANCE / distance,
+      });
+    });
+    projectionsRef.current = projections;
   });
 
-  return <group ref={markerRef} position={network.pos.clone().multiplyScalar(2.0)} />;
+  return <group ref={anchorRef} />;
 }
 
-// Mini sparkline chart component
 function Sparkline({ data, color, width = 120, height = 32 }) {
   if (!data || data.length < 2) return null;
   const min = Math.min(...data);
@@ -311,6 +375,373 @@ function Sparkline({ data, color, width = 120, height = 32 }) {
   );
 }
 
+// Chart ranges offered for TVL history (keys of TVL_RANGES in services/defillama)
+const TVL_CHART_RANGES = ['7d', '30d', '90d', '1y', 'all'];
+
+// Interactive history chart with range selector and hover readout
+// Plots TVL by default; valueKey picks another field of the { date, ... } points
+function HistoryChart({ series, color, range, onRangeChange, loading, height = 120, title = 'TVL History', valueKey = 'tvl' }) {
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const gradientId = `history-grad-${useId().replace(/:/g, '')}`;
+  const width = 320; // viewBox units - the SVG stretches to the card width
+
+  const hasData = series && series.length >= 2;
+  const values = hasData ? series.map(p => p[valueKey]) : [];
+  const min = hasData ? Math.min(...values) : 0;
+  const max = hasData ? Math.max(...values) : 0;
+  const valueRange = max - min || 1;
+
+  const toX = (i) => (i / (series.length - 1)) * width;
+  const toY = (v) => height - ((v - min) / valueRange) * (height - 12) - 4;
+  const points = hasData ? series.map((p, i) => `${toX(i)},${toY(p[valueKey])}`).join(' ') : '';
+
+  const activeIndex = hasData && hoverIndex !== null && hoverIndex < series.length ? hoverIndex : null;
+  const shown = hasData ? series[activeIndex !== null ? activeIndex : series.length - 1] : null;
+  const rangeChange = hasData && series[0][valueKey] > 0
+    ? ((series[series.length - 1][valueKey] - series[0][valueKey]) / series[0][valueKey]) * 100
+    : null;
+
+  const handlePointerMove = (e) => {
+    if (!hasData) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setHoverIndex(Math.round(ratio * (series.length - 1)));
+  };
+
+  return (
+    <div className="chart-section">
+      <div className="chart-header">
+        <div>
+          <div className="stat-label">{title}</div>
+          {shown && (
+            <div className="chart-readout">
+              <span className="chart-value">{formatUsdCompact(shown[valueKey])}</span>
+              {activeIndex === null && rangeChange !== null && (
+                <span className={`chart-change ${rangeChange >= 0 ? 'positive' : 'negative'}`}>
+                  {rangeChange >= 0 ? '+' : ''}{rangeChange.toFixed(2)}%
+                </span>
+              )}
+              <span className="chart-date">
+                {new Date(shown.date * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+              </span>
+            </div>
+          )}
+        </div>
+        <div className="chart-range-buttons">
+          {TVL_CHART_RANGES.map(r => (
+            <button
+              key={r}
+              className={`chart-range-btn ${range === r ? 'active' : ''}`}
+              onClick={() => onRangeChange(r)}
+            >
+              {r === 'all' ? 'All' : r.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {hasData ? (
+        <div className="chart-plot" onPointerMove={handlePointerMove} onPointerLeave={() => setHoverIndex(null)}>
+          <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" width="100%" height={height} className={loading ? 'chart-loading' : ''}>
+            <defs>
+              <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0%" stopColor={color} stopOpacity="0.35" />
+                <stop offset="100%" stopColor={color} stopOpacity="0" />
+              </linearGradient>
+            </defs>
+            <polygon points={`0,${height} ${points} ${width},${height}`} fill={`url(#${gradientId})`} />
+            <polyline
+              points={points}
+              fill="none"
+              stroke={color}
+              strokeWidth="1.5"
+              strokeLinejoin="round"
+              vectorEffect="non-scaling-stroke"
+            />
+            {activeIndex !== null && (
+              <line
+                x1={toX(activeIndex)}
+                x2={toX(activeIndex)}
+                y1="0"
+                y2={height}
+                stroke="rgba(255, 255, 255, 0.35)"
+                strokeWidth="1"
+                vectorEffect="non-scaling-stroke"
+              />
+            )}
+          </svg>
+          {/* Marker lives outside the stretched SVG so it stays round */}
+          {activeIndex !== null && (
+            <div
+              className="chart-marker"
+              style={{
+                left: `${(toX(activeIndex) / width) * 100}%`,
+                top: `${toY(series[activeIndex][valueKey])}px`,
+                background: color,
+              }}
+            />
+          )}
+        </div>
+      ) : (
+        <div className="chart-empty" style={{ height }}>
+          {loading ? `Loading ${title.toLowerCase()}...` : `No ${title.toLowerCase()} available`}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Chart ranges offered for token prices (keys of PRICE_RANGES in services/coingecko)
+const PRICE_CHART_RANGES = ['1d', '7d', '30d', '90d', '1y', 'max'];
+
+function formatPrice(value) {
+  if (value >= 1) return `$${value.toLocaleString(undefined, { maximumFractionDigits: 2, minimumFractionDigits: 2 })}`;
+  return `$${value.toPrecision(4)}`;
+}
+
+// Index of the point closest to a timestamp (points sorted by time)
+function nearestIndexByTime(points, time) {
+  let lo = 0;
+  let hi = points.length - 1;
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1;
+    if (points[mid].time < time) lo = mid + 1;
+    else hi = mid;
+  }
+  if (lo > 0 && Math.abs(points[lo - 1].time - time) < Math.abs(points[lo].time - time)) return lo - 1;
+  return lo;
+}
+
+// Token price chart - line or OHLC candles, volume bars and a crosshair tooltip
+function PriceChart({ geckoId, color }) {
+  const [range, setRange] = useState('7d');
+  const [mode, setMode] = useState('line');
+  const [chartData, setChartData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [hoverIndex, setHoverIndex] = useState(null);
+  const gradientId = `price-grad-${useId().replace(/:/g, '')}`;
+
+  useEffect(() => {
+    if (!geckoId) {
+      setChartData(null);
+      return;
+    }
+
+    let cancelled = false;
+    setLoading(true);
+    import('./services/coingecko')
+      .then(module => module.fetchPriceChart(geckoId, range, { candles: mode === 'candle' }))
+      .catch(() => null)
+      .then(data => {
+        if (cancelled) return;
+        setChartData(data);
+        setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [geckoId, range, mode]);
+
+  const width = 320; // viewBox units - the SVG stretches to the card width
+  const priceHeight = 120;
+  const volumeHeight = 32;
+  const gap = 6;
+  const height = priceHeight + gap + volumeHeight;
+
+  // Fall back to the line when candles are unavailable for this coin
+  const useCandles = mode === 'candle' && chartData?.candles?.length > 1;
+  const points = chartData ? (useCandles ? chartData.candles : chartData.prices) : [];
+  const hasData = points.length >= 2;
+
+  const t0 = hasData ? points[0].time : 0;
+  const span = hasData ? (points[points.length - 1].time - t0) || 1 : 1;
+  const lows = useCandles ? points.map(c => c.low) : points.map(p => p.price);
+  const highs = useCandles ? points.map(c => c.high) : lows;
+  const min = hasData ? Math.min(...lows) : 0;
+  const max = hasData ? Math.max(...highs) : 0;
+  const valueRange = max - min || 1;
+
+  const toX = (time) => ((time - t0) / span) * width;
+  const toY = (value) => priceHeight - ((value - min) / valueRange) * (priceHeight - 12) - 4;
+  const closeOf = (point) => (useCandles ? point.close : point.price);
+
+  const volumes = hasData
+    ? (chartData.volumes || []).filter(v => v.time >= t0 && v.time <= t0 + span)
+    : [];
+  const maxVolume = volumes.length > 0 ? Math.max(...volumes.map(v => v.volume)) || 1 : 1;
+  const volumeBarWidth = Math.max(0.5, (width / Math.max(volumes.length, 1)) * 0.7);
+  const candleWidth = useCandles ? Math.max(0.6, (width / points.length) * 0.6) : 0;
+
+  const linePoints = hasData && !useCandles ? points.map(p => `${toX(p.time)},${toY(p.price)}`).join(' ') : '';
+
+  const activeIndex = hasData && hoverIndex !== null && hoverIndex < points.length ? hoverIndex : null;
+  const active = activeIndex !== null ? points[activeIndex] : null;
+  const activeVolume = active && volumes.length > 0 ? volumes[nearestIndexByTime(volumes, active.time)] : null;
+  const activeLeft = active ? (toX(active.time) / width) * 100 : 0;
+
+  const latest = hasData ? closeOf(points[points.length - 1]) : null;
+  const first = hasData ? (useCandles ? points[0].open : points[0].price) : null;
+  const rangeChange = hasData && first > 0 ? ((latest - first) / first) * 100 : null;
+  const showTime = ['1d', '7d', '30d'].includes(range);
+
+  const handlePointerMove = (e) => {
+    if (!hasData) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setHoverIndex(nearestIndexByTime(points, t0 + ratio * span));
+  };
+
+  return (
+    <div className="chart-section">
+      <div className="chart-header">
+        <div>
+          <div className="stat-label">Price</div>
+          {latest !== null && (
+            <div className="chart-readout">
+              <span className="chart-value">{formatPrice(latest)}</span>
+              {rangeChange !== null && (
+                <span className={`chart-change ${rangeChange >= 0 ? 'positive' : 'negative'}`}>
+                  {rangeChange >= 0 ? '+' : ''}{rangeChange.toFixed(2)}%
+                </span>
+              )}
+            </div>
+          )}
+        </div>
+        <div className="chart-range-buttons">
+          <button className={`chart-range-btn ${mode === 'line' ? 'active' : ''}`} onClick={() => setMode('line')}>
+            Line
+          </button>
+          <button className={`chart-range-btn ${mode === 'candle' ? 'active' : ''}`} onClick={() => setMode('candle')}>
+            Candles
+          </button>
+        </div>
+      </div>
+
+      <div className="chart-toolbar">
+        <div className="chart-range-buttons">
+          {PRICE_CHART_RANGES.map(r => (
+            <button
+              key={r}
+              className={`chart-range-btn ${range === r ? 'active' : ''}`}
+              onClick={() => setRange(r)}
+            >
+              {r === 'max' ? 'Max' : r.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {hasData ? (
+        <div className="chart-plot" onPointerMove={handlePointerMove} onPointerLeave={() => setHoverIndex(null)}>
+          <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" width="100%" height={height} className={loading ? 'chart-loading' : ''}>
+            <defs>
+              <linearGradient id={gradientId} x1="0" y1="0" x2="0" y2="1">
+                <stop offset="0%" stopColor={color} stopOpacity="0.35" />
+                <stop offset="100%" stopColor={color} stopOpacity="0" />
+              </linearGradient>
+            </defs>
+
+            {useCandles ? (
+              points.map(c => {
+                const x = toX(c.time);
+                const rising = c.close >= c.open;
+                const candleColor = rising ? '#4ade80' : '#f87171';
+                const top = toY(Math.max(c.open, c.close));
+                const bottom = toY(Math.min(c.open, c.close));
+                return (
+                  <g key={c.time}>
+                    <line x1={x} x2={x} y1={toY(c.high)} y2={toY(c.low)} stroke={candleColor} strokeWidth="1" vectorEffect="non-scaling-stroke" />
+                    <rect x={x - candleWidth / 2} y={top} width={candleWidth} height={Math.max(bottom - top, 0.5)} fill={candleColor} />
+                  </g>
+                );
+              })
+            ) : (
+              <>
+                <polygon points={`0,${priceHeight} ${linePoints} ${width},${priceHeight}`} fill={`url(#${gradientId})`} />
+                <polyline
+                  points={linePoints}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth="1.5"
+                  strokeLinejoin="round"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </>
+            )}
+
+            {volumes.map(v => {
+              const barHeight = (v.volume / maxVolume) * volumeHeight;
+              return (
+                <rect
+                  key={v.time}
+                  x={toX(v.time) - volumeBarWidth / 2}
+                  y={height - barHeight}
+                  width={volumeBarWidth}
+                  height={barHeight}
+                  fill="rgba(255, 255, 255, 0.18)"
+                />
+              );
+            })}
+
+            {active && (
+              <>
+                <line
+                  x1={toX(active.time)}
+                  x2={toX(active.time)}
+                  y1="0"
+                  y2={height}
+                  stroke="rgba(255, 255, 255, 0.35)"
+                  strokeWidth="1"
+                  vectorEffect="non-scaling-stroke"
+                />
+                <line
+                  x1="0"
+                  x2={width}
+                  y1={toY(closeOf(active))}
+                  y2={toY(closeOf(active))}
+                  stroke="rgba(255, 255, 255, 0.2)"
+                  strokeWidth="1"
+                  strokeDasharray="3 3"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </>
+            )}
+          </svg>
+
+          {active && (
+            <div
+              className="chart-tooltip"
+              style={activeLeft > 55 ? { right: `${100 - activeLeft}%`, marginRight: 8 } : { left: `${activeLeft}%`, marginLeft: 8 }}
+            >
+              <div className="chart-tooltip-date">
+                {new Date(active.time).toLocaleString('en-US', showTime
+                  ? { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }
+                  : { month: 'short', day: 'numeric', year: 'numeric' })}
+              </div>
+              {useCandles ? (
+                <>
+                  <div>O {formatPrice(active.open)}</div>
+                  <div>H {formatPrice(active.high)}</div>
+                  <div>L {formatPrice(active.low)}</div>
+                  <div>C {formatPrice(active.close)}</div>
+                </>
+              ) : (
+                <div className="chart-tooltip-value">{formatPrice(active.price)}</div>
+              )}
+              {activeVolume && (
+                <div className="chart-tooltip-volume">Vol {formatUsdCompact(activeVolume.volume)}</div>
+              )}
+            </div>
+          )}
+        </div>
+      ) : (
+        <div className="chart-empty" style={{ height }}>
+          {loading ? 'Loading price history...' : 'No price history available'}
+        </div>
+      )}
+    </div>
+  );
+}
+
 // Fear & Greed gauge component
 function FearGreedGauge({ value, classification }) {
   if (value === null || value === undefined) return null;
@@ -331,7 +762,641 @@ function FearGreedGauge({ value, classification }) {
   );
 }
 
-function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromDapp, onSelectDapp, dappNodes }) {
+function BridgeFlowDetail({ flow, reverseFlow, network, onBack }) {
+  const returnVolume = reverseFlow?.volume24h || 0;
+  const netFlow = flow.volume24h - returnVolume;
+
+  return (
+    <>
+      <button className="back-btn" onClick={onBack}>
+        &larr; Back to {network.name}
+      </button>
+      <div className="card-header">
+        <div className="network-icon" />
+        <div>
+          <h2 className="card-title">{flow.from} &rarr; {flow.to}</h2>
+          <p className="card-subtitle">Bridge flow &bull; last 24h</p>
+        </div>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-item">
+          <div className="stat-label">Volume</div>
+          <div className="stat-value">{formatUsdCompact(flow.volume24h)} <span className="stat-period">24h</span></div>
+          <div className="stat-subtext">via {flow.bridges.length} {flow.bridges.length === 1 ? 'bridge' : 'bridges'}</div>
+        </div>
+        <div className="stat-item">
+          <div className="stat-label">Return Flow</div>
+          <div className="stat-value">{formatUsdCompact(returnVolume)}</div>
+          <div className="stat-subtext">{flow.to} &rarr; {flow.from}</div>
+        </div>
+        <div className="stat-item">
+          <div className="stat-label">Net into {flow.to}</div>
+          <div className={`stat-value ${netFlow >= 0 ? 'positive' : 'negative'}`}>
+            {netFlow >= 0 ? '+' : '-'}{formatUsdCompact(Math.abs(netFlow))}
+          </div>
+        </div>
+      </div>
+
+      <div className="yields-section">
+        <div className="yields-header">
+          <h3 className="yields-title">Bridges</h3>
+        </div>
+        <div className="yields-list">
+          {flow.bridges.map(bridge => (
+            <div key={bridge.name} className="yield-item">
+              <div className="yield-info">
+                <div className="yield-name">{bridge.name}</div>
+              </div>
+              <div className="yield-stats">
+                <div className="yield-apy">{formatUsdCompact(bridge.volume24h)}</div>
+                <div className="yield-tvl">{((bridge.volume24h / flow.volume24h) * 100).toFixed(1)}%</div>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="spotlight-box">
+        <div className="spotlight-title">About this estimate</div>
+        <div className="spotlight-content">
+          DefiLlama reports what each bridge took in and paid out on every chain, not where the funds went.
+          Flows between two chains share each chain's deposits over the bridge's other chains in proportion to their withdrawals.
+        </div>
+      </div>
+    </>
+  );
+}
+
+// Pools per page in the yield explorer
+const YIELD_PAGE_SIZE = 10;
+
+// Sortable columns (keys of YIELD_SORT_KEYS in services/yields) and minimum TVL filters
+const YIELD_SORT_OPTIONS = [
+  { key: 'apy', label: 'APY' },
+  { key: 'apyBase', label: 'Base' },
+  { key: 'apyReward', label: 'Reward' },
+  { key: 'tvlUsd', label: 'TVL' },
+];
+const YIELD_MIN_TVL_OPTIONS = [
+  { value: 0, label: 'Any' },
+  { value: 1e5, label: '$100K' },
+  { value: 1e6, label: '$1M' },
+  { value: 1e7, label: '$10M' },
+];
+
+const DEFAULT_YIELD_QUERY = {
+  sortBy: 'tvlUsd',
+  descending: true,
+  project: '',
+  symbol: '',
+  stablecoinOnly: false,
+  minTvl: 1e5,
+  page: 0,
+};
+
+/**
+ * Yields tab - every pool on the network, sortable and filterable
+ * Each pool's APY is shown against the chain's TVL-weighted average (chainApy)
+ */
+function YieldExplorer({ network, chainApy }) {
+  const [yieldsService, setYieldsService] = useState(null);
+  const [pools, setPools] = useState(null);
+  const [query, setQuery] = useState(DEFAULT_YIELD_QUERY);
+
+  useEffect(() => {
+    let cancelled = false;
+    setPools(null);
+    setQuery(DEFAULT_YIELD_QUERY);
+
+    import('./services/yields')
+      .then(async module => {
+        const chainPools = await module.fetchChainYieldPools(network.name);
+        if (cancelled) return;
+        setYieldsService(module);
+        setPools(chainPools);
+      })
+      .catch(() => {
+        if (!cancelled) setPools([]);
+      });
+
+    return () => { cancelled = true; };
+  }, [network]);
+
+  // Any filter change starts again from the first page
+  const updateQuery = (changes) => setQuery(current => ({ ...current, page: 0, ...changes }));
+
+  const handleSort = (key) => setQuery(current => ({
+    ...current,
+    page: 0,
+    sortBy: key,
+    descending: current.sortBy === key ? !current.descending : true,
+  }));
+
+  if (!pools) {
+    return <div className="yield-explorer-empty">Loading pools…</div>;
+  }
+  if (pools.length === 0 || !yieldsService) {
+    return <div className="yield-explorer-empty">No yield pools tracked on {network.name}</div>;
+  }
+
+  const result = yieldsService.queryYieldPools(pools, { ...query, pageSize: YIELD_PAGE_SIZE });
+
+  return (
+    <div className="yield-explorer">
+      <div className="yield-explorer-filters">
+        <input
+          className="yield-explorer-input"
+          placeholder="Project"
+          value={query.project}
+          onChange={(e) => updateQuery({ project: e.target.value })}
+        />
+        <input
+          className="yield-explorer-input"
+          placeholder="Symbol"
+          value={query.symbol}
+          onChange={(e) => updateQuery({ symbol: e.target.value })}
+        />
+      </div>
+      <div className="yield-explorer-filters">
+        <div className="chart-range-buttons">
+          {YIELD_MIN_TVL_OPTIONS.map(option => (
+            <button
+              key={option.value}
+              className={`chart-range-btn ${query.minTvl === option.value ? 'active' : ''}`}
+              onClick={() => updateQuery({ minTvl: option.value })}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+        <button
+          className={`chart-range-btn yield-explorer-stable ${query.stablecoinOnly ? 'active' : ''}`}
+          onClick={() => updateQuery({ stablecoinOnly: !query.stablecoinOnly })}
+        >
+          Stablecoins only
+        </button>
+      </div>
+
+      <div className="yield-explorer-sort">
+        <span className="yield-explorer-label">Sort</span>
+        <div className="chart-range-buttons">
+          {YIELD_SORT_OPTIONS.map(option => (
+            <button
+              key={option.key}
+              className={`chart-range-btn ${query.sortBy === option.key ? 'active' : ''}`}
+              onClick={() => handleSort(option.key)}
+            >
+              {option.label}
+              {query.sortBy === option.key && (query.descending ? ' ↓' : ' ↑')}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {chainApy > 0 && (
+        <div className="yield-explorer-label">
+          {network.name} weighted average: {chainApy.toFixed(2)}% APY
+        </div>
+      )}
+
+      <div className="yields-list">
+        {result.pools.map(pool => {
+          const vsChain = chainApy > 0 ? pool.apy - chainApy : null;
+          return (
+            <div key={pool.pool} className="yield-item">
+              <div className="yield-info">
+                <div className="yield-name">
+                  {pool.project}
+                  {pool.stablecoin && <span className="yield-stable-badge">Stable</span>}
+                </div>
+                <div className="yield-symbol">{pool.symbol} • {formatUsdCompact(pool.tvlUsd)}</div>
+              </div>
+              <div className="yield-stats">
+                <div className="yield-apy">{pool.apy.toFixed(2)}%</div>
+                <div className="yield-tvl">
+                  {pool.apyBase.toFixed(2)}% base{pool.apyReward > 0 && ` + ${pool.apyReward.toFixed(2)}% reward`}
+                </div>
+                {vsChain !== null && (
+                  <div className={`yield-vs-chain ${vsChain >= 0 ? 'positive' : 'negative'}`}>
+                    {vsChain >= 0 ? '+' : ''}{vsChain.toFixed(2)} pts vs avg
+                  </div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        {result.total === 0 && (
+          <div className="yield-explorer-empty">No pools match these filters</div>
+        )}
+      </div>
+
+      <div className="yield-explorer-pagination">
+        <button
+          className="chart-range-btn"
+          disabled={result.page === 0}
+          onClick={() => setQuery(current => ({ ...current, page: result.page - 1 }))}
+        >
+          &larr; Prev
+        </button>
+        <span className="yield-explorer-label">
+          Page {result.page + 1} of {result.pageCount} • {result.total.toLocaleString()} pools
+        </span>
+        <button
+          className="chart-range-btn"
+          disabled={result.page >= result.pageCount - 1}
+          onClick={() => setQuery(current => ({ ...current, page: result.page + 1 }))}
+        >
+          Next &rarr;
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Load a tab's data from a lazily imported service
+ * `fetcher` must be memoised (useCallback) - every new fetcher reloads. The last result
+ * stays up while a reload runs, so switching a chart range doesn't blank the tab; the
+ * HTTP layer caches full payloads, so those reloads don't hit the network either.
+ * @returns {{ data: *, loading: boolean }} data is undefined until the first load, null on failure
+ */
+function useTabData(fetcher) {
+  const [data, setData] = useState(undefined);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetcher()
+      .catch(() => null)
+      .then(result => {
+        if (cancelled) return;
+        setData(result);
+        setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [fetcher]);
+
+  return { data, loading };
+}
+
+// Assets listed individually in the stablecoin breakdown; the rest are summed into "Other"
+const STABLECOIN_TOP_ASSETS = 8;
+
+/**
+ * Stablecoins tab - the chain's stablecoin supply by asset and by peg type,
+ * with each asset's dominance and 30-day supply change
+ */
+function StablecoinBreakdown({ network }) {
+  const fetchBreakdown = useCallback(
+    () => import('./services/stablecoins').then(module => module.fetchChainStablecoinBreakdown(network.name)),
+    [network]
+  );
+  const { data: breakdown } = useTabData(fetchBreakdown);
+
+  if (breakdown === undefined) {
+    return <div className="yield-explorer-empty">Loading stablecoins…</div>;
+  }
+  if (!breakdown) {
+    return <div className="yield-explorer-empty">No stablecoin data for {network.name}</div>;
+  }
+
+  const listed = breakdown.assets.slice(0, STABLECOIN_TOP_ASSETS);
+  const rest = breakdown.assets.slice(STABLECOIN_TOP_ASSETS);
+  const restSupply = rest.reduce((sum, a) => sum + a.circulating, 0);
+  const leader = breakdown.assets[0];
+
+  return (
+    <div className="stablecoin-breakdown">
+      <div className="stat-grid">
+        <div className="stat-item">
+          <div className="stat-label">Stablecoin Supply</div>
+          <div className="stat-value">{formatUsdCompact(breakdown.total)}</div>
+          {breakdown.change30d !== null && (
+            <div className={`stat-subtext ${breakdown.change30d >= 0 ? 'positive' : 'negative'}`}>
+              {formatPercentChange(breakdown.change30d)} in 30d
+            </div>
+          )}
+        </div>
+        <div className="stat-item">
+          <div className="stat-label">Dominance</div>
+          <div className="stat-value">{leader.symbol} {leader.dominance.toFixed(1)}%</div>
+          <div className="stat-subtext">{breakdown.assets.length} stablecoins</div>
+        </div>
+      </div>
+
+      <div className="stablecoin-section-title">By peg</div>
+      <div className="stablecoin-peg-bar">
+        {breakdown.pegs.map((peg, i) => (
+          <span
+            key={peg.peg}
+            className="stablecoin-peg-segment"
+            style={{ width: `${peg.dominance}%`, background: DAPP_PALETTE_HEX[i % DAPP_PALETTE_HEX.length] }}
+            title={`${peg.peg} ${peg.dominance.toFixed(1)}%`}
+          />
+        ))}
+      </div>
+      <div className="stablecoin-peg-legend">
+        {breakdown.pegs.map((peg, i) => (
+          <span key={peg.peg} className="stablecoin-peg-label">
+            <span className="legend-swatch" style={{ background: DAPP_PALETTE_HEX[i % DAPP_PALETTE_HEX.length] }} />
+            {peg.peg} {formatUsdCompact(peg.circulating)} ({peg.dominance.toFixed(1)}%)
+          </span>
+        ))}
+      </div>
+
+      <div className="stablecoin-section-title">By asset</div>
+      <div className="yields-list">
+        {listed.map(asset => (
+          <div key={asset.symbol + asset.name} className="yield-item">
+            <div className="yield-info">
+              <div className="stablecoin-name">
+                {asset.symbol}
+                {asset.peg !== 'USD' && <span className="yield-stable-badge">{asset.peg}</span>}
+              </div>
+              <div className="yield-symbol">
+                {asset.name}{asset.pegMechanism && ` • ${asset.pegMechanism}`}
+              </div>
+              <div className="stablecoin-dominance">
+                <span style={{ width: `${asset.dominance}%` }} />
+              </div>
+            </div>
+            <div className="yield-stats">
+              <div className="stablecoin-supply">{formatUsdCompact(asset.circulating)}</div>
+              <div className="yield-tvl">{asset.dominance.toFixed(1)}% of supply</div>
+              {asset.change30d !== null && (
+                <div className={`yield-vs-chain ${asset.change30d >= 0 ? 'positive' : 'negative'}`}>
+                  {formatPercentChange(asset.change30d)} 30d
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+        {rest.length > 0 && (
+          <div className="yield-item">
+            <div className="yield-info">
+              <div className="stablecoin-name">Other</div>
+              <div className="yield-symbol">{rest.length} smaller stablecoins</div>
+            </div>
+            <div className="yield-stats">
+              <div className="stablecoin-supply">{formatUsdCompact(restSupply)}</div>
+              <div className="yield-tvl">{((restSupply / breakdown.total) * 100).toFixed(1)}% of supply</div>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// DEXs listed in the DEX tab before the rest are summarised
+const DEX_LIST_LIMIT = 15;
+
+/**
+ * DEX tab - the chain's exchanges ranked by 24h or 7d volume with their share
+ * of chain volume, plus the chain's DEX volume over time
+ */
+function DexBreakdown({ network }) {
+  const [range, setRange] = useState('90d');
+  const [period, setPeriod] = useState('24h');
+  const fetchOverview = useCallback(
+    () => import('./services/defillama').then(module => module.fetchChainDEXOverview(network.name, range)),
+    [network, range]
+  );
+  const { data: overview, loading } = useTabData(fetchOverview);
+
+  if (overview === undefined) {
+    return <div className="breakdown-empty">Loading DEXs…</div>;
+  }
+  if (!overview || overview.dexes.length === 0) {
+    return <div className="breakdown-empty">No DEX volume tracked on {network.name}</div>;
+  }
+
+  const volumeKey = period === '24h' ? 'volume24h' : 'volume7d';
+  const shareKey = period === '24h' ? 'share24h' : 'share7d';
+  const ranked = [...overview.dexes].sort((a, b) => b[volumeKey] - a[volumeKey]);
+  const listed = ranked.slice(0, DEX_LIST_LIMIT);
+  const rest = ranked.slice(DEX_LIST_LIMIT);
+
+  return (
+    <div className="breakdown-tab">
+      <div className="stat-grid">
+        <div className="stat-item">
+          <div className="stat-label">DEX Volume (24h)</div>
+          <div className="stat-value">{formatUsdCompact(overview.volume24h)}</div>
+          <div className={`stat-subtext ${overview.change_1d >= 0 ? 'positive' : 'negative'}`}>
+            {formatPercentChange(overview.change_1d)} 1d
+          </div>
+        </div>
+        <div className="stat-item">
+          <div className="stat-label">DEX Volume (7d)</div>
+          <div className="stat-value">{formatUsdCompact(overview.volume7d)}</div>
+          <div className={`stat-subtext ${overview.change_7d >= 0 ? 'positive' : 'negative'}`}>
+            {formatPercentChange(overview.change_7d)} 7d
+          </div>
+        </div>
+      </div>
+
+      <HistoryChart
+        series={overview.series}
+        color={network.color.getStyle()}
+        range={range}
+        onRangeChange={setRange}
+        loading={loading}
+        title="DEX Volume"
+        valueKey="volume"
+      />
+
+      <div className="breakdown-header">
+        <span className="breakdown-title">{ranked.length} DEXs by volume</span>
+        <div className="chart-range-buttons">
+          {['24h', '7d'].map(key => (
+            <button
+              key={key}
+              className={`chart-range-btn ${period === key ? 'active' : ''}`}
+              onClick={() => setPeriod(key)}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="ranked-list">
+        {listed.map((dex, idx) => (
+          <div key={dex.slug || dex.name} className="ranked-item">
+            <div className="ranked-info">
+              <div className="ranked-name">
+                <span className="ranked-position">{idx + 1}</span>
+                {dex.name}
+              </div>
+              <div className="ranked-bar">
+                <span style={{ width: `${Math.min(100, dex[shareKey])}%` }} />
+              </div>
+            </div>
+            <div className="ranked-stats">
+              <div className="ranked-value">{formatUsdCompact(dex[volumeKey])}</div>
+              <div className="ranked-detail">{dex[shareKey].toFixed(1)}% of volume</div>
+              {dex.change_1d !== null && (
+                <div className={`ranked-change ${dex.change_1d >= 0 ? 'positive' : 'negative'}`}>
+                  {formatPercentChange(dex.change_1d)} 1d
+                </div>
+              )}
+            </div>
+          </div>
+        ))}
+        {rest.length > 0 && (
+          <div className="breakdown-empty">
+            +{rest.length} smaller DEXs with {formatUsdCompact(rest.reduce((sum, dex) => sum + dex[volumeKey], 0))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// Protocols listed in the Fees tab before the rest are summarised
+const FEES_LIST_LIMIT = 15;
+const FEES_PERIODS = ['24h', '7d', '30d'];
+
+/**
+ * Fees tab - the chain's protocols ranked by fees with the revenue they keep,
+ * plus fees or revenue over time for the chain or a selected protocol
+ */
+function FeesBreakdown({ network }) {
+  const [range, setRange] = useState('90d');
+  const [period, setPeriod] = useState('24h');
+  const [metric, setMetric] = useState('fees');
+  const [selected, setSelected] = useState(null);
+  const fetchOverview = useCallback(
+    () => import('./services/defillama').then(module => module.fetchChainFeesOverview(network.name, range)),
+    [network, range]
+  );
+  const { data: overview, loading } = useTabData(fetchOverview);
+
+  if (overview === undefined) {
+    return <div className="breakdown-empty">Loading fees…</div>;
+  }
+  if (!overview || overview.protocols.length === 0) {
+    return <div className="breakdown-empty">No fees tracked on {network.name}</div>;
+  }
+
+  const hasRevenue = overview.revenue24h !== null;
+  const chartMetric = hasRevenue ? metric : 'fees';
+  const chartSeries = (selected && overview.protocolSeries[selected]) || overview.series;
+  const feesKey = `fees${period}`;
+  const revenueKey = `revenue${period}`;
+  const totalFees = overview[feesKey];
+  const ranked = [...overview.protocols].sort((a, b) => b[feesKey] - a[feesKey]);
+  const listed = ranked.slice(0, FEES_LIST_LIMIT);
+  const rest = ranked.slice(FEES_LIST_LIMIT);
+
+  return (
+    <div className="breakdown-tab">
+      <div className="stat-grid">
+        <div className="stat-item">
+          <div className="stat-label">Fees (24h)</div>
+          <div className="stat-value">{formatUsdCompact(overview.fees24h)}</div>
+          <div className={`stat-subtext ${overview.change_1d >= 0 ? 'positive' : 'negative'}`}>
+            {formatPercentChange(overview.change_1d)} 1d
+          </div>
+        </div>
+        <div className="stat-item">
+          <div className="stat-label">Revenue (24h)</div>
+          <div className="stat-value">{hasRevenue ? formatUsdCompact(overview.revenue24h) : '—'}</div>
+          {hasRevenue && overview.fees24h > 0 && (
+            <div className="stat-subtext">{((overview.revenue24h / overview.fees24h) * 100).toFixed(0)}% of fees</div>
+          )}
+        </div>
+      </div>
+
+      {hasRevenue && (
+        <div className="breakdown-header">
+          <span className="breakdown-title">{selected || network.name}</span>
+          <div className="chart-range-buttons">
+            {['fees', 'revenue'].map(key => (
+              <button
+                key={key}
+                className={`chart-range-btn ${chartMetric === key ? 'active' : ''}`}
+                onClick={() => setMetric(key)}
+              >
+                {key === 'fees' ? 'Fees' : 'Revenue'}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <HistoryChart
+        series={chartSeries}
+        color={network.color.getStyle()}
+        range={range}
+        onRangeChange={setRange}
+        loading={loading}
+        title={chartMetric === 'fees' ? 'Daily Fees' : 'Daily Revenue'}
+        valueKey={chartMetric}
+      />
+
+      <div className="breakdown-header">
+        <span className="breakdown-title">{ranked.length} protocols by fees</span>
+        <div className="chart-range-buttons">
+          {FEES_PERIODS.map(key => (
+            <button
+              key={key}
+              className={`chart-range-btn ${period === key ? 'active' : ''}`}
+              onClick={() => setPeriod(key)}
+            >
+              {key}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="ranked-list">
+        {listed.map((protocol, idx) => {
+          const share = totalFees > 0 ? (protocol[feesKey] / totalFees) * 100 : 0;
+          const charted = overview.protocolSeries[protocol.name];
+          return (
+            <div
+              key={protocol.slug || protocol.name}
+              className={`ranked-item ${charted ? 'selectable' : ''} ${selected === protocol.name ? 'selected' : ''}`}
+              onClick={charted ? () => setSelected(selected === protocol.name ? null : protocol.name) : undefined}
+            >
+              <div className="ranked-info">
+                <div className="ranked-name">
+                  <span className="ranked-position">{idx + 1}</span>
+                  {protocol.name}
+                </div>
+                {protocol.category && <div className="ranked-detail">{protocol.category}</div>}
+                <div className="ranked-bar">
+                  <span style={{ width: `${Math.min(100, share)}%` }} />
+                </div>
+              </div>
+              <div className="ranked-stats">
+                <div className="ranked-value">{formatUsdCompact(protocol[feesKey])}</div>
+                {protocol[revenueKey] !== null && (
+                  <div className="ranked-detail">{formatUsdCompact(protocol[revenueKey])} revenue</div>
+                )}
+                {protocol.revenueRatio !== null && (
+                  <div className="fees-ratio">{(protocol.revenueRatio * 100).toFixed(0)}% kept</div>
+                )}
+              </div>
+            </div>
+          );
+        })}
+        {rest.length > 0 && (
+          <div className="breakdown-empty">
+            +{rest.length} smaller protocols with {formatUsdCompact(rest.reduce((sum, protocol) => sum + protocol[feesKey], 0))} in fees
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromDapp, onSelectDapp, dappNodes, activeTab, onTabChange, isCompared, onToggleCompare, bridgeFlow, reverseBridgeFlow, onCloseBridgeFlow, historicalSnapshot }) {
   const [detailedData, setDetailedData] = useState(null);
   const [priceData, setPriceData] = useState(null);
   const [historicalData, setHistoricalData] = useState(null);
@@ -341,153 +1406,67 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
   const [fearGreedData, setFearGreedData] = useState(null);
   const [topYields, setTopYields] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [activeTab, setActiveTab] = useState('overview');
+  const [tvlRange, setTvlRange] = useState('30d');
+  const [tvlHistory, setTvlHistory] = useState(null);
+  const [tvlHistoryLoading, setTvlHistoryLoading] = useState(false);
 
+  // TVL history follows the selected range - the shared HTTP cache makes range switches cheap
   useEffect(() => {
-    if (network) {
-      const cacheKey = network.name;
-      const cached = networkDataCache.get(cacheKey);
+    if (!network) {
+      setTvlHistory(null);
+      return;
+    }
 
-      // Check if we have cached data (and it's not too old - 5 minutes)
-      const CACHE_MAX_AGE = 5 * 60 * 1000; // 5 minutes
-      const isCacheValid = cached && (Date.now() - cached.fetchedAt) < CACHE_MAX_AGE;
+    let cancelled = false;
+    setTvlHistoryLoading(true);
+    import('./services/defillama')
+      .then(module => module.fetchChainHistoricalTVL(network.name, tvlRange))
+      .catch(() => null)
+      .then(history => {
+        if (cancelled) return;
+        setTvlHistory(history?.series || null);
+        setTvlHistoryLoading(false);
+      });
 
-      if (isCacheValid) {
-        console.log(`Using cached data for ${network.name}`);
-        setDetailedData(cached.detailedData);
-        setPriceData(cached.priceData);
-        setHistoricalData(cached.historicalData);
-        setStablecoinData(cached.stablecoinData || null);
-        setYieldData(cached.yieldData || null);
-        setFearGreedData(cached.fearGreedData || null);
-        setTopYields(cached.topYields || null);
-        if (cached.dexScreenerData && cached.dexScreenerData.totalLiquidity > 0) {
+    return () => { cancelled = true; };
+  }, [network, tvlRange]);
+
+  useEffect(() => {
+    if (network) {
+      let cancelled = false;
+
+      const applyData = (data) => {
+        setDetailedData(data?.detailedData || null);
+        setPriceData(data?.priceData || null);
+        setHistoricalData(data?.historicalData || null);
+        setStablecoinData(data?.stablecoinData || null);
+        setYieldData(data?.yieldData || null);
+        setFearGreedData(data?.fearGreedData || null);
+        setTopYields(data?.topYields || null);
+        if (data?.dexScreenerData && data.dexScreenerData.totalLiquidity > 0) {
           setDexScreenerData({
-            liquidity: cached.dexScreenerData.totalLiquidity,
-            pairCount: cached.dexScreenerData.pairCount
+            liquidity: data.dexScreenerData.totalLiquidity,
+            pairCount: data.dexScreenerData.pairCount
           });
         } else {
           setDexScreenerData(null);
         }
         setLoading(false);
+      };
+
+      const cached = getCachedNetworkData(network.name);
+      if (cached) {
+        console.log(`Using cached data for ${network.name}`);
+        applyData(cached);
         return;
       }
 
       setLoading(true);
-
-      const defillamaPromise = import('./services/defillama').then((module) => {
-        return module.fetchNetworkDetails(network.name);
+      loadNetworkData(network).then(data => {
+        if (!cancelled) applyData(data);
       });
 
-      const coingeckoPromise = import('./services/coingecko').then((module) => {
-        return module.fetchNetworkCoinData(network.name, network.geckoId);
-      }).catch(err => {
-        console.error('Error loading CoinGecko module:', err);
-        return null;
-      });
-
-      const historicalPromise = network.geckoId
-        ? import('./services/coingecko').then((module) => {
-          return module.fetchHistoricalPrice(network.geckoId, 7);
-        }).catch(() => null)
-        : Promise.resolve(null);
-
-      const dexscreenerPromise = import('./services/dexscreener').then(async (module) => {
-        const chainIdMap = module.DEXSCREENER_CHAIN_MAP || {};
-        const chainId = chainIdMap[network.name] || network.name.toLowerCase();
-
-        const liquidityData = await module.fetchChainTotalLiquidity(chainId).catch(() => null);
-
-        if (liquidityData && liquidityData.totalLiquidity > 0) {
-          return {
-            totalLiquidity: liquidityData.totalLiquidity,
-            pairCount: liquidityData.pairCount
-          };
-        }
-
-        const searchResult = await module.searchTokens(network.symbol || network.name).catch(() => null);
-        if (searchResult?.pairs && searchResult.pairs.length > 0) {
-          let totalLiquidity = 0;
-          searchResult.pairs.slice(0, 10).forEach(pair => {
-            if (pair.liquidity?.usd) {
-              totalLiquidity += parseFloat(pair.liquidity.usd) || 0;
-            }
-          });
-
-          if (totalLiquidity > 0) {
-            return { totalLiquidity, pairCount: searchResult.pairs.length };
-          }
-        }
-
-        return null;
-      }).catch(() => null);
-
-      // Fetch stablecoin TVL for this chain
-      const stablecoinPromise = import('./services/stablecoins').then(async (module) => {
-        return module.fetchChainStablecoinTVL(network.name);
-      }).catch(() => 0);
-
-      // Fetch yield stats for this chain
-      const yieldPromise = import('./services/yields').then(async (module) => {
-        return module.fetchChainYieldStats(network.name);
-      }).catch(() => null);
-
-      // Fetch top yields for this chain
-      const topYieldsPromise = import('./services/yields').then(async (module) => {
-        return module.fetchChainTopYields(network.name, 3);
-      }).catch(() => null);
-
-      // Fetch Fear & Greed Index (global)
-      const fearGreedPromise = import('./services/feargreed').then(async (module) => {
-        return module.fetchFearGreedIndex();
-      }).catch(() => null);
-
-      Promise.all([
-        defillamaPromise,
-        coingeckoPromise,
-        historicalPromise,
-        dexscreenerPromise,
-        stablecoinPromise,
-        yieldPromise,
-        topYieldsPromise,
-        fearGreedPromise
-      ])
-        .then(([defillamaData, coingeckoData, historicalPriceData, dexscreenerResult, stablecoinTvl, yieldStats, topYieldsData, fearGreed]) => {
-          setDetailedData(defillamaData);
-          setPriceData(coingeckoData);
-          setHistoricalData(historicalPriceData);
-          setStablecoinData(stablecoinTvl);
-          setYieldData(yieldStats);
-          setTopYields(topYieldsData);
-          setFearGreedData(fearGreed);
-
-          if (dexscreenerResult && dexscreenerResult.totalLiquidity > 0) {
-            setDexScreenerData({
-              liquidity: dexscreenerResult.totalLiquidity,
-              pairCount: dexscreenerResult.pairCount
-            });
-          } else {
-            setDexScreenerData(null);
-          }
-
-          networkDataCache.set(cacheKey, {
-            detailedData: defillamaData,
-            priceData: coingeckoData,
-            historicalData: historicalPriceData,
-            dexScreenerData: dexscreenerResult,
-            stablecoinData: stablecoinTvl,
-            yieldData: yieldStats,
-            topYields: topYieldsData,
-            fearGreedData: fearGreed,
-            fetchedAt: Date.now()
-          });
-
-          setLoading(false);
-        })
-        .catch(err => {
-          console.error('Error loading data:', err);
-          setLoading(false);
-        });
+      return () => { cancelled = true; };
     } else {
       setDetailedData(null);
       setPriceData(null);
@@ -497,7 +1476,6 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
       setYieldData(null);
       setTopYields(null);
       setFearGreedData(null);
-      setActiveTab('overview');
     }
   }, [network]);
 
@@ -545,10 +1523,12 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
       <div className="glass-card visible" style={{ '--network-color': selectedDapp ? selectedDapp.colorHex : network.color.getStyle(), '--network-color-low': (selectedDapp ? selectedDapp.colorHex : network.color.getStyle()) + '33' }}>
         <button className="close-btn" onClick={onClose}>&times;</button>
 
-        {/* dApp detail view */}
-        {selectedDapp ? (
+        {/* Bridge flow detail view */}
+        {bridgeFlow ? (
+          <BridgeFlowDetail flow={bridgeFlow} reverseFlow={reverseBridgeFlow} network={network} onBack={onCloseBridgeFlow} />
+        ) : selectedDapp ? (
           <>
-            <button className="back-btn" onClick={() => { onBackFromDapp(); setActiveTab('dapps'); }}>
+            <button className="back-btn" onClick={() => { onBackFromDapp(); onTabChange('dapps'); }}>
               &larr; Back to {network.name}
             </button>
             <div className="card-header">
@@ -570,12 +1550,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
               <div className="stat-item">
                 <div className="stat-label">TVL</div>
                 <div className="stat-value">
-                  {selectedDapp.tvl >= 1e9
-                    ? `$${(selectedDapp.tvl / 1e9).toFixed(2)}B`
-                    : selectedDapp.tvl >= 1e6
-                      ? `$${(selectedDapp.tvl / 1e6).toFixed(1)}M`
-                      : `$${(selectedDapp.tvl / 1e3).toFixed(0)}K`
-                  }
+                  {formatUsdCompact(selectedDapp.tvl)}
                 </div>
                 <div className="stat-subtext">
                   {(selectedDapp.tvlShare * 100).toFixed(1)}% of {network.name} TVL
@@ -596,12 +1571,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
               <div className="spotlight-title">Protocol on {network.name}</div>
               <div className="spotlight-content">
                 {selectedDapp.name} is a {selectedDapp.category.toLowerCase()} protocol with{' '}
-                {selectedDapp.tvl >= 1e9
-                  ? `$${(selectedDapp.tvl / 1e9).toFixed(2)}B`
-                  : selectedDapp.tvl >= 1e6
-                    ? `$${(selectedDapp.tvl / 1e6).toFixed(1)}M`
-                    : `$${(selectedDapp.tvl / 1e3).toFixed(0)}K`
-                } in total value locked, representing {(selectedDapp.tvlShare * 100).toFixed(1)}% of the {network.name} ecosystem.
+                {formatUsdCompact(selectedDapp.tvl)} in total value locked, representing {(selectedDapp.tvlShare * 100).toFixed(1)}% of the {network.name} ecosystem.
               </div>
             </div>
           </>
@@ -620,6 +1590,11 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
           <div>
             <h2 className="card-title">{network.name} ({network.symbol})</h2>
             <p className="card-subtitle">est. {network.est} {network.marketShareFormatted && `• ${network.marketShareFormatted} market share`}</p>
+            {onToggleCompare && (
+              <button className={`compare-toggle-btn ${isCompared ? 'active' : ''}`} onClick={() => onToggleCompare(network)}>
+                {isCompared ? '✓ In comparison' : '+ Compare'}
+              </button>
+            )}
           </div>
         </div>
 
@@ -627,24 +1602,78 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
         <div className="card-tabs">
           <button
             className={`card-tab ${activeTab === 'overview' ? 'active' : ''}`}
-            onClick={() => setActiveTab('overview')}
+            onClick={() => onTabChange('overview')}
           >
             Overview
           </button>
           {dappNodes && dappNodes.length > 0 && (
             <button
               className={`card-tab ${activeTab === 'dapps' ? 'active' : ''}`}
-              onClick={() => setActiveTab('dapps')}
+              onClick={() => onTabChange('dapps')}
             >
               Dapps
               <span className="tab-count">{dappNodes.length}</span>
             </button>
           )}
+          {yieldData && yieldData.poolCount > 0 && (
+            <button
+              className={`card-tab ${activeTab === 'yields' ? 'active' : ''}`}
+              onClick={() => onTabChange('yields')}
+            >
+              Yields
+              <span className="tab-count">{yieldData.poolCount.toLocaleString()}</span>
+            </button>
+          )}
+          {stablecoinData > 0 && (
+            <button
+              className={`card-tab ${activeTab === 'stablecoins' ? 'active' : ''}`}
+              onClick={() => onTabChange('stablecoins')}
+            >
+              Stables
+            </button>
+          )}
+          {detailedData?.dexVolume24h > 0 && (
+            <button
+              className={`card-tab ${activeTab === 'dex' ? 'active' : ''}`}
+              onClick={() => onTabChange('dex')}
+            >
+              DEX
+            </button>
+          )}
+          {detailedData?.fees24h > 0 && (
+            <button
+              className={`card-tab ${activeTab === 'fees' ? 'active' : ''}`}
+              onClick={() => onTabChange('fees')}
+            >
+              Fees
+            </button>
+          )}
         </div>
 
-        {/* Overview Tab */}
-        {activeTab === 'overview' && (
-        <>
+        {/* Overview Tab */}
+        {activeTab === 'overview' && (
+        <>
+        {/* Time-lapse snapshot - the network at the scrubbed date */}
+        {historicalSnapshot && (
+          <div className="timelapse-snapshot">
+            <div className="stat-label">As of {formatTimelapseDate(historicalSnapshot.date)}</div>
+            <div className="stat-grid">
+              <div className="stat-item">
+                <div className="stat-label">TVL</div>
+                <div className="stat-value">{formatUsdCompact(historicalSnapshot.tvl)}</div>
+              </div>
+              <div className="stat-item">
+                <div className="stat-label">Share</div>
+                <div className="stat-value">{historicalSnapshot.share.toFixed(1)}%</div>
+              </div>
+              <div className="stat-item">
+                <div className="stat-label">Rank</div>
+                <div className="stat-value">{historicalSnapshot.rank ? `#${historicalSnapshot.rank}` : '-'}</div>
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Fear & Greed Index - global market sentiment */}
         {fearGreedData && (
           <div className="sentiment-section">
@@ -702,10 +1731,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
               </div>
               {priceData.market_data.market_cap?.usd && (
                 <div className="stat-subtext">
-                  Market Cap: ${priceData.market_data.market_cap.usd >= 1e12
-                    ? `${(priceData.market_data.market_cap.usd / 1e12).toFixed(2)}T`
-                    : `${(priceData.market_data.market_cap.usd / 1e9).toFixed(2)}B`
-                  }
+                  Market Cap: {formatUsdCompact(priceData.market_data.market_cap.usd)}
                   {priceData.market_data.market_cap_rank && (
                     <span className="rank-badge"> #{priceData.market_data.market_cap_rank}</span>
                   )}
@@ -713,17 +1739,14 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
               )}
               {priceData.market_data.fully_diluted_valuation?.usd && (
                 <div className="stat-subtext">
-                  FDV: ${priceData.market_data.fully_diluted_valuation.usd >= 1e12
-                    ? `${(priceData.market_data.fully_diluted_valuation.usd / 1e12).toFixed(2)}T`
-                    : `${(priceData.market_data.fully_diluted_valuation.usd / 1e9).toFixed(2)}B`
-                  }
+                  FDV: {formatUsdCompact(priceData.market_data.fully_diluted_valuation.usd)}
                 </div>
               )}
             </div>
           )}
           <div className="stat-item">
             <div className="stat-label">Total TVL</div>
-            <div className="stat-value">{loading ? 'Loading...' : (network.stats.tvl || '$0.0')}</div>
+            <div className="stat-value">{loading ? 'Loading...' : (network.stats.tvl || '$0')}</div>
             <div className="tvl-details">
               {network.marketShareFormatted && (
                 <div className="stat-subtext">{network.marketShareFormatted} market share</div>
@@ -771,10 +1794,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
             <div className="stat-item">
               <div className="stat-label">24h Trading Volume</div>
               <div className="stat-value">
-                ${priceData.market_data.total_volume.usd >= 1e9
-                  ? `${(priceData.market_data.total_volume.usd / 1e9).toFixed(2)}B`
-                  : `${(priceData.market_data.total_volume.usd / 1e6).toFixed(1)}M`
-                }
+                {formatUsdCompact(priceData.market_data.total_volume.usd)}
               </div>
               {priceData.market_data.market_cap?.usd && priceData.market_data.total_volume.usd > 0 && (
                 <div className="stat-subtext">
@@ -787,30 +1807,17 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
             <div className="stat-item">
               <div className="stat-label">Supply</div>
               <div className="stat-value">
-                {priceData.market_data.circulating_supply > 1e9
-                  ? `${(priceData.market_data.circulating_supply / 1e9).toFixed(2)}B ${network.symbol}`
-                  : priceData.market_data.circulating_supply > 1e6
-                    ? `${(priceData.market_data.circulating_supply / 1e6).toFixed(2)}M ${network.symbol}`
-                    : `${priceData.market_data.circulating_supply.toLocaleString()} ${network.symbol}`
-                }
+                {formatCompact(priceData.market_data.circulating_supply)} {network.symbol}
               </div>
               {priceData.market_data.max_supply && (
                 <div className="stat-subtext">
-                  Max: {priceData.market_data.max_supply > 1e9
-                    ? `${(priceData.market_data.max_supply / 1e9).toFixed(1)}B`
-                    : priceData.market_data.max_supply > 1e6
-                      ? `${(priceData.market_data.max_supply / 1e6).toFixed(1)}M`
-                      : priceData.market_data.max_supply.toLocaleString()
-                  }
+                  Max: {formatCompact(priceData.market_data.max_supply)}
                   {' '}({((priceData.market_data.circulating_supply / priceData.market_data.max_supply) * 100).toFixed(1)}% circulating)
                 </div>
               )}
               {!priceData.market_data.max_supply && priceData.market_data.total_supply && (
                 <div className="stat-subtext">
-                  Total: {priceData.market_data.total_supply > 1e9
-                    ? `${(priceData.market_data.total_supply / 1e9).toFixed(1)}B`
-                    : `${(priceData.market_data.total_supply / 1e6).toFixed(1)}M`
-                  }
+                  Total: {formatCompact(priceData.market_data.total_supply)}
                 </div>
               )}
             </div>
@@ -838,10 +1845,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
             <div className="stat-item">
               <div className="stat-label">Stablecoin TVL</div>
               <div className="stat-value">
-                {stablecoinData >= 1e9
-                  ? `$${(stablecoinData / 1e9).toFixed(2)}B`
-                  : `$${(stablecoinData / 1e6).toFixed(1)}M`
-                }
+                {formatUsdCompact(stablecoinData)}
               </div>
               {network.rawTvl > 0 && (
                 <div className="stat-subtext">
@@ -862,29 +1866,23 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
               )}
             </div>
           )}
-          {detailedData?.tvlChange1d !== undefined && detailedData.tvlChange1d !== 0 && (
+          {detailedData && (
             <div className="stat-item">
               <div className="stat-label">TVL Changes</div>
-              <div className={`stat-value ${detailedData.tvlChange1d >= 0 ? 'positive' : 'negative'}`}>
-                {detailedData.tvlChange1d >= 0 ? '+' : ''}{detailedData.tvlChange1d.toFixed(2)}% <span className="stat-period">24h</span>
+              {/* No history to compare against yet - null, shown as a dash rather than +0.00% */}
+              <div className={`stat-value ${changeClass(detailedData.tvlChange1d)}`}>
+                {formatTvlChange(detailedData.tvlChange1d)} <span className="stat-period">24h</span>
+              </div>
+              <div className={`stat-subtext ${changeClass(detailedData.tvlChange7d)}`}>
+                {formatTvlChange(detailedData.tvlChange7d)} (7d)
               </div>
-              {detailedData.tvlChange7d !== undefined && detailedData.tvlChange7d !== 0 && (
-                <div className={`stat-subtext ${detailedData.tvlChange7d >= 0 ? 'positive' : 'negative'}`}>
-                  {detailedData.tvlChange7d >= 0 ? '+' : ''}{detailedData.tvlChange7d.toFixed(2)}% (7d)
-                </div>
-              )}
             </div>
           )}
           {dexScreenerData?.liquidity && dexScreenerData.liquidity > 0 && (
             <div className="stat-item">
               <div className="stat-label">Total DEX Liquidity</div>
               <div className="stat-value">
-                {dexScreenerData.liquidity >= 1e9
-                  ? `$${(dexScreenerData.liquidity / 1e9).toFixed(2)}B`
-                  : dexScreenerData.liquidity >= 1e6
-                    ? `$${(dexScreenerData.liquidity / 1e6).toFixed(1)}M`
-                    : `$${(dexScreenerData.liquidity / 1e3).toFixed(0)}K`
-                }
+                {formatUsdCompact(dexScreenerData.liquidity)}
               </div>
               {dexScreenerData.pairCount && (
                 <div className="stat-subtext">{dexScreenerData.pairCount.toLocaleString()} pairs</div>
@@ -906,21 +1904,11 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
             <div className="stat-item">
               <div className="stat-label">Community</div>
               <div className="stat-value">
-                {priceData.community_data.twitter_followers > 1000000
-                  ? `${(priceData.community_data.twitter_followers / 1000000).toFixed(1)}M`
-                  : priceData.community_data.twitter_followers > 1000
-                    ? `${(priceData.community_data.twitter_followers / 1000).toFixed(1)}K`
-                    : priceData.community_data.twitter_followers.toLocaleString()
-                } <span className="stat-period">followers</span>
+                {formatCompact(priceData.community_data.twitter_followers)} <span className="stat-period">followers</span>
               </div>
               {priceData.community_data.reddit_subscribers > 0 && (
                 <div className="stat-subtext">
-                  Reddit: {priceData.community_data.reddit_subscribers > 1e6
-                    ? `${(priceData.community_data.reddit_subscribers / 1e6).toFixed(1)}M`
-                    : priceData.community_data.reddit_subscribers > 1e3
-                      ? `${(priceData.community_data.reddit_subscribers / 1e3).toFixed(0)}K`
-                      : priceData.community_data.reddit_subscribers.toLocaleString()
-                  } subscribers
+                  Reddit: {formatCompact(priceData.community_data.reddit_subscribers)} subscribers
                 </div>
               )}
             </div>
@@ -944,6 +1932,18 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
           )}
         </div>
 
+        {network.geckoId && (
+          <PriceChart geckoId={network.geckoId} color={network.color.getStyle()} />
+        )}
+
+        <HistoryChart
+          series={tvlHistory}
+          color={network.color.getStyle()}
+          range={tvlRange}
+          onRangeChange={setTvlRange}
+          loading={tvlHistoryLoading}
+        />
+
         {/* Top Yield Opportunities */}
         {topYields && topYields.length > 0 && (
           <div className="yields-section">
@@ -960,12 +1960,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
                   <div className="yield-stats">
                     <div className="yield-apy">{pool.apy.toFixed(2)}%</div>
                     <div className="yield-tvl">
-                      {pool.tvlUsd >= 1e9
-                        ? `$${(pool.tvlUsd / 1e9).toFixed(1)}B`
-                        : pool.tvlUsd >= 1e6
-                          ? `$${(pool.tvlUsd / 1e6).toFixed(0)}M`
-                          : `$${(pool.tvlUsd / 1e3).toFixed(0)}K`
-                      }
+                      {formatUsdCompact(pool.tvlUsd)}
                     </div>
                   </div>
                 </div>
@@ -1005,12 +2000,7 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
                     </div>
                     <div className="dapp-tab-right">
                       <div className="dapp-tab-tvl">
-                        {dapp.tvl >= 1e9
-                          ? `$${(dapp.tvl / 1e9).toFixed(2)}B`
-                          : dapp.tvl >= 1e6
-                            ? `$${(dapp.tvl / 1e6).toFixed(1)}M`
-                            : `$${(dapp.tvl / 1e3).toFixed(0)}K`
-                        }
+                        {formatUsdCompact(dapp.tvl)}
                       </div>
                       <div className="dapp-tab-share">{(dapp.tvlShare * 100).toFixed(1)}%</div>
                     </div>
@@ -1021,6 +2011,20 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
           </div>
         )}
 
+        {/* Yields Tab */}
+        {activeTab === 'yields' && (
+          <YieldExplorer network={network} chainApy={yieldData?.weightedAvgApy || 0} />
+        )}
+
+        {/* Stablecoins Tab */}
+        {activeTab === 'stablecoins' && <StablecoinBreakdown key={network.name} network={network} />}
+
+        {/* DEX Tab */}
+        {activeTab === 'dex' && <DexBreakdown key={network.name} network={network} />}
+
+        {/* Fees Tab */}
+        {activeTab === 'fees' && <FeesBreakdown key={network.name} network={network} />}
+
         </>
         )}
       </div>
@@ -1028,6 +2032,283 @@ function StatsCard({ network, onClose, screenPosition, selectedDapp, onBackFromD
   )
 }
 
+// Networks that can be compared side by side
+const COMPARE_MIN_NETWORKS = 2;
+const COMPARE_MAX_NETWORKS = 4;
+
+// Ranges supported by both the TVL and price services
+const COMPARISON_RANGES = ['7d', '30d', '90d', '1y'];
+
+function formatPercentChange(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(2)}%`;
+}
+
+// A TVL change that may be null (no baseline to compare against)
+function formatTvlChange(value) {
+  return Number.isFinite(value) ? formatPercentChange(value) : '—';
+}
+
+function changeClass(value) {
+  if (!Number.isFinite(value)) return '';
+  return value >= 0 ? 'positive' : 'negative';
+}
+
+// Rows of the comparison table - read from the same network data cache entries as StatsCard
+const COMPARISON_METRICS = [
+  { label: 'Total TVL', value: (network, data) => (network.rawTvl || data?.detailedData?.tvl) ?? null, format: formatUsdCompact },
+  { label: 'Market Share', value: (network) => network.marketShare ?? null, format: (v) => `${v.toFixed(1)}%` },
+  { label: 'TVL Change (7d)', value: (network, data) => data?.detailedData?.tvlChange7d ?? null, format: formatPercentChange },
+  { label: 'DEX Volume (24h)', value: (network, data) => data?.detailedData?.dexVolume24h ?? null, format: formatUsdCompact },
+  { label: 'Fees (24h)', value: (network, data) => data?.detailedData?.fees24h ?? null, format: formatUsdCompact },
+  { label: 'Revenue (24h)', value: (network, data) => data?.detailedData?.revenue24h ?? null, format: formatUsdCompact },
+  { label: 'Stablecoin TVL', value: (network, data) => data?.stablecoinData ?? null, format: formatUsdCompact },
+  { label: 'Weighted APY', value: (network, data) => data?.yieldData?.weightedAvgApy ?? null, format: (v) => `${v.toFixed(2)}%` },
+  { label: 'Bridge Volume (24h)', value: (network, data) => data?.detailedData?.bridgeVolume24h ?? null, format: formatUsdCompact },
+  { label: 'Price Change (24h)', value: (network, data) => data?.priceData?.market_data?.price_change_percentage_24h ?? null, format: formatPercentChange },
+  { label: 'Price Change (7d)', value: (network, data) => data?.priceData?.market_data?.price_change_percentage_7d ?? null, format: formatPercentChange },
+];
+
+// Load a network's history for the overlay chart as { time (ms), value }
+async function loadComparisonSeries(network, metric, range) {
+  if (metric === 'tvl') {
+    const module = await import('./services/defillama');
+    const history = await module.fetchChainHistoricalTVL(network.name, range);
+    return (history?.series || []).map(p => ({ time: p.date * 1000, value: p.tvl }));
+  }
+
+  if (!network.geckoId) return [];
+  const module = await import('./services/coingecko');
+  const chart = await module.fetchPriceChart(network.geckoId, range);
+  return (chart?.prices || []).map(p => ({ time: p.time, value: p.price }));
+}
+
+// Overlaid history for the compared networks, indexed to % change from the start of the range
+function ComparisonChart({ networks }) {
+  const [metric, setMetric] = useState('tvl');
+  const [range, setRange] = useState('30d');
+  const [seriesList, setSeriesList] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [hoverTime, setHoverTime] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+
+    Promise.all(networks.map(network => loadComparisonSeries(network, metric, range).catch(() => [])))
+      .then(results => {
+        if (cancelled) return;
+        setSeriesList(results.map((points, i) => {
+          const base = points.find(p => p.value > 0)?.value;
+          return {
+            network: networks[i],
+            points: base ? points.map(p => ({ time: p.time, value: (p.value / base - 1) * 100 })) : [],
+          };
+        }));
+        setLoading(false);
+      });
+
+    return () => { cancelled = true; };
+  }, [networks, metric, range]);
+
+  const width = 640; // viewBox units - the SVG stretches to the panel width
+  const height = 180;
+  const plotted = seriesList.filter(s => s.points.length >= 2);
+  const hasData = plotted.length > 0;
+
+  const allPoints = plotted.flatMap(s => s.points);
+  const t0 = hasData ? Math.min(...plotted.map(s => s.points[0].time)) : 0;
+  const t1 = hasData ? Math.max(...plotted.map(s => s.points[s.points.length - 1].time)) : 1;
+  const span = t1 - t0 || 1;
+  const min = hasData ? Math.min(0, ...allPoints.map(p => p.value)) : 0;
+  const max = hasData ? Math.max(0, ...allPoints.map(p => p.value)) : 0;
+  const valueRange = max - min || 1;
+
+  const toX = (time) => ((time - t0) / span) * width;
+  const toY = (value) => height - ((value - min) / valueRange) * (height - 12) - 6;
+
+  const valueAt = (points) => {
+    if (points.length === 0) return null;
+    const point = hoverTime !== null ? points[nearestIndexByTime(points, hoverTime)] : points[points.length - 1];
+    return point.value;
+  };
+
+  const handlePointerMove = (e) => {
+    if (!hasData) return;
+    const rect = e.currentTarget.getBoundingClientRect();
+    const ratio = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    setHoverTime(t0 + ratio * span);
+  };
+
+  return (
+    <div className="chart-section comparison-chart">
+      <div className="chart-header">
+        <div className="chart-range-buttons">
+          <button className={`chart-range-btn ${metric === 'tvl' ? 'active' : ''}`} onClick={() => setMetric('tvl')}>TVL</button>
+          <button className={`chart-range-btn ${metric === 'price' ? 'active' : ''}`} onClick={() => setMetric('price')}>Price</button>
+        </div>
+        <div className="chart-range-buttons">
+          {COMPARISON_RANGES.map(r => (
+            <button key={r} className={`chart-range-btn ${range === r ? 'active' : ''}`} onClick={() => setRange(r)}>
+              {r.toUpperCase()}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {hasData ? (
+        <div className="chart-plot" onPointerMove={handlePointerMove} onPointerLeave={() => setHoverTime(null)}>
+          <svg viewBox={`0 0 ${width} ${height}`} preserveAspectRatio="none" width="100%" height={height} className={loading ? 'chart-loading' : ''}>
+            <line x1="0" x2={width} y1={toY(0)} y2={toY(0)} stroke="rgba(255, 255, 255, 0.2)" strokeDasharray="3 3" vectorEffect="non-scaling-stroke" />
+            {plotted.map(({ network, points }) => (
+              <polyline
+                key={network.name}
+                points={points.map(p => `${toX(p.time)},${toY(p.value)}`).join(' ')}
+                fill="none"
+                stroke={network.color.getStyle()}
+                strokeWidth="1.5"
+                strokeLinejoin="round"
+                vectorEffect="non-scaling-stroke"
+              />
+            ))}
+            {hoverTime !== null && (
+              <line x1={toX(hoverTime)} x2={toX(hoverTime)} y1="0" y2={height} stroke="rgba(255, 255, 255, 0.35)" vectorEffect="non-scaling-stroke" />
+            )}
+          </svg>
+        </div>
+      ) : (
+        <div className="chart-empty" style={{ height }}>
+          {loading ? 'Loading history...' : 'No history available'}
+        </div>
+      )}
+
+      <div className="comparison-legend">
+        {hoverTime !== null && (
+          <span className="chart-date">
+            {new Date(hoverTime).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' })}
+          </span>
+        )}
+        {seriesList.map(({ network, points }) => {
+          const value = valueAt(points);
+          return (
+            <span key={network.name} className="comparison-legend-item">
+              <span className="legend-swatch" style={{ background: network.color.getStyle() }} />
+              {network.name}
+              <span className={value === null ? '' : value >= 0 ? 'positive' : 'negative'}>
+                {value === null ? 'n/a' : formatPercentChange(value)}
+              </span>
+            </span>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+// Side-by-side metrics for 2-4 networks
+function ComparisonPanel({ networks, onClose, onRemove }) {
+  const [dataByNetwork, setDataByNetwork] = useState({});
+
+  useEffect(() => {
+    let cancelled = false;
+    networks.forEach(network => {
+      loadNetworkData(network).then(data => {
+        if (!cancelled) setDataByNetwork(prev => ({ ...prev, [network.name]: data }));
+      });
+    });
+    return () => { cancelled = true; };
+  }, [networks]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  return (
+    <div className="comparison-overlay" onClick={onClose}>
+      <div className="comparison-panel" onClick={(e) => e.stopPropagation()}>
+        <button className="close-btn" onClick={onClose}>&times;</button>
+        <h2 className="card-title">Compare Networks</h2>
+
+        <table className="comparison-table">
+          <thead>
+            <tr>
+              <th />
+              {networks.map(network => (
+                <th key={network.name} style={{ '--network-color': network.color.getStyle() }}>
+                  <div className="comparison-network">
+                    {network.logo ? (
+                      <LogoImage network={network} className="comparison-icon" fallbackClassName="comparison-icon" />
+                    ) : (
+                      <div className="comparison-icon" style={{ backgroundColor: network.color.getStyle() }} />
+                    )}
+                    <span>{network.name}</span>
+                    <button className="comparison-remove-btn" onClick={() => onRemove(network)} title="Remove from comparison">&times;</button>
+                  </div>
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {COMPARISON_METRICS.map(metric => {
+              const values = networks.map(network => {
+                const data = dataByNetwork[network.name];
+                return data === undefined ? undefined : metric.value(network, data);
+              });
+              const known = values.filter(v => v !== null && v !== undefined);
+              const best = known.length >= 2 ? Math.max(...known) : null;
+
+              return (
+                <tr key={metric.label}>
+                  <td className="comparison-label">{metric.label}</td>
+                  {values.map((value, i) => (
+                    <td
+                      key={networks[i].name}
+                      className={`comparison-value ${value !== null && value === best ? 'best' : ''} ${metric.format === formatPercentChange && value !== null && value !== undefined ? (value >= 0 ? 'positive' : 'negative') : ''}`}
+                    >
+                      {value === undefined ? '...' : value === null ? '—' : metric.format(value)}
+                    </td>
+                  ))}
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+
+        <ComparisonChart networks={networks} />
+      </div>
+    </div>
+  );
+}
+
+// Networks queued for comparison, with the button that opens the panel
+function CompareTray({ networks, onRemove, onClear, onOpen }) {
+  if (networks.length === 0) return null;
+
+  const canCompare = networks.length >= COMPARE_MIN_NETWORKS;
+
+  return (
+    <div className="compare-tray">
+      {networks.map(network => (
+        <span key={network.name} className="compare-chip">
+          <span className="legend-swatch" style={{ background: network.color.getStyle() }} />
+          {network.name}
+          <button className="compare-chip-remove" onClick={() => onRemove(network)} title="Remove">&times;</button>
+        </span>
+      ))}
+      <span className="compare-hint">
+        {canCompare
+          ? networks.length >= COMPARE_MAX_NETWORKS ? `Max ${COMPARE_MAX_NETWORKS} networks` : 'Shift-click the globe to add more'
+          : 'Add another network to compare'}
+      </span>
+      <button className="compare-open-btn" disabled={!canCompare} onClick={onOpen}>Compare</button>
+      <button className="filters-clear-btn" onClick={onClear}>Clear</button>
+    </div>
+  );
+}
+
 // Component to handle logo loading with fallbacks
 function LogoImage({ network, className, fallbackClassName }) {
   const [currentLogoIndex, setCurrentLogoIndex] = useState(0);
@@ -1092,7 +2373,7 @@ function LogoImage({ network, className, fallbackClassName }) {
 function getAllProtocols() {
   const protocols = [];
   const seen = new Set();
-  for (const [networkName, data] of networkDataCache.entries()) {
+  for (const [networkName, data] of cachedNetworkEntries()) {
     if (data?.detailedData?.topProtocols) {
       data.detailedData.topProtocols.forEach(p => {
         const key = `${p.name}-${networkName}`;
@@ -1115,7 +2396,7 @@ function getAllProtocols() {
   return protocols;
 }
 
-function SearchBar({ onSearch, onSearchDapp }) {
+function SearchBar({ onSearch, onSearchDapp, onCompare, comparedNames }) {
   const [searchTerm, setSearchTerm] = useState('');
   const [networkResults, setNetworkResults] = useState([]);
   const [protocolResults, setProtocolResults] = useState([]);
@@ -1219,7 +2500,9 @@ function SearchBar({ onSearch, onSearchDapp }) {
 
   const handleKeyDown = (e) => {
     if (e.key === 'Enter') {
-      if (networkResults.length > 0) {
+      if (e.shiftKey && onCompare && networkResults.length > 0) {
+        onCompare(networkResults[0]);
+      } else if (networkResults.length > 0) {
         handleSelect(networkResults[0]);
       } else if (protocolResults.length > 0) {
         handleSelectProtocol(protocolResults[0]);
@@ -1353,9 +2636,18 @@ function SearchBar({ onSearch, onSearchDapp }) {
                     </div>
                     {network.rawTvl > 0 && (
                       <div className="suggestion-tvl">
-                        {network.rawTvl >= 1e9 ? `$${(network.rawTvl / 1e9).toFixed(1)}B` : `$${(network.rawTvl / 1e6).toFixed(0)}M`}
+                        {formatUsdCompact(network.rawTvl)}
                       </div>
                     )}
+                    {onCompare && (
+                      <button
+                        className={`suggestion-compare-btn ${comparedNames?.has(network.name) ? 'active' : ''}`}
+                        onClick={(e) => { e.stopPropagation(); onCompare(network); }}
+                        title={comparedNames?.has(network.name) ? 'Remove from comparison' : 'Add to comparison'}
+                      >
+                        {comparedNames?.has(network.name) ? '✓' : '+'}
+                      </button>
+                    )}
                   </div>
                 ))}
               </>
@@ -1381,7 +2673,7 @@ function SearchBar({ onSearch, onSearchDapp }) {
                     </div>
                     {protocol.tvl > 0 && (
                       <div className="suggestion-tvl">
-                        {protocol.tvl >= 1e9 ? `$${(protocol.tvl / 1e9).toFixed(1)}B` : protocol.tvl >= 1e6 ? `$${(protocol.tvl / 1e6).toFixed(0)}M` : `$${(protocol.tvl / 1e3).toFixed(0)}K`}
+                        {formatUsdCompact(protocol.tvl)}
                       </div>
                     )}
                   </div>
@@ -1395,8 +2687,88 @@ function SearchBar({ onSearch, onSearchDapp }) {
   );
 }
 
-// Data cache for network details - pre-fetched on load
-const networkDataCache = new Map();
+// Fetch every data source for one network and store the result in the cache
+async function fetchNetworkData(network) {
+  try {
+    const [defillamaModule, coingeckoModule, dexscreenerModule, stablecoinsModule, yieldsModule, feargreedModule] = await Promise.all([
+      import('./services/defillama'),
+      import('./services/coingecko').catch(() => null),
+      import('./services/dexscreener').catch(() => null),
+      import('./services/stablecoins').catch(() => null),
+      import('./services/yields').catch(() => null),
+      import('./services/feargreed').catch(() => null),
+    ]);
+
+    const cacheKey = network.name;
+
+    // Fetch all data in parallel for this network
+    const [defillamaData, coingeckoData, historicalData, dexscreenerData, stablecoinData, yieldData, topYieldsData, fearGreedData] = await Promise.allSettled([
+      defillamaModule.fetchNetworkDetails(network.name),
+      coingeckoModule?.fetchNetworkCoinData(network.name, network.geckoId) || Promise.resolve(null),
+      network.geckoId && coingeckoModule?.fetchHistoricalPrice(network.geckoId, 7) || Promise.resolve(null),
+      dexscreenerModule ? (async () => {
+        const chainId = dexscreenerModule.getDexScreenerChainId(network.name);
+
+        try {
+          // Try fetchChainTotalLiquidity first (more accurate)
+          if (dexscreenerModule.fetchChainTotalLiquidity) {
+            const liquidityData = await dexscreenerModule.fetchChainTotalLiquidity(chainId).catch(() => null);
+            if (liquidityData && liquidityData.totalLiquidity > 0) {
+              return {
+                totalLiquidity: liquidityData.totalLiquidity,
+                pairCount: liquidityData.pairCount
+              };
+            }
+          }
+
+          // Fallback: search for tokens
+          const searchResult = await dexscreenerModule.searchTokens(network.symbol || network.name).catch(() => null);
+          if (searchResult?.pairs && searchResult.pairs.length > 0) {
+            let totalLiquidity = 0;
+            searchResult.pairs.slice(0, 10).forEach(pair => {
+              if (pair.liquidity?.usd) {
+                totalLiquidity += parseFloat(pair.liquidity.usd) || 0;
+              }
+            });
+            if (totalLiquidity > 0) {
+              return {
+                totalLiquidity,
+                pairCount: searchResult.pairs.length
+              };
+            }
+          }
+        } catch (e) {
+          return null;
+        }
+        return null;
+      })() : Promise.resolve(null),
+      stablecoinsModule?.fetchChainStablecoinTVL(network.name) || Promise.resolve(0),
+      yieldsModule?.fetchChainYieldStats(network.name) || Promise.resolve(null),
+      yieldsModule?.fetchChainTopYields(network.name, 3) || Promise.resolve(null),
+      feargreedModule?.fetchFearGreedIndex() || Promise.resolve(null),
+    ]);
+
+    const data = cacheNetworkData(cacheKey, {
+      detailedData: defillamaData.status === 'fulfilled' ? defillamaData.value : null,
+      priceData: coingeckoData.status === 'fulfilled' ? coingeckoData.value : null,
+      historicalData: historicalData.status === 'fulfilled' ? historicalData.value : null,
+      dexScreenerData: dexscreenerData.status === 'fulfilled' ? dexscreenerData.value : null,
+      stablecoinData: stablecoinData.status === 'fulfilled' ? stablecoinData.value : 0,
+      yieldData: yieldData.status === 'fulfilled' ? yieldData.value : null,
+      topYields: topYieldsData.status === 'fulfilled' ? topYieldsData.value : null,
+      fearGreedData: fearGreedData.status === 'fulfilled' ? fearGreedData.value : null,
+    });
+    console.log(`✓ Cached data for ${network.name}`);
+    return data;
+  } catch (error) {
+    console.error(`Error fetching data for ${network.name}:`, error);
+    return null;
+  }
+}
+
+function loadNetworkData(network) {
+  return loadCachedNetworkData(network, fetchNetworkData);
+}
 
 // Pre-fetch data for all networks
 async function preFetchNetworkData() {
@@ -1407,99 +2779,11 @@ async function preFetchNetworkData() {
   const fetchPromises = networksToFetch.map(async (network, index) => {
     // Stagger requests slightly to avoid overwhelming APIs
     await new Promise(resolve => setTimeout(resolve, index * 50));
-
-    try {
-      const [defillamaModule, coingeckoModule, dexscreenerModule, stablecoinsModule, yieldsModule, feargreedModule] = await Promise.all([
-        import('./services/defillama'),
-        import('./services/coingecko').catch(() => null),
-        import('./services/dexscreener').catch(() => null),
-        import('./services/stablecoins').catch(() => null),
-        import('./services/yields').catch(() => null),
-        import('./services/feargreed').catch(() => null),
-      ]);
-
-      const cacheKey = network.name;
-
-      // Fetch all data in parallel for this network
-      const [defillamaData, coingeckoData, historicalData, dexscreenerData, stablecoinData, yieldData, topYieldsData, fearGreedData] = await Promise.allSettled([
-        defillamaModule.fetchNetworkDetails(network.name),
-        coingeckoModule?.fetchNetworkCoinData(network.name, network.geckoId) || Promise.resolve(null),
-        network.geckoId && coingeckoModule?.fetchHistoricalPrice(network.geckoId, 7) || Promise.resolve(null),
-        dexscreenerModule ? (async () => {
-          const chainIdMap = dexscreenerModule.DEXSCREENER_CHAIN_MAP || {
-            'Ethereum': 'ethereum',
-            'Solana': 'solana',
-            'Bitcoin': 'bitcoin',
-            'BSC': 'bsc',
-            'BNB Chain': 'bsc',
-            'Avalanche': 'avalanche',
-            'Polygon': 'polygon',
-            'Arbitrum': 'arbitrum',
-            'Optimism': 'optimism',
-            'Base': 'base',
-          };
-          const chainId = chainIdMap[network.name] || network.name.toLowerCase();
-
-          try {
-            // Try fetchChainTotalLiquidity first (more accurate)
-            if (dexscreenerModule.fetchChainTotalLiquidity) {
-              const liquidityData = await dexscreenerModule.fetchChainTotalLiquidity(chainId).catch(() => null);
-              if (liquidityData && liquidityData.totalLiquidity > 0) {
-                return {
-                  totalLiquidity: liquidityData.totalLiquidity,
-                  pairCount: liquidityData.pairCount
-                };
-              }
-            }
-
-            // Fallback: search for tokens
-            const searchResult = await dexscreenerModule.searchTokens(network.symbol || network.name).catch(() => null);
-            if (searchResult?.pairs && searchResult.pairs.length > 0) {
-              let totalLiquidity = 0;
-              searchResult.pairs.slice(0, 10).forEach(pair => {
-                if (pair.liquidity?.usd) {
-                  totalLiquidity += parseFloat(pair.liquidity.usd) || 0;
-                }
-              });
-              if (totalLiquidity > 0) {
-                return {
-                  totalLiquidity,
-                  pairCount: searchResult.pairs.length
-                };
-              }
-            }
-          } catch (e) {
-            return null;
-          }
-          return null;
-        })() : Promise.resolve(null),
-        stablecoinsModule?.fetchChainStablecoinTVL(network.name) || Promise.resolve(0),
-        yieldsModule?.fetchChainYieldStats(network.name) || Promise.resolve(null),
-        yieldsModule?.fetchChainTopYields(network.name, 3) || Promise.resolve(null),
-        feargreedModule?.fetchFearGreedIndex() || Promise.resolve(null),
-      ]);
-
-      // Store in cache
-      networkDataCache.set(cacheKey, {
-        detailedData: defillamaData.status === 'fulfilled' ? defillamaData.value : null,
-        priceData: coingeckoData.status === 'fulfilled' ? coingeckoData.value : null,
-        historicalData: historicalData.status === 'fulfilled' ? historicalData.value : null,
-        dexScreenerData: dexscreenerData.status === 'fulfilled' ? dexscreenerData.value : null,
-        stablecoinData: stablecoinData.status === 'fulfilled' ? stablecoinData.value : 0,
-        yieldData: yieldData.status === 'fulfilled' ? yieldData.value : null,
-        topYields: topYieldsData.status === 'fulfilled' ? topYieldsData.value : null,
-        fearGreedData: fearGreedData.status === 'fulfilled' ? fearGreedData.value : null,
-        fetchedAt: Date.now()
-      });
-
-      console.log(`✓ Cached data for ${network.name}`);
-    } catch (error) {
-      console.error(`Error pre-fetching data for ${network.name}:`, error);
-    }
+    return loadNetworkData(network);
   });
 
   await Promise.allSettled(fetchPromises);
-  console.log(`Pre-fetching complete. Cached ${networkDataCache.size} networks.`);
+  console.log(`Pre-fetching complete. Cached ${cachedNetworkCount()} networks.`);
 }
 
 // Map DefiLlama categories to display groups
@@ -1524,94 +2808,591 @@ const CATEGORY_GROUP_MAP = {
   'Cross Chain': 'Bridges',
 };
 
-const CATEGORY_ORDER = ['DEXs', 'Lending', 'Staking', 'Bridges', 'CEXs', 'NFTs', 'GameFi', 'Wallets', 'Other'];
+const CATEGORY_ORDER = ['DEXs', 'Lending', 'Staking', 'Bridges', 'CEXs', 'NFTs', 'GameFi', 'Wallets', 'Other'];
+
+function getCategoryGroup(rawCategory) {
+  return CATEGORY_GROUP_MAP[rawCategory] || 'Other';
+}
+
+function groupDappsByCategory(dapps) {
+  const groups = {};
+  dapps.forEach(dapp => {
+    const group = getCategoryGroup(dapp.category);
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(dapp);
+  });
+  // Sort by CATEGORY_ORDER
+  return CATEGORY_ORDER
+    .filter(cat => groups[cat] && groups[cat].length > 0)
+    .map(cat => ({ name: cat, dapps: groups[cat] }));
+}
+
+// Compute dApp node positions within a network's spherical cap
+function computeDappNodes(network, protocols) {
+  if (!network || !protocols || protocols.length === 0) return [];
+
+  const networkPos = network.pos.clone().normalize();
+  const maxSpread = 0.4; // radians
+
+  // Sort by TVL descending - largest dApp gets center
+  const sorted = [...protocols].sort((a, b) => (b.tvl || 0) - (a.tvl || 0)).slice(0, 20);
+  const totalTvl = sorted.reduce((sum, p) => sum + (p.tvl || 0), 0);
+
+  // Generate an orthonormal basis on the spherical cap
+  const up = new THREE.Vector3(0, 1, 0);
+  let tangent = new THREE.Vector3().crossVectors(up, networkPos);
+  if (tangent.length() < 0.01) {
+    tangent = new THREE.Vector3().crossVectors(new THREE.Vector3(1, 0, 0), networkPos);
+  }
+  tangent.normalize();
+  const bitangent = new THREE.Vector3().crossVectors(networkPos, tangent).normalize();
+
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+
+  return sorted.map((protocol, i) => {
+    const tvlShare = totalTvl > 0 ? (protocol.tvl || 0) / totalTvl : 1 / sorted.length;
+
+    // Spiral distribution: center for largest, outward for smaller
+    let pos;
+    if (i === 0) {
+      pos = networkPos.clone();
+    } else {
+      const r = maxSpread * Math.sqrt(i / sorted.length);
+      const theta = goldenAngle * i;
+      const offset = tangent.clone().multiplyScalar(Math.cos(theta) * r)
+        .add(bitangent.clone().multiplyScalar(Math.sin(theta) * r));
+      pos = networkPos.clone().add(offset).normalize();
+    }
+
+    const colorIdx = i % DAPP_PALETTE_THREE.length;
+
+    return {
+      name: protocol.name,
+      category: protocol.category || 'DeFi',
+      tvl: protocol.tvl || 0,
+      tvlShare,
+      pos,
+      color: DAPP_PALETTE_THREE[colorIdx].clone(),
+      colorHex: DAPP_PALETTE_HEX[colorIdx],
+      logo: protocol.logo,
+      slug: protocol.slug,
+      url: protocol.url || (protocol.slug ? `https://defillama.com/protocol/${protocol.slug}` : null),
+    };
+  });
+}
+
+// Hover tooltip component
+// Labels fade in as their spot turns towards the camera (cosine of the angle)
+const LABEL_FADE_START = 0.1;
+const LABEL_FADE_END = 0.4;
+const LABEL_MIN_SCALE = 0.7;
+const LABEL_MAX_SCALE = 1.15;
+const LABEL_GAP = 4; // px kept free between labels
+
+/**
+ * Name, logo and TVL for every network, pinned to its region on the orb
+ * Positions come from NetworkScreenPositions through projectionsRef and are applied
+ * directly to the DOM each animation frame. Labels on the far side fade out, and
+ * where two overlap the smaller network gives way (the selected one always wins)
+ */
+function NetworkLabels({ networks, projectionsRef, selectedNetwork }) {
+  const labelRefs = useRef(new Map());
+
+  useEffect(() => {
+    let frame;
+
+    const update = () => {
+      frame = requestAnimationFrame(update);
+      const projections = projectionsRef.current;
+      if (!projections) return;
+
+      // Read sizes before writing any styles
+      const candidates = [];
+      networks.forEach(network => {
+        const element = labelRefs.current.get(network.name);
+        const projection = projections.get(network.name);
+        if (!element) return;
+        candidates.push({
+          network,
+          element,
+          projection,
+          width: element.offsetWidth,
+          height: element.offsetHeight,
+        });
+      });
+
+      const priority = ({ network }) => (selectedNetwork?.name === network.name ? Infinity : network.marketShare || 0);
+      candidates.sort((a, b) => priority(b) - priority(a));
+
+      const placed = [];
+      candidates.forEach(({ element, projection, width, height }) => {
+        const fade = projection
+          ? Math.min(1, Math.max(0, (projection.facing - LABEL_FADE_START) / (LABEL_FADE_END - LABEL_FADE_START)))
+          : 0;
+        if (fade === 0) {
+          element.style.opacity = 0;
+          return;
+        }
+
+        const scale = Math.min(LABEL_MAX_SCALE, Math.max(LABEL_MIN_SCALE, projection.scale));
+        const rect = {
+          left: projection.x - (width * scale) / 2,
+          top: projection.y - height * scale,
+          right: projection.x + (width * scale) / 2,
+          bottom: projection.y,
+        };
+        const overlaps = placed.some(other =>
+          rect.left < other.right + LABEL_GAP && rect.right + LABEL_GAP > other.left &&
+          rect.top < other.bottom + LABEL_GAP && rect.bottom + LABEL_GAP > other.top
+        );
+        if (overlaps) {
+          element.style.opacity = 0;
+          return;
+        }
+
+        placed.push(rect);
+        element.style.opacity = fade;
+        element.style.transform = `translate(${rect.left}px, ${rect.top}px) scale(${scale})`;
+      });
+    };
+
+    frame = requestAnimationFrame(update);
+    return () => cancelAnimationFrame(frame);
+  }, [networks, projectionsRef, selectedNetwork]);
+
+  return (
+    <div className="network-labels">
+      {networks.map(network => (
+        <div
+          key={network.name}
+          ref={element => {
+            if (element) labelRefs.current.set(network.name, element);
+            else labelRefs.current.delete(network.name);
+          }}
+          className={`network-label ${selectedNetwork?.name === network.name ? 'selected' : ''}`}
+          style={{ '--network-color': network.color.getStyle() }}
+        >
+          <LogoImage network={network} className="network-label-icon" fallbackClassName="network-label-icon" />
+          <span className="network-label-name">{network.name}</span>
+          {network.stats?.tvl && <span className="network-label-tvl">{network.stats.tvl}</span>}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function OnOffButtons({ value, onChange }) {
+  return (
+    <div className="chart-range-buttons">
+      <button className={`chart-range-btn ${value ? 'active' : ''}`} onClick={() => onChange(true)}>
+        On
+      </button>
+      <button className={`chart-range-btn ${!value ? 'active' : ''}`} onClick={() => onChange(false)}>
+        Off
+      </button>
+    </div>
+  );
+}
+
+// Metrics the orb's spike height can encode (keys of SPIKE_METRICS in services/defillama)
+const SPIKE_METRIC_OPTIONS = [
+  { key: 'tvl', label: 'TVL' },
+  { key: 'volume', label: 'DEX Vol' },
+  { key: 'fees', label: 'Fees' },
+  { key: null, label: 'Off' },
+];
+
+// How often market signals are polled for events, and how many events the ticker keeps
+const MARKET_EVENT_POLL_INTERVAL = 5 * 60 * 1000;
+const MAX_MARKET_EVENTS = 30;
+const VISIBLE_MARKET_EVENTS = 4;
+
+const MARKET_EVENT_ICONS = { price: '$', tvl: '◆', volume: '⇅', sentiment: '☯' };
+
+// Recent market events behind the orb's flashes, newest first
+function EventTicker({ events, onSelectNetwork }) {
+  if (!events || events.length === 0) return null;
+
+  return (
+    <div className="event-ticker">
+      <div className="event-ticker-title">Market events</div>
+      {events.slice(0, VISIBLE_MARKET_EVENTS).map(event => (
+        <button
+          key={event.id}
+          className={`event-ticker-item ${event.direction < 0 ? 'down' : 'up'}`}
+          onClick={() => event.network && onSelectNetwork(event.network)}
+          disabled={!event.network}
+        >
+          <span className="event-ticker-icon">{MARKET_EVENT_ICONS[event.type]}</span>
+          <span className="event-ticker-message">{event.message}</span>
+          <span className="event-ticker-time">
+            {new Date(event.timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' })}
+          </span>
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// How often stablecoin prices are checked, and the selectable alert thresholds (% off peg)
+const DEPEG_POLL_INTERVAL = 5 * 60 * 1000;
+const DEPEG_THRESHOLD_OPTIONS = [0.5, 1, 2, 5];
+const DEFAULT_DEPEG_THRESHOLD = 1;
+// Affected chains named in the banner
+const DEPEG_BANNER_CHAINS = 4;
+
+function formatPegPrice(price) {
+  return `$${price.toFixed(4)}`;
+}
+
+// Price history against the $1 peg, with the threshold band shaded
+function PegSparkline({ history, price, threshold }) {
+  const points = [...history.map(p => p.price), price];
+  if (points.length < 2) return <svg className="peg-sparkline" />;
+
+  const width = 80;
+  const height = 24;
+  const band = threshold / 100;
+  const spread = Math.max(band * 1.5, ...points.map(p => Math.abs(p - 1)));
+  const y = (value) => height / 2 - ((value - 1) / spread) * (height / 2 - 1);
+  const line = points.map((p, i) => `${((i / (points.length - 1)) * width).toFixed(1)},${y(p).toFixed(1)}`).join(' ');
+
+  return (
+    <svg className="peg-sparkline" width={width} height={height} viewBox={`0 0 ${width} ${height}`}>
+      <rect x="0" y={y(1 + band)} width={width} height={y(1 - band) - y(1 + band)} className="peg-sparkline-band" />
+      <line x1="0" x2={width} y1={y(1)} y2={y(1)} className="peg-sparkline-peg" />
+      <polyline points={line} className="peg-sparkline-line" />
+    </svg>
+  );
+}
+
+/**
+ * Global warning while any tracked stablecoin trades beyond the depeg threshold
+ * Names the worst one and the chains most exposed to it
+ */
+function DepegBanner({ depegs, onSelectNetwork, onShowDetails, onDismiss }) {
+  if (!depegs || depegs.length === 0) return null;
+  const worst = depegs[0];
+
+  return (
+    <div className="depeg-banner">
+      <span className="depeg-banner-icon">!</span>
+      <div className="depeg-banner-body">
+        <div className="depeg-banner-title">
+          {worst.symbol} off peg at {formatPegPrice(worst.price)} ({formatPercentChange(worst.deviation)})
+          {depegs.length > 1 && <span className="depeg-banner-more"> +{depegs.length - 1} more</span>}
+        </div>
+        <div className="depeg-banner-chains">
+          {worst.chains.slice(0, DEPEG_BANNER_CHAINS).map(chain => (
+            <button
+              key={chain.chain}
+              className="depeg-banner-chain"
+              onClick={() => chain.network && onSelectNetwork(chain.network)}
+              disabled={!chain.network}
+            >
+              {chain.chain} {chain.share.toFixed(0)}%
+            </button>
+          ))}
+        </div>
+      </div>
+      <button className="chart-range-btn" onClick={onShowDetails}>Details</button>
+      <button className="depeg-banner-close" onClick={onDismiss}>&times;</button>
+    </div>
+  );
+}
+
+// Every tracked stablecoin's price, deviation and 30-day history
+function PegMonitor({ pegs, threshold, onClose }) {
+  return (
+    <div className="peg-monitor">
+      <div className="peg-monitor-header">
+        <span className="event-ticker-title">Stablecoin pegs</span>
+        <span className="peg-monitor-threshold">Alert at ±{threshold}%</span>
+        <button className="depeg-banner-close" onClick={onClose}>&times;</button>
+      </div>
+      {!pegs && <div className="yield-explorer-empty">Loading prices…</div>}
+      {pegs && pegs.map(peg => {
+        const off = Math.abs(peg.deviation) >= threshold;
+        return (
+          <div key={peg.symbol} className={`peg-monitor-row ${off ? 'off-peg' : ''}`}>
+            <div className="peg-monitor-symbol">
+              {peg.symbol}
+              <span className="yield-symbol">{formatUsdCompact(peg.circulating)}</span>
+            </div>
+            <PegSparkline history={peg.history} price={peg.price} threshold={threshold} />
+            <div className="peg-monitor-price">
+              {formatPegPrice(peg.price)}
+              <span className={`peg-monitor-deviation ${off ? 'off-peg' : ''}`}>{formatPercentChange(peg.deviation)}</span>
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+// Gradient bar and range for the active colour mode
+function ColorLegend({ mode, scale }) {
+  const config = COLOR_MODES[mode];
+  if (!config?.scale) return null;
+
+  const gradient = `linear-gradient(to right, ${config.stops.join(', ')})`;
+  let labels = null;
+  if (scale?.type === 'diverging') {
+    labels = [`-${scale.max.toFixed(1)}%`, '0%', `+${scale.max.toFixed(1)}%`];
+  } else if (scale) {
+    labels = [formatUsdCompact(scale.min), formatUsdCompact(scale.max)];
+  }
 
-function getCategoryGroup(rawCategory) {
-  return CATEGORY_GROUP_MAP[rawCategory] || 'Other';
+  return (
+    <div className="color-legend">
+      <div className="color-legend-title">{config.title}{scale?.type === 'sequential' ? ' (log scale)' : ''}</div>
+      <div className="color-legend-bar" style={{ background: gradient }} />
+      <div className="color-legend-labels">
+        {labels ? labels.map(label => <span key={label}>{label}</span>) : <span>Loading...</span>}
+      </div>
+    </div>
+  );
 }
 
-function groupDappsByCategory(dapps) {
-  const groups = {};
-  dapps.forEach(dapp => {
-    const group = getCategoryGroup(dapp.category);
-    if (!groups[group]) groups[group] = [];
-    groups[group].push(dapp);
-  });
-  // Sort by CATEGORY_ORDER
-  return CATEGORY_ORDER
-    .filter(cat => groups[cat] && groups[cat].length > 0)
-    .map(cat => ({ name: cat, dapps: groups[cat] }));
+function OrbControls({ spikeMetric, onSpikeMetricChange, colorMode, onColorModeChange, colorScale, showBridgeFlows, onShowBridgeFlowsChange, showLabels, onShowLabelsChange, showTimelapse, onShowTimelapseChange, qualitySetting, autoQualityLevel, onQualityChange, depegThreshold, onDepegThresholdChange, showPegMonitor, onShowPegMonitorChange }) {
+  return (
+    <div className="orb-controls">
+      <div className="orb-control">
+        <span className="orb-control-label">Spike height</span>
+        <div className="chart-range-buttons">
+          {SPIKE_METRIC_OPTIONS.map(option => (
+            <button
+              key={option.label}
+              className={`chart-range-btn ${spikeMetric === option.key ? 'active' : ''}`}
+              onClick={() => onSpikeMetricChange(option.key)}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="orb-control">
+        <span className="orb-control-label">Colour</span>
+        <div className="chart-range-buttons">
+          {Object.entries(COLOR_MODES).map(([key, mode]) => (
+            <button
+              key={key}
+              className={`chart-range-btn ${colorMode === key ? 'active' : ''}`}
+              onClick={() => onColorModeChange(key)}
+            >
+              {mode.label}
+            </button>
+          ))}
+        </div>
+      </div>
+      <ColorLegend mode={colorMode} scale={colorScale} />
+      <div className="orb-control">
+        <span className="orb-control-label">Bridge flows</span>
+        <OnOffButtons value={showBridgeFlows} onChange={onShowBridgeFlowsChange} />
+      </div>
+      <div className="orb-control">
+        <span className="orb-control-label">Labels</span>
+        <OnOffButtons value={showLabels} onChange={onShowLabelsChange} />
+      </div>
+      <div className="orb-control">
+        <span className="orb-control-label">Time-lapse</span>
+        <OnOffButtons value={showTimelapse} onChange={onShowTimelapseChange} />
+      </div>
+      <div className="orb-control">
+        <span className="orb-control-label">Depeg alert</span>
+        <div className="chart-range-buttons">
+          {DEPEG_THRESHOLD_OPTIONS.map(threshold => (
+            <button
+              key={threshold}
+              className={`chart-range-btn ${depegThreshold === threshold ? 'active' : ''}`}
+              onClick={() => onDepegThresholdChange(threshold)}
+            >
+              ±{threshold}%
+            </button>
+          ))}
+        </div>
+      </div>
+      <div className="orb-control">
+        <span className="orb-control-label">Peg monitor</span>
+        <OnOffButtons value={showPegMonitor} onChange={onShowPegMonitorChange} />
+      </div>
+      <div className="orb-control">
+        <span className="orb-control-label">Quality</span>
+        <div className="chart-range-buttons">
+          {[AUTO_QUALITY, ...QUALITY_LEVELS].map(key => (
+            <button
+              key={key}
+              className={`chart-range-btn ${qualitySetting === key ? 'active' : ''}`}
+              onClick={() => onQualityChange(key)}
+              title={key === AUTO_QUALITY ? `Adjusts to frame rate - now ${QUALITY_PRESETS[autoQualityLevel].label}` : undefined}
+            >
+              {key === AUTO_QUALITY ? 'Auto' : QUALITY_PRESETS[key].label}
+            </button>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
 }
 
-// Compute dApp node positions within a network's spherical cap
-function computeDappNodes(network, protocols) {
-  if (!network || !protocols || protocols.length === 0) return [];
+// Playback speed in timeline steps (weeks) per second
+const TIMELAPSE_WEEKS_PER_SECOND = 8;
 
-  const networkPos = network.pos.clone().normalize();
-  const maxSpread = 0.4; // radians
+function formatTimelapseDate(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString(undefined, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+}
 
-  // Sort by TVL descending - largest dApp gets center
-  const sorted = [...protocols].sort((a, b) => (b.tvl || 0) - (a.tvl || 0)).slice(0, 20);
-  const totalTvl = sorted.reduce((sum, p) => sum + (p.tvl || 0), 0);
+/**
+ * Scrubber for the historical time-lapse
+ * Writes an interpolated snapshot to frameRef every animation frame for the orb,
+ * and only reports whole-week changes to React (date label, StatsCard)
+ */
+function TimelapseBar({ timeline, loading, frameRef, onFrameChange, onClose }) {
+  const [playing, setPlaying] = useState(false);
+  const [index, setIndex] = useState(0);
+  const positionRef = useRef(0);
+  const indexRef = useRef(-1);
+  const lastIndex = timeline ? timeline.dates.length - 1 : 0;
+
+  const seek = useCallback((position) => {
+    positionRef.current = position;
+    const sample = sampleTimeline(timeline, position);
+    frameRef.current = sample;
+
+    const nextIndex = Math.floor(position);
+    if (nextIndex !== indexRef.current) {
+      indexRef.current = nextIndex;
+      setIndex(nextIndex);
+      onFrameChange(sample);
+    }
+  }, [timeline, frameRef, onFrameChange]);
 
-  // Generate an orthonormal basis on the spherical cap
-  const up = new THREE.Vector3(0, 1, 0);
-  let tangent = new THREE.Vector3().crossVectors(up, networkPos);
-  if (tangent.length() < 0.01) {
-    tangent = new THREE.Vector3().crossVectors(new THREE.Vector3(1, 0, 0), networkPos);
-  }
-  tangent.normalize();
-  const bitangent = new THREE.Vector3().crossVectors(networkPos, tangent).normalize();
+  // Start from the beginning whenever a new timeline arrives
+  useEffect(() => {
+    if (!timeline) return;
+    indexRef.current = -1;
+    seek(0);
+    setPlaying(true);
+  }, [timeline, seek]);
 
-  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  useEffect(() => () => { frameRef.current = null; }, [frameRef]);
 
-  return sorted.map((protocol, i) => {
-    const tvlShare = totalTvl > 0 ? (protocol.tvl || 0) / totalTvl : 1 / sorted.length;
+  useEffect(() => {
+    if (!playing || !timeline) return;
+
+    let frameId;
+    let lastTime = null;
+    const tick = (time) => {
+      const elapsed = lastTime === null ? 0 : (time - lastTime) / 1000;
+      lastTime = time;
+
+      const position = Math.min(lastIndex, positionRef.current + elapsed * TIMELAPSE_WEEKS_PER_SECOND);
+      seek(position);
+      if (position >= lastIndex) {
+        setPlaying(false);
+        return;
+      }
+      frameId = requestAnimationFrame(tick);
+    };
+    frameId = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frameId);
+  }, [playing, timeline, lastIndex, seek]);
 
-    // Spiral distribution: center for largest, outward for smaller
-    let pos;
-    if (i === 0) {
-      pos = networkPos.clone();
-    } else {
-      const r = maxSpread * Math.sqrt(i / sorted.length);
-      const theta = goldenAngle * i;
-      const offset = tangent.clone().multiplyScalar(Math.cos(theta) * r)
-        .add(bitangent.clone().multiplyScalar(Math.sin(theta) * r));
-      pos = networkPos.clone().add(offset).normalize();
-    }
+  const handlePlayPause = () => {
+    if (!playing && positionRef.current >= lastIndex) seek(0);
+    setPlaying(!playing);
+  };
 
-    const colorIdx = i % DAPP_PALETTE_THREE.length;
+  return (
+    <div className="timelapse-bar">
+      {timeline ? (
+        <>
+          <button className="timelapse-play" onClick={handlePlayPause} aria-label={playing ? 'Pause' : 'Play'}>
+            {playing ? '❚❚' : '▶'}
+          </button>
+          <input
+            type="range"
+            className="timelapse-slider"
+            min={0}
+            max={lastIndex}
+            step={1}
+            value={index}
+            onChange={(e) => {
+              setPlaying(false);
+              seek(Number(e.target.value));
+            }}
+            aria-label="Time-lapse position"
+          />
+          <span className="timelapse-date">{formatTimelapseDate(timeline.dates[index])}</span>
+        </>
+      ) : (
+        <span className="timelapse-status">{loading ? 'Loading TVL history...' : 'TVL history unavailable'}</span>
+      )}
+      <button className="timelapse-close" onClick={onClose} aria-label="Close time-lapse">×</button>
+    </div>
+  );
+}
 
-    return {
-      name: protocol.name,
-      category: protocol.category || 'DeFi',
-      tvl: protocol.tvl || 0,
-      tvlShare,
-      pos,
-      color: DAPP_PALETTE_THREE[colorIdx].clone(),
-      colorHex: DAPP_PALETTE_HEX[colorIdx],
-      logo: protocol.logo,
-      slug: protocol.slug,
-      url: protocol.url || (protocol.slug ? `https://defillama.com/protocol/${protocol.slug}` : null),
-    };
-  });
+// Network summary for the hover tooltip - whatever is cached, however old, so sweeping
+// the pointer across the orb never fires requests
+function NetworkHoverDetails({ network }) {
+  const data = peekNetworkData(network.name);
+
+  const tvl = data?.detailedData?.tvl ?? network.rawTvl;
+  const tvlChange = data?.detailedData?.tvlChange1d;
+  const price = data?.priceData?.market_data?.current_price?.usd;
+
+  return (
+    <div className="tooltip-details">
+      <div className="tooltip-stat">
+        <span className="tooltip-stat-label">TVL</span>
+        <span className="tooltip-stat-value">
+          {tvl ? formatUsdCompact(tvl) : network.stats?.tvl || '—'}
+          {Number.isFinite(tvlChange) && tvlChange !== 0 && (
+            <span className={tvlChange >= 0 ? 'positive' : 'negative'}> {formatPercentChange(tvlChange)}</span>
+          )}
+        </span>
+      </div>
+      {network.marketShareFormatted && (
+        <div className="tooltip-stat">
+          <span className="tooltip-stat-label">Share</span>
+          <span className="tooltip-stat-value">{network.marketShareFormatted}</span>
+        </div>
+      )}
+      {price && (
+        <div className="tooltip-stat">
+          <span className="tooltip-stat-label">{network.symbol}</span>
+          <span className="tooltip-stat-value">{formatPrice(price)}</span>
+        </div>
+      )}
+    </div>
+  );
 }
 
-// Hover tooltip component
 function HoverTooltip({ hoveredItem }) {
   if (!hoveredItem) return null;
 
+  const { network } = hoveredItem;
+
   return (
     <div
-      className="hover-tooltip"
+      className={`hover-tooltip ${network ? 'network' : ''}`}
       style={{
         left: `${hoveredItem.screenX + 16}px`,
         top: `${hoveredItem.screenY - 12}px`,
       }}
     >
-      <span className="tooltip-dot" style={{ background: hoveredItem.color }} />
-      <span className="tooltip-name">{hoveredItem.name}</span>
-      <span className="tooltip-type">{hoveredItem.type}</span>
+      <div className="tooltip-header">
+        {network ? (
+          <LogoImage network={network} className="tooltip-icon" fallbackClassName="tooltip-icon" />
+        ) : (
+          <span className="tooltip-dot" style={{ background: hoveredItem.color }} />
+        )}
+        <span className="tooltip-name">{hoveredItem.name}</span>
+        <span className="tooltip-type">{hoveredItem.type}</span>
+      </div>
+      {network && <NetworkHoverDetails network={network} />}
     </div>
   );
 }
@@ -1625,7 +3406,37 @@ export default function App() {
   const [selectedDapp, setSelectedDapp] = useState(null);
   const [dappNodes, setDappNodes] = useState(null);
   const [hoveredItem, setHoveredItem] = useState(null);
+  const [compareNetworks, setCompareNetworks] = useState([]);
+  const [showComparison, setShowComparison] = useState(false);
+  const [activeTab, setActiveTab] = useState('overview');
+  const [spikeMetric, setSpikeMetric] = useState('tvl');
+  const [colorMode, setColorMode] = useState('metal');
+  const [colorScale, setColorScale] = useState(null);
+  const [showBridgeFlows, setShowBridgeFlows] = useState(true);
+  const [bridgeFlows, setBridgeFlows] = useState(null);
+  const [selectedBridgeFlow, setSelectedBridgeFlow] = useState(null);
+  const [showLabels, setShowLabels] = useState(true);
+  const [orbNetworks, setOrbNetworks] = useState(NETWORKS);
+  const labelProjectionsRef = useRef(null);
+  const [showTimelapse, setShowTimelapse] = useState(false);
+  const [timeline, setTimeline] = useState(null);
+  const [timelapseLoading, setTimelapseLoading] = useState(false);
+  const [timelapseFrame, setTimelapseFrame] = useState(null);
+  const timelapseRef = useRef(null); // interpolated snapshot read by the orb every frame
+  const [marketEvents, setMarketEvents] = useState([]);
+  const [depegThreshold, setDepegThreshold] = useState(DEFAULT_DEPEG_THRESHOLD);
+  const [pegStatus, setPegStatus] = useState({ pegs: null, depegs: [], weights: {} });
+  const [showPegMonitor, setShowPegMonitor] = useState(false);
+  const [dismissedDepegs, setDismissedDepegs] = useState(null);
+  const [qualitySetting, setQualitySetting] = useState(loadQualitySetting);
+  const [autoQualityLevel, setAutoQualityLevel] = useState(AUTO_MAX_LEVEL);
+  const quality = QUALITY_PRESETS[qualitySetting === AUTO_QUALITY ? autoQualityLevel : qualitySetting];
+  const orbNetworksRef = useRef(NETWORKS);
+  orbNetworksRef.current = orbNetworks;
   const pendingDappRef = useRef(null);
+  const restoreTargetRef = useRef(null); // network name being restored from the URL
+  const historyModeRef = useRef('push');
+  const selectionRef = useRef({ network: null, dapp: null, dappNodes: null });
 
 
   // Pre-fetch data when networks are loaded
@@ -1672,7 +3483,7 @@ export default function App() {
 
     if (selectedNetwork) {
       const cacheKey = selectedNetwork.name;
-      const cached = networkDataCache.get(cacheKey);
+      const cached = peekNetworkData(cacheKey);
 
       if (cached?.detailedData?.topProtocols && cached.detailedData.topProtocols.length > 0) {
         const nodes = computeDappNodes(selectedNetwork, cached.detailedData.topProtocols);
@@ -1700,18 +3511,255 @@ export default function App() {
     return () => { cancelled = true; };
   }, [selectedNetwork]);
 
+  // Declared before the effects below so they read this render's selection
+  useEffect(() => {
+    selectionRef.current = { network: selectedNetwork, dapp: selectedDapp, dappNodes };
+  }, [selectedNetwork, selectedDapp, dappNodes]);
+
   // Auto-select dApp when dappNodes are computed after a search-driven navigation
   useEffect(() => {
-    if (pendingDappRef.current && dappNodes && dappNodes.length > 0) {
-      const name = pendingDappRef.current;
-      const match = dappNodes.find(d => d.name.toLowerCase() === name.toLowerCase());
+    if (pendingDappRef.current && dappNodes) {
+      const match = findByRouteName(dappNodes, pendingDappRef.current);
       if (match) {
+        // Part of the same navigation as the network - don't add a history entry of its own.
+        // Re-selecting the current dApp leaves the URL as it is, so nothing would reset the mode
+        if (match.name !== selectionRef.current.dapp?.name) historyModeRef.current = 'replace';
         setSelectedDapp(match);
       }
       pendingDappRef.current = null;
     }
   }, [dappNodes]);
 
+  // The card always reopens on the overview tab
+  useEffect(() => {
+    if (!selectedNetwork) {
+      setActiveTab('overview');
+    }
+  }, [selectedNetwork]);
+
+  // Bring the selection in line with a route (deep link or back/forward)
+  // Returns false when the route names a network that isn't loaded (yet)
+  const applyRoute = useCallback((route) => {
+    if (!route.networkName) {
+      restoreTargetRef.current = null;
+      setSelectedNetwork(null);
+      setSelectedDapp(null);
+      return true;
+    }
+
+    const network = findByRouteName(NETWORKS, route.networkName);
+    if (!network) return false;
+
+    const { network: current, dappNodes: currentDapps } = selectionRef.current;
+    restoreTargetRef.current = network.name;
+    setActiveTab(route.tab);
+
+    if (current?.name === network.name) {
+      setSelectedDapp(route.dappName ? findByRouteName(currentDapps, route.dappName) : null);
+      return true;
+    }
+
+    // Same flow as handleSearchDapp - rotate to the network, then pick the dApp once its nodes exist
+    setSelectedDapp(null);
+    pendingDappRef.current = route.dappName;
+    setTargetNetwork(network);
+    setTimeout(() => {
+      setSelectedNetwork(network);
+      setTargetNetwork(null);
+    }, 100);
+    return true;
+  }, []);
+
+  // Restore the selection from the URL on load
+  useEffect(() => {
+    const route = parseRoute(window.location);
+    if (!route.networkName) return;
+
+    // Networks outside the registry arrive with the analytics - keep trying for a few seconds
+    restoreTargetRef.current = route.networkName;
+    let attempts = 0;
+    const tryRestore = () => {
+      if (applyRoute(route)) return true;
+      if (++attempts >= 20) {
+        restoreTargetRef.current = null;
+        window.history.replaceState(null, '', '/');
+        return true;
+      }
+      return false;
+    };
+
+    if (tryRestore()) return;
+    const retryInterval = setInterval(() => {
+      if (tryRestore()) clearInterval(retryInterval);
+    }, 500);
+    return () => clearInterval(retryInterval);
+  }, [applyRoute]);
+
+  // Browser back/forward
+  useEffect(() => {
+    const handlePopState = () => {
+      if (!applyRoute(parseRoute(window.location))) {
+        restoreTargetRef.current = null;
+        setSelectedNetwork(null);
+        setSelectedDapp(null);
+      }
+    };
+    window.addEventListener('popstate', handlePopState);
+    return () => window.removeEventListener('popstate', handlePopState);
+  }, [applyRoute]);
+
+  // Mirror the selection into the URL
+  useEffect(() => {
+    // Rotating to a network - wait for the selection to land
+    if (targetNetwork) return;
+    // Restoring a route - leave the URL alone until its network is selected
+    const restoring = restoreTargetRef.current;
+    if (restoring && selectedNetwork?.name !== restoring) return;
+
+    const path = buildRoute({
+      networkName: selectedNetwork?.name,
+      dappName: selectedDapp?.name,
+      tab: activeTab,
+    });
+    const current = window.location.pathname + window.location.search;
+
+    if (path !== current) {
+      const replace = restoring || historyModeRef.current === 'replace';
+      window.history[replace ? 'replaceState' : 'pushState'](null, '', path);
+    } else if (historyModeRef.current === 'replace') {
+      // A pending dApp selection is about to refine this entry
+      return;
+    }
+
+    if (!pendingDappRef.current) {
+      restoreTargetRef.current = null;
+      historyModeRef.current = 'push';
+    }
+  }, [selectedNetwork, selectedDapp, activeTab, targetNetwork, dappNodes]);
+
+  // Load bridge flows the first time they are shown
+  useEffect(() => {
+    if (!showBridgeFlows || bridgeFlows) return;
+
+    let cancelled = false;
+    import('./services/bridges')
+      .then(module => module.fetchBridgeFlows())
+      .then(flows => {
+        if (!cancelled) setBridgeFlows(flows);
+      })
+      .catch(() => {});
+    return () => { cancelled = true; };
+  }, [showBridgeFlows, bridgeFlows]);
+
+  // Poll market signals and keep the events they trigger
+  useEffect(() => {
+    let cancelled = false;
+    let previous = null;
+
+    const poll = async () => {
+      try {
+        const { fetchMarketSignals, detectMarketEvents } = await import('./services/marketEvents');
+        const signals = await fetchMarketSignals(orbNetworksRef.current.map(net => net.name));
+        if (cancelled || !signals) return;
+
+        const events = detectMarketEvents(previous, signals);
+        previous = signals;
+        if (events.length > 0) {
+          setMarketEvents(current => [...events, ...current].slice(0, MAX_MARKET_EVENTS));
+        }
+      } catch (error) {
+        console.error('Error polling market events:', error);
+      }
+    };
+
+    poll();
+    const interval = setInterval(poll, MARKET_EVENT_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, []);
+
+  // Poll stablecoin prices; re-runs on a threshold change, which the HTTP cache makes cheap
+  useEffect(() => {
+    let cancelled = false;
+
+    const poll = async () => {
+      try {
+        const { fetchStablecoinPegs, detectDepegs, depegNetworkWeights } = await import('./services/stablecoins');
+        const pegs = await fetchStablecoinPegs();
+        if (cancelled || !pegs) return;
+
+        const depegs = detectDepegs(pegs, depegThreshold);
+        setPegStatus({ pegs, depegs, weights: depegNetworkWeights(depegs) });
+      } catch (error) {
+        console.error('Error polling stablecoin pegs:', error);
+      }
+    };
+
+    poll();
+    const interval = setInterval(poll, DEPEG_POLL_INTERVAL);
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [depegThreshold]);
+
+  // Load every network's TVL history the first time the time-lapse opens
+  useEffect(() => {
+    if (!showTimelapse || timeline) return;
+
+    let cancelled = false;
+    setTimelapseLoading(true);
+    import('./services/defillama')
+      .then(module => module.fetchHistoricalTVLByNetwork(orbNetworks.map(net => net.name)))
+      .then(seriesByNetwork => {
+        if (!cancelled) setTimeline(buildTimeline(seriesByNetwork));
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (!cancelled) setTimelapseLoading(false);
+      });
+    return () => { cancelled = true; };
+  }, [showTimelapse, timeline, orbNetworks]);
+
+  useEffect(() => {
+    if (showTimelapse) return;
+    timelapseRef.current = null;
+    setTimelapseFrame(null);
+  }, [showTimelapse]);
+
+  // A bridge flow stays open only while one of its networks is selected
+  useEffect(() => {
+    if (!selectedBridgeFlow) return;
+    if (!selectedNetwork || ![selectedBridgeFlow.from, selectedBridgeFlow.to].includes(selectedNetwork.name)) {
+      setSelectedBridgeFlow(null);
+    }
+  }, [selectedNetwork, selectedBridgeFlow]);
+
+  const handleSelectBridgeFlow = useCallback((flow) => {
+    setSelectedDapp(null);
+    const { network: current } = selectionRef.current;
+    if (current && (current.name === flow.from || current.name === flow.to)) {
+      setSelectedBridgeFlow(flow);
+      return;
+    }
+
+    // Open the card on the source network, then show the flow once it is selected
+    const network = NETWORKS.find(n => n.name === flow.from);
+    if (!network) return;
+    setTargetNetwork(network);
+    setTimeout(() => {
+      setSelectedNetwork(network);
+      setTargetNetwork(null);
+      setSelectedBridgeFlow(flow);
+    }, 100);
+  }, []);
+
+  const reverseBridgeFlow = selectedBridgeFlow && bridgeFlows
+    ? bridgeFlows.find(f => f.from === selectedBridgeFlow.to && f.to === selectedBridgeFlow.from) || null
+    : null;
+
   const handleSelectDapp = useCallback((dapp) => {
     setSelectedDapp(dapp);
   }, []);
@@ -1751,6 +3799,16 @@ export default function App() {
     }, 100);
   }, []);
 
+  const handleSelectEventNetwork = useCallback((name) => {
+    const network = findByRouteName(orbNetworksRef.current, name);
+    if (network) handleSearch(network);
+  }, [handleSearch]);
+
+  const handleQualityChange = useCallback((setting) => {
+    setQualitySetting(setting);
+    saveQualitySetting(setting);
+  }, []);
+
   const handleSearchDapp = useCallback((protocol) => {
     const network = NETWORKS.find(n => n.name === protocol.networkName);
     if (!network) return;
@@ -1768,11 +3826,57 @@ export default function App() {
     }
   }, [selectedNetwork]);
 
+  const handleToggleCompare = useCallback((network) => {
+    setCompareNetworks(prev => {
+      if (prev.some(n => n.name === network.name)) {
+        return prev.filter(n => n.name !== network.name);
+      }
+      if (prev.length >= COMPARE_MAX_NETWORKS) return prev;
+      return [...prev, network];
+    });
+  }, []);
+
+  const handleClearCompare = useCallback(() => {
+    setCompareNetworks([]);
+  }, []);
+
+  const handleCloseComparison = useCallback(() => {
+    setShowComparison(false);
+  }, []);
+
+  // Close the panel once fewer than two networks are left to compare
+  useEffect(() => {
+    if (compareNetworks.length < COMPARE_MIN_NETWORKS) {
+      setShowComparison(false);
+    }
+  }, [compareNetworks]);
+
+  const comparedNames = new Set(compareNetworks.map(n => n.name));
+
+  let historicalSnapshot = null;
+  if (timelapseFrame && selectedNetwork && selectedNetwork.name in timelapseFrame.tvl) {
+    const tvl = timelapseFrame.tvl[selectedNetwork.name];
+    historicalSnapshot = {
+      date: timelapseFrame.date,
+      tvl,
+      share: timelapseFrame.share[selectedNetwork.name],
+      rank: tvl > 0 ? Object.values(timelapseFrame.tvl).filter(value => value > tvl).length + 1 : null,
+    };
+  }
+
+  // Dismissing the banner hides it until a different set of stablecoins is off peg
+  const depegKey = pegStatus.depegs.map(depeg => depeg.symbol).join(',');
+
   return (
-    <div className="app-container">
-      <SearchBar onSearch={handleSearch} onSearchDapp={handleSearchDapp} />
+    <div className={`app-container ${showTimelapse ? 'timelapse-open' : ''}`}>
+      <SearchBar
+        onSearch={handleSearch}
+        onSearchDapp={handleSearchDapp}
+        onCompare={handleToggleCompare}
+        comparedNames={comparedNames}
+      />
       <Canvas
-        dpr={[1, 1.5]}
+        dpr={quality.dpr}
         camera={{ position: [0, 0, 6], near: 0.1, far: 30, fov: 60 }}
         gl={{
           powerPreference: "high-performance",
@@ -1780,11 +3884,13 @@ export default function App() {
           stencil: false,
           alpha: false,
         }}
-        shadows
+        shadows={quality.shadows}
         style={{ position: 'absolute', inset: 0 }}
       >
+        <QualityGovernor enabled={qualitySetting === AUTO_QUALITY} onLevelChange={setAutoQualityLevel} />
         <Scene
           onSelect={setSelectedNetwork}
+          onCompare={handleToggleCompare}
           selectedNetwork={selectedNetwork}
           onOrbitStart={handleOrbitStart}
           onScreenPositionUpdate={handleScreenPositionUpdate}
@@ -1795,9 +3901,30 @@ export default function App() {
           onSelectDapp={handleSelectDapp}
           selectedDapp={selectedDapp}
           onHover={handleHover}
+          spikeMetric={spikeMetric}
+          bridgeFlows={showBridgeFlows ? bridgeFlows : null}
+          selectedBridgeFlow={selectedBridgeFlow}
+          onSelectBridgeFlow={handleSelectBridgeFlow}
+          networks={orbNetworks}
+          onNetworksChange={setOrbNetworks}
+          labelProjectionsRef={showLabels ? labelProjectionsRef : null}
+          timelapseRef={timelapseRef}
+          colorMode={colorMode}
+          onColorScaleChange={setColorScale}
+          marketEvents={marketEvents}
+          depegAlerts={pegStatus.weights}
+          quality={quality}
         />
       </Canvas>
 
+      {showLabels && (
+        <NetworkLabels
+          networks={orbNetworks}
+          projectionsRef={labelProjectionsRef}
+          selectedNetwork={selectedNetwork}
+        />
+      )}
+
       <StatsCard
         network={selectedNetwork}
         onClose={() => { setSelectedNetwork(null); setSelectedDapp(null); }}
@@ -1806,8 +3933,78 @@ export default function App() {
         onBackFromDapp={handleBackFromDapp}
         onSelectDapp={handleSelectDapp}
         dappNodes={dappNodes}
+        activeTab={activeTab}
+        onTabChange={setActiveTab}
+        isCompared={selectedNetwork ? comparedNames.has(selectedNetwork.name) : false}
+        onToggleCompare={handleToggleCompare}
+        bridgeFlow={selectedBridgeFlow}
+        reverseBridgeFlow={reverseBridgeFlow}
+        onCloseBridgeFlow={() => setSelectedBridgeFlow(null)}
+        historicalSnapshot={historicalSnapshot}
       />
 
+      <CompareTray
+        networks={compareNetworks}
+        onRemove={handleToggleCompare}
+        onClear={handleClearCompare}
+        onOpen={() => setShowComparison(true)}
+      />
+
+      {showComparison && (
+        <ComparisonPanel
+          networks={compareNetworks}
+          onClose={handleCloseComparison}
+          onRemove={handleToggleCompare}
+        />
+      )}
+
+      <OrbControls
+        spikeMetric={spikeMetric}
+        onSpikeMetricChange={setSpikeMetric}
+        colorMode={colorMode}
+        onColorModeChange={setColorMode}
+        colorScale={colorScale}
+        showBridgeFlows={showBridgeFlows}
+        onShowBridgeFlowsChange={setShowBridgeFlows}
+        showLabels={showLabels}
+        onShowLabelsChange={setShowLabels}
+        showTimelapse={showTimelapse}
+        onShowTimelapseChange={setShowTimelapse}
+        qualitySetting={qualitySetting}
+        autoQualityLevel={autoQualityLevel}
+        onQualityChange={handleQualityChange}
+        depegThreshold={depegThreshold}
+        onDepegThresholdChange={setDepegThreshold}
+        showPegMonitor={showPegMonitor}
+        onShowPegMonitorChange={setShowPegMonitor}
+      />
+
+      {showTimelapse && (
+        <TimelapseBar
+          timeline={timeline}
+          loading={timelapseLoading}
+          frameRef={timelapseRef}
+          onFrameChange={setTimelapseFrame}
+          onClose={() => setShowTimelapse(false)}
+        />
+      )}
+
+      <EventTicker events={marketEvents} onSelectNetwork={handleSelectEventNetwork} />
+
+      <div className="depeg-stack">
+        {depegKey !== dismissedDepegs && (
+          <DepegBanner
+            depegs={pegStatus.depegs}
+            onSelectNetwork={handleSelectEventNetwork}
+            onShowDetails={() => setShowPegMonitor(true)}
+            onDismiss={() => setDismissedDepegs(depegKey)}
+          />
+        )}
+        {showPegMonitor && (
+          <PegMonitor pegs={pegStatus.pegs} threshold={depegThreshold} onClose={() => setShowPegMonitor(false)} />
+        )}
+      </div>
+
       <HoverTooltip hoveredItem={hoveredItem} />
     </div>
   )
@@ -0,0 +1,181 @@
+import * as THREE from "three";
+import { useEffect, useMemo, useRef } from "react";
+import { useFrame } from "@react-three/fiber";
+import { formatUsdCompact } from "./format";
+
+// Arcs start just above the spike tips and lift towards their midpoint
+const ARC_BASE_RADIUS = 2.65;
+const ARC_SEGMENTS = 48;
+const ARC_MIN_WIDTH = 0.004;
+const ARC_MAX_WIDTH = 0.026;
+// Invisible tube around each arc so thin arcs are still easy to hit
+const ARC_HIT_WIDTH = 0.05;
+const MAX_ARCS = 24;
+const MAX_PARTICLES_PER_ARC = 6;
+const PARTICLE_SPEED = 0.35; // world units per second
+
+/**
+ * Great-circle path between two points on the sphere, raised off the surface
+ * Longer arcs fly higher so they don't skim through the spikes
+ */
+class GreatCircleCurve extends THREE.Curve {
+  constructor(from, to) {
+    super();
+    this.from = from.clone().normalize();
+    this.to = to.clone().normalize();
+    this.angle = this.from.angleTo(this.to);
+    this.lift = 0.15 + 0.45 * (this.angle / Math.PI);
+  }
+
+  getPoint(t, target = new THREE.Vector3()) {
+    const sinAngle = Math.sin(this.angle);
+    if (sinAngle < 1e-5) {
+      target.copy(this.from);
+    } else {
+      target
+        .copy(this.from)
+        .multiplyScalar(Math.sin((1 - t) * this.angle) / sinAngle)
+        .addScaledVector(this.to, Math.sin(t * this.angle) / sinAngle);
+    }
+    return target.multiplyScalar(ARC_BASE_RADIUS + this.lift * Math.sin(Math.PI * t));
+  }
+}
+
+/**
+ * Animated bridge flow arcs between network regions
+ * Arc width and particle count scale linearly with 24h volume; particles travel
+ * from source to destination
+ * With a network selected, only its own inflows and outflows are drawn
+ */
+function BridgeArcs({ flows, networks, selectedNetwork, selectedFlow, onSelectFlow, onHover }) {
+  const pointsRef = useRef(null);
+
+  const arcs = useMemo(() => {
+    if (!flows || flows.length === 0) return [];
+
+    const byName = new Map(networks.map(net => [net.name, net]));
+    const visible = flows
+      .filter(flow => flow.from !== flow.to && byName.has(flow.from) && byName.has(flow.to))
+      .filter(flow => !selectedNetwork || flow.from === selectedNetwork.name || flow.to === selectedNetwork.name)
+      .slice(0, MAX_ARCS);
+    if (visible.length === 0) return [];
+
+    const maxVolume = visible[0].volume24h || 1;
+    return visible.map(flow => {
+      const source = byName.get(flow.from);
+      const destination = byName.get(flow.to);
+      const weight = flow.volume24h / maxVolume;
+      const curve = new GreatCircleCurve(source.pos, destination.pos);
+
+      return {
+        key: `${flow.from}->${flow.to}`,
+        flow,
+        curve,
+        width: ARC_MIN_WIDTH + (ARC_MAX_WIDTH - ARC_MIN_WIDTH) * weight,
+        color: source.color.clone().lerp(destination.color, 0.5),
+        particleColor: destination.color,
+        particleCount: 1 + Math.round((MAX_PARTICLES_PER_ARC - 1) * weight),
+        speed: PARTICLE_SPEED / curve.getLength(),
+      };
+    });
+  }, [flows, networks, selectedNetwork]);
+
+  // One point cloud for every arc's particles, spread evenly along each arc
+  const particles = useMemo(() => {
+    const slots = [];
+    arcs.forEach((arc, arcIndex) => {
+      for (let p = 0; p < arc.particleCount; p++) {
+        slots.push({ arcIndex, offset: p / arc.particleCount });
+      }
+    });
+
+    const geometry = new THREE.BufferGeometry();
+    const colors = new Float32Array(slots.length * 3);
+    slots.forEach((slot, i) => {
+      const color = arcs[slot.arcIndex].particleColor;
+      colors[i * 3] = color.r;
+      colors[i * 3 + 1] = color.g;
+      colors[i * 3 + 2] = color.b;
+    });
+    geometry.setAttribute("position", new THREE.BufferAttribute(new Float32Array(slots.length * 3), 3));
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
+
+    return { geometry, slots };
+  }, [arcs]);
+
+  useEffect(() => () => particles.geometry.dispose(), [particles]);
+
+  useFrame((state) => {
+    if (!pointsRef.current || particles.slots.length === 0) return;
+
+    const time = state.clock.getElapsedTime();
+    const position = particles.geometry.attributes.position;
+    const point = new THREE.Vector3();
+
+    particles.slots.forEach((slot, i) => {
+      const arc = arcs[slot.arcIndex];
+      arc.curve.getPoint((slot.offset + time * arc.speed) % 1, point);
+      position.setXYZ(i, point.x, point.y, point.z);
+    });
+    position.needsUpdate = true;
+  });
+
+  if (arcs.length === 0) return null;
+
+  const handleHover = (event, arc) => {
+    if (!onHover) return;
+    onHover({
+      name: `${arc.flow.from} → ${arc.flow.to}`,
+      type: `${formatUsdCompact(arc.flow.volume24h)} 24h`,
+      color: `#${arc.color.getHexString()}`,
+      screenX: event.nativeEvent?.clientX || 0,
+      screenY: event.nativeEvent?.clientY || 0,
+    });
+  };
+
+  return (
+    <group>
+      {arcs.map(arc => {
+        const isSelected = selectedFlow && selectedFlow.from === arc.flow.from && selectedFlow.to === arc.flow.to;
+        return (
+          <group key={arc.key}>
+            <mesh renderOrder={5}>
+              <tubeGeometry args={[arc.curve, ARC_SEGMENTS, arc.width, 6, false]} />
+              <meshBasicMaterial
+                color={arc.color}
+                transparent
+                opacity={isSelected ? 0.95 : 0.45}
+                depthWrite={false}
+                toneMapped={false}
+              />
+            </mesh>
+            <mesh
+              userData={{ bridgeFlow: arc.flow }}
+              onClick={(event) => {
+                event.stopPropagation();
+                if (onSelectFlow) onSelectFlow(arc.flow);
+              }}
+              onPointerMove={(event) => handleHover(event, arc)}
+              onPointerOut={() => onHover && onHover(null)}
+            >
+              <tubeGeometry args={[arc.curve, ARC_SEGMENTS / 2, Math.max(arc.width, ARC_HIT_WIDTH), 4, false]} />
+              <meshBasicMaterial visible={false} />
+            </mesh>
+          </group>
+        );
+      })}
+      <points ref={pointsRef} geometry={particles.geometry} renderOrder={6} frustumCulled={false}>
+        <pointsMaterial
+          size={0.06}
+          vertexColors
+          transparent
+          opacity={0.9}
+          depthWrite={false}
+          toneMapped={false}
+        />
+      </points>
+    </group>
+  );
+}
+
+export default BridgeArcs;
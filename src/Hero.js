@@ -1,371 +1,236 @@
 import * as THREE from 'three'
-import { useEffect, useRef, useState, useMemo } from 'react'
+import { useEffect, useRef, useState, useMemo, useCallback } from 'react'
 import { useTexture } from '@react-three/drei'
 import { useFrame, useThree } from '@react-three/fiber'
 import { KawaseBlurPass, KernelSize } from 'postprocessing'
 import { sphereFragmentShader, sphereVertexShader } from './sphereShader'
-import { heroDepthFragmentShader, heroFragmentShader, heroVertexShader } from './heroShader'
+import { heroDepthFragmentShader, heroFragmentShader, heroVertexShader, MAX_SHADER_DAPPS, MAX_SHADER_REGIONS } from './heroShader'
 import { floorFragmentShader, floorVertexShader } from './floorShader'
-import { fetchAllNetworkAnalytics, fetchAllChains } from './services/defillama'
+import { fetchAllNetworkAnalytics, fetchAllChains, fetchNetworkMetric } from './services/defillama'
 import { DAPP_PALETTE_THREE } from './dappPalette'
+import BridgeArcs from './BridgeArcs'
+import { CHAIN_NAMES, CHAIN_REGISTRY, getChainPriceGeckoId } from './chainRegistry'
+import { computeRegionWeights, fibonacciSphere, findRegionOwner, SOLVER_SAMPLES } from './regions'
+import { COLOR_MODES, computeColorScale, computeRegionColors } from './colorScales'
+import { formatUsdCompact } from './format'
 
-// Import CHAIN_NAME_MAP for reference
-let CHAIN_NAME_MAP = null;
 const ICONS_BASE_URL = 'https://icons.llama.fi';
 
-// Helper function to format numbers (imported from service)
-function formatNumber(num, decimals = 1) {
-    if (num >= 1e12) return `$${(num / 1e12).toFixed(decimals)}T`;
-    if (num >= 1e9) return `$${(num / 1e9).toFixed(decimals)}B`;
-    if (num >= 1e6) return `$${(num / 1e6).toFixed(decimals)}M`;
-    if (num >= 1e3) return `$${(num / 1e3).toFixed(decimals)}K`;
-    return `$${num.toFixed(decimals)}`;
+// Spike height range, as multiples of the base capsule length
+const SPIKE_HEIGHT_MIN = 0.6;
+const SPIKE_HEIGHT_MAX = 1.8;
+
+/**
+ * Per-network spike heights (1 everywhere without values)
+ * @param {Float32Array} target - One height per shader region
+ */
+function applyRegionHeights(target, networks, values) {
+    target.fill(1);
+    if (!values) return;
+
+    const heights = computeSpikeHeights(networks, values);
+    for (let n = 0; n < Math.min(networks.length, MAX_SHADER_REGIONS); n++) {
+        target[n] = heights[n] ?? 1;
+    }
 }
 
-const INSTANCES_COUNT = 5000;
+/**
+ * Resolve each region's colour as a (colour, amount) mix over the metal base:
+ * the colour mode's tint first, then a pull towards the network colour (hover, time-lapse)
+ * @param {Float32Array} target - One rgba vec4 per shader region
+ * @param {Array<THREE.Color|null>} modeColors - From computeRegionColors
+ * @param {number[]} tints - Pull towards the network colour per network, 0..1
+ */
+function composeRegionColors(target, networks, modeColors, tints) {
+    const count = Math.min(networks.length, MAX_SHADER_REGIONS);
+    for (let n = 0, n4 = 0; n < MAX_SHADER_REGIONS; n++, n4 += 4) {
+        if (n >= count) {
+            target[n4 + 3] = 0;
+            continue;
+        }
 
-// Base network configuration (will be enriched with real data)
-// Logo sources - using multiple reliable CDNs
-const LOGO_SOURCES = {
-    Ethereum: [
-        'https://assets.coingecko.com/coins/images/279/large/ethereum.png',
-        'https://icons.llama.fi/chains/rsz_ethereum.jpg',
-        'https://assets.trustwalletapp.com/blockchains/ethereum/info/logo.png'
-    ],
-    Solana: [
-        'https://assets.coingecko.com/coins/images/4128/large/solana.png',
-        'https://icons.llama.fi/chains/rsz_solana.jpg',
-        'https://assets.trustwalletapp.com/blockchains/solana/info/logo.png'
-    ],
-    Bitcoin: [
-        'https://assets.coingecko.com/coins/images/1/large/bitcoin.png',
-        'https://icons.llama.fi/chains/rsz_bitcoin.jpg',
-        'https://assets.trustwalletapp.com/blockchains/bitcoin/info/logo.png'
-    ],
-    BSC: [
-        'https://assets.coingecko.com/coins/images/825/large/bnb-icon2_2x.png',
-        'https://assets.trustwalletapp.com/blockchains/smartchain/info/logo.png',
-        'https://icons.llama.fi/chains/rsz_binancecoin.jpg',
-        'https://icons.llama.fi/chains/rsz_bsc.jpg'
-    ],
-    Avalanche: [
-        'https://assets.coingecko.com/coins/images/12559/large/avalanche-avax-logo.png',
-        'https://icons.llama.fi/chains/rsz_avalanche.jpg',
-        'https://assets.trustwalletapp.com/blockchains/avalanchec/info/logo.png'
-    ],
-    Polygon: [
-        'https://assets.coingecko.com/coins/images/4713/large/polygon.png',
-        'https://icons.llama.fi/chains/rsz_polygon.jpg',
-        'https://assets.trustwalletapp.com/blockchains/polygon/info/logo.png'
-    ],
-    Arbitrum: [
-        'https://assets.coingecko.com/coins/images/16547/large/arb.jpg',
-        'https://icons.llama.fi/chains/rsz_arbitrum.jpg',
-        'https://assets.trustwalletapp.com/blockchains/arbitrum/info/logo.png'
-    ],
-    Optimism: [
-        'https://assets.coingecko.com/coins/images/25244/large/Optimism.png',
-        'https://icons.llama.fi/chains/rsz_optimism.jpg',
-        'https://assets.trustwalletapp.com/blockchains/optimism/info/logo.png'
-    ],
-    Base: [
-        'https://assets.coingecko.com/asset_platforms/images/131/large/base.jpeg',
-        'https://icons.llama.fi/chains/rsz_base.jpg',
-        'https://assets.trustwalletapp.com/blockchains/base/info/logo.png'
-    ],
-    Sui: [
-        'https://assets.coingecko.com/coins/images/26375/large/sui-ocean-square.png',
-        'https://icons.llama.fi/chains/rsz_sui.jpg'
-    ],
-    Cardano: [
-        'https://assets.coingecko.com/coins/images/975/large/cardano.png',
-        'https://icons.llama.fi/chains/rsz_cardano.jpg',
-        'https://assets.trustwalletapp.com/blockchains/cardano/info/logo.png'
-    ],
-    Tron: [
-        'https://assets.coingecko.com/coins/images/1094/large/tron-logo.png',
-        'https://icons.llama.fi/chains/rsz_tron.jpg',
-        'https://assets.trustwalletapp.com/blockchains/tron/info/logo.png'
-    ],
-    TON: [
-        'https://assets.coingecko.com/coins/images/17980/large/ton_symbol.png',
-        'https://icons.llama.fi/chains/rsz_ton.jpg'
-    ],
-    Polkadot: [
-        'https://assets.coingecko.com/coins/images/12171/large/polkadot.png',
-        'https://icons.llama.fi/chains/rsz_polkadot.jpg',
-        'https://assets.trustwalletapp.com/blockchains/polkadot/info/logo.png'
-    ],
-    Near: [
-        'https://assets.coingecko.com/coins/images/10365/large/near.jpg',
-        'https://icons.llama.fi/chains/rsz_near.jpg'
-    ],
-    Fantom: [
-        'https://assets.coingecko.com/coins/images/4001/large/Fantom_round.png',
-        'https://icons.llama.fi/chains/rsz_fantom.jpg',
-        'https://assets.trustwalletapp.com/blockchains/fantom/info/logo.png'
-    ],
-    Cosmos: [
-        'https://assets.coingecko.com/coins/images/1481/large/cosmos_hub.png',
-        'https://icons.llama.fi/chains/rsz_cosmos.jpg',
-        'https://assets.trustwalletapp.com/blockchains/cosmos/info/logo.png'
-    ],
-    Aptos: [
-        'https://assets.coingecko.com/coins/images/26455/large/aptos_round.png',
-        'https://icons.llama.fi/chains/rsz_aptos.jpg'
-    ],
-    Cronos: [
-        'https://assets.coingecko.com/coins/images/7310/large/cro_token_logo.png',
-        'https://icons.llama.fi/chains/rsz_cronos.jpg'
-    ],
-    Sei: [
-        'https://assets.coingecko.com/coins/images/28205/large/Sei_Logo_-_Transparent.png',
-        'https://icons.llama.fi/chains/rsz_sei.jpg'
-    ],
-};
+        const { color } = networks[n];
+        const modeColor = modeColors ? modeColors[n] : null;
+        const modeAmount = modeColor ? COLOR_MODE_TINT : 0;
+        const tint = tints[n] || 0;
+        const amount = 1 - (1 - modeAmount) * (1 - tint);
+        if (amount <= 0) {
+            // Nothing covers the metal - park the network colour so a later tint eases in cleanly
+            target[n4] = color.r;
+            target[n4 + 1] = color.g;
+            target[n4 + 2] = color.b;
+            target[n4 + 3] = 0;
+            continue;
+        }
+
+        const modeWeight = modeAmount * (1 - tint);
+        target[n4] = ((modeColor ? modeColor.r * modeWeight : 0) + color.r * tint) / amount;
+        target[n4 + 1] = ((modeColor ? modeColor.g * modeWeight : 0) + color.g * tint) / amount;
+        target[n4 + 2] = ((modeColor ? modeColor.b * modeWeight : 0) + color.b * tint) / amount;
+        target[n4 + 3] = amount;
+    }
+}
+
+// Market event flashes - duration and peak brightness grow with the event's magnitude
+const EVENT_FLASH_MIN_DURATION = 0.4;
+const EVENT_FLASH_MAX_DURATION = 1.2;
+const EVENT_FLASH_MIN_INTENSITY = 0.2;
+const EVENT_FLASH_MAX_INTENSITY = 0.7;
+// Events arriving together flash one after another, this many seconds apart
+const EVENT_FLASH_SPACING = 0.35;
+const EVENT_FLASH_UP = new THREE.Color('#22c55e');
+const EVENT_FLASH_DOWN = new THREE.Color('#ef4444');
+// Stablecoin depeg alerts - a steady amber pulse on exposed regions, scaled by their exposure
+const DEPEG_PULSE_COLOR = new THREE.Color('#f59e0b');
+const DEPEG_PULSE_INTENSITY = 0.35;
+const DEPEG_PULSE_SPEED = 3.0;
+
+// How far a colour mode pulls the dark metal base towards the mode's colour
+const COLOR_MODE_TINT = 0.55;
+
+// Time-lapse tint range - the largest network at each moment gets the strongest tint
+const TIMELAPSE_TINT_MIN = 0.08;
+const TIMELAPSE_TINT_MAX = 0.55;
+
+// How far hovered-region instances are tinted towards the network colour
+const HOVER_HIGHLIGHT = 0.35;
+// Region highlight waits for the pointer to settle, so sweeping across the orb doesn't recolour every region on the way
+const HOVER_HIGHLIGHT_DELAY = 80; // ms
+
+/**
+ * Map each network's metric value to a spike height
+ * Log scale between the smallest and largest non-zero values, so one huge chain
+ * doesn't flatten the rest; networks without data sit at the minimum
+ */
+function computeSpikeHeights(networks, values) {
+    const logs = networks.map(net => {
+        const value = values[net.name] || 0;
+        return value > 0 ? Math.log10(value) : null;
+    });
+    const known = logs.filter(l => l !== null);
+    if (known.length === 0) return networks.map(() => 1);
+
+    const min = Math.min(...known);
+    const span = Math.max(...known) - min;
+    return logs.map(l => {
+        if (l === null) return SPIKE_HEIGHT_MIN;
+        const t = span > 0 ? (l - min) / span : 1;
+        return SPIKE_HEIGHT_MIN + (SPIKE_HEIGHT_MAX - SPIKE_HEIGHT_MIN) * t;
+    });
+}
+
+// Spike count and size at the default (High) quality - other presets rescale the size
+// so the orb keeps the same coverage with fewer or more spikes
+const DEFAULT_INSTANCES_COUNT = 5000;
+const DEFAULT_SPIKE_SCALE = 0.08;
 
-const BASE_NETWORKS = [
-    {
-        name: "Ethereum",
-        symbol: "ETH",
-        est: "2015",
-        color: new THREE.Color("#00f2ff"),
-        pos: new THREE.Vector3(1, 1, 1).normalize(),
-        logo: LOGO_SOURCES.Ethereum[0],
-        logoFallbacks: LOGO_SOURCES.Ethereum.slice(1),
+// Orb presentation data per network - chain metadata (names, IDs, logos, colour, position)
+// lives in chainRegistry.js and is merged in below
+const NETWORK_PROFILES = {
+    Ethereum: {
         stats: { wallets: "240M+", users: "1.2M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "The leading Layer 1 for decentralized finance and institutional-grade smart contracts."
+        spotlight: "The leading Layer 1 for decentralized finance and institutional-grade smart contracts.",
     },
-    {
-        name: "Solana",
-        symbol: "SOL",
-        est: "2020",
-        color: new THREE.Color("#9945FF"),
-        pos: new THREE.Vector3(-1, 0.5, 0.5).normalize(),
-        logo: LOGO_SOURCES.Solana[0],
-        logoFallbacks: LOGO_SOURCES.Solana.slice(1),
+    Solana: {
         stats: { wallets: "110M+", users: "2.4M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Ultra-fast blockchain designed for consumer-scale decentralized applications and high-frequency trading."
+        spotlight: "Ultra-fast blockchain designed for consumer-scale decentralized applications and high-frequency trading.",
     },
-    {
-        name: "Bitcoin",
-        symbol: "BTC",
-        est: "2009",
-        color: new THREE.Color("#F7931A"),
-        pos: new THREE.Vector3(0, -1, 1).normalize(),
-        logo: LOGO_SOURCES.Bitcoin[0],
-        logoFallbacks: LOGO_SOURCES.Bitcoin.slice(1),
+    Bitcoin: {
         stats: { wallets: "460M+", users: "15M", tvl: "Loading...", dapps: "N/A" },
-        spotlight: "The original decentralized digital currency, now evolving into a programmable asset layer via Ordinals."
+        spotlight: "The original decentralized digital currency, now evolving into a programmable asset layer via Ordinals.",
     },
-    {
-        name: "BSC",
-        symbol: "BNB",
-        est: "2020",
-        color: new THREE.Color("#F3BA2F"),
-        pos: new THREE.Vector3(1, -0.5, -1).normalize(),
-        logo: LOGO_SOURCES.BSC[0],
-        logoFallbacks: LOGO_SOURCES.BSC.slice(1),
+    BSC: {
         stats: { wallets: "380M+", users: "3.8M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Community-driven ecosystem with low fees, high throughput, and the largest DEX volume in crypto."
+        spotlight: "Community-driven ecosystem with low fees, high throughput, and the largest DEX volume in crypto.",
     },
-    {
-        name: "Avalanche",
-        symbol: "AVAX",
-        est: "2020",
-        color: new THREE.Color("#E84142"),
-        pos: new THREE.Vector3(-1, -1, -1).normalize(),
-        logo: LOGO_SOURCES.Avalanche[0],
-        logoFallbacks: LOGO_SOURCES.Avalanche.slice(1),
+    Avalanche: {
         stats: { wallets: "45M+", users: "850K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Blazingly fast, low cost, and eco-friendly platform for launching private and public decentralized applications."
+        spotlight: "Blazingly fast, low cost, and eco-friendly platform for launching private and public decentralized applications.",
     },
-    {
-        name: "Polygon",
-        symbol: "POL",
-        est: "2020",
-        color: new THREE.Color("#8247E5"),
-        pos: new THREE.Vector3(0.8, 0.3, -1).normalize(),
-        logo: LOGO_SOURCES.Polygon[0],
-        logoFallbacks: LOGO_SOURCES.Polygon.slice(1),
-        geckoId: "matic-network",
+    Polygon: {
         stats: { wallets: "220M+", users: "1.5M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Ethereum's leading scaling solution with zkEVM technology, powering high-throughput DeFi and gaming ecosystems."
+        spotlight: "Ethereum's leading scaling solution with zkEVM technology, powering high-throughput DeFi and gaming ecosystems.",
     },
-    {
-        name: "Arbitrum",
-        symbol: "ARB",
-        est: "2021",
-        color: new THREE.Color("#28A0F0"),
-        pos: new THREE.Vector3(-0.5, 1, -0.8).normalize(),
-        logo: LOGO_SOURCES.Arbitrum[0],
-        logoFallbacks: LOGO_SOURCES.Arbitrum.slice(1),
-        geckoId: "arbitrum",
+    Arbitrum: {
         stats: { wallets: "18M+", users: "800K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "The dominant Ethereum L2 optimistic rollup with the largest TVL, powering DeFi protocols like GMX and Radiant."
+        spotlight: "The dominant Ethereum L2 optimistic rollup with the largest TVL, powering DeFi protocols like GMX and Radiant.",
     },
-    {
-        name: "Optimism",
-        symbol: "OP",
-        est: "2021",
-        color: new THREE.Color("#FF0420"),
-        pos: new THREE.Vector3(0.3, -0.7, 1).normalize(),
-        logo: LOGO_SOURCES.Optimism[0],
-        logoFallbacks: LOGO_SOURCES.Optimism.slice(1),
-        geckoId: "optimism",
+    Optimism: {
         stats: { wallets: "12M+", users: "500K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Pioneer of the Superchain vision, an optimistic rollup powering a unified network of interoperable L2 chains."
+        spotlight: "Pioneer of the Superchain vision, an optimistic rollup powering a unified network of interoperable L2 chains.",
     },
-    {
-        name: "Base",
-        symbol: "ETH",
-        est: "2023",
-        color: new THREE.Color("#0052FF"),
-        pos: new THREE.Vector3(-0.9, -0.3, 0.7).normalize(),
-        logo: LOGO_SOURCES.Base[0],
-        logoFallbacks: LOGO_SOURCES.Base.slice(1),
-        geckoId: "ethereum",
+    Base: {
         stats: { wallets: "10M+", users: "1.2M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Coinbase-incubated L2 built on the OP Stack, rapidly growing into a hub for on-chain social and consumer apps."
+        spotlight: "Coinbase-incubated L2 built on the OP Stack, rapidly growing into a hub for on-chain social and consumer apps.",
     },
-    {
-        name: "Sui",
-        symbol: "SUI",
-        est: "2023",
-        color: new THREE.Color("#4DA2FF"),
-        pos: new THREE.Vector3(1, 0.7, 0.3).normalize(),
-        logo: LOGO_SOURCES.Sui[0],
-        logoFallbacks: LOGO_SOURCES.Sui.slice(1),
-        geckoId: "sui",
+    Sui: {
         stats: { wallets: "8M+", users: "400K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Move-based L1 with parallel transaction execution and object-centric data model for sub-second finality."
+        spotlight: "Move-based L1 with parallel transaction execution and object-centric data model for sub-second finality.",
     },
-    {
-        name: "Cardano",
-        symbol: "ADA",
-        est: "2017",
-        color: new THREE.Color("#0033AD"),
-        pos: new THREE.Vector3(-0.6, 0.8, -0.5).normalize(),
-        logo: LOGO_SOURCES.Cardano[0],
-        logoFallbacks: LOGO_SOURCES.Cardano.slice(1),
-        geckoId: "cardano",
+    Cardano: {
         stats: { wallets: "4M+", users: "300K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Peer-reviewed, research-driven blockchain with the Ouroboros proof-of-stake protocol and Plutus smart contracts."
+        spotlight: "Peer-reviewed, research-driven blockchain with the Ouroboros proof-of-stake protocol and Plutus smart contracts.",
     },
-    {
-        name: "Tron",
-        symbol: "TRX",
-        est: "2017",
-        color: new THREE.Color("#FF060A"),
-        pos: new THREE.Vector3(0.5, -1, -0.5).normalize(),
-        logo: LOGO_SOURCES.Tron[0],
-        logoFallbacks: LOGO_SOURCES.Tron.slice(1),
-        geckoId: "tron",
+    Tron: {
         stats: { wallets: "230M+", users: "2M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "The world's largest USDT settlement layer, processing billions in daily stablecoin transfers with near-zero fees."
+        spotlight: "The world's largest USDT settlement layer, processing billions in daily stablecoin transfers with near-zero fees.",
     },
-    {
-        name: "TON",
-        symbol: "TON",
-        est: "2018",
-        color: new THREE.Color("#0098EA"),
-        pos: new THREE.Vector3(-0.3, -0.5, -1).normalize(),
-        logo: LOGO_SOURCES.TON[0],
-        logoFallbacks: LOGO_SOURCES.TON.slice(1),
-        geckoId: "the-open-network",
+    TON: {
         stats: { wallets: "50M+", users: "5M", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Telegram-integrated blockchain bringing crypto to 900M+ messenger users through seamless in-app mini-apps."
+        spotlight: "Telegram-integrated blockchain bringing crypto to 900M+ messenger users through seamless in-app mini-apps.",
     },
-    {
-        name: "Polkadot",
-        symbol: "DOT",
-        est: "2020",
-        color: new THREE.Color("#E6007A"),
-        pos: new THREE.Vector3(0.7, 0.5, -0.7).normalize(),
-        logo: LOGO_SOURCES.Polkadot[0],
-        logoFallbacks: LOGO_SOURCES.Polkadot.slice(1),
-        geckoId: "polkadot",
+    Polkadot: {
         stats: { wallets: "5M+", users: "200K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Multi-chain interoperability protocol connecting specialized parachains through shared security and cross-chain messaging."
+        spotlight: "Multi-chain interoperability protocol connecting specialized parachains through shared security and cross-chain messaging.",
     },
-    {
-        name: "Near",
-        symbol: "NEAR",
-        est: "2020",
-        color: new THREE.Color("#00C1DE"),
-        pos: new THREE.Vector3(-1, 0.2, -0.3).normalize(),
-        logo: LOGO_SOURCES.Near[0],
-        logoFallbacks: LOGO_SOURCES.Near.slice(1),
-        geckoId: "near",
+    Near: {
         stats: { wallets: "12M+", users: "500K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Sharded L1 with chain abstraction and account aggregation, pioneering seamless multi-chain user experiences."
+        spotlight: "Sharded L1 with chain abstraction and account aggregation, pioneering seamless multi-chain user experiences.",
     },
-    {
-        name: "Fantom",
-        symbol: "FTM",
-        est: "2019",
-        color: new THREE.Color("#1969FF"),
-        pos: new THREE.Vector3(0.4, 0.9, 0.6).normalize(),
-        logo: LOGO_SOURCES.Fantom[0],
-        logoFallbacks: LOGO_SOURCES.Fantom.slice(1),
-        geckoId: "fantom",
+    Fantom: {
         stats: { wallets: "3M+", users: "150K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "DAG-based smart contract platform evolving into Sonic, targeting sub-second finality with 10K+ TPS."
+        spotlight: "DAG-based smart contract platform evolving into Sonic, targeting sub-second finality with 10K+ TPS.",
     },
-    {
-        name: "Cosmos",
-        symbol: "ATOM",
-        est: "2019",
-        color: new THREE.Color("#6F7390"),
-        pos: new THREE.Vector3(-0.8, -0.8, 0.3).normalize(),
-        logo: LOGO_SOURCES.Cosmos[0],
-        logoFallbacks: LOGO_SOURCES.Cosmos.slice(1),
-        geckoId: "cosmos",
+    Cosmos: {
         stats: { wallets: "2M+", users: "200K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "The Internet of Blockchains, enabling sovereign app-chains connected via IBC protocol for seamless interoperability."
+        spotlight: "The Internet of Blockchains, enabling sovereign app-chains connected via IBC protocol for seamless interoperability.",
     },
-    {
-        name: "Aptos",
-        symbol: "APT",
-        est: "2022",
-        color: new THREE.Color("#2DD8A3"),
-        pos: new THREE.Vector3(0.6, -0.4, 0.8).normalize(),
-        logo: LOGO_SOURCES.Aptos[0],
-        logoFallbacks: LOGO_SOURCES.Aptos.slice(1),
-        geckoId: "aptos",
+    Aptos: {
         stats: { wallets: "5M+", users: "300K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Move-based L1 from ex-Meta engineers, achieving 160K TPS with Block-STM parallel execution engine."
+        spotlight: "Move-based L1 from ex-Meta engineers, achieving 160K TPS with Block-STM parallel execution engine.",
     },
-    {
-        name: "Cronos",
-        symbol: "CRO",
-        est: "2021",
-        color: new THREE.Color("#002D74"),
-        pos: new THREE.Vector3(0.2, 0.6, -1).normalize(),
-        logo: LOGO_SOURCES.Cronos[0],
-        logoFallbacks: LOGO_SOURCES.Cronos.slice(1),
-        geckoId: "crypto-com-chain",
+    Cronos: {
         stats: { wallets: "5M+", users: "100K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Crypto.com's EVM-compatible chain bridging 100M+ exchange users to DeFi with CRO-powered ecosystem."
+        spotlight: "Crypto.com's EVM-compatible chain bridging 100M+ exchange users to DeFi with CRO-powered ecosystem.",
     },
-    {
-        name: "Sei",
-        symbol: "SEI",
-        est: "2023",
-        color: new THREE.Color("#9B1B30"),
-        pos: new THREE.Vector3(-0.4, 0.4, 1).normalize(),
-        logo: LOGO_SOURCES.Sei[0],
-        logoFallbacks: LOGO_SOURCES.Sei.slice(1),
-        geckoId: "sei-network",
+    Sei: {
         stats: { wallets: "3M+", users: "200K", tvl: "Loading...", dapps: "Loading..." },
-        spotlight: "Purpose-built for trading with parallelized EVM, twin-turbo consensus, and native order matching engine."
+        spotlight: "Purpose-built for trading with parallelized EVM, twin-turbo consensus, and native order matching engine.",
     },
-];
+};
+
+// Base network configuration (will be enriched with real data)
+const BASE_NETWORKS = CHAIN_NAMES.map(name => {
+    const chain = CHAIN_REGISTRY[name];
+    const profile = NETWORK_PROFILES[name];
+    return {
+        name: chain.name,
+        symbol: chain.symbol,
+        est: chain.est,
+        color: new THREE.Color(chain.color),
+        pos: new THREE.Vector3(...chain.pos).normalize(),
+        logo: chain.logos[0],
+        logoFallbacks: chain.logos.slice(1),
+        geckoId: getChainPriceGeckoId(name),
+        stats: { ...profile.stats },
+        spotlight: profile.spotlight,
+    };
+});
 
 // Export networks with a function to update them
 export let NETWORKS = [...BASE_NETWORKS];
 
-function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp, onHover }) {
+function Hero({ onSelect, onCompare, selectedNetwork, dappNodes, onSelectDapp, selectedDapp, onHover, spikeMetric = 'tvl', bridgeFlows, selectedBridgeFlow, onSelectBridgeFlow, onNetworksChange, timelapseRef, colorMode = 'metal', onColorScaleChange, marketEvents, depegAlerts, instanceCount = DEFAULT_INSTANCES_COUNT, shadows = true, shadowMapSize = 1024, blur = true }) {
     const [width, height] = useThree((state) => [state.size.width, state.size.height]);
     const dpr = useThree((state) => state.viewport.dpr);
     const [networks, setNetworks] = useState(BASE_NETWORKS);
@@ -385,12 +250,11 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                 // Fetch TVL data separately for market share calculation
                 const defillamaModule = await import('./services/defillama');
                 const tvlData = await defillamaModule.fetchChainTVL();
-                const chainNameMap = defillamaModule.CHAIN_NAME_MAP || {};
 
                 // Update base networks with real data
                 const updatedBaseNetworks = BASE_NETWORKS.map(network => {
                     const analyticsData = analytics[network.name];
-                    const chainInfo = chainNameMap[network.name];
+                    const chainInfo = CHAIN_REGISTRY[network.name];
                     const defillamaName = chainInfo?.defillamaName || network.name;
                     const chainTvlData = tvlData[network.name] || tvlData[defillamaName];
                     const rawTvl = chainTvlData?.tvl || analyticsData?.tvl || 0;
@@ -400,7 +264,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                         ...network, // This preserves color, pos, name, symbol, est, etc.
                         stats: {
                             ...network.stats,
-                            tvl: analyticsData?.tvlFormatted || formatNumber(rawTvl),
+                            tvl: analyticsData?.tvlFormatted || formatUsdCompact(rawTvl),
                             dapps: analyticsData?.dapps || network.stats.dapps,
                         },
                         // Only update logo if we have a new one, otherwise keep original
@@ -408,8 +272,8 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                         logoFallbacks: network.logoFallbacks || [],
                         marketShare: analyticsData?.marketShare || 0,
                         marketShareFormatted: analyticsData?.marketShareFormatted || '0.0%',
-                        // Use geckoId from chainInfo first (most reliable), then analytics, then original
-                        geckoId: chainInfo?.geckoId || analyticsData?.geckoId || network.geckoId,
+                        // Use geckoId from the registry first (most reliable), then analytics, then original
+                        geckoId: getChainPriceGeckoId(network.name) || analyticsData?.geckoId || network.geckoId,
                         rawTvl: rawTvl, // Store raw TVL for market share calculation
                     };
 
@@ -522,7 +386,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                             stats: {
                                 wallets: "N/A",
                                 users: "N/A",
-                                tvl: formatNumber(chain.tvl),
+                                tvl: formatUsdCompact(chain.tvl),
                                 dapps: "N/A",
                             },
                             logo: primaryLogo,
@@ -572,6 +436,11 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
         loadAnalytics();
     }, []);
 
+    // Share the loaded networks (labels, etc.)
+    useEffect(() => {
+        if (onNetworksChange) onNetworksChange(networks);
+    }, [networks, onNetworksChange]);
+
     const sphere1Ref = useRef(null);
     const sphere2Ref = useRef(null);
     const sphere3Ref = useRef(null);
@@ -579,17 +448,32 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
     const isDraggingRef = useRef(false);
     const pointerDownPosRef = useRef(null);
 
-    // Dynamic color buffer refs for dApp sub-continent animation
-    const colorAttrRef = useRef(null);
-    const positionsArrayRef = useRef(null);
-    const baseColorsRef = useRef(null);
-    const targetColorsRef = useRef(null);
-    const currentColorsRef = useRef(null);
+    // Region colour targets - the frame loop eases the shader uniforms towards them
+    const regionModeColorsRef = useRef(null); // colour mode's colour per network
+    const regionTargetColorsRef = useRef(new Float32Array(MAX_SHADER_REGIONS * 4));
     const dappModeRef = useRef(false);
     const flashesRef = useRef([]);
     const networkMapRef = useRef(null);
-    const lastFlashTimeRef = useRef(0.5);
-    const flashNetworkIndexRef = useRef(0);
+    const regionWeightsRef = useRef(null);
+    const pendingEventsRef = useRef([]); // market events waiting for their flash
+    const seenEventIdsRef = useRef(new Set());
+    const lastFlashStartRef = useRef(0);
+    const depegWeightsRef = useRef(new Float32Array(MAX_SHADER_REGIONS)); // depeg exposure per network
+
+    // Per-network spike heights - u_regionFlashes holds the current (animated) heights
+    const regionTargetHeightsRef = useRef(new Float32Array(MAX_SHADER_REGIONS).fill(1));
+    const [metricValues, setMetricValues] = useState(null);
+
+    // Per-network values for the active colour mode
+    const [colorValues, setColorValues] = useState(null);
+
+    // Network-mode hover: region index to highlight, applied after HOVER_HIGHLIGHT_DELAY
+    const [hoveredRegion, setHoveredRegion] = useState(null);
+    const hoveredRegionRef = useRef(null);
+    const metricValuesRef = useRef(null);
+    const timelapseActiveRef = useRef(false);
+    const pendingHoverRegionRef = useRef(null);
+    const hoverTimerRef = useRef(null);
 
     const [sphereGeometry, setSphereGeometry] = useState(null);
     const [sphereMaterial, setSphereMaterial] = useState(null);
@@ -602,7 +486,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
     const matcap = useTexture("/glass.png");
 
     const uniforms = useState(() => (Object.assign({
-        u_scale: { value: 0.08 },
+        u_scale: { value: DEFAULT_SPIKE_SCALE },
         u_lightPosition: { value: lightPosition },
         u_noiseTexture: { value: noise },
         u_noiseTexelSize: { value: new THREE.Vector2(1 / 128, 1 / 128) },
@@ -617,6 +501,16 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
         u_hotBeamIntensity: { value: 1.0 },
         u_flashColor: { value: new THREE.Color(0, 0, 0) },
         u_flashIntensity: { value: 0.0 },
+        // Per-network colour, flash and height state - eased on the CPU, applied per instance on the GPU
+        u_regionColors: { value: new Float32Array(MAX_SHADER_REGIONS * 4) },
+        u_regionFlashes: { value: new Float32Array(MAX_SHADER_REGIONS * 4).map((_, k) => (k % 4 === 3 ? 1 : 0)) },
+        u_dappMix: { value: 0.0 },
+        u_dappNetworkPos: { value: new THREE.Vector3() },
+        u_dappCount: { value: 0 },
+        u_dappPositions: { value: new Float32Array(MAX_SHADER_DAPPS * 3) },
+        u_dappColors: { value: new Float32Array(MAX_SHADER_DAPPS * 4) },
+        u_dappMutedColor: { value: new THREE.Color('#0a0a0a') },
+        u_dappDarkColor: { value: new THREE.Color('#111') },
         ...THREE.UniformsUtils.merge([THREE.UniformsLib.lights]),
     })))[0]
 
@@ -641,10 +535,10 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
         }
         geometry.setIndex(refGeometry.index);
 
-        const positionsArray = new Float32Array(INSTANCES_COUNT * 3);
-        const quaternionsArray = new Float32Array(INSTANCES_COUNT * 4);
-        const colorsArray = new Float32Array(INSTANCES_COUNT * 3);
-        const networkMap = new Uint16Array(INSTANCES_COUNT);
+        const positionsArray = new Float32Array(instanceCount * 3);
+        const quaternionsArray = new Float32Array(instanceCount * 4);
+        const colorsArray = new Float32Array(instanceCount * 3);
+        const networkMap = new Uint16Array(instanceCount);
 
         const sphereRadius = 2.0;
         const goldenAngle = Math.PI * (3 - Math.sqrt(5));
@@ -652,9 +546,12 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
         const tempPos = new THREE.Vector3();
         const tempQuat = new THREE.Quaternion();
 
-        for (let i = 0, i3 = 0, i4 = 0; i < INSTANCES_COUNT; i++, i3 += 3, i4 += 4) {
+        // Size each network's region by market share
+        const regionWeights = computeRegionWeights(networksForGeometry, fibonacciSphere(SOLVER_SAMPLES));
+
+        for (let i = 0, i3 = 0, i4 = 0; i < instanceCount; i++, i3 += 3, i4 += 4) {
             // Fibonacci distribution on unit sphere
-            const ny = 1 - (i / (INSTANCES_COUNT - 1)) * 2;
+            const ny = 1 - (i / (instanceCount - 1)) * 2;
             const r = Math.sqrt(1 - ny * ny);
             const theta = goldenAngle * i;
             const nx = Math.cos(theta) * r;
@@ -678,18 +575,9 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
             quaternionsArray[i4 + 2] = tempQuat.z;
             quaternionsArray[i4 + 3] = tempQuat.w;
 
-            // Track closest network using angular position on unit sphere
+            // Track owning network using angular position on unit sphere
             const instanceVec = new THREE.Vector3(nx, ny, nz);
-            let closestNetworkIdx = 0;
-            let maxDot = -1;
-            for (let n = 0; n < networksForGeometry.length; n++) {
-                const dot = instanceVec.dot(networksForGeometry[n].pos);
-                if (dot > maxDot) {
-                    maxDot = dot;
-                    closestNetworkIdx = n;
-                }
-            }
-            networkMap[i] = closestNetworkIdx;
+            networkMap[i] = findRegionOwner(instanceVec, networksForGeometry, regionWeights);
 
             // Dark metallic base with very subtle variation per region
             const base = 0.08 + Math.random() * 0.03;
@@ -700,6 +588,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
             colorsArray[i3 + 2] = finalColor.b;
         }
         networkMapRef.current = networkMap;
+        regionWeightsRef.current = regionWeights;
 
         geometry.setAttribute(
             "a_instancePos",
@@ -709,78 +598,121 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
             "a_instanceQuaternions",
             new THREE.InstancedBufferAttribute(quaternionsArray, 4, false),
         );
-        const colorAttr = new THREE.InstancedBufferAttribute(colorsArray, 3);
-        geometry.setAttribute("a_instanceColor", colorAttr);
-
-        // Store refs for dynamic color animation
-        colorAttrRef.current = colorAttr;
-        positionsArrayRef.current = new Float32Array(positionsArray);
-        baseColorsRef.current = new Float32Array(colorsArray);
-        targetColorsRef.current = new Float32Array(colorsArray);
-        currentColorsRef.current = new Float32Array(colorsArray);
-        dappModeRef.current = false;
+        // Static per-instance data only - colours, flashes and heights are per-network uniforms
+        geometry.setAttribute("a_instanceColor", new THREE.InstancedBufferAttribute(colorsArray, 3));
+        geometry.setAttribute("a_networkIndex", new THREE.InstancedBufferAttribute(Float32Array.from(networkMap), 1));
 
         return geometry;
-    }, [networks]);
+    }, [networks, instanceCount]);
+
+    // Free the previous buffers when networks or the instance count rebuild the geometry
+    useEffect(() => () => geometry.dispose(), [geometry]);
 
-    // Compute dApp target colors when entering dApp mode
     useEffect(() => {
-        if (!positionsArrayRef.current || !targetColorsRef.current || !baseColorsRef.current) return;
+        uniforms.u_scale.value = DEFAULT_SPIKE_SCALE * Math.sqrt(DEFAULT_INSTANCES_COUNT / instanceCount);
+    }, [instanceCount, uniforms]);
 
+    // Hand the dApp layout to the shader when entering dApp mode; u_dappMix fades it in and out
+    useEffect(() => {
         if (selectedNetwork && dappNodes && dappNodes.length > 0) {
-            // Entering dApp mode - compute sub-continent colors
-            const positions = positionsArrayRef.current;
-            const target = targetColorsRef.current;
-            const networkPos = selectedNetwork.pos;
-            const sphereRadius = 2.0;
-            const muted = new THREE.Color('#0a0a0a');
-            const dark = new THREE.Color('#111');
-            const tempVec = new THREE.Vector3();
-            for (let i = 0, i3 = 0; i < INSTANCES_COUNT; i++, i3 += 3) {
-                const x = positions[i3];
-                const y = positions[i3 + 1];
-                const z = positions[i3 + 2];
-
-                tempVec.set(x, y, z).normalize();
-                const dotNetwork = tempVec.dot(networkPos);
-
-                if (dotNetwork > 0.45) {
-                    // Within network region - find closest dApp node
-                    let closestDapp = dappNodes[0];
-                    let maxDot = -Infinity;
-                    for (const dapp of dappNodes) {
-                        const d = tempVec.dot(dapp.pos);
-                        if (d > maxDot) {
-                            maxDot = d;
-                            closestDapp = dapp;
-                        }
-                    }
-
-                    // Color intensity - more muted for metallic look
-                    const proximity = Math.max(0, (dotNetwork - 0.45) / 0.55);
-                    const tvlBoost = 0.3 + closestDapp.tvlShare * 1.5;
-                    const intensity = Math.min(0.6, proximity * tvlBoost);
-
-                    const c = dark.clone().lerp(closestDapp.color, intensity * 0.4);
-                    target[i3] = c.r;
-                    target[i3 + 1] = c.g;
-                    target[i3 + 2] = c.b;
-                } else {
-                    // Outside network region - muted
-                    target[i3] = muted.r;
-                    target[i3 + 1] = muted.g;
-                    target[i3 + 2] = muted.b;
-                }
+            const count = Math.min(dappNodes.length, MAX_SHADER_DAPPS);
+            const positions = uniforms.u_dappPositions.value;
+            const colors = uniforms.u_dappColors.value;
+            for (let d = 0; d < count; d++) {
+                const { pos, color, tvlShare } = dappNodes[d];
+                positions.set([pos.x, pos.y, pos.z], d * 3);
+                colors.set([color.r, color.g, color.b, tvlShare], d * 4);
             }
+            uniforms.u_dappCount.value = count;
+            uniforms.u_dappNetworkPos.value.copy(selectedNetwork.pos);
             dappModeRef.current = true;
         } else {
-            // Revert to base network colors
-            if (baseColorsRef.current && targetColorsRef.current) {
-                targetColorsRef.current.set(baseColorsRef.current);
-            }
             dappModeRef.current = false;
         }
-    }, [selectedNetwork, dappNodes]);
+    }, [selectedNetwork, dappNodes, uniforms]);
+
+    // Tint the hovered network's region (hidden under the dApp layout in dApp mode)
+    const applyHoverHighlight = useCallback((regionIdx) => {
+        const tints = networks.map((_, n) => (n === regionIdx ? HOVER_HIGHLIGHT : 0));
+        composeRegionColors(regionTargetColorsRef.current, networks, regionModeColorsRef.current, tints);
+    }, [networks]);
+
+    useEffect(() => {
+        hoveredRegionRef.current = hoveredRegion;
+        // During a time-lapse the frame loop recolours every frame and includes the highlight
+        if (!timelapseActiveRef.current) applyHoverHighlight(hoveredRegion);
+    }, [hoveredRegion, applyHoverHighlight]);
+
+    useEffect(() => () => clearTimeout(hoverTimerRef.current), []);
+
+    const scheduleRegionHighlight = (regionIdx) => {
+        if (pendingHoverRegionRef.current === regionIdx) return;
+        pendingHoverRegionRef.current = regionIdx;
+        clearTimeout(hoverTimerRef.current);
+        hoverTimerRef.current = setTimeout(() => setHoveredRegion(regionIdx), HOVER_HIGHLIGHT_DELAY);
+    };
+
+    // Load the metric that drives spike height
+    useEffect(() => {
+        if (!spikeMetric) {
+            setMetricValues(null);
+            return;
+        }
+
+        let cancelled = false;
+        fetchNetworkMetric(spikeMetric, networks.map(net => net.name)).then(values => {
+            if (!cancelled) setMetricValues(values);
+        });
+        return () => { cancelled = true; };
+    }, [spikeMetric, networks]);
+
+    // Depeg exposure by network index, pulsed by the frame loop
+    useEffect(() => {
+        const weights = depegWeightsRef.current;
+        weights.fill(0);
+        networks.slice(0, MAX_SHADER_REGIONS).forEach((net, n) => {
+            weights[n] = depegAlerts?.[net.name] || 0;
+        });
+    }, [depegAlerts, networks]);
+
+    // Queue a flash for each market event the orb hasn't shown yet
+    useEffect(() => {
+        if (!marketEvents) return;
+        marketEvents.forEach(event => {
+            if (seenEventIdsRef.current.has(event.id)) return;
+            seenEventIdsRef.current.add(event.id);
+            pendingEventsRef.current.push(event);
+        });
+    }, [marketEvents]);
+
+    // Load the metric behind the colour mode
+    useEffect(() => {
+        const metric = COLOR_MODES[colorMode]?.metric;
+        setColorValues(null);
+        if (!metric) return;
+
+        let cancelled = false;
+        fetchNetworkMetric(metric, networks.map(net => net.name)).then(values => {
+            if (!cancelled) setColorValues(values);
+        });
+        return () => { cancelled = true; };
+    }, [colorMode, networks]);
+
+    // Recolour the regions for the colour mode; the frame loop eases the change in
+    useEffect(() => {
+        const scale = computeColorScale(colorMode, networks, colorValues);
+        regionModeColorsRef.current = computeRegionColors(colorMode, networks, colorValues, scale);
+
+        if (onColorScaleChange) onColorScaleChange(scale);
+        if (!timelapseActiveRef.current) applyHoverHighlight(hoveredRegionRef.current);
+    }, [colorMode, colorValues, networks, applyHoverHighlight, onColorScaleChange]);
+
+    // Set each network's spike height
+    useEffect(() => {
+        metricValuesRef.current = metricValues;
+        if (timelapseActiveRef.current) return;
+        applyRegionHeights(regionTargetHeightsRef.current, networks, metricValues);
+    }, [metricValues, networks]);
 
     const blurPass = useMemo(() => new KawaseBlurPass({ kernelSize: KernelSize.VERY_SMALL }), []);
     const blurRT = useMemo(
@@ -814,6 +746,11 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
             return;
         }
 
+        // A bridge arc under the pointer takes the click (the click sphere is hit first)
+        if (event.intersections?.some(hit => hit.object.userData?.bridgeFlow)) {
+            return;
+        }
+
         // Prevent any camera movement/zoom
         event.stopPropagation();
         event.nativeEvent?.stopPropagation();
@@ -855,21 +792,16 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
             }
         }
 
-        // Network mode: standard network detection
-        let closest = null;
-        let maxDot = -Infinity;
-        const minDotThreshold = 0.7;
+        // Network mode: the clicked point's region, using the same weighted rule as the geometry
+        const closest = networks.length > 0 ? networks[findRegionOwner(pos, networks, regionWeightsRef.current)] : null;
 
-        for (const net of networks) {
-            const dot = pos.dot(net.pos);
-            if (dot > maxDot) {
-                maxDot = dot;
-                closest = net;
-            }
+        // Shift-click queues the network for side-by-side comparison instead of opening it
+        if (closest && event.nativeEvent?.shiftKey && onCompare) {
+            onCompare(closest);
+            return;
         }
 
-        // Only select if we have a close enough match and it's an actual click
-        if (closest && maxDot >= minDotThreshold && onSelect) {
+        if (closest && onSelect) {
             // If clicking the same network that's already selected, deselect it
             if (selectedNetwork && selectedNetwork.name === closest.name) {
                 onSelect(null);
@@ -920,11 +852,31 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                 }
             }
 
-            // Nothing hovered (network hover disabled)
+            // Network hover - the region under the pointer, by the same weighted rule as clicks
+            if (networks.length > 0) {
+                const regionIdx = findRegionOwner(pos, networks, regionWeightsRef.current);
+                const network = networks[regionIdx];
+                scheduleRegionHighlight(regionIdx);
+                onHover({
+                    name: network.name,
+                    type: 'Network',
+                    color: network.color.getStyle(),
+                    network,
+                    screenX: event.nativeEvent?.clientX || 0,
+                    screenY: event.nativeEvent?.clientY || 0,
+                });
+                return;
+            }
+
             onHover(null);
         }
     }
 
+    const handlePointerOut = () => {
+        scheduleRegionHighlight(null);
+        if (onHover) onHover(null);
+    }
+
     const handlePointerUp = () => {
         pointerDownPosRef.current = null;
     }
@@ -958,82 +910,109 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
         updateSphere(sphere3Ref, uniforms.u_sphere3Position, configs[2]);
         updateSphere(sphere4Ref, uniforms.u_sphere4Position, configs[3]);
 
-        // Dynamic color lerping for dApp mode transitions + network flash effects
-        if (colorAttrRef.current && currentColorsRef.current && targetColorsRef.current) {
-            const current = currentColorsRef.current;
-            const target = targetColorsRef.current;
-            let needsUpdate = false;
-
-            for (let i = 0; i < current.length; i++) {
-                const diff = target[i] - current[i];
-                if (Math.abs(diff) > 0.001) {
-                    current[i] += diff * 0.06;
-                    needsUpdate = true;
-                }
+        // Time-lapse: historical TVL drives spike heights and region colours
+        const snapshot = timelapseRef?.current;
+        if (snapshot) {
+            timelapseActiveRef.current = true;
+            applyRegionHeights(regionTargetHeightsRef.current, networks, snapshot.tvl);
+
+            const maxShare = Math.max(...networks.map(net => snapshot.share[net.name] || 0));
+            const tints = networks.map((net, n) => {
+                const share = snapshot.share[net.name] || 0;
+                const tint = share > 0 && maxShare > 0
+                    ? TIMELAPSE_TINT_MIN + (TIMELAPSE_TINT_MAX - TIMELAPSE_TINT_MIN) * Math.sqrt(share / maxShare)
+                    : 0;
+                return n === hoveredRegionRef.current ? Math.min(1, tint + HOVER_HIGHLIGHT) : tint;
+            });
+            composeRegionColors(regionTargetColorsRef.current, networks, regionModeColorsRef.current, tints);
+        } else if (timelapseActiveRef.current) {
+            // Playback closed - back to the live metric and colours
+            timelapseActiveRef.current = false;
+            applyRegionHeights(regionTargetHeightsRef.current, networks, metricValuesRef.current);
+            applyHoverHighlight(hoveredRegionRef.current);
+        }
+
+        // Ease region colours, spike heights and the dApp blend towards their targets.
+        // All of it is per network - the vertex shader spreads it over the instances.
+        const regionColors = uniforms.u_regionColors.value;
+        const targetColors = regionTargetColorsRef.current;
+        for (let k = 0; k < regionColors.length; k++) {
+            regionColors[k] += (targetColors[k] - regionColors[k]) * 0.06;
+        }
+
+        const regionFlashes = uniforms.u_regionFlashes.value;
+        const targetHeights = regionTargetHeightsRef.current;
+        for (let n = 0, n4 = 0; n < MAX_SHADER_REGIONS; n++, n4 += 4) {
+            regionFlashes[n4 + 3] += (targetHeights[n] - regionFlashes[n4 + 3]) * 0.05;
+        }
+
+        uniforms.u_dappMix.value += ((dappModeRef.current ? 1 : 0) - uniforms.u_dappMix.value) * 0.06;
+
+        // Market event flashes (only when not in dApp mode)
+        // Network events flash their own region; market-wide events flash the whole orb
+        if (!dappModeRef.current && networks.length > 0) {
+            for (const event of pendingEventsRef.current) {
+                const networkIdx = event.network ? networks.findIndex(net => net.name === event.network) : null;
+                if (networkIdx === -1 || networkIdx >= MAX_SHADER_REGIONS) continue;
+
+                const startTime = Math.max(time, lastFlashStartRef.current + EVENT_FLASH_SPACING);
+                lastFlashStartRef.current = startTime;
+                flashesRef.current.push({
+                    networkIdx,
+                    startTime,
+                    duration: EVENT_FLASH_MIN_DURATION + (EVENT_FLASH_MAX_DURATION - EVENT_FLASH_MIN_DURATION) * event.magnitude,
+                    strength: EVENT_FLASH_MIN_INTENSITY + (EVENT_FLASH_MAX_INTENSITY - EVENT_FLASH_MIN_INTENSITY) * event.magnitude,
+                    // Volume spikes keep the network's colour; moves with a direction show it
+                    color: event.type === 'volume' && networkIdx !== null
+                        ? networks[networkIdx].color
+                        : (event.direction < 0 ? EVENT_FLASH_DOWN : EVENT_FLASH_UP),
+                });
             }
+            pendingEventsRef.current = [];
+            flashesRef.current = flashesRef.current.filter(f => time - f.startTime < f.duration);
+        } else {
+            flashesRef.current = [];
+            pendingEventsRef.current = [];
+        }
 
-            // Flash scheduling - cycle through ALL networks (only when not in dApp mode)
-            // Localized flashes: each network flashes only its region
-            if (!dappModeRef.current && networks.length > 0) {
-                if (time > lastFlashTimeRef.current) {
-                    // Cycle sequentially through networks so every color is seen
-                    const netIdx = flashNetworkIndexRef.current % networks.length;
-                    flashNetworkIndexRef.current = netIdx + 1;
-                    flashesRef.current.push({
-                        networkIdx: netIdx,
-                        startTime: time,
-                        duration: 0.4, // Shorter duration
-                        color: networks[netIdx].color,
-                    });
-                    // Less frequent flashes: 0.8-1.5 seconds between flashes
-                    lastFlashTimeRef.current = time + 0.8 + Math.random() * 0.7;
-                }
-                flashesRef.current = flashesRef.current.filter(f => time - f.startTime < f.duration);
-                
-                // Disable global shader flash - we'll use localized attribute-based flashes only
-                uniforms.u_flashIntensity.value = 0.0;
+        for (let n4 = 0; n4 < regionFlashes.length; n4 += 4) {
+            regionFlashes[n4] = regionFlashes[n4 + 1] = regionFlashes[n4 + 2] = 0;
+        }
+        const globalFlash = uniforms.u_flashColor.value.setRGB(0, 0, 0);
+        for (const flash of flashesRef.current) {
+            const elapsed = time - flash.startTime;
+            if (elapsed < 0) continue;
+            const progress = elapsed / flash.duration;
+            let intensity;
+            // Lightning: instant strike, brief peak, rapid decay
+            if (progress < 0.05) intensity = progress / 0.05;
+            else if (progress < 0.12) intensity = 1.0;
+            else intensity = Math.pow(1.0 - (progress - 0.12) / 0.88, 2.0);
+            intensity = Math.max(0, intensity) * flash.strength;
+
+            if (flash.networkIdx === null) {
+                globalFlash.r += flash.color.r * intensity;
+                globalFlash.g += flash.color.g * intensity;
+                globalFlash.b += flash.color.b * intensity;
             } else {
-                flashesRef.current = [];
-                uniforms.u_flashIntensity.value = 0.0;
+                const n4 = flash.networkIdx * 4;
+                regionFlashes[n4] += flash.color.r * intensity;
+                regionFlashes[n4 + 1] += flash.color.g * intensity;
+                regionFlashes[n4 + 2] += flash.color.b * intensity;
             }
-
-            // Apply flash overlays to attribute buffer
-            const hasFlashes = flashesRef.current.length > 0;
-            if (hasFlashes || needsUpdate) {
-                const attr = colorAttrRef.current.array;
-
-                if (hasFlashes) {
-                    attr.set(current);
-                    const nMap = networkMapRef.current;
-
-                    for (const flash of flashesRef.current) {
-                        const elapsed = time - flash.startTime;
-                        const progress = elapsed / flash.duration;
-                        let intensity;
-                        // Lightning: instant strike, brief peak, rapid decay
-                        if (progress < 0.05) intensity = progress / 0.05;
-                        else if (progress < 0.12) intensity = 1.0;
-                        else intensity = Math.pow(1.0 - (progress - 0.12) / 0.88, 2.0);
-                        intensity = Math.max(0, intensity) * 0.5; // Reduced intensity
-
-                        const cr = flash.color.r * intensity;
-                        const cg = flash.color.g * intensity;
-                        const cb = flash.color.b * intensity;
-
-                        // Flash the entire orb with the network's color
-                        for (let i = 0, i3 = 0; i < INSTANCES_COUNT; i++, i3 += 3) {
-                            attr[i3] = Math.min(1.0, attr[i3] + cr);
-                            attr[i3 + 1] = Math.min(1.0, attr[i3 + 1] + cg);
-                            attr[i3 + 2] = Math.min(1.0, attr[i3 + 2] + cb);
-                        }
-                    }
-                } else {
-                    attr.set(current);
-                }
-
-                colorAttrRef.current.needsUpdate = true;
+        }
+        if (!dappModeRef.current) {
+            const pulse = DEPEG_PULSE_INTENSITY * (0.6 + 0.4 * Math.sin(time * DEPEG_PULSE_SPEED));
+            const depegWeights = depegWeightsRef.current;
+            for (let n = 0, n4 = 0; n < MAX_SHADER_REGIONS; n++, n4 += 4) {
+                if (depegWeights[n] === 0) continue;
+                const intensity = depegWeights[n] * pulse;
+                regionFlashes[n4] += DEPEG_PULSE_COLOR.r * intensity;
+                regionFlashes[n4 + 1] += DEPEG_PULSE_COLOR.g * intensity;
+                regionFlashes[n4 + 2] += DEPEG_PULSE_COLOR.b * intensity;
             }
         }
+        uniforms.u_flashIntensity.value = 1.0;
 
         // Update hot continent effect
         if (selectedDapp && selectedDapp.pos) {
@@ -1053,8 +1032,10 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
 
     return (
         <>
+            {/* Keyed so a new shadow map is allocated at the preset's size */}
             <directionalLight
-                castShadow
+                key={shadowMapSize}
+                castShadow={shadows}
                 position={[lightPosition.x, lightPosition.y, lightPosition.z]}
                 shadow-camera-left={-3}
                 shadow-camera-right={3}
@@ -1063,7 +1044,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                 shadow-camera-near={0.1}
                 shadow-camera-far={20}
                 shadow-bias={-0.0001}
-                shadow-mapSize={[1024, 1024]}
+                shadow-mapSize={[shadowMapSize, shadowMapSize]}
             />
             {/* Base sphere removed - was causing visible circle artifact */}
             {/* Transparent click detection sphere - must be before other meshes for proper raycasting */}
@@ -1073,6 +1054,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                 onPointerDown={handlePointerDown}
                 onPointerMove={handlePointerMove}
                 onPointerUp={handlePointerUp}
+                onPointerOut={handlePointerOut}
                 onPointerMissed={() => {
                     // Clicking empty space - deselect if something is selected
                     if (selectedNetwork && onSelect) {
@@ -1094,23 +1076,26 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
             <mesh
                 geometry={geometry}
                 renderOrder={0}
-                receiveShadow
-                castShadow
+                receiveShadow={shadows}
+                castShadow={shadows}
                 onAfterRender={(gl) => {
                     const currentRT = gl.getRenderTarget();
-                    if (!currentRT) return;
+                    if (!currentRT || !blur) return;
                     blurPass.render(gl, currentRT, blurRT);
                     gl.setRenderTarget(currentRT);
                     uniformsSphere.u_sceneTexture.value = blurRT.texture;
                 }}
             >
+                {/* Keyed on shadows so the shaders recompile with or without USE_SHADOWMAP */}
                 <shaderMaterial
+                    key={`hero-${shadows}`}
                     vertexShader={heroVertexShader}
                     fragmentShader={heroFragmentShader}
                     uniforms={uniforms}
                     lights={true}
                 />
                 <shaderMaterial
+                    key={`depth-${shadows}`}
                     attach="customDepthMaterial"
                     vertexShader={heroVertexShader}
                     fragmentShader={heroDepthFragmentShader}
@@ -1119,6 +1104,15 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                 />
             </mesh>
 
+            <BridgeArcs
+                flows={bridgeFlows}
+                networks={networks}
+                selectedNetwork={selectedNetwork}
+                selectedFlow={selectedBridgeFlow}
+                onSelectFlow={onSelectBridgeFlow}
+                onHover={onHover}
+            />
+
             {/* Invisible influence group */}
             <group>
                 <mesh ref={sphere1Ref} visible={false}>
@@ -1129,7 +1123,8 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                 <mesh ref={sphere4Ref} visible={false} geometry={sphereGeometry} />
             </group>
 
-            <mesh rotation-x={-Math.PI / 2} position={[4, -3, -1.5]} >
+            {/* The floor only exists to catch the orb's shadow */}
+            {shadows && <mesh rotation-x={-Math.PI / 2} position={[4, -3, -1.5]} >
                 <planeGeometry args={[8, 8]} />
                 <shaderMaterial
                     vertexShader={floorVertexShader}
@@ -1138,7 +1133,7 @@ function Hero({ onSelect, selectedNetwork, dappNodes, onSelectDapp, selectedDapp
                     lights={true}
                     transparent={true}
                 />
-            </mesh>
+            </mesh>}
         </>
     )
 }
@@ -0,0 +1,62 @@
+import * as THREE from 'three';
+import { COLOR_MODES, computeColorScale, computeRegionColors, sampleGradient } from '../colorScales';
+
+const network = (name, color = '#ffffff') => ({ name, color: new THREE.Color(color) });
+const NETWORKS = [network('Ethereum', '#627eea'), network('Solana'), network('Base')];
+
+describe('sampleGradient', () => {
+  it('interpolates between evenly spaced stops and clamps outside 0..1', () => {
+    const stops = ['#000000', '#ffffff'];
+    expect(sampleGradient(stops, 0.5).r).toBeCloseTo(0.5, 5);
+    expect(sampleGradient(stops, -1).getHexString()).toBe('000000');
+    expect(sampleGradient(stops, 2).getHexString()).toBe('ffffff');
+    expect(sampleGradient(['#ff0000', '#00ff00', '#0000ff'], 0.5).getHexString()).toBe('00ff00');
+  });
+});
+
+describe('computeColorScale', () => {
+  it('has no scale for brand colours or before data arrives', () => {
+    expect(computeColorScale('brand', NETWORKS, { Ethereum: 1 })).toBeNull();
+    expect(computeColorScale('fees', NETWORKS, null)).toBeNull();
+  });
+
+  it('fits a symmetric diverging range to the largest change, within bounds', () => {
+    expect(computeColorScale('tvlChange', NETWORKS, { Ethereum: -4, Solana: 2 })).toMatchObject({ type: 'diverging', min: -4, max: 4 });
+    expect(computeColorScale('tvlChange', NETWORKS, { Ethereum: 0.1 }).max).toBe(1);
+    expect(computeColorScale('tvlChange', NETWORKS, { Ethereum: 80 }).max).toBe(10);
+  });
+
+  it('spans the positive values for sequential modes', () => {
+    expect(computeColorScale('fees', NETWORKS, { Ethereum: 1e6, Solana: 1e3, Base: 0 })).toEqual({
+      type: 'sequential', min: 1e3, max: 1e6, stops: COLOR_MODES.fees.stops,
+    });
+    expect(computeColorScale('volume', NETWORKS, { Ethereum: 0 })).toBeNull();
+  });
+});
+
+describe('computeRegionColors', () => {
+  it('uses each network colour in brand mode', () => {
+    expect(computeRegionColors('brand', NETWORKS, null)[0].getHexString()).toBe('627eea');
+  });
+
+  it('maps changes onto the diverging stops', () => {
+    const [down, flat, up] = computeRegionColors('tvlChange', NETWORKS, { Ethereum: -5, Solana: 0, Base: 5 });
+    expect(down.getHexString()).toBe('ef4444');
+    expect(flat.getHexString()).toBe('3f3f46');
+    expect(up.getHexString()).toBe('22c55e');
+  });
+
+  it('places sequential values on a log scale and leaves empty networks uncoloured', () => {
+    const stops = COLOR_MODES.fees.stops;
+    const [high, middle, low] = computeRegionColors('fees', NETWORKS, { Ethereum: 1e6, Solana: 1e4, Base: 1e2 });
+    expect(high.getHexString()).toBe(stops[stops.length - 1].slice(1));
+    expect(middle.getHexString()).toBe(sampleGradient(stops, 0.5).getHexString());
+    expect(low.getHexString()).toBe(stops[0].slice(1));
+
+    expect(computeRegionColors('fees', NETWORKS, { Ethereum: 1e6, Solana: 1e4 })[2]).toBeNull();
+  });
+
+  it('leaves every region uncoloured in metal mode', () => {
+    expect(computeRegionColors('metal', NETWORKS, null)).toEqual([null, null, null]);
+  });
+});
@@ -0,0 +1,23 @@
+import { formatCompact, formatUsdCompact } from '../format';
+
+describe('formatUsdCompact', () => {
+  it('picks the largest unit that fits', () => {
+    expect(formatUsdCompact(1.234e12)).toBe('$1.23T');
+    expect(formatUsdCompact(4.561e9)).toBe('$4.56B');
+    expect(formatUsdCompact(7.84e6)).toBe('$7.8M');
+    expect(formatUsdCompact(12400)).toBe('$12K');
+  });
+
+  it('prints small amounts in whole dollars', () => {
+    expect(formatUsdCompact(950)).toBe('$950');
+    expect(formatUsdCompact(0)).toBe('$0');
+  });
+});
+
+describe('formatCompact', () => {
+  it('uses the same units without the dollar sign', () => {
+    expect(formatCompact(120.4e6)).toBe('120.4M');
+    expect(formatCompact(21e6)).toBe('21.0M');
+    expect(formatCompact(950)).toBe('950');
+  });
+});
@@ -0,0 +1,38 @@
+import { NETWORK_CACHE_MAX_AGE, cacheNetworkData, getCachedNetworkData, peekNetworkData, loadNetworkData } from '../networkDataCache';
+
+let now;
+
+beforeEach(() => {
+  now = 1000000;
+  jest.spyOn(Date, 'now').mockImplementation(() => now);
+});
+
+describe('network data cache', () => {
+  it('keeps stale entries readable for glanceable views once the card would refetch', () => {
+    cacheNetworkData('Ethereum', { detailedData: { tvlChange1d: 2 } });
+    expect(getCachedNetworkData('Ethereum')).toMatchObject({ detailedData: { tvlChange1d: 2 }, fetchedAt: now });
+
+    now += NETWORK_CACHE_MAX_AGE + 1;
+    expect(getCachedNetworkData('Ethereum')).toBeNull();
+    expect(peekNetworkData('Ethereum')).toMatchObject({ detailedData: { tvlChange1d: 2 } });
+  });
+
+  it('has nothing to peek at for a network that was never fetched', () => {
+    expect(peekNetworkData('Nowhere')).toBeNull();
+  });
+
+  it('shares one fetch between concurrent loads and refetches after the entry expires', async () => {
+    const network = { name: 'Solana' };
+    const fetcher = jest.fn(async net => cacheNetworkData(net.name, { priceData: { usd: now } }));
+
+    const [first, second] = await Promise.all([loadNetworkData(network, fetcher), loadNetworkData(network, fetcher)]);
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(second).toBe(first);
+    expect(await loadNetworkData(network, fetcher)).toBe(first);
+
+    now += NETWORK_CACHE_MAX_AGE;
+    const refreshed = await loadNetworkData(network, fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    expect(refreshed.priceData.usd).toBe(now);
+  });
+});
@@ -0,0 +1,72 @@
+import { QUALITY_LEVELS, createQualityGovernor, loadQualitySetting, saveQualitySetting } from '../quality';
+
+const memoryStorage = (initial = {}) => {
+  const data = { ...initial };
+  return {
+    getItem: key => (key in data ? data[key] : null),
+    setItem: (key, value) => { data[key] = String(value); },
+  };
+};
+
+// Feed frames until the governor answers, or give up after `limit`
+const run = (governor, frameMs, limit = 2000) => {
+  for (let i = 0; i < limit; i++) {
+    const level = governor.sample(frameMs);
+    if (level) return level;
+  }
+  return null;
+};
+
+describe('quality settings', () => {
+  it('defaults to auto and round-trips a saved preset', () => {
+    const storage = memoryStorage();
+    expect(loadQualitySetting(storage)).toBe('auto');
+    saveQualitySetting('low', storage);
+    expect(loadQualitySetting(storage)).toBe('low');
+  });
+
+  it('ignores unknown values and unavailable storage', () => {
+    expect(loadQualitySetting(memoryStorage({ 'orb-quality': 'potato' }))).toBe('auto');
+    const broken = { getItem: () => { throw new Error('denied'); }, setItem: () => { throw new Error('denied'); } };
+    expect(loadQualitySetting(broken)).toBe('auto');
+    expect(() => saveQualitySetting('high', broken)).not.toThrow();
+  });
+});
+
+describe('createQualityGovernor', () => {
+  it('lists presets from cheapest to most expensive', () => {
+    expect(QUALITY_LEVELS).toEqual(['low', 'medium', 'high', 'ultra']);
+  });
+
+  it('steps down on slow frames until it reaches the lowest preset', () => {
+    const governor = createQualityGovernor();
+    expect(governor.level()).toBe('high');
+    expect(run(governor, 40)).toBe('medium');
+    expect(run(governor, 40)).toBe('low');
+    expect(run(governor, 40)).toBeNull();
+    expect(governor.level()).toBe('low');
+  });
+
+  it('holds steady in the comfortable band', () => {
+    expect(run(createQualityGovernor({ initial: 'medium' }), 20)).toBeNull();
+  });
+
+  it('never climbs past its maximum level', () => {
+    const governor = createQualityGovernor({ initial: 'ultra' });
+    expect(governor.level()).toBe('high');
+    expect(run(governor, 10)).toBeNull();
+  });
+
+  it('keeps a level that was too slow off-limits until the hold expires', () => {
+    const governor = createQualityGovernor({ initial: 'medium' });
+    expect(run(governor, 30)).toBe('low');
+    // Fast again, but medium just proved too slow
+    expect(run(governor, 10, 4000)).toBeNull();
+    // Another 60s of fast frames lifts the hold
+    expect(run(governor, 10, 6000)).toBe('medium');
+  });
+
+  it('ignores stalls such as a hidden tab', () => {
+    expect(run(createQualityGovernor(), 1000)).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+import * as THREE from 'three';
+import {
+  MIN_REGION_SHARE,
+  computeRegionWeights,
+  fibonacciSphere,
+  findRegionOwner,
+  regionTargetShares,
+} from '../regions';
+
+const network = (x, y, z, marketShare) => ({ pos: new THREE.Vector3(x, y, z).normalize(), marketShare });
+
+function regionShares(networks, points, weights) {
+  const counts = networks.map(() => 0);
+  points.forEach(point => { counts[findRegionOwner(point, networks, weights)]++; });
+  return counts.map(count => count / points.length);
+}
+
+describe('regionTargetShares', () => {
+  it('splits the surface by market share above a minimum floor', () => {
+    const shares = regionTargetShares([network(1, 0, 0, 75), network(0, 1, 0, 25), network(0, 0, 1, 0)]);
+
+    expect(shares[2]).toBeCloseTo(MIN_REGION_SHARE, 6);
+    expect((shares[0] - MIN_REGION_SHARE) / (shares[1] - MIN_REGION_SHARE)).toBeCloseTo(3, 6);
+    expect(shares.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 6);
+  });
+
+  it('gives equal shares when nothing has a market share', () => {
+    expect(regionTargetShares([network(1, 0, 0), network(0, 1, 0)])).toEqual([0.5, 0.5]);
+  });
+});
+
+describe('findRegionOwner', () => {
+  it('picks the nearest seed without weights', () => {
+    const networks = [network(1, 0, 0), network(-1, 0, 0)];
+    expect(findRegionOwner(new THREE.Vector3(0.2, 1, 0).normalize(), networks)).toBe(0);
+  });
+
+  it('lets a weight pull the boundary towards the smaller region', () => {
+    const networks = [network(1, 0, 0), network(-1, 0, 0)];
+    const point = new THREE.Vector3(-0.2, 1, 0).normalize();
+    expect(findRegionOwner(point, networks, new Float32Array([0.5, 0]))).toBe(0);
+  });
+});
+
+describe('computeRegionWeights', () => {
+  const points = fibonacciSphere(1500);
+
+  it('sizes regions by market share', () => {
+    const networks = [
+      network(1, 0, 0, 60),
+      network(-1, 0, 0, 20),
+      network(0, 1, 0, 10),
+      network(0, -1, 0, 6),
+      network(0, 0, 1, 3),
+      network(0, 0, -1, 1),
+    ];
+    const targets = regionTargetShares(networks);
+    const shares = regionShares(networks, points, computeRegionWeights(networks, points));
+
+    shares.forEach((share, i) => expect(Math.abs(share - targets[i])).toBeLessThan(0.02));
+  });
+
+  it('keeps the plain partition until market shares are known', () => {
+    const networks = [network(1, 0, 0), network(-1, 0, 0)];
+    expect(Array.from(computeRegionWeights(networks, points))).toEqual([0, 0]);
+  });
+});
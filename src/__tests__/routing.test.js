@@ -0,0 +1,58 @@
+import { parseRoute, buildRoute, findByRouteName } from '../routing';
+
+const location = (pathname, search = '') => ({ pathname, search });
+
+describe('parseRoute', () => {
+  it('returns an empty route for the root', () => {
+    expect(parseRoute(location('/'))).toEqual({ networkName: null, dappName: null, tab: 'overview' });
+  });
+
+  it('reads the network, dApp and tab', () => {
+    expect(parseRoute(location('/network/Arbitrum/dapps/GMX', '?tab=dapps'))).toEqual({
+      networkName: 'Arbitrum',
+      dappName: 'GMX',
+      tab: 'dapps',
+    });
+  });
+
+  it('decodes encoded segments', () => {
+    expect(parseRoute(location('/network/OP%20Mainnet/dapps/Uniswap%20V3')).dappName).toBe('Uniswap V3');
+  });
+
+  it('reads the yields tab', () => {
+    expect(parseRoute(location('/network/Base', '?tab=yields')).tab).toBe('yields');
+  });
+
+  it('falls back to the overview tab for unknown tabs', () => {
+    expect(parseRoute(location('/network/Base', '?tab=bogus')).tab).toBe('overview');
+  });
+
+  it('ignores paths outside /network', () => {
+    expect(parseRoute(location('/about/Arbitrum')).networkName).toBeNull();
+  });
+});
+
+describe('buildRoute', () => {
+  it('omits the default tab', () => {
+    expect(buildRoute({ networkName: 'Arbitrum', tab: 'overview' })).toBe('/network/Arbitrum');
+  });
+
+  it('round-trips through parseRoute', () => {
+    const route = { networkName: 'OP Mainnet', dappName: 'Uniswap V3', tab: 'dapps' };
+    const [pathname, search] = buildRoute(route).split('?');
+    expect(parseRoute(location(pathname, `?${search}`))).toEqual(route);
+  });
+
+  it('returns the root without a network', () => {
+    expect(buildRoute({ dappName: 'GMX', tab: 'dapps' })).toBe('/');
+  });
+});
+
+describe('findByRouteName', () => {
+  it('matches names case-insensitively', () => {
+    const items = [{ name: 'Arbitrum' }, { name: 'GMX' }];
+    expect(findByRouteName(items, 'gmx')).toBe(items[1]);
+    expect(findByRouteName(items, 'Base')).toBeNull();
+    expect(findByRouteName(null, 'GMX')).toBeNull();
+  });
+});
@@ -0,0 +1,57 @@
+import { buildTimeline, sampleTimeline } from '../timelapse';
+
+const DAY = 86400;
+
+const HISTORY = {
+  Ethereum: [{ date: 0, tvl: 100 }, { date: 10 * DAY, tvl: 200 }],
+  Base: [{ date: 5 * DAY, tvl: 50 }, { date: 10 * DAY, tvl: 100 }],
+  Empty: [],
+};
+
+describe('buildTimeline', () => {
+  const timeline = buildTimeline(HISTORY, { start: 0, step: 2 * DAY });
+
+  it('steps from the first to the last date, always ending on the last one', () => {
+    expect(timeline.dates).toEqual([0, 2, 4, 6, 8, 10].map(d => d * DAY));
+  });
+
+  it('interpolates each series and is 0 before a network has history', () => {
+    expect(Array.from(timeline.tvl.Ethereum)).toEqual([100, 120, 140, 160, 180, 200]);
+    expect(Array.from(timeline.tvl.Base)).toEqual([0, 0, 0, 60, 80, 100]);
+    expect(timeline.tvl.Empty).toBeUndefined();
+    expect(timeline.totals[5]).toBe(300);
+  });
+
+  it('starts no earlier than the start option', () => {
+    expect(buildTimeline(HISTORY, { start: 4 * DAY, step: 3 * DAY }).dates).toEqual([4, 7, 10].map(d => d * DAY));
+  });
+
+  it('carries the last value forward for series that end early', () => {
+    const early = buildTimeline({ A: [{ date: 0, tvl: 5 }], B: [{ date: 0, tvl: 1 }, { date: 4 * DAY, tvl: 1 }] }, { start: 0, step: 2 * DAY });
+    expect(Array.from(early.tvl.A)).toEqual([5, 5, 5]);
+  });
+
+  it('returns null without any history', () => {
+    expect(buildTimeline({ Empty: [] })).toBeNull();
+    expect(buildTimeline(null)).toBeNull();
+  });
+});
+
+describe('sampleTimeline', () => {
+  const timeline = buildTimeline(HISTORY, { start: 0, step: 2 * DAY });
+
+  it('interpolates TVL and share between snapshots', () => {
+    const sample = sampleTimeline(timeline, 3.5);
+
+    expect(sample.date).toBe(7 * DAY);
+    expect(sample.tvl.Ethereum).toBeCloseTo(170, 6);
+    expect(sample.tvl.Base).toBeCloseTo(70, 6);
+    expect(sample.share.Ethereum + sample.share.Base).toBeCloseTo(100, 6);
+  });
+
+  it('clamps positions outside the timeline', () => {
+    expect(sampleTimeline(timeline, -3).date).toBe(0);
+    expect(sampleTimeline(timeline, 99).tvl.Ethereum).toBe(200);
+    expect(sampleTimeline(timeline, 0).share.Base).toBe(0);
+  });
+});
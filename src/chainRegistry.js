@@ -0,0 +1,539 @@
+/**
+ * Chain registry - single source of truth for per-chain metadata
+ * Used by the API services (DefiLlama, CoinGecko, DexScreener) and the orb (Hero.js)
+ *
+ * Plain data only (hex colours, [x, y, z] positions) so services and Node tooling
+ * can import it without pulling in three.js
+ */
+
+export const CHAIN_REGISTRY = {
+  Ethereum: {
+    name: 'Ethereum',
+    symbol: 'ETH',
+    est: '2015',
+    defillamaName: 'Ethereum',
+    altNames: ['Ethereum'],
+    geckoId: 'ethereum',
+    dexscreenerId: 'ethereum',
+    chainId: 1,
+    iconPath: 'chains/rsz_ethereum.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/279/large/ethereum.png',
+      'https://icons.llama.fi/chains/rsz_ethereum.jpg',
+      'https://assets.trustwalletapp.com/blockchains/ethereum/info/logo.png',
+    ],
+    color: '#00f2ff',
+    pos: [1, 1, 1],
+  },
+  Solana: {
+    name: 'Solana',
+    symbol: 'SOL',
+    est: '2020',
+    defillamaName: 'Solana',
+    altNames: ['Solana'],
+    geckoId: 'solana',
+    dexscreenerId: 'solana',
+    chainId: null,
+    iconPath: 'chains/rsz_solana.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/4128/large/solana.png',
+      'https://icons.llama.fi/chains/rsz_solana.jpg',
+      'https://assets.trustwalletapp.com/blockchains/solana/info/logo.png',
+    ],
+    color: '#9945FF',
+    pos: [-1, 0.5, 0.5],
+  },
+  Bitcoin: {
+    name: 'Bitcoin',
+    symbol: 'BTC',
+    est: '2009',
+    defillamaName: 'Bitcoin',
+    altNames: ['Bitcoin'],
+    geckoId: 'bitcoin',
+    dexscreenerId: 'bitcoin',
+    chainId: null,
+    iconPath: 'chains/rsz_bitcoin.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/1/large/bitcoin.png',
+      'https://icons.llama.fi/chains/rsz_bitcoin.jpg',
+      'https://assets.trustwalletapp.com/blockchains/bitcoin/info/logo.png',
+    ],
+    color: '#F7931A',
+    pos: [0, -1, 1],
+  },
+  BSC: {
+    name: 'BSC',
+    symbol: 'BNB',
+    est: '2020',
+    defillamaName: 'BSC',
+    altNames: ['BSC', 'BNB Chain', 'Binance'],
+    geckoId: 'binancecoin',
+    dexscreenerId: 'bsc',
+    chainId: 56,
+    iconPath: 'chains/rsz_bsc.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/825/large/bnb-icon2_2x.png',
+      'https://assets.trustwalletapp.com/blockchains/smartchain/info/logo.png',
+      'https://icons.llama.fi/chains/rsz_binancecoin.jpg',
+      'https://icons.llama.fi/chains/rsz_bsc.jpg',
+    ],
+    color: '#F3BA2F',
+    pos: [1, -0.5, -1],
+  },
+  Avalanche: {
+    name: 'Avalanche',
+    symbol: 'AVAX',
+    est: '2020',
+    defillamaName: 'Avalanche',
+    altNames: ['Avalanche'],
+    geckoId: 'avalanche-2',
+    dexscreenerId: 'avalanche',
+    chainId: 43114,
+    iconPath: 'chains/rsz_avalanche.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/12559/large/avalanche-avax-logo.png',
+      'https://icons.llama.fi/chains/rsz_avalanche.jpg',
+      'https://assets.trustwalletapp.com/blockchains/avalanchec/info/logo.png',
+    ],
+    color: '#E84142',
+    pos: [-1, -1, -1],
+  },
+  Polygon: {
+    name: 'Polygon',
+    symbol: 'POL',
+    est: '2020',
+    defillamaName: 'Polygon',
+    altNames: ['Polygon', 'Matic'],
+    geckoId: 'matic-network',
+    dexscreenerId: 'polygon',
+    chainId: 137,
+    iconPath: 'chains/rsz_polygon.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/4713/large/polygon.png',
+      'https://icons.llama.fi/chains/rsz_polygon.jpg',
+      'https://assets.trustwalletapp.com/blockchains/polygon/info/logo.png',
+    ],
+    color: '#8247E5',
+    pos: [0.8, 0.3, -1],
+  },
+  Arbitrum: {
+    name: 'Arbitrum',
+    symbol: 'ARB',
+    est: '2021',
+    defillamaName: 'Arbitrum',
+    altNames: ['Arbitrum', 'Arbitrum One'],
+    geckoId: 'arbitrum',
+    dexscreenerId: 'arbitrum',
+    chainId: 42161,
+    iconPath: 'chains/rsz_arbitrum.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/16547/large/arb.jpg',
+      'https://icons.llama.fi/chains/rsz_arbitrum.jpg',
+      'https://assets.trustwalletapp.com/blockchains/arbitrum/info/logo.png',
+    ],
+    color: '#28A0F0',
+    pos: [-0.5, 1, -0.8],
+  },
+  Optimism: {
+    name: 'Optimism',
+    symbol: 'OP',
+    est: '2021',
+    defillamaName: 'Optimism',
+    altNames: ['Optimism', 'OP Mainnet'],
+    geckoId: 'optimism',
+    dexscreenerId: 'optimism',
+    chainId: 10,
+    iconPath: 'chains/rsz_optimism.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/25244/large/Optimism.png',
+      'https://icons.llama.fi/chains/rsz_optimism.jpg',
+      'https://assets.trustwalletapp.com/blockchains/optimism/info/logo.png',
+    ],
+    color: '#FF0420',
+    pos: [0.3, -0.7, 1],
+  },
+  Base: {
+    name: 'Base',
+    symbol: 'ETH',
+    est: '2023',
+    defillamaName: 'Base',
+    altNames: ['Base'],
+    geckoId: null,
+    gasTokenGeckoId: 'ethereum', // Base has no token of its own - gas is paid in ETH
+    dexscreenerId: 'base',
+    chainId: 8453,
+    iconPath: 'chains/rsz_base.jpg',
+    logos: [
+      'https://assets.coingecko.com/asset_platforms/images/131/large/base.jpeg',
+      'https://icons.llama.fi/chains/rsz_base.jpg',
+      'https://assets.trustwalletapp.com/blockchains/base/info/logo.png',
+    ],
+    color: '#0052FF',
+    pos: [-0.9, -0.3, 0.7],
+  },
+  Sui: {
+    name: 'Sui',
+    symbol: 'SUI',
+    est: '2023',
+    defillamaName: 'Sui',
+    altNames: ['Sui'],
+    geckoId: 'sui',
+    dexscreenerId: 'sui',
+    chainId: null,
+    iconPath: 'chains/rsz_sui.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/26375/large/sui-ocean-square.png',
+      'https://icons.llama.fi/chains/rsz_sui.jpg',
+    ],
+    color: '#4DA2FF',
+    pos: [1, 0.7, 0.3],
+  },
+  Cardano: {
+    name: 'Cardano',
+    symbol: 'ADA',
+    est: '2017',
+    defillamaName: 'Cardano',
+    altNames: ['Cardano'],
+    geckoId: 'cardano',
+    dexscreenerId: 'cardano',
+    chainId: null,
+    iconPath: 'chains/rsz_cardano.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/975/large/cardano.png',
+      'https://icons.llama.fi/chains/rsz_cardano.jpg',
+      'https://assets.trustwalletapp.com/blockchains/cardano/info/logo.png',
+    ],
+    color: '#0033AD',
+    pos: [-0.6, 0.8, -0.5],
+  },
+  Tron: {
+    name: 'Tron',
+    symbol: 'TRX',
+    est: '2017',
+    defillamaName: 'Tron',
+    altNames: ['Tron', 'TRON'],
+    geckoId: 'tron',
+    dexscreenerId: 'tron',
+    chainId: null,
+    iconPath: 'chains/rsz_tron.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/1094/large/tron-logo.png',
+      'https://icons.llama.fi/chains/rsz_tron.jpg',
+      'https://assets.trustwalletapp.com/blockchains/tron/info/logo.png',
+    ],
+    color: '#FF060A',
+    pos: [0.5, -1, -0.5],
+  },
+  TON: {
+    name: 'TON',
+    symbol: 'TON',
+    est: '2018',
+    defillamaName: 'TON',
+    altNames: ['TON', 'The Open Network'],
+    geckoId: 'the-open-network',
+    dexscreenerId: 'ton',
+    chainId: null,
+    iconPath: 'chains/rsz_ton.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/17980/large/ton_symbol.png',
+      'https://icons.llama.fi/chains/rsz_ton.jpg',
+    ],
+    color: '#0098EA',
+    pos: [-0.3, -0.5, -1],
+  },
+  Polkadot: {
+    name: 'Polkadot',
+    symbol: 'DOT',
+    est: '2020',
+    defillamaName: 'Polkadot',
+    altNames: ['Polkadot'],
+    geckoId: 'polkadot',
+    dexscreenerId: 'polkadot',
+    chainId: null,
+    iconPath: 'chains/rsz_polkadot.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/12171/large/polkadot.png',
+      'https://icons.llama.fi/chains/rsz_polkadot.jpg',
+      'https://assets.trustwalletapp.com/blockchains/polkadot/info/logo.png',
+    ],
+    color: '#E6007A',
+    pos: [0.7, 0.5, -0.7],
+  },
+  Near: {
+    name: 'Near',
+    symbol: 'NEAR',
+    est: '2020',
+    defillamaName: 'Near',
+    altNames: ['Near', 'NEAR'],
+    geckoId: 'near',
+    dexscreenerId: 'near',
+    chainId: null,
+    iconPath: 'chains/rsz_near.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/10365/large/near.jpg',
+      'https://icons.llama.fi/chains/rsz_near.jpg',
+    ],
+    color: '#00C1DE',
+    pos: [-1, 0.2, -0.3],
+  },
+  Fantom: {
+    name: 'Fantom',
+    symbol: 'FTM',
+    est: '2019',
+    defillamaName: 'Fantom',
+    altNames: ['Fantom'],
+    geckoId: 'fantom',
+    dexscreenerId: 'fantom',
+    chainId: 250,
+    iconPath: 'chains/rsz_fantom.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/4001/large/Fantom_round.png',
+      'https://icons.llama.fi/chains/rsz_fantom.jpg',
+      'https://assets.trustwalletapp.com/blockchains/fantom/info/logo.png',
+    ],
+    color: '#1969FF',
+    pos: [0.4, 0.9, 0.6],
+  },
+  Cosmos: {
+    name: 'Cosmos',
+    symbol: 'ATOM',
+    est: '2019',
+    defillamaName: 'CosmosHub',
+    altNames: ['Cosmos', 'CosmosHub', 'Cosmos Hub'],
+    geckoId: 'cosmos',
+    dexscreenerId: 'cosmoshub',
+    chainId: null,
+    iconPath: 'chains/rsz_cosmos.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/1481/large/cosmos_hub.png',
+      'https://icons.llama.fi/chains/rsz_cosmos.jpg',
+      'https://assets.trustwalletapp.com/blockchains/cosmos/info/logo.png',
+    ],
+    color: '#6F7390',
+    pos: [-0.8, -0.8, 0.3],
+  },
+  Aptos: {
+    name: 'Aptos',
+    symbol: 'APT',
+    est: '2022',
+    defillamaName: 'Aptos',
+    altNames: ['Aptos'],
+    geckoId: 'aptos',
+    dexscreenerId: 'aptos',
+    chainId: null,
+    iconPath: 'chains/rsz_aptos.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/26455/large/aptos_round.png',
+      'https://icons.llama.fi/chains/rsz_aptos.jpg',
+    ],
+    color: '#2DD8A3',
+    pos: [0.6, -0.4, 0.8],
+  },
+  Cronos: {
+    name: 'Cronos',
+    symbol: 'CRO',
+    est: '2021',
+    defillamaName: 'Cronos',
+    altNames: ['Cronos'],
+    geckoId: 'crypto-com-chain',
+    dexscreenerId: 'cronos',
+    chainId: 25,
+    iconPath: 'chains/rsz_cronos.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/7310/large/cro_token_logo.png',
+      'https://icons.llama.fi/chains/rsz_cronos.jpg',
+    ],
+    color: '#002D74',
+    pos: [0.2, 0.6, -1],
+  },
+  Sei: {
+    name: 'Sei',
+    symbol: 'SEI',
+    est: '2023',
+    defillamaName: 'Sei',
+    altNames: ['Sei'],
+    geckoId: 'sei-network',
+    dexscreenerId: 'sei',
+    chainId: 1329,
+    iconPath: 'chains/rsz_sei.jpg',
+    logos: [
+      'https://assets.coingecko.com/coins/images/28205/large/Sei_Logo_-_Transparent.png',
+      'https://icons.llama.fi/chains/rsz_sei.jpg',
+    ],
+    color: '#9B1B30',
+    pos: [-0.4, 0.4, 1],
+  },
+};
+
+export const CHAIN_NAMES = Object.keys(CHAIN_REGISTRY);
+
+/**
+ * Find a chain by network name, DefiLlama name or any alt name (case-insensitive)
+ * @param {string} name - Network or chain name
+ */
+export function findChain(name) {
+  if (!name) return null;
+  if (CHAIN_REGISTRY[name]) return CHAIN_REGISTRY[name];
+
+  const lower = name.toLowerCase();
+  return Object.values(CHAIN_REGISTRY).find(chain =>
+    chain.name.toLowerCase() === lower ||
+    chain.defillamaName.toLowerCase() === lower ||
+    chain.altNames.some(alt => alt.toLowerCase() === lower)
+  ) || null;
+}
+
+/**
+ * Every name a chain may be listed under by the data providers, lowercased
+ * Unknown chains resolve to just their own name. altNames are spellings of the same
+ * chain only - related chains such as Aurora (Near) or Sonic (Fantom) have their own data
+ * @param {string} name - Network or chain name
+ */
+export function getChainAliases(name) {
+  const chain = findChain(name);
+  const names = chain ? [name, chain.name, chain.defillamaName, ...chain.altNames] : [name];
+  return [...new Set(names.filter(Boolean).map(n => n.toLowerCase()))];
+}
+
+/**
+ * Key a provider uses for a chain in a map keyed by chain name (case-insensitive)
+ * A registry chain resolves by its DefiLlama name, then its network name, then altNames
+ * in order, so two spellings of the same chain always pick the same entry whichever
+ * one the caller passed. Unknown chains only match their own name.
+ * @param {Object} byChain - Provider data keyed by chain name
+ * @param {string} name - Network or chain name
+ * @returns {string|null}
+ */
+export function findChainKey(byChain, name) {
+  if (!byChain || !name) return null;
+  const chain = findChain(name);
+  const candidates = chain ? [chain.defillamaName, chain.name, ...chain.altNames] : [name];
+
+  const keysByName = new Map();
+  Object.keys(byChain).forEach(key => {
+    const lower = key.toLowerCase();
+    if (!keysByName.has(lower)) keysByName.set(lower, key);
+  });
+  const match = candidates.find(candidate => keysByName.has(candidate.toLowerCase()));
+  return match ? keysByName.get(match.toLowerCase()) : null;
+}
+
+/**
+ * CoinGecko ID used for a chain's price - its own token, else the token it pays gas in
+ * @param {string} name - Network or chain name
+ */
+export function getChainPriceGeckoId(name) {
+  const chain = findChain(name);
+  if (!chain) return null;
+  return chain.geckoId || chain.gasTokenGeckoId || null;
+}
+
+function findDuplicates(entries) {
+  const seen = {};
+  entries.forEach(([chainName, value]) => {
+    if (value === null || value === undefined) return;
+    const key = String(value).toLowerCase();
+    seen[key] = seen[key] || [];
+    seen[key].push(chainName);
+  });
+  return Object.entries(seen).filter(([, chains]) => chains.length > 1);
+}
+
+/**
+ * Check the registry for inconsistencies
+ * Optionally cross-checks against live DefiLlama chain data (map of chain name -> { geckoId, chainId })
+ * @param {Object} liveChains - Optional output of fetchChainTVL()
+ * @returns {Array<string>} Human-readable issues, empty when consistent
+ */
+export function validateChainRegistry(liveChains = null, registry = CHAIN_REGISTRY) {
+  const issues = [];
+  const chains = Object.entries(registry);
+
+  chains.forEach(([key, chain]) => {
+    if (chain.name !== key) {
+      issues.push(`${key}: name "${chain.name}" does not match its registry key`);
+    }
+    ['symbol', 'est', 'defillamaName', 'dexscreenerId', 'iconPath', 'color'].forEach(field => {
+      if (!chain[field]) issues.push(`${key}: missing ${field}`);
+    });
+    if (!chain.geckoId && !chain.gasTokenGeckoId) {
+      issues.push(`${key}: no CoinGecko ID for pricing`);
+    }
+    if (chain.gasTokenGeckoId && chain.geckoId === chain.gasTokenGeckoId) {
+      issues.push(`${key}: geckoId duplicates gasTokenGeckoId "${chain.gasTokenGeckoId}"`);
+    }
+    if (!Array.isArray(chain.altNames) || !chain.altNames.includes(chain.defillamaName)) {
+      issues.push(`${key}: altNames should include the DefiLlama name "${chain.defillamaName}"`);
+    }
+    if (!Array.isArray(chain.logos) || chain.logos.length === 0) {
+      issues.push(`${key}: no logos`);
+    }
+    if (chain.color && !/^#[0-9a-f]{6}$/i.test(chain.color)) {
+      issues.push(`${key}: invalid colour "${chain.color}"`);
+    }
+    if (!Array.isArray(chain.pos) || chain.pos.length !== 3 || chain.pos.every(v => v === 0)) {
+      issues.push(`${key}: invalid orb position`);
+    }
+    if (chain.chainId !== null && !Number.isInteger(chain.chainId)) {
+      issues.push(`${key}: EVM chainId must be an integer or null`);
+    }
+  });
+
+  // Two chains sharing an identifier means one of them is wrong (e.g. Base priced as Ethereum)
+  const uniqueFields = {
+    geckoId: chains.map(([key, chain]) => [key, chain.geckoId]),
+    dexscreenerId: chains.map(([key, chain]) => [key, chain.dexscreenerId]),
+    chainId: chains.map(([key, chain]) => [key, chain.chainId]),
+    defillamaName: chains.map(([key, chain]) => [key, chain.defillamaName]),
+    altName: chains.flatMap(([key, chain]) => [...new Set((chain.altNames || []).map(alt => alt.toLowerCase()))].map(alt => [key, alt])),
+  };
+  Object.entries(uniqueFields).forEach(([field, entries]) => {
+    findDuplicates(entries).forEach(([value, owners]) => {
+      issues.push(`${owners.join(', ')}: share ${field} "${value}"`);
+    });
+  });
+
+  // Orb regions on top of each other are indistinguishable
+  for (let i = 0; i < chains.length; i++) {
+    for (let j = i + 1; j < chains.length; j++) {
+      const a = normalize(chains[i][1].pos);
+      const b = normalize(chains[j][1].pos);
+      if (a && b && a[0] * b[0] + a[1] * b[1] + a[2] * b[2] > 0.999) {
+        issues.push(`${chains[i][0]}, ${chains[j][0]}: share the same orb position`);
+      }
+    }
+  }
+
+  if (liveChains) {
+    chains.forEach(([key, chain]) => {
+      const live = [chain.defillamaName, ...(chain.altNames || [])]
+        .map(name => liveChains[name])
+        .find(Boolean);
+      if (!live) return;
+      if (live.geckoId && chain.geckoId && live.geckoId !== chain.geckoId) {
+        issues.push(`${key}: geckoId "${chain.geckoId}" but DefiLlama reports "${live.geckoId}"`);
+      }
+      if (live.chainId && chain.chainId && Number(live.chainId) !== chain.chainId) {
+        issues.push(`${key}: chainId ${chain.chainId} but DefiLlama reports ${live.chainId}`);
+      }
+    });
+  }
+
+  return issues;
+}
+
+function normalize(v) {
+  if (!Array.isArray(v) || v.length !== 3) return null;
+  const len = Math.hypot(v[0], v[1], v[2]);
+  return len > 0 ? [v[0] / len, v[1] / len, v[2] / len] : null;
+}
+
+/**
+ * Log registry issues (development builds only)
+ */
+export function reportChainRegistryIssues(liveChains = null) {
+  if (process.env.NODE_ENV === 'production') return;
+  validateChainRegistry(liveChains).forEach(issue => {
+    console.warn(`Chain registry: ${issue}`);
+  });
+}
@@ -0,0 +1,88 @@
+/**
+ * Colour-mapping modes for the orb's network regions
+ * Each mode turns a per-network value into a region colour; the scale it builds is
+ * shared with the legend so the two always agree
+ */
+
+import * as THREE from 'three';
+
+// Diverging scale for percentage changes: red (down) -> neutral -> green (up)
+const DIVERGING_STOPS = ['#ef4444', '#3f3f46', '#22c55e'];
+// Symmetric range in %, fitted to the data but kept within these bounds
+const DIVERGING_MIN_RANGE = 1;
+const DIVERGING_MAX_RANGE = 10;
+
+// Sequential intensity scales, low -> high
+const FEES_STOPS = ['#2e1065', '#9333ea', '#f97316', '#fde047'];
+const VOLUME_STOPS = ['#0c4a6e', '#0891b2', '#2dd4bf', '#bef264'];
+
+/**
+ * Available modes, in selector order
+ * `metric` is the key passed to fetchNetworkMetric in services/defillama
+ */
+export const COLOR_MODES = {
+  metal: { label: 'Off' },
+  brand: { label: 'Brand' },
+  tvlChange: { label: '24h TVL', title: 'TVL change, 24h', metric: 'tvlChange', scale: 'diverging', stops: DIVERGING_STOPS },
+  fees: { label: 'Fees', title: 'Fees, 24h', metric: 'fees', scale: 'sequential', stops: FEES_STOPS },
+  volume: { label: 'DEX Vol', title: 'DEX volume, 24h', metric: 'volume', scale: 'sequential', stops: VOLUME_STOPS },
+};
+
+/**
+ * Colour at t (0..1) along evenly spaced hex stops
+ */
+export function sampleGradient(stops, t, target = new THREE.Color()) {
+  const clamped = Math.min(1, Math.max(0, t));
+  const position = clamped * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  return target.set(stops[index]).lerp(new THREE.Color(stops[index + 1]), position - index);
+}
+
+/**
+ * Value range for a mode, fitted to the networks' values
+ * @param {string} mode - Key of COLOR_MODES
+ * @param {Array} networks - Networks with a name
+ * @param {Object|null} values - Map of network name to raw value
+ * @returns {{ type: string, min: number, max: number, stops: string[] }|null} null when the mode has no scale or no data
+ */
+export function computeColorScale(mode, networks, values) {
+  const config = COLOR_MODES[mode];
+  if (!config?.scale || !values) return null;
+
+  const known = networks.map(net => values[net.name]).filter(Number.isFinite);
+
+  if (config.scale === 'diverging') {
+    if (known.length === 0) return null;
+    const largest = Math.max(...known.map(Math.abs));
+    const range = Math.min(DIVERGING_MAX_RANGE, Math.max(DIVERGING_MIN_RANGE, largest));
+    return { type: 'diverging', min: -range, max: range, stops: config.stops };
+  }
+
+  const positive = known.filter(value => value > 0);
+  if (positive.length === 0) return null;
+  return { type: 'sequential', min: Math.min(...positive), max: Math.max(...positive), stops: config.stops };
+}
+
+/**
+ * Colour for each network's region under a mode
+ * Sequential scales are logarithmic since fees and volume span several orders of magnitude
+ * @returns {Array<THREE.Color|null>} One entry per network, null = leave the region uncoloured
+ */
+export function computeRegionColors(mode, networks, values, scale = computeColorScale(mode, networks, values)) {
+  if (mode === 'brand') return networks.map(net => net.color.clone());
+  if (!scale) return networks.map(() => null);
+
+  return networks.map(net => {
+    const value = values[net.name];
+    if (!Number.isFinite(value)) return null;
+
+    if (scale.type === 'diverging') {
+      return sampleGradient(scale.stops, (value - scale.min) / (scale.max - scale.min));
+    }
+
+    if (!(value > 0)) return null;
+    const logMin = Math.log10(scale.min);
+    const logRange = Math.log10(scale.max) - logMin;
+    return sampleGradient(scale.stops, logRange > 0 ? (Math.log10(value) - logMin) / logRange : 1);
+  });
+}
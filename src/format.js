@@ -0,0 +1,21 @@
+/**
+ * Number formatting shared by the cards, tooltips and orb overlays
+ */
+
+/**
+ * Compact amount without a unit - 1.23T, 4.56B, 7.8M, 12K, 950
+ */
+export function formatCompact(value) {
+  if (value >= 1e12) return `${(value / 1e12).toFixed(2)}T`;
+  if (value >= 1e9) return `${(value / 1e9).toFixed(2)}B`;
+  if (value >= 1e6) return `${(value / 1e6).toFixed(1)}M`;
+  if (value >= 1e3) return `${(value / 1e3).toFixed(0)}K`;
+  return value.toFixed(0);
+}
+
+/**
+ * Compact USD amount - $1.23T, $4.56B, $7.8M, $12K, $950
+ */
+export function formatUsdCompact(value) {
+  return `$${formatCompact(value)}`;
+}
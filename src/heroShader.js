@@ -1,7 +1,21 @@
+// Uniform array sizes - regions past MAX_SHADER_REGIONS keep the metal base and default height
+export const MAX_SHADER_REGIONS = 64;
+export const MAX_SHADER_DAPPS = 20;
+
 export const heroVertexShader = `
+    #define MAX_REGIONS ${MAX_SHADER_REGIONS}
+    #define MAX_DAPPS ${MAX_SHADER_DAPPS}
+
     attribute vec3 a_instancePos;
     attribute vec4 a_instanceQuaternions;
     attribute vec3 a_instanceColor;
+    attribute float a_networkIndex;
+
+    // Per-network state, indexed by a_networkIndex
+    // u_regionColors: rgb = region colour, a = how far it covers the metal base
+    // u_regionFlashes: rgb = additive flash colour, a = spike height (packed to save uniform slots)
+    uniform vec4 u_regionColors[MAX_REGIONS];
+    uniform vec4 u_regionFlashes[MAX_REGIONS];
 
     #ifdef IS_DEPTH
         varying vec2 vHighPrecisionZW;
@@ -16,6 +30,38 @@ export const heroVertexShader = `
         varying vec3 v_color;
         varying float v_hotFactor;
 
+        // dApp mode: the selected network's cap is split between its dApps, the rest is muted
+        uniform float u_dappMix;
+        uniform vec3 u_dappNetworkPos;
+        uniform int u_dappCount;
+        uniform vec3 u_dappPositions[MAX_DAPPS];
+        uniform vec4 u_dappColors[MAX_DAPPS]; // rgb + TVL share
+        uniform vec3 u_dappMutedColor;
+        uniform vec3 u_dappDarkColor;
+        uniform vec3 u_flashColor;
+        uniform float u_flashIntensity;
+
+        vec3 getDappColor(vec3 dir) {
+            float dotNetwork = dot(dir, u_dappNetworkPos);
+            if (dotNetwork <= 0.45) return u_dappMutedColor;
+
+            vec4 closest = u_dappColors[0];
+            float maxDot = -2.0;
+            for (int d = 0; d < MAX_DAPPS; d++) {
+                if (d >= u_dappCount) break;
+                float dotDapp = dot(dir, u_dappPositions[d]);
+                if (dotDapp > maxDot) {
+                    maxDot = dotDapp;
+                    closest = u_dappColors[d];
+                }
+            }
+
+            // Color intensity - more muted for metallic look
+            float proximity = (dotNetwork - 0.45) / 0.55;
+            float intensity = min(0.6, proximity * (0.3 + closest.a * 1.5));
+            return mix(u_dappDarkColor, closest.rgb, intensity * 0.4);
+        }
+
         #ifdef USE_SHADOWMAP
             uniform mat4 directionalShadowMatrix[1];
             varying vec4 vDirectionalShadowCoord[1];
@@ -60,6 +106,10 @@ export const heroVertexShader = `
         vec3 pos = position;
         vec3 norm = normal;
 
+        int regionIndex = int(a_networkIndex + 0.5);
+        bool hasRegion = regionIndex < MAX_REGIONS;
+        float regionHeight = hasRegion ? u_regionFlashes[regionIndex].a : 1.0;
+
         float distanceToSphere1 = length(a_instancePos - u_sphere1Position);
         float distanceToSphere2 = length(a_instancePos - u_sphere2Position);
         float distanceToSphere3 = length(a_instancePos - u_sphere3Position);
@@ -83,6 +133,9 @@ export const heroVertexShader = `
             norm = vec3(0, -1, 0);
         }
 
+        // Stretch the spike outward from its root (+y points into the sphere)
+        pos.y = 3.0 + (pos.y - 3.0) * regionHeight;
+
         pos = rotateByQuaternion(pos, a_instanceQuaternions);
         pos *= u_scale;
         pos += a_instancePos;
@@ -106,12 +159,23 @@ export const heroVertexShader = `
             v_viewPosition = -viewPosition.xyz;
             v_instancePos = a_instancePos;
             v_worldNormal = inverseTransformDirection(v_viewNormal, viewMatrix);
-            v_color = a_instanceColor;
+            vec3 color = a_instanceColor;
+            if (hasRegion) {
+                vec4 region = u_regionColors[regionIndex];
+                color = mix(color, region.rgb, region.a);
+            }
+            if (u_dappMix > 0.0) {
+                color = mix(color, getDappColor(normalize(a_instancePos)), u_dappMix);
+            }
+            if (hasRegion) color += u_regionFlashes[regionIndex].rgb;
+            v_color = min(vec3(1.0), color + u_flashColor * u_flashIntensity);
             
             float distToHot = length(normalize(a_instancePos) - normalize(u_hotContinentPos));
             v_hotFactor = smoothstep(0.4, 0.0, distToHot) * u_hotBeamIntensity;
 
-            vDirectionalShadowCoord[0] = directionalShadowMatrix[0] * worldPosition + vec4(v_worldNormal * directionalLightShadows[0].shadowNormalBias, 0. );
+            #ifdef USE_SHADOWMAP
+                vDirectionalShadowCoord[0] = directionalShadowMatrix[0] * worldPosition + vec4(v_worldNormal * directionalLightShadows[0].shadowNormalBias, 0. );
+            #endif
         #endif
     }
 `
@@ -134,19 +198,19 @@ export const heroFragmentShader = `
     uniform vec2 u_noiseCoordOffset;
     uniform vec3 u_color;
     uniform vec3 u_hotColor;
-    uniform vec3 u_flashColor;
-    uniform float u_flashIntensity;
-
-    uniform sampler2D directionalShadowMap[ 1 ];
-    varying vec4 vDirectionalShadowCoord[ 1 ];
 
-    struct DirectionalLightShadow {
-        float shadowBias;
-        float shadowNormalBias;
-        float shadowRadius;
-        vec2 shadowMapSize;
-    };
-    uniform DirectionalLightShadow directionalLightShadows[ 1 ];
+    #ifdef USE_SHADOWMAP
+        uniform sampler2D directionalShadowMap[ 1 ];
+        varying vec4 vDirectionalShadowCoord[ 1 ];
+
+        struct DirectionalLightShadow {
+            float shadowBias;
+            float shadowNormalBias;
+            float shadowRadius;
+            vec2 shadowMapSize;
+        };
+        uniform DirectionalLightShadow directionalLightShadows[ 1 ];
+    #endif
 
     #define saturate( a ) clamp( a, 0.0, 1.0 )
 
@@ -213,11 +277,14 @@ export const heroFragmentShader = `
         return texture2D(u_noiseTexture, coord * u_noiseTexelSize + u_noiseCoordOffset).rgb;
     }
 
+    // Fully lit when the quality preset turns shadows off
     float getShadowMask() {
         float shadow = 1.0;
-        vec3 blueNoise = getBlueNoise(gl_FragCoord.xy);
-        DirectionalLightShadow directionalLight = directionalLightShadows[0];
-        shadow *= getShadow( directionalShadowMap[0], directionalLight.shadowMapSize, directionalLight.shadowBias - blueNoise.z * 0.002, directionalLight.shadowRadius, vDirectionalShadowCoord[0] + vec4(blueNoise.xy / directionalLight.shadowMapSize, 0.0, 0.0));
+        #ifdef USE_SHADOWMAP
+            vec3 blueNoise = getBlueNoise(gl_FragCoord.xy);
+            DirectionalLightShadow directionalLight = directionalLightShadows[0];
+            shadow *= getShadow( directionalShadowMap[0], directionalLight.shadowMapSize, directionalLight.shadowBias - blueNoise.z * 0.002, directionalLight.shadowRadius, vDirectionalShadowCoord[0] + vec4(blueNoise.xy / directionalLight.shadowMapSize, 0.0, 0.0));
+        #endif
         return shadow;
     }
 
@@ -0,0 +1,56 @@
+/**
+ * Per-network data cache shared by the stats card, comparison table, tooltips and dApp nodes
+ * Filled by the startup prefetch and whenever a card opens. The card wants fresh data and
+ * refetches once an entry is older than NETWORK_CACHE_MAX_AGE; tooltips and other glanceable
+ * views read entries of any age rather than fetching on hover.
+ */
+
+export const NETWORK_CACHE_MAX_AGE = 5 * 60 * 1000; // 5 minutes
+
+const entries = new Map(); // network name -> data with fetchedAt (ms)
+const pendingLoads = new Map(); // network name -> Promise
+
+/**
+ * Store a network's data, stamped with the time it was fetched
+ */
+export function cacheNetworkData(networkName, data) {
+  const entry = { ...data, fetchedAt: Date.now() };
+  entries.set(networkName, entry);
+  return entry;
+}
+
+// Cached data for a network, or null when missing or stale
+export function getCachedNetworkData(networkName) {
+  const cached = entries.get(networkName);
+  return cached && (Date.now() - cached.fetchedAt) < NETWORK_CACHE_MAX_AGE ? cached : null;
+}
+
+// Cached data for a network whatever its age, or null when it was never fetched
+export function peekNetworkData(networkName) {
+  return entries.get(networkName) || null;
+}
+
+export function cachedNetworkEntries() {
+  return entries.entries();
+}
+
+export function cachedNetworkCount() {
+  return entries.size;
+}
+
+/**
+ * Network data from the cache, fetched once (and shared by concurrent callers) when missing or stale
+ * @param {Object} network - Network with a name
+ * @param {function(Object): Promise<Object|null>} fetcher - Fetches and caches the network's data
+ */
+export function loadNetworkData(network, fetcher) {
+  const cached = getCachedNetworkData(network.name);
+  if (cached) return Promise.resolve(cached);
+
+  if (!pendingLoads.has(network.name)) {
+    pendingLoads.set(network.name, fetcher(network).finally(() => {
+      pendingLoads.delete(network.name);
+    }));
+  }
+  return pendingLoads.get(network.name);
+}
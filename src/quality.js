@@ -0,0 +1,162 @@
+/**
+ * Rendering quality presets and the automatic frame-time governor
+ * A preset sets the canvas DPR, orb instance count, shadows and each postprocessing pass
+ * In auto mode the governor steps between presets as frame times change
+ */
+
+export const QUALITY_PRESETS = {
+  low: {
+    label: 'Low',
+    dpr: [0.75, 1],
+    instances: 2000,
+    shadows: false,
+    shadowMapSize: 512,
+    blur: false,
+    smaa: false,
+    bloom: false,
+    vignette: true,
+  },
+  medium: {
+    label: 'Medium',
+    dpr: [1, 1],
+    instances: 3500,
+    shadows: true,
+    shadowMapSize: 512,
+    blur: false,
+    smaa: false,
+    bloom: true,
+    vignette: true,
+  },
+  high: {
+    label: 'High',
+    dpr: [1, 1.5],
+    instances: 5000,
+    shadows: true,
+    shadowMapSize: 1024,
+    blur: true,
+    smaa: true,
+    bloom: true,
+    vignette: true,
+  },
+  ultra: {
+    label: 'Ultra',
+    dpr: [1, 2],
+    instances: 12000,
+    shadows: true,
+    shadowMapSize: 2048,
+    blur: true,
+    smaa: true,
+    bloom: true,
+    vignette: true,
+  },
+};
+
+export const QUALITY_LEVELS = Object.keys(QUALITY_PRESETS);
+export const AUTO_QUALITY = 'auto';
+// Auto mode starts here and never climbs past it - Ultra is opt-in
+export const AUTO_MAX_LEVEL = 'high';
+
+const STORAGE_KEY = 'orb-quality';
+
+// Frames per measurement window, and the average frame times that trigger a step
+const SAMPLE_WINDOW = 120;
+const SLOW_FRAME_MS = 1000 / 40;
+const FAST_FRAME_MS = 1000 / 55;
+// Consecutive fast windows needed before stepping up
+const STEP_UP_WINDOWS = 4;
+// Frames ignored after a step while shaders recompile and buffers rebuild
+const WARMUP_FRAMES = 30;
+// Longer gaps are a hidden tab or a stall, not rendering cost
+const MAX_FRAME_MS = 250;
+// How long a level that was too slow stays off-limits
+const CEILING_HOLD_MS = 60 * 1000;
+
+/**
+ * Read the saved quality setting - 'auto' or a preset key
+ */
+export function loadQualitySetting(storage = window.localStorage) {
+  try {
+    const saved = storage.getItem(STORAGE_KEY);
+    return saved === AUTO_QUALITY || QUALITY_PRESETS[saved] ? saved : AUTO_QUALITY;
+  } catch (e) {
+    return AUTO_QUALITY;
+  }
+}
+
+export function saveQualitySetting(setting, storage = window.localStorage) {
+  try {
+    storage.setItem(STORAGE_KEY, setting);
+  } catch (e) {
+    // Storage can be unavailable (private mode) - the choice just won't persist
+  }
+}
+
+/**
+ * Frame-time governor for auto mode
+ * Feed it every frame's duration; it answers with a new level when one is due.
+ * Steps down after one slow window, steps up only after several fast ones, and
+ * keeps a level that proved too slow off-limits for a while so it doesn't oscillate.
+ * @param {Object} options - { initial, maxLevel } preset keys
+ * @returns {{ sample: function(number): string|null, level: function(): string }}
+ */
+export function createQualityGovernor({ initial = AUTO_MAX_LEVEL, maxLevel = AUTO_MAX_LEVEL } = {}) {
+  const maxIndex = QUALITY_LEVELS.indexOf(maxLevel);
+  let index = Math.min(maxIndex, Math.max(0, QUALITY_LEVELS.indexOf(initial)));
+  let frames = 0;
+  let total = 0;
+  let fastWindows = 0;
+  let warmup = WARMUP_FRAMES;
+  let ceiling = maxIndex;
+  let ceilingTimer = 0;
+
+  const step = (delta) => {
+    index += delta;
+    frames = 0;
+    total = 0;
+    fastWindows = 0;
+    warmup = WARMUP_FRAMES;
+    return QUALITY_LEVELS[index];
+  };
+
+  return {
+    level: () => QUALITY_LEVELS[index],
+
+    sample(frameMs) {
+      if (!(frameMs > 0) || frameMs > MAX_FRAME_MS) return null;
+
+      if (ceiling < maxIndex) {
+        ceilingTimer += frameMs;
+        if (ceilingTimer >= CEILING_HOLD_MS) ceiling = maxIndex;
+      }
+
+      if (warmup > 0) {
+        warmup--;
+        return null;
+      }
+
+      frames++;
+      total += frameMs;
+      if (frames < SAMPLE_WINDOW) return null;
+
+      const average = total / frames;
+      frames = 0;
+      total = 0;
+
+      if (average > SLOW_FRAME_MS) {
+        fastWindows = 0;
+        if (index === 0) return null;
+        ceiling = index - 1;
+        ceilingTimer = 0;
+        return step(-1);
+      }
+
+      if (average < FAST_FRAME_MS) {
+        fastWindows++;
+        if (fastWindows >= STEP_UP_WINDOWS && index < ceiling) return step(1);
+      } else {
+        fastWindows = 0;
+      }
+      return null;
+    },
+  };
+}
@@ -0,0 +1,101 @@
+/**
+ * Weighted partition of the orb surface into network regions
+ *
+ * A point belongs to the network with the highest dot(point, network.pos) + weight -
+ * a power diagram on the sphere. With all weights at 0 this is the plain
+ * nearest-seed partition; the weights are solved so each network's share of the
+ * surface tracks its market share.
+ */
+
+import * as THREE from 'three';
+
+// Smallest share of the surface any network gets, so tiny chains stay clickable
+export const MIN_REGION_SHARE = 0.01;
+
+const SOLVER_ITERATIONS = 60;
+const SOLVER_STEP = 0.5;
+// Sample count used to measure region areas while solving
+export const SOLVER_SAMPLES = 1500;
+
+/**
+ * Evenly spread points on the unit sphere (Fibonacci lattice)
+ */
+export function fibonacciSphere(count) {
+  const goldenAngle = Math.PI * (3 - Math.sqrt(5));
+  const points = [];
+  for (let i = 0; i < count; i++) {
+    const y = count > 1 ? 1 - (i / (count - 1)) * 2 : 0;
+    const r = Math.sqrt(1 - y * y);
+    const theta = goldenAngle * i;
+    points.push(new THREE.Vector3(Math.cos(theta) * r, y, Math.sin(theta) * r));
+  }
+  return points;
+}
+
+/**
+ * Fraction of the surface each network should cover, from its marketShare
+ * Equal shares when no network has a market share yet
+ */
+export function regionTargetShares(networks) {
+  const count = networks.length;
+  if (count === 0) return [];
+
+  const shares = networks.map(net => Math.max(0, net.marketShare || 0));
+  const total = shares.reduce((sum, share) => sum + share, 0);
+  if (total === 0) return shares.map(() => 1 / count);
+
+  const floor = Math.min(MIN_REGION_SHARE, 1 / count);
+  const free = 1 - floor * count;
+  return shares.map(share => floor + free * (share / total));
+}
+
+/**
+ * Index of the network owning a unit-sphere point
+ * @param {THREE.Vector3} point - Normalized position on the sphere
+ * @param {Array} networks - Networks with a normalized pos
+ * @param {Float32Array|null} weights - From computeRegionWeights (null = unweighted)
+ */
+export function findRegionOwner(point, networks, weights = null) {
+  let owner = 0;
+  let bestScore = -Infinity;
+  for (let n = 0; n < networks.length; n++) {
+    const score = point.dot(networks[n].pos) + (weights ? weights[n] : 0);
+    if (score > bestScore) {
+      bestScore = score;
+      owner = n;
+    }
+  }
+  return owner;
+}
+
+/**
+ * Solve region weights so each network covers its target share of the points
+ * Plain fixed-point iteration: grow the weight of networks that are too small,
+ * shrink the ones that are too large, with a step that anneals to zero
+ * @param {Array} networks - Networks with pos and marketShare
+ * @param {THREE.Vector3[]} points - Evenly spread unit-sphere samples
+ * @returns {Float32Array} One weight per network
+ */
+export function computeRegionWeights(networks, points, iterations = SOLVER_ITERATIONS) {
+  const weights = new Float32Array(networks.length);
+  // Nothing to size by until analytics arrive - keep the plain nearest-seed partition
+  const hasShares = networks.some(net => net.marketShare > 0);
+  if (networks.length < 2 || points.length === 0 || !hasShares) return weights;
+
+  const targets = regionTargetShares(networks);
+  const counts = new Uint32Array(networks.length);
+
+  for (let iter = 0; iter < iterations; iter++) {
+    counts.fill(0);
+    for (const point of points) {
+      counts[findRegionOwner(point, networks, weights)]++;
+    }
+
+    const step = SOLVER_STEP * (1 - iter / iterations);
+    for (let n = 0; n < networks.length; n++) {
+      weights[n] += step * (targets[n] - counts[n] / points.length);
+    }
+  }
+
+  return weights;
+}
@@ -0,0 +1,71 @@
+/**
+ * URL routing for the selected network, dApp and StatsCard tab
+ *   /                                     nothing selected
+ *   /network/Arbitrum                     network card open on the overview tab
+ *   /network/Arbitrum?tab=dapps           network card on the dapps tab
+ *   /network/Arbitrum?tab=yields          network card on the yield explorer
+ *   /network/Tron?tab=stablecoins         network card on the stablecoin breakdown
+ *   /network/Ethereum?tab=dex             network card on the DEX ranking
+ *   /network/Ethereum?tab=fees            network card on the fees and revenue breakdown
+ *   /network/Arbitrum/dapps/GMX?tab=dapps dApp detail view
+ */
+
+export const CARD_TABS = ['overview', 'dapps', 'yields', 'stablecoins', 'dex', 'fees'];
+const DEFAULT_TAB = 'overview';
+
+/**
+ * Read the route from a location
+ * @param {Object} location - Anything with pathname and search (window.location)
+ * @returns {{ networkName: string|null, dappName: string|null, tab: string }}
+ */
+export function parseRoute(location) {
+  const segments = location.pathname.split('/').filter(Boolean).map(segment => {
+    try {
+      return decodeURIComponent(segment);
+    } catch (e) {
+      return segment;
+    }
+  });
+  const tab = new URLSearchParams(location.search).get('tab');
+
+  const route = {
+    networkName: null,
+    dappName: null,
+    tab: CARD_TABS.includes(tab) ? tab : DEFAULT_TAB,
+  };
+
+  if (segments[0] === 'network' && segments[1]) {
+    route.networkName = segments[1];
+    if (segments[2] === 'dapps' && segments[3]) {
+      route.dappName = segments[3];
+    }
+  }
+
+  return route;
+}
+
+/**
+ * Build the URL (path + query) for a selection
+ * @param {{ networkName?: string, dappName?: string, tab?: string }} route
+ */
+export function buildRoute({ networkName, dappName, tab }) {
+  if (!networkName) return '/';
+
+  let path = `/network/${encodeURIComponent(networkName)}`;
+  if (dappName) {
+    path += `/dapps/${encodeURIComponent(dappName)}`;
+  }
+  if (tab && tab !== DEFAULT_TAB) {
+    path += `?tab=${encodeURIComponent(tab)}`;
+  }
+  return path;
+}
+
+/**
+ * Case-insensitive lookup of a named item (network or dApp) from a route segment
+ */
+export function findByRouteName(items, name) {
+  if (!items || !name) return null;
+  const lower = name.toLowerCase();
+  return items.find(item => item.name.toLowerCase() === lower) || null;
+}
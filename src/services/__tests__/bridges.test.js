@@ -0,0 +1,125 @@
+import { fetchJSON } from '../http';
+import { fetchBridges, fetchBridgeChainVolumes, estimateBridgeFlows, fetchBridgeFlows } from '../bridges';
+
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+const BRIDGES = {
+  bridges: [
+    { id: 1, name: 'stargate', displayName: 'Stargate', last24hVolume: 300, chains: ['Ethereum', 'Arbitrum', 'CosmosHub'] },
+    { id: 2, name: 'canonical', last24hVolume: 100, chains: ['Ethereum', 'Arbitrum'] },
+    { id: 3, name: 'idle', displayName: 'Idle', last24hVolume: 0, chains: ['Ethereum'] },
+  ],
+};
+
+const DETAILS = {
+  1: { chainBreakdown: {
+    Ethereum: { prevDayUsdDeposits: 90, prevDayUsdWithdrawals: 10 },
+    Arbitrum: { prevDayUsdDeposits: 0, prevDayUsdWithdrawals: 20 },
+    CosmosHub: { prevDayUsdDeposits: 0, prevDayUsdWithdrawals: 40 },
+  } },
+  2: { chainBreakdown: {
+    Ethereum: { prevDayUsdDeposits: 50, prevDayUsdWithdrawals: 0 },
+    Arbitrum: { prevDayUsdWithdrawals: 50 },
+  } },
+};
+
+function mockApi() {
+  fetchJSON.mockImplementation(async url => {
+    if (url.includes('/bridges?')) return BRIDGES;
+    const id = url.match(/\/bridge\/(\d+)/)[1];
+    if (!DETAILS[id]) throw new Error('HTTP error! status: 404');
+    return DETAILS[id];
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('fetchBridges', () => {
+  it('maps bridges, defaulting the display name and volume', async () => {
+    mockApi();
+    const bridges = await fetchBridges();
+
+    expect(bridges[0]).toEqual({
+      id: 1, name: 'stargate', displayName: 'Stargate', volume24h: 300, chains: ['Ethereum', 'Arbitrum', 'CosmosHub'],
+    });
+    expect(bridges[1].displayName).toBe('canonical');
+  });
+
+  it('returns an empty list on failure', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+    expect(await fetchBridges()).toEqual([]);
+  });
+});
+
+describe('fetchBridgeChainVolumes', () => {
+  it('reads previous-day USD deposits and withdrawals per chain', async () => {
+    mockApi();
+    expect(await fetchBridgeChainVolumes(2)).toEqual({
+      Ethereum: { deposits: 50, withdrawals: 0 },
+      Arbitrum: { deposits: 0, withdrawals: 50 },
+    });
+  });
+
+  it('returns null on failure', async () => {
+    mockApi();
+    expect(await fetchBridgeChainVolumes(99)).toBeNull();
+  });
+});
+
+describe('estimateBridgeFlows', () => {
+  it('shares each chain\'s deposits over the other chains by their withdrawals', () => {
+    const flows = estimateBridgeFlows({
+      Ethereum: { deposits: 90, withdrawals: 10 },
+      Arbitrum: { deposits: 0, withdrawals: 20 },
+      Base: { deposits: 30, withdrawals: 40 },
+    });
+
+    expect(flows).toEqual([
+      { from: 'Ethereum', to: 'Arbitrum', volume: 30 },
+      { from: 'Ethereum', to: 'Base', volume: 60 },
+      { from: 'Base', to: 'Ethereum', volume: 10 },
+      { from: 'Base', to: 'Arbitrum', volume: 20 },
+    ]);
+  });
+
+  it('returns no flows without a destination or data', () => {
+    expect(estimateBridgeFlows({ Ethereum: { deposits: 10, withdrawals: 10 } })).toEqual([]);
+    expect(estimateBridgeFlows(null)).toEqual([]);
+  });
+});
+
+describe('fetchBridgeFlows', () => {
+  it('sums flows across bridges under network names, largest first', async () => {
+    mockApi();
+    const flows = await fetchBridgeFlows();
+
+    expect(flows.map(f => [f.from, f.to, f.volume24h])).toEqual([
+      ['Ethereum', 'Arbitrum', 80],
+      ['Ethereum', 'Cosmos', 60],
+    ]);
+    expect(flows[0].bridges).toEqual([
+      { name: 'canonical', volume24h: 50 },
+      { name: 'Stargate', volume24h: 30 },
+    ]);
+  });
+
+  it('skips idle bridges and only fetches details for the busiest', async () => {
+    mockApi();
+    await fetchBridgeFlows(1);
+
+    const detailUrls = fetchJSON.mock.calls.map(([url]) => url).filter(url => url.includes('/bridge/'));
+    expect(detailUrls).toEqual([expect.stringContaining('/bridge/1')]);
+  });
+
+  it('ignores bridges whose details fail to load', async () => {
+    fetchJSON.mockImplementation(async url => {
+      if (url.includes('/bridges?')) return BRIDGES;
+      if (url.includes('/bridge/2')) throw new Error('HTTP error! status: 500');
+      return DETAILS[1];
+    });
+
+    expect((await fetchBridgeFlows()).map(f => f.volume24h)).toEqual([60, 30]);
+  });
+});
@@ -0,0 +1,155 @@
+import { fetchJSON } from '../http';
+import {
+  fetchSimplePrices,
+  fetchCoinData,
+  fetchHistoricalPrice,
+  fetchOHLC,
+  fetchPriceChart,
+  fetchTrendingCoins,
+  fetchMarketData,
+  getCoinGeckoId,
+  fetchNetworkCoinData,
+} from '../coingecko';
+
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+const BASE_URL = 'https://api.coingecko.com/api/v3';
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('request builders', () => {
+  it('passes payloads through and builds the expected URLs', async () => {
+    const payload = { ethereum: { usd: 3000 } };
+    fetchJSON.mockResolvedValue(payload);
+
+    expect(await fetchSimplePrices(['ethereum', 'solana'], ['usd', 'eur'])).toBe(payload);
+    expect(fetchJSON).toHaveBeenLastCalledWith(expect.stringContaining(`${BASE_URL}/simple/price?ids=ethereum,solana&vs_currencies=usd,eur&`));
+
+    await fetchCoinData('solana');
+    expect(fetchJSON).toHaveBeenLastCalledWith(expect.stringContaining(`${BASE_URL}/coins/solana?`));
+
+    await fetchHistoricalPrice('solana', 30);
+    expect(fetchJSON).toHaveBeenLastCalledWith(`${BASE_URL}/coins/solana/market_chart?vs_currency=usd&days=30`, {});
+
+    await fetchOHLC('solana', 'max', { ttl: 1 });
+    expect(fetchJSON).toHaveBeenLastCalledWith(`${BASE_URL}/coins/solana/ohlc?vs_currency=usd&days=max`, { ttl: 1 });
+
+    await fetchTrendingCoins();
+    expect(fetchJSON).toHaveBeenLastCalledWith(`${BASE_URL}/search/trending`);
+  });
+
+  it('fills market data defaults and honours overrides', async () => {
+    fetchJSON.mockResolvedValue([]);
+
+    await fetchMarketData(['ethereum'], { per_page: 10 });
+    const params = new URL(fetchJSON.mock.calls[0][0]).searchParams;
+
+    expect(params.get('ids')).toBe('ethereum');
+    expect(params.get('order')).toBe('market_cap_desc');
+    expect(params.get('per_page')).toBe('10');
+    expect(params.get('price_change_percentage')).toBe('24h');
+  });
+
+  it('returns null when a request fails', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 429'));
+
+    expect(await fetchSimplePrices(['ethereum'])).toBeNull();
+    expect(await fetchCoinData('ethereum')).toBeNull();
+    expect(await fetchHistoricalPrice('ethereum')).toBeNull();
+    expect(await fetchOHLC('ethereum')).toBeNull();
+    expect(await fetchTrendingCoins()).toBeNull();
+    expect(await fetchMarketData(['ethereum'])).toBeNull();
+  });
+});
+
+describe('fetchPriceChart', () => {
+  const MARKET_CHART = {
+    prices: [[1000, 10], [2000, 12]],
+    market_caps: [[1000, 1e9], [2000, 1.2e9]],
+    total_volumes: [[1000, 5e6], [2000, 6e6]],
+  };
+
+  it('maps prices and volumes for the range without requesting candles by default', async () => {
+    fetchJSON.mockResolvedValue(MARKET_CHART);
+    const chart = await fetchPriceChart('ethereum', '90d');
+
+    expect(fetchJSON).toHaveBeenCalledTimes(1);
+    expect(fetchJSON.mock.calls[0][0]).toContain('/market_chart?vs_currency=usd&days=90');
+    expect(chart).toEqual({
+      range: '90d',
+      prices: [{ time: 1000, price: 10 }, { time: 2000, price: 12 }],
+      volumes: [{ time: 1000, volume: 5e6 }, { time: 2000, volume: 6e6 }],
+      candles: null,
+    });
+  });
+
+  it('fetches OHLC candles on request, caching longer ranges for longer', async () => {
+    fetchJSON.mockImplementation(async url => (url.includes('/ohlc') ? [[2000, 10, 13, 9, 12]] : MARKET_CHART));
+    const chart = await fetchPriceChart('ethereum', 'max', { candles: true });
+
+    expect(chart.candles).toEqual([{ time: 2000, open: 10, high: 13, low: 9, close: 12 }]);
+    expect(fetchJSON.mock.calls.map(([url]) => url).join()).toContain('/ohlc?vs_currency=usd&days=max');
+
+    const maxTtl = fetchJSON.mock.calls[0][1].ttl;
+    await fetchPriceChart('ethereum', '1d');
+    expect(fetchJSON).toHaveBeenLastCalledWith(expect.stringContaining('days=1'), { ttl: expect.any(Number) });
+    expect(fetchJSON.mock.calls[fetchJSON.mock.calls.length - 1][1].ttl).toBeLessThan(maxTtl);
+  });
+
+  it('falls back to 7 days for an unknown range and tolerates missing volumes or candles', async () => {
+    fetchJSON.mockImplementation(async url => (url.includes('/ohlc') ? { error: 'not found' } : { prices: [[1, 2]] }));
+    const chart = await fetchPriceChart('ethereum', 'decade', { candles: true });
+
+    expect(fetchJSON.mock.calls[0][0]).toContain('days=7');
+    expect(chart.volumes).toEqual([]);
+    expect(chart.candles).toBeNull();
+  });
+
+  it('returns null when the price history is unavailable', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 429'));
+    expect(await fetchPriceChart('ethereum', '7d', { candles: true })).toBeNull();
+
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchPriceChart('ethereum')).toBeNull();
+  });
+});
+
+describe('getCoinGeckoId', () => {
+  it('resolves registry networks, including gas-token fallbacks', () => {
+    expect(getCoinGeckoId('Ethereum')).toBe('ethereum');
+    expect(getCoinGeckoId('BSC')).toBe('binancecoin');
+    expect(getCoinGeckoId('Base')).toBe('ethereum');
+    expect(getCoinGeckoId('Nowhere')).toBeFalsy();
+  });
+});
+
+describe('fetchNetworkCoinData', () => {
+  it('prefers the supplied gecko ID over the registry', async () => {
+    fetchJSON.mockResolvedValue({ market_data: { current_price: { usd: 1 } } });
+
+    await fetchNetworkCoinData('Ethereum', 'staked-ether');
+    expect(fetchJSON.mock.calls[0][0]).toContain('/coins/staked-ether?');
+  });
+
+  it('falls back to the registry ID', async () => {
+    const payload = { market_data: { current_price: { usd: 150 } } };
+    fetchJSON.mockResolvedValue(payload);
+
+    expect(await fetchNetworkCoinData('Solana')).toBe(payload);
+    expect(fetchJSON.mock.calls[0][0]).toContain('/coins/solana?');
+  });
+
+  it('returns the payload even when market_data is missing', async () => {
+    fetchJSON.mockResolvedValue({ id: 'solana' });
+    expect(await fetchNetworkCoinData('Solana')).toEqual({ id: 'solana' });
+  });
+
+  it('skips the request when no ID can be resolved', async () => {
+    expect(await fetchNetworkCoinData('Nowhere', '  ')).toBeNull();
+    expect(fetchJSON).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,576 @@
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+/**
+ * Load a fresh copy of the service (the protocol index is cached per module)
+ * with fetchJSON answering from a table of URL fragment -> payload
+ * A payload that is an Error is thrown instead of returned
+ */
+function loadService(routes = {}) {
+  jest.resetModules();
+  const { fetchJSON } = require('../http');
+  fetchJSON.mockImplementation(async url => {
+    const key = Object.keys(routes).find(fragment => url.includes(fragment));
+    if (!key) {
+      const error = new Error('HTTP error! status: 404');
+      error.status = 404;
+      throw error;
+    }
+    if (routes[key] instanceof Error) throw routes[key];
+    return routes[key];
+  });
+  return { service: require('../defillama'), fetchJSON };
+}
+
+const CHAINS = [
+  { name: 'Ethereum', tvl: 600, tokenSymbol: 'ETH', gecko_id: 'ethereum', chainId: 1 },
+  { name: 'Solana', tvl: 300, tokenSymbol: 'SOL', gecko_id: 'solana', chainId: null },
+  { name: 'CosmosHub', tvl: 100, tokenSymbol: 'ATOM', gecko_id: 'cosmos', chainId: null },
+  { name: 'NoTvl' },
+  { tvl: 50 },
+];
+
+const PROTOCOLS = [
+  { name: 'Lido', tvl: 30, category: 'Liquid Staking', chains: ['Ethereum'], slug: 'lido' },
+  { name: 'Aave', tvl: 20, category: 'Lending', chains: ['Ethereum', 'CosmosHub'], slug: 'aave' },
+  { name: 'Uniswap', tvl: 50, category: 'Dexes', chains: ['Ethereum'], slug: 'uniswap', logo: 'u.png' },
+  { name: 'Jito', tvl: 10, chains: ['Solana'], slug: 'jito' },
+  { name: 'Orphan', tvl: 5, slug: 'orphan' },
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('fetchChainTVL', () => {
+  it('maps chains by name and skips entries without a name or TVL', async () => {
+    const { service } = loadService({ '/v2/chains': CHAINS });
+    const tvl = await service.fetchChainTVL();
+
+    expect(Object.keys(tvl)).toEqual(['Ethereum', 'Solana', 'CosmosHub']);
+    expect(tvl.Ethereum).toEqual({ tvl: 600, tokenSymbol: 'ETH', geckoId: 'ethereum', chainId: 1 });
+  });
+
+  it('returns an empty map for a non-array payload or a failed request', async () => {
+    expect(await loadService({ '/v2/chains': { message: 'oops' } }).service.fetchChainTVL()).toEqual({});
+    expect(await loadService({}).service.fetchChainTVL()).toEqual({});
+  });
+});
+
+describe('calculateMarketShare', () => {
+  const { calculateMarketShare } = loadService().service;
+  const tvlData = { Ethereum: { tvl: 600 }, Solana: { tvl: 300 }, CosmosHub: { tvl: 100 } };
+
+  it('computes each network share of the combined TVL', () => {
+    const share = calculateMarketShare(tvlData, ['Ethereum', 'Solana']);
+
+    expect(share.Ethereum.percentage).toBeCloseTo(66.667, 2);
+    expect(share.Solana.percentage).toBeCloseTo(33.333, 2);
+    expect(share.Ethereum.totalTVL).toBe(900);
+  });
+
+  it('looks networks up by their DefiLlama name', () => {
+    // Cosmos is listed as "CosmosHub" on DefiLlama
+    const share = calculateMarketShare(tvlData, [{ name: 'Cosmos' }, { name: 'Ethereum' }]);
+
+    expect(share.Cosmos.tvl).toBe(100);
+    expect(share.Cosmos.percentage).toBeCloseTo(100 / 7, 5);
+  });
+
+  it('defaults to every registry network and gives 0% when there is no TVL', () => {
+    const share = calculateMarketShare({});
+
+    expect(Object.keys(share).length).toBeGreaterThan(10);
+    Object.values(share).forEach(entry => {
+      expect(entry.percentage).toBe(0);
+      expect(entry.tvl).toBe(0);
+    });
+  });
+});
+
+describe('protocol index', () => {
+  it('counts protocols and categories per network, keyed by registry name', async () => {
+    const { service } = loadService({ '/protocols': PROTOCOLS });
+    const { counts, categories } = await service.fetchProtocols();
+
+    expect(counts).toEqual({ Ethereum: 3, Cosmos: 1, Solana: 1 });
+    expect(categories.Ethereum).toEqual({ 'Liquid Staking': 1, Lending: 1, Dexes: 1 });
+    expect(categories.Solana).toEqual({ Other: 1 });
+  });
+
+  it('downloads /protocols once per session', async () => {
+    const { service, fetchJSON } = loadService({ '/protocols': PROTOCOLS });
+    await service.fetchProtocols();
+    await service.fetchChainProtocols('Ethereum');
+    await service.fetchChainProtocols('Solana');
+
+    const protocolCalls = fetchJSON.mock.calls.filter(([url]) => url.endsWith('/protocols'));
+    expect(protocolCalls).toHaveLength(1);
+  });
+
+  it('retries the download after a failure', async () => {
+    const { service, fetchJSON } = loadService({ '/protocols': new Error('network down') });
+    expect(await service.fetchProtocols()).toEqual({ counts: {}, categories: {} });
+
+    fetchJSON.mockResolvedValue(PROTOCOLS);
+    expect((await service.fetchProtocols()).counts.Ethereum).toBe(3);
+  });
+
+  it('returns a chain\'s protocols sorted by TVL with defaults filled in', async () => {
+    const { service } = loadService({ '/protocols': PROTOCOLS });
+    const protocols = await service.fetchChainProtocols('Ethereum');
+
+    expect(protocols.map(p => p.name)).toEqual(['Uniswap', 'Lido', 'Aave']);
+    expect(protocols[0]).toMatchObject({ logo: 'u.png', url: null, description: null });
+    expect((await service.fetchChainProtocols('Solana'))[0].category).toBe('Other');
+  });
+
+  it('resolves unknown networks against DefiLlama names case-insensitively', async () => {
+    const { service } = loadService({ '/v2/chains': [{ name: 'Mantle', tvl: 1 }], '/protocols': [
+      { name: 'Agni', tvl: 1, category: 'Dexes', chains: ['Mantle'], slug: 'agni' },
+    ] });
+
+    expect((await service.fetchChainProtocols('mantle')).map(p => p.name)).toEqual(['Agni']);
+  });
+
+  it('returns an empty list for a chain with no protocols', async () => {
+    const { service } = loadService({ '/protocols': [] });
+    expect(await service.fetchChainProtocols('Ethereum')).toEqual([]);
+  });
+});
+
+describe('fetchChainDEXVolume', () => {
+  it('maps the overview payload and uses the DefiLlama chain name', async () => {
+    const { service, fetchJSON } = loadService({ '/overview/dexs/': {
+      totalVolume: 1000, totalVolume7d: 7000, change_1d: 5, change_7d: -2, protocols: [{}, {}],
+    } });
+    const dex = await service.fetchChainDEXVolume('Cosmos');
+
+    expect(fetchJSON.mock.calls[0][0]).toContain('/overview/dexs/CosmosHub?');
+    expect(dex).toMatchObject({ volume24h: 1000, volume7d: 7000, change_1d: 5, change_7d: -2, protocolCount: 2 });
+  });
+
+  it('zeroes missing fields', async () => {
+    const { service } = loadService({ '/overview/dexs/': {} });
+    expect(await service.fetchChainDEXVolume('Ethereum')).toEqual({
+      volume24h: 0, volume7d: 0, change_1d: 0, change_7d: 0, protocolCount: 0, protocols: [],
+    });
+  });
+
+  it('returns null without logging when the chain has no DEX data', async () => {
+    const { service } = loadService({});
+    expect(await service.fetchChainDEXVolume('Ethereum')).toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchChainDEXOverview', () => {
+  const DAY = 86400;
+  const OVERVIEW = {
+    total24h: 1000, total7d: 7000, change_1d: 5, change_7d: -2,
+    totalDataChart: Array.from({ length: 40 }, (_, i) => [String(i * DAY), 100 + i]),
+    protocols: [
+      { name: 'uniswap-v3', displayName: 'Uniswap V3', slug: 'uniswap-v3', total24h: 250, total7d: 2100, change_1d: 4 },
+      { name: 'Curve DEX', total24h: 750, total7d: 3500 },
+      { name: 'Dead DEX', total24h: 0, total7d: 0 },
+    ],
+  };
+
+  it('keeps the volume chart and ranks DEXs by 24h volume with their share', async () => {
+    const { service, fetchJSON } = loadService({ '/overview/dexs/': OVERVIEW });
+    const overview = await service.fetchChainDEXOverview('Ethereum');
+
+    expect(fetchJSON.mock.calls[0][0]).not.toContain('excludeTotalDataChart=');
+    expect(overview).toMatchObject({ volume24h: 1000, volume7d: 7000, change_1d: 5, change_7d: -2 });
+    expect(overview.dexes).toEqual([
+      { name: 'Curve DEX', slug: null, logo: null, volume24h: 750, volume7d: 3500, change_1d: null, share24h: 75, share7d: 50 },
+      { name: 'Uniswap V3', slug: 'uniswap-v3', logo: null, volume24h: 250, volume7d: 2100, change_1d: 4, share24h: 25, share7d: 30 },
+    ]);
+    expect(overview.series).toHaveLength(40);
+    expect(overview.series[0]).toEqual({ date: 0, volume: 100 });
+  });
+
+  it('trims the volume chart to the requested range', async () => {
+    const { service } = loadService({ '/overview/dexs/': OVERVIEW });
+    const overview = await service.fetchChainDEXOverview('Ethereum', '30d');
+
+    expect(overview.series).toHaveLength(31);
+    expect(overview.series[30]).toEqual({ date: 39 * DAY, volume: 139 });
+  });
+
+  it('returns null without logging when the chain has no DEX data', async () => {
+    const { service } = loadService({});
+    expect(await service.fetchChainDEXOverview('Ethereum')).toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchChainFees', () => {
+  it('maps fees and revenue, zeroing missing fields', async () => {
+    const { service } = loadService({ '/overview/fees/': { totalFees24h: 10, totalFees7d: 70, change_1d: 1 } });
+
+    expect(await service.fetchChainFees('Ethereum')).toEqual({
+      fees24h: 10, fees7d: 70, revenue24h: 0, revenue7d: 0, change_1d: 1, change_7d: 0,
+    });
+  });
+
+  it('returns null on failure', async () => {
+    expect(await loadService({}).service.fetchChainFees('Ethereum')).toBeNull();
+  });
+});
+
+describe('chains without optional data', () => {
+  const FETCHERS = ['fetchChainFees', 'fetchChainBridgeVolume', 'fetchChainHistoricalTVL'];
+
+  it('returns null without logging when the endpoint has nothing for the chain (404)', async () => {
+    const { service } = loadService({});
+    for (const name of FETCHERS) {
+      expect(await service[name]('Ethereum')).toBeNull();
+    }
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('still logs other failures', async () => {
+    const { service } = loadService({
+      '/overview/fees/': new Error('HTTP error! status: 500'),
+      '/bridges/': new Error('HTTP error! status: 500'),
+      '/historicalChainTvl/': new Error('HTTP error! status: 500'),
+    });
+    for (const name of FETCHERS) {
+      expect(await service[name]('Ethereum')).toBeNull();
+    }
+    expect(console.error).toHaveBeenCalledTimes(FETCHERS.length);
+  });
+});
+
+describe('fetchChainFeesOverview', () => {
+  const DAY = 86400;
+  const chart = (values) => values.map((value, i) => [i * DAY, value]);
+  const FEES = {
+    total24h: 100, total7d: 700, total30d: 3000, change_1d: 2,
+    totalDataChart: chart([80, 90, 100]),
+    totalDataChartBreakdown: chart([{ Lido: 60, 'Uniswap V3': 20 }, { Lido: 65, 'Uniswap V3': 25 }, { Lido: 70, 'Uniswap V3': 30 }]),
+    protocols: [
+      { name: 'uniswap-v3', displayName: 'Uniswap V3', slug: 'uniswap-v3', category: 'Dexes', total24h: 30, total7d: 200, total30d: 1000 },
+      { name: 'Lido', slug: 'lido', category: 'Liquid Staking', total24h: 70, total7d: 500, total30d: 2000 },
+      { name: 'Idle', total24h: 0, total7d: 0, total30d: 0 },
+    ],
+  };
+  const REVENUE = {
+    total24h: 7, total7d: 50, total30d: 200,
+    totalDataChart: chart([6, 6.5, 7]),
+    totalDataChartBreakdown: chart([{ Lido: 6 }, { Lido: 6.5 }, { Lido: 7 }]),
+    protocols: [{ name: 'Lido', total24h: 7, total7d: 50, total30d: 200 }],
+  };
+
+  it('pairs each protocol\'s fees with its revenue, largest fees first', async () => {
+    const { service } = loadService({ 'dataType=dailyRevenue': REVENUE, 'dataType=dailyFees': FEES });
+    const overview = await service.fetchChainFeesOverview('Ethereum');
+
+    expect(overview).toMatchObject({ fees24h: 100, fees7d: 700, fees30d: 3000, revenue24h: 7, revenue7d: 50, revenue30d: 200, change_1d: 2 });
+    expect(overview.protocols).toEqual([
+      { name: 'Lido', slug: 'lido', category: 'Liquid Staking', fees24h: 70, fees7d: 500, fees30d: 2000,
+        revenue24h: 7, revenue7d: 50, revenue30d: 200, revenueRatio: 0.1 },
+      { name: 'Uniswap V3', slug: 'uniswap-v3', category: 'Dexes', fees24h: 30, fees7d: 200, fees30d: 1000,
+        revenue24h: 0, revenue7d: 0, revenue30d: 0, revenueRatio: 0 },
+    ]);
+    expect(overview.series).toEqual([
+      { date: 0, fees: 80, revenue: 6 },
+      { date: DAY, fees: 90, revenue: 6.5 },
+      { date: 2 * DAY, fees: 100, revenue: 7 },
+    ]);
+    expect(overview.protocolSeries.Lido[2]).toEqual({ date: 2 * DAY, fees: 70, revenue: 7 });
+    expect(overview.protocolSeries['Uniswap V3'][0]).toEqual({ date: 0, fees: 20, revenue: 0 });
+  });
+
+  it('trims every series to the requested range', async () => {
+    const days = Array.from({ length: 20 }, (_, i) => i);
+    const { service } = loadService({ 'dataType=dailyFees': {
+      ...FEES,
+      totalDataChart: chart(days),
+      totalDataChartBreakdown: chart(days.map(i => ({ Lido: i }))),
+    } });
+    const overview = await service.fetchChainFeesOverview('Ethereum', '7d');
+
+    expect(overview.series).toHaveLength(8);
+    expect(overview.series[0]).toEqual({ date: 12 * DAY, fees: 12, revenue: null });
+    expect(overview.protocolSeries.Lido).toHaveLength(8);
+  });
+
+  it('leaves revenue empty when the chain only reports fees', async () => {
+    const { service } = loadService({ 'dataType=dailyFees': FEES });
+    const overview = await service.fetchChainFeesOverview('Ethereum');
+
+    expect(overview).toMatchObject({ fees24h: 100, revenue24h: null, revenue30d: null });
+    expect(overview.protocols[0]).toMatchObject({ name: 'Lido', revenue24h: null, revenueRatio: null });
+    expect(overview.series[0]).toEqual({ date: 0, fees: 80, revenue: null });
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('returns null without logging when the chain has no fee data', async () => {
+    const { service } = loadService({});
+    expect(await service.fetchChainFeesOverview('Ethereum')).toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+});
+
+describe('fetchChainBridgeVolume', () => {
+  it('sums volume across bridges, treating missing volumes as 0', async () => {
+    const { service } = loadService({ '/bridges/': { bridges: [
+      { volume24h: 100, volume7d: 700, volume30d: 3000 },
+      { volume24h: 50, volume30d: 1000 },
+      {},
+    ] } });
+
+    expect(await service.fetchChainBridgeVolume('Ethereum')).toEqual({
+      volume24h: 150, volume7d: 700, volume30d: 4000, bridgeCount: 3,
+    });
+  });
+
+  it('returns zeros when the bridge list is missing or empty', async () => {
+    const zeros = { volume24h: 0, volume7d: 0, volume30d: 0, bridgeCount: 0 };
+    expect(await loadService({ '/bridges/': {} }).service.fetchChainBridgeVolume('Ethereum')).toEqual(zeros);
+    expect(await loadService({ '/bridges/': { bridges: [] } }).service.fetchChainBridgeVolume('Ethereum')).toEqual(zeros);
+  });
+});
+
+describe('fetchChainHistoricalTVL', () => {
+  const series = tvls => tvls.map((tvl, i) => ({ date: 1700000000 + i * 86400, tvl }));
+
+  it('computes 1d and 7d change from the daily series', async () => {
+    const { service } = loadService({ '/historicalChainTvl/': series([100, 110, 120, 130, 140, 150, 160, 180, 200]) });
+    const history = await service.fetchChainHistoricalTVL('Ethereum');
+
+    expect(history.currentTVL).toBe(200);
+    expect(history.change1d).toBeCloseTo(11.111, 2); // 180 -> 200
+    expect(history.change7d).toBeCloseTo(81.818, 2); // 110 -> 200
+    expect(history.dataPoints).toBe(9);
+  });
+
+  it('has no 7d change when the series is too short to look back', async () => {
+    const { service } = loadService({ '/historicalChainTvl/': series([100, 120]) });
+    const history = await service.fetchChainHistoricalTVL('Ethereum');
+
+    expect(history.change1d).toBeCloseTo(20, 5);
+    expect(history.change7d).toBeNull();
+  });
+
+  it('has no change instead of Infinity or NaN when the previous TVL is zero', async () => {
+    const { service } = loadService({ '/historicalChainTvl/': series([0, 0, 0, 0, 0, 0, 0, 0, 50]) });
+    const history = await service.fetchChainHistoricalTVL('Ethereum');
+
+    expect(history.change1d).toBeNull();
+    expect(history.change7d).toBeNull();
+
+    const single = await loadService({ '/historicalChainTvl/': series([40]) }).service.fetchChainHistoricalTVL('Ethereum');
+    expect(single.change1d).toBeNull();
+  });
+
+  it('returns the daily series, sliced to the requested range', async () => {
+    const payload = series(Array.from({ length: 400 }, (_, i) => i + 1));
+    const full = await loadService({ '/historicalChainTvl/': payload }).service.fetchChainHistoricalTVL('Ethereum');
+
+    expect(full.range).toBe('all');
+    expect(full.series).toHaveLength(400);
+    expect(full.series[0]).toEqual({ date: 1700000000, tvl: 1 });
+
+    const { service } = loadService({ '/historicalChainTvl/': payload });
+    const week = await service.fetchChainHistoricalTVL('Ethereum', '7d');
+    expect(week.series.map(p => p.tvl)).toEqual([393, 394, 395, 396, 397, 398, 399, 400]);
+    expect(week.change7d).toBe(full.change7d);
+
+    expect((await service.fetchChainHistoricalTVL('Ethereum', '1y')).series).toHaveLength(366);
+  });
+
+  it('normalises string dates and drops points without one', async () => {
+    const { service } = loadService({ '/historicalChainTvl/': [{ date: '1700000000', tvl: 5 }, { tvl: 6 }, { date: 1700086400 }] });
+
+    expect((await service.fetchChainHistoricalTVL('Ethereum')).series).toEqual([
+      { date: 1700000000, tvl: 5 },
+      { date: 1700086400, tvl: 0 },
+    ]);
+  });
+
+  it('returns null for an empty series', async () => {
+    expect(await loadService({ '/historicalChainTvl/': [] }).service.fetchChainHistoricalTVL('Ethereum')).toBeNull();
+  });
+});
+
+describe('fetchHistoricalTVLByNetwork', () => {
+  it('returns each network\'s full series, empty where history is unavailable', async () => {
+    const { service } = loadService({ '/historicalChainTvl/Ethereum': [{ date: 1, tvl: 5 }, { date: 2, tvl: 6 }] });
+    expect(await service.fetchHistoricalTVLByNetwork(['Ethereum', 'Solana'])).toEqual({
+      Ethereum: [{ date: 1, tvl: 5 }, { date: 2, tvl: 6 }],
+      Solana: [],
+    });
+  });
+});
+
+describe('sliceSeriesByRange', () => {
+  const { sliceSeriesByRange } = loadService().service;
+  const points = [0, 10, 20, 30, 40].map(day => ({ date: day * 86400, tvl: day }));
+
+  it('keeps points within the window of the latest date', () => {
+    expect(sliceSeriesByRange(points, '30d').map(p => p.tvl)).toEqual([10, 20, 30, 40]);
+    expect(sliceSeriesByRange(points, '7d').map(p => p.tvl)).toEqual([40]);
+  });
+
+  it('returns the series untouched for "all", unknown ranges and empty input', () => {
+    expect(sliceSeriesByRange(points, 'all')).toBe(points);
+    expect(sliceSeriesByRange(points, 'decade')).toBe(points);
+    expect(sliceSeriesByRange([], '7d')).toEqual([]);
+  });
+});
+
+describe('fetchAllChains', () => {
+  it('keeps chains over $1M sorted by TVL with icon fallbacks', async () => {
+    const { service } = loadService({ '/v2/chains': [
+      { name: 'Tiny', tvl: 10 },
+      { name: 'Big Chain', tvl: 5e9, gecko_id: 'big' },
+      { name: 'Mid', tvl: 2e6 },
+    ] });
+    const chains = await service.fetchAllChains();
+
+    expect(chains.map(c => c.name)).toEqual(['Big Chain', 'Mid']);
+    expect(chains[0].logo).toBe('https://icons.llama.fi/chains/rsz_big.jpg');
+    expect(chains[0].logoFallbacks).toEqual(['https://icons.llama.fi/chains/rsz_big-chain.jpg']);
+    expect(chains[1].logo).toBeNull();
+  });
+
+  it('returns an empty list on failure', async () => {
+    expect(await loadService({}).service.fetchAllChains()).toEqual([]);
+  });
+});
+
+describe('fetchAllNetworkAnalytics', () => {
+  it('combines TVL, market share and dapp counts for every registry network', async () => {
+    const { service } = loadService({ '/v2/chains': CHAINS, '/protocols': PROTOCOLS });
+    const analytics = await service.fetchAllNetworkAnalytics();
+
+    expect(analytics.Ethereum).toMatchObject({
+      tvl: 600,
+      tvlFormatted: '$600',
+      dappCount: 3,
+      dapps: '3+',
+      marketShare: 60,
+      marketShareFormatted: '60.0%',
+      geckoId: 'ethereum',
+    });
+    expect(analytics.Cosmos).toMatchObject({ tvl: 100, dappCount: 1, marketShare: 10 });
+    expect(analytics.Polygon).toMatchObject({ tvl: 0, dapps: 'N/A', marketShare: 0 });
+    expect(analytics.Base.geckoId).toBe('ethereum'); // gas token price
+  });
+
+  it('matches chains listed under an alternative DefiLlama name', async () => {
+    const { CHAIN_REGISTRY } = require('../../chainRegistry');
+    const [networkName, chainInfo] = Object.entries(CHAIN_REGISTRY)
+      .find(([, chain]) => chain.altNames.some(alt => alt !== chain.defillamaName && alt !== chain.name));
+    const altName = chainInfo.altNames.find(alt => alt !== chainInfo.defillamaName && alt !== chainInfo.name);
+
+    const { service } = loadService({ '/v2/chains': [{ name: altName, tvl: 42 }], '/protocols': [] });
+    const analytics = await service.fetchAllNetworkAnalytics();
+
+    expect(analytics[networkName].tvl).toBe(42);
+  });
+});
+
+describe('fetchNetworkMetric', () => {
+  it('reads TVL by registry or DefiLlama name', async () => {
+    const { service } = loadService({ '/v2/chains': CHAINS });
+    expect(await service.fetchNetworkMetric('tvl', ['Ethereum', 'Cosmos', 'Nowhere'])).toEqual({
+      Ethereum: 600, Cosmos: 100, Nowhere: 0,
+    });
+  });
+
+  it('reads 24h DEX volume per network, 0 where a chain has no DEX data', async () => {
+    const { service, fetchJSON } = loadService({ '/overview/dexs/Ethereum': { totalVolume: 1000 } });
+    expect(await service.fetchNetworkMetric('volume', ['Ethereum', 'Solana'])).toEqual({ Ethereum: 1000, Solana: 0 });
+    expect(fetchJSON).toHaveBeenCalledTimes(2);
+  });
+
+  it('reads 24h fees per network', async () => {
+    const { service } = loadService({ '/overview/fees/': { totalFees24h: 10 } });
+    expect(await service.fetchNetworkMetric('fees', ['Ethereum'])).toEqual({ Ethereum: 10 });
+  });
+
+  it('reads the 24h TVL change in % per network', async () => {
+    const { service } = loadService({ '/historicalChainTvl/Ethereum': [{ date: 1, tvl: 500 }, { date: 2, tvl: 600 }] });
+    const changes = await service.fetchNetworkMetric('tvlChange', ['Ethereum', 'Solana']);
+    expect(changes.Ethereum).toBeCloseTo(20, 5);
+    expect(changes.Solana).toBe(0);
+  });
+
+  it('returns an empty map for unknown metrics', async () => {
+    expect(await loadService({}).service.fetchNetworkMetric('users', ['Ethereum'])).toEqual({});
+  });
+});
+
+describe('fetchNetworkDetails', () => {
+  it('assembles details from every DefiLlama endpoint', async () => {
+    const { service } = loadService({
+      '/v2/chains': CHAINS,
+      '/protocols': PROTOCOLS,
+      '/overview/dexs/': { totalVolume: 2e6, totalVolume7d: 1.4e7 },
+      '/overview/fees/': { totalFees24h: 5e5, totalRevenue24h: 1e5 },
+      '/bridges/': { bridges: [{ volume24h: 3e6 }] },
+      '/historicalChainTvl/': [{ date: 1, tvl: 500 }, { date: 2, tvl: 600 }],
+    });
+    const details = await service.fetchNetworkDetails('Ethereum');
+
+    expect(details).toMatchObject({
+      tvl: 600,
+      dappCount: 3,
+      categories: { 'Liquid Staking': 1, Lending: 1, Dexes: 1 },
+      dexVolume24hFormatted: '$2.0M',
+      fees24hFormatted: '$500K',
+      revenue24hFormatted: '$100K',
+      bridgeVolume24hFormatted: '$3.0M',
+      bridgeCount: 1,
+      tvlChange7d: null,
+      logo: 'https://icons.llama.fi/' + require('../../chainRegistry').CHAIN_REGISTRY.Ethereum.iconPath,
+      geckoId: 'ethereum',
+    });
+    expect(details.tvlChange1d).toBeCloseTo(20, 5);
+    expect(Object.keys(details.protocolsByCategory)).toEqual(['Dexes', 'Liquid Staking', 'Lending']);
+  });
+
+  it('falls back to N/A for optional endpoints that are unavailable', async () => {
+    const { service } = loadService({ '/v2/chains': CHAINS, '/protocols': PROTOCOLS });
+    const details = await service.fetchNetworkDetails('Solana');
+
+    expect(details).toMatchObject({
+      tvl: 300,
+      dexVolume24hFormatted: 'N/A',
+      fees24hFormatted: 'N/A',
+      bridgeVolume24hFormatted: 'N/A',
+    });
+    // Missing sources stay null so the comparison table shows "—" rather than a real-looking 0
+    expect(details).toMatchObject({
+      dexVolume24h: null,
+      fees24h: null,
+      revenue24h: null,
+      bridgeVolume24h: null,
+      tvlChange1d: null,
+      tvlChange7d: null,
+    });
+  });
+
+  it('works for chains outside the registry', async () => {
+    const { service } = loadService({
+      '/v2/chains': [{ name: 'Mantle', tvl: 2e8 }],
+      '/protocols': [{ name: 'Agni', tvl: 1, category: 'Dexes', chains: ['Mantle'], slug: 'agni' }],
+    });
+    const details = await service.fetchNetworkDetails('mantle');
+
+    expect(details).toMatchObject({ tvl: 2e8, tvlFormatted: '$200.0M', dappCount: 1, logo: null, geckoId: null });
+  });
+});
+
+describe('getNetworkLogo', () => {
+  it('returns null for networks outside the registry', () => {
+    const { getNetworkLogo } = loadService().service;
+    expect(getNetworkLogo('Ethereum')).toMatch(/^https:\/\/icons\.llama\.fi\//);
+    expect(getNetworkLogo('Nowhere')).toBeNull();
+  });
+});
@@ -0,0 +1,133 @@
+import { fetchJSON } from '../http';
+import {
+  getDexScreenerChainId,
+  fetchTokenData,
+  fetchPairData,
+  searchTokens,
+  fetchTokenByAddress,
+  fetchTopPairs,
+  fetchChainTotalLiquidity,
+} from '../dexscreener';
+
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+const BASE_URL = 'https://api.dexscreener.com/latest/dex';
+
+const PAIRS = [
+  {
+    chainId: 'bsc',
+    dexId: 'pancakeswap',
+    pairAddress: '0xbsc',
+    priceUsd: '1.01',
+    priceChange: { h24: -0.5 },
+    volume: { h24: 2000 },
+    liquidity: { usd: 5000 },
+    fdv: 1e6,
+  },
+  { chainId: 'Ethereum', dexId: 'uniswap', pairAddress: '0xeth', priceNative: '0.0003', liquidity: { usd: '2500.5' } },
+  { chainId: 'ethereum', dexId: 'sushiswap', pairAddress: '0xeth2' },
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('getDexScreenerChainId', () => {
+  it('maps registry networks and alt names to DexScreener IDs', () => {
+    expect(getDexScreenerChainId('Ethereum')).toBe('ethereum');
+    expect(getDexScreenerChainId('BNB Chain')).toBe('bsc');
+  });
+
+  it('lowercases networks outside the registry', () => {
+    expect(getDexScreenerChainId('Mantle')).toBe('mantle');
+  });
+});
+
+describe('passthrough requests', () => {
+  it('builds the expected URLs', async () => {
+    const payload = { pairs: [] };
+    fetchJSON.mockResolvedValue(payload);
+
+    expect(await fetchTokenData('ethereum', '0xabc')).toBe(payload);
+    expect(fetchJSON).toHaveBeenLastCalledWith(`${BASE_URL}/tokens/0xabc`);
+
+    await fetchPairData('ethereum', '0xa', '0xb');
+    expect(fetchJSON).toHaveBeenLastCalledWith(`${BASE_URL}/pairs/ethereum/0xa/0xb`);
+
+    await searchTokens('wrapped ether');
+    expect(fetchJSON).toHaveBeenLastCalledWith(`${BASE_URL}/search?q=wrapped%20ether`);
+  });
+
+  it('returns null when a request fails', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+
+    expect(await fetchTokenData('ethereum', '0xabc')).toBeNull();
+    expect(await fetchPairData('ethereum', '0xa', '0xb')).toBeNull();
+    expect(await searchTokens('eth')).toBeNull();
+    expect(await fetchTopPairs('ethereum')).toBeNull();
+  });
+});
+
+describe('fetchTokenByAddress', () => {
+  it('picks the pair on the requested chain', async () => {
+    fetchJSON.mockResolvedValue({ pairs: PAIRS });
+
+    expect(await fetchTokenByAddress('bsc', '0xabc')).toEqual({
+      price: '1.01',
+      priceChange24h: -0.5,
+      volume24h: 2000,
+      liquidity: 5000,
+      fdv: 1e6,
+      pairAddress: '0xbsc',
+      dexId: 'pancakeswap',
+    });
+  });
+
+  it('matches chain IDs case-insensitively and defaults missing fields', async () => {
+    fetchJSON.mockResolvedValue({ pairs: PAIRS });
+
+    expect(await fetchTokenByAddress('ethereum', '0xabc')).toEqual({
+      price: '0.0003',
+      priceChange24h: 0,
+      volume24h: 0,
+      liquidity: '2500.5',
+      fdv: 0,
+      pairAddress: '0xeth',
+      dexId: 'uniswap',
+    });
+  });
+
+  it('returns null when no pair is on the chain or pairs are missing', async () => {
+    fetchJSON.mockResolvedValue({ pairs: PAIRS });
+    expect(await fetchTokenByAddress('solana', '0xabc')).toBeNull();
+
+    fetchJSON.mockResolvedValue({ pairs: null });
+    expect(await fetchTokenByAddress('bsc', '0xabc')).toBeNull();
+  });
+});
+
+describe('fetchTopPairs', () => {
+  it('returns at most ten pairs', async () => {
+    fetchJSON.mockResolvedValue({ pairs: Array.from({ length: 15 }, (_, i) => ({ pairAddress: `0x${i}` })) });
+    expect(await fetchTopPairs('ethereum')).toHaveLength(10);
+
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchTopPairs('ethereum')).toEqual([]);
+  });
+});
+
+describe('fetchChainTotalLiquidity', () => {
+  it('sums numeric and string liquidity across pairs', async () => {
+    fetchJSON.mockResolvedValue({ pairs: PAIRS });
+
+    expect(await fetchChainTotalLiquidity('ethereum')).toEqual({ totalLiquidity: 7500.5, pairCount: 3 });
+  });
+
+  it('returns zero liquidity for an empty pair list and null when pairs are missing', async () => {
+    fetchJSON.mockResolvedValue({ pairs: [] });
+    expect(await fetchChainTotalLiquidity('ethereum')).toEqual({ totalLiquidity: 0, pairCount: 0 });
+
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchChainTotalLiquidity('ethereum')).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { fetchJSON } from '../http';
+import { fetchFearGreedIndex, getFearGreedColor } from '../feargreed';
+
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+const entry = (value, classification = 'Neutral', daysAgo = 0) => ({
+  value: String(value),
+  value_classification: classification,
+  timestamp: String(1700000000 - daysAgo * 86400),
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('fetchFearGreedIndex', () => {
+  it('parses the latest value and its 24h and 7d change', async () => {
+    fetchJSON.mockResolvedValue({ data: [
+      entry(72, 'Greed'), entry(65, 'Greed', 1), entry(60, 'Greed', 2), entry(55, 'Neutral', 3),
+      entry(50, 'Neutral', 4), entry(45, 'Fear', 5), entry(40, 'Fear', 6),
+    ] });
+
+    expect(await fetchFearGreedIndex()).toEqual({
+      value: 72,
+      classification: 'Greed',
+      timestamp: '1700000000',
+      previousValue: 65,
+      previousClassification: 'Greed',
+      weekAgoValue: 40,
+      change24h: 7,
+      change7d: 32,
+    });
+  });
+
+  it('leaves changes null when history is too short', async () => {
+    fetchJSON.mockResolvedValue({ data: [entry(30, 'Fear'), entry(35, 'Fear', 1)] });
+    const index = await fetchFearGreedIndex();
+
+    expect(index.change24h).toBe(-5);
+    expect(index.weekAgoValue).toBeNull();
+    expect(index.change7d).toBeNull();
+
+    fetchJSON.mockResolvedValue({ data: [entry(30, 'Fear')] });
+    expect(await fetchFearGreedIndex()).toMatchObject({ previousValue: null, change24h: null, change7d: null });
+  });
+
+  it('returns null for an empty or missing data array', async () => {
+    fetchJSON.mockResolvedValue({ data: [] });
+    expect(await fetchFearGreedIndex()).toBeNull();
+
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchFearGreedIndex()).toBeNull();
+  });
+
+  it('returns null when the request fails', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 503'));
+    expect(await fetchFearGreedIndex()).toBeNull();
+  });
+});
+
+describe('getFearGreedColor', () => {
+  it('maps each band to its colour', () => {
+    expect(getFearGreedColor(10)).toBe('#ea3943');
+    expect(getFearGreedColor(25)).toBe('#ea3943');
+    expect(getFearGreedColor(40)).toBe('#ea8c00');
+    expect(getFearGreedColor(50)).toBe('#f5d100');
+    expect(getFearGreedColor(70)).toBe('#16c784');
+    expect(getFearGreedColor(90)).toBe('#16c784');
+  });
+});
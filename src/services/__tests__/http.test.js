@@ -0,0 +1,111 @@
+import { fetchJSON, clearHttpCache } from '../http';
+
+const jsonResponse = (body, status = 200, headers = {}) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  headers: { get: name => headers[name] || null },
+  json: async () => body,
+});
+
+beforeEach(() => {
+  clearHttpCache();
+  global.fetch = jest.fn();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  delete global.fetch;
+});
+
+describe('fetchJSON', () => {
+  it('caches responses per URL', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ value: 1 }));
+
+    expect(await fetchJSON('https://example.test/a')).toEqual({ value: 1 });
+    expect(await fetchJSON('https://example.test/a')).toEqual({ value: 1 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    clearHttpCache('example.test');
+    await fetchJSON('https://example.test/a');
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips the cache when ttl is 0', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ value: 1 }));
+
+    await fetchJSON('https://example.test/b', { ttl: 0 });
+    await fetchJSON('https://example.test/b', { ttl: 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('shares a single request between concurrent callers', async () => {
+    global.fetch.mockResolvedValue(jsonResponse({ value: 2 }));
+
+    const [first, second] = await Promise.all([
+      fetchJSON('https://example.test/c'),
+      fetchJSON('https://example.test/c'),
+    ]);
+    expect(first).toBe(second);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries server errors, honouring Retry-After', async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(null, 503, { 'Retry-After': '0' }))
+      .mockResolvedValueOnce(jsonResponse({ value: 3 }));
+
+    expect(await fetchJSON('https://example.test/d')).toEqual({ value: 3 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+
+  it('throws with the HTTP status on client errors without retrying', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(null, 404));
+
+    await expect(fetchJSON('https://example.test/e')).rejects.toMatchObject({ status: 404 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('gives up after the configured number of retries', async () => {
+    global.fetch.mockResolvedValue(jsonResponse(null, 500, { 'Retry-After': '0' }));
+
+    await expect(fetchJSON('https://example.test/f', { retries: 1 })).rejects.toMatchObject({ status: 500 });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
+
+describe('against the mock server', () => {
+  const loadMocked = () => {
+    let modules;
+    jest.isolateModules(() => {
+      process.env.REACT_APP_MOCK_API_URL = 'http://localhost:4010/';
+      modules = { config: require('../config'), http: require('../http') };
+      delete process.env.REACT_APP_MOCK_API_URL;
+    });
+    return modules;
+  };
+
+  it('files each provider under the live host it stands in for', () => {
+    const { config } = loadMocked();
+    const coingecko = config.getBaseUrl('coingecko', 'https://api.coingecko.com/api/v3');
+    const llama = config.getBaseUrl('llama', 'https://api.llama.fi');
+
+    expect(coingecko).toBe('http://localhost:4010/coingecko');
+    expect(config.getPolicyHost(`${coingecko}/simple/price?ids=ethereum`)).toBe('api.coingecko.com');
+    expect(config.getPolicyHost(`${llama}/v2/chains`)).toBe('api.llama.fi');
+    expect(config.getPolicyHost('http://localhost:4010/llamas/x')).toBe('localhost:4010');
+  });
+
+  it('caches mock responses under the live host', async () => {
+    const { config, http } = loadMocked();
+    const url = `${config.getBaseUrl('coingecko', 'https://api.coingecko.com/api/v3')}/search/trending`;
+    global.fetch.mockResolvedValue(jsonResponse({ coins: [] }));
+
+    await http.fetchJSON(url);
+    await http.fetchJSON(url);
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+
+    http.clearHttpCache('api.coingecko.com');
+    await http.fetchJSON(url);
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,108 @@
+import { fetchSimplePrices } from '../coingecko';
+import { fetchChainTVL, fetchChainDEXVolume } from '../defillama';
+import { fetchFearGreedIndex } from '../feargreed';
+import { EVENT_THRESHOLDS, fetchMarketSignals, detectMarketEvents } from '../marketEvents';
+
+jest.mock('../coingecko', () => ({ fetchSimplePrices: jest.fn() }));
+jest.mock('../defillama', () => ({ fetchChainTVL: jest.fn(), fetchChainDEXVolume: jest.fn() }));
+jest.mock('../feargreed', () => ({ fetchFearGreedIndex: jest.fn() }));
+
+const signals = (overrides = {}) => ({ prices: {}, tvl: {}, volumeRatio: {}, fearGreed: null, ...overrides });
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('fetchMarketSignals', () => {
+  it('collects price changes, TVL, volume ratios and sentiment per network', async () => {
+    fetchSimplePrices.mockResolvedValue({ ethereum: { usd_24h_change: 6.5 }, solana: { usd_24h_change: -1 } });
+    fetchChainTVL.mockResolvedValue({ Ethereum: { tvl: 600 }, Base: { tvl: 50 } });
+    fetchChainDEXVolume.mockImplementation(async name => (name === 'Base' ? { volume24h: 200, volume7d: 700 } : null));
+    fetchFearGreedIndex.mockResolvedValue({ value: 60, classification: 'Greed' });
+
+    const result = await fetchMarketSignals(['Ethereum', 'Base', 'Solana']);
+
+    // Base pays gas in ETH, so it gets no price signal of its own
+    expect(fetchSimplePrices).toHaveBeenCalledWith(['ethereum', 'solana']);
+    expect(result).toEqual({
+      prices: { Ethereum: 6.5, Solana: -1 },
+      tvl: { Ethereum: 600, Base: 50 },
+      volumeRatio: { Base: 2 },
+      fearGreed: { value: 60, classification: 'Greed' },
+    });
+  });
+
+  it('keeps the other signals when TVL is unavailable', async () => {
+    fetchSimplePrices.mockResolvedValue({ ethereum: { usd_24h_change: 6.5 } });
+    fetchChainTVL.mockResolvedValue(null);
+    fetchChainDEXVolume.mockResolvedValue({ volume24h: 200, volume7d: 700 });
+    fetchFearGreedIndex.mockResolvedValue({ value: 60, classification: 'Greed' });
+
+    const result = await fetchMarketSignals(['Ethereum']);
+
+    expect(result).toEqual({
+      prices: { Ethereum: 6.5 },
+      tvl: {},
+      volumeRatio: { Ethereum: 2 },
+      fearGreed: { value: 60, classification: 'Greed' },
+    });
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('returns null when a source throws', async () => {
+    fetchSimplePrices.mockResolvedValue(null);
+    fetchChainTVL.mockRejectedValue(new Error('boom'));
+    fetchChainDEXVolume.mockResolvedValue(null);
+    fetchFearGreedIndex.mockResolvedValue(null);
+    expect(await fetchMarketSignals(['Ethereum'])).toBeNull();
+  });
+});
+
+describe('detectMarketEvents', () => {
+  it('fires price moves and volume spikes beyond their thresholds on the first snapshot', () => {
+    const events = detectMarketEvents(null, signals({
+      prices: { Ethereum: 2, Solana: -20 },
+      volumeRatio: { Base: 1.2, Arbitrum: 2.75 },
+      tvl: { Ethereum: 100 },
+    }), 1000);
+
+    expect(events.map(e => [e.type, e.network, e.direction])).toEqual([
+      ['price', 'Solana', -1],
+      ['volume', 'Arbitrum', 1],
+    ]);
+    expect(events[0]).toMatchObject({ magnitude: 1, message: 'Solana price -20.0% in 24h', id: 'price:Solana:1000' });
+    expect(events[1].magnitude).toBeCloseTo(0.5, 5);
+  });
+
+  it('only fires again when a signal newly crosses its threshold', () => {
+    const previous = signals({ prices: { Ethereum: 6, Solana: 7 }, volumeRatio: { Base: 3 } });
+    const events = detectMarketEvents(previous, signals({ prices: { Ethereum: 8, Solana: -7 }, volumeRatio: { Base: 3.5 } }));
+
+    expect(events.map(e => `${e.type}:${e.network}`)).toEqual(['price:Solana']);
+  });
+
+  it('fires TVL jumps between polls', () => {
+    const min = EVENT_THRESHOLDS.tvl.min;
+    const events = detectMarketEvents(
+      signals({ tvl: { Ethereum: 100, Base: 100 } }),
+      signals({ tvl: { Ethereum: 100 + min / 2, Base: 100 - 10, Solana: 50 } }),
+    );
+
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ type: 'tvl', network: 'Base', direction: -1, magnitude: 1 });
+  });
+
+  it('fires a market-wide event when the Fear & Greed regime changes', () => {
+    const firstPoll = detectMarketEvents(null, signals({
+      fearGreed: { value: 30, classification: 'Fear', previousValue: 50, previousClassification: 'Neutral' },
+    }));
+    expect(firstPoll[0]).toMatchObject({ type: 'sentiment', network: null, direction: -1, message: 'Fear & Greed: Neutral → Fear (30)' });
+
+    const unchanged = signals({ fearGreed: { value: 28, classification: 'Fear' } });
+    expect(detectMarketEvents(signals({ fearGreed: { value: 30, classification: 'Fear' } }), unchanged)).toEqual([]);
+  });
+
+  it('returns nothing without a current snapshot', () => {
+    expect(detectMarketEvents(signals(), null)).toEqual([]);
+  });
+});
@@ -0,0 +1,210 @@
+import { fetchJSON } from '../http';
+import { fetchStablecoinChains, fetchChainStablecoinTVL, fetchTopStablecoins, fetchChainStablecoinBreakdown, fetchStablecoinPegs, detectDepegs, depegNetworkWeights } from '../stablecoins';
+
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+const CHAINS = [
+  { name: 'Ethereum', totalCirculatingUSD: { peggedUSD: 9e10, peggedEUR: 1e8 } },
+  { name: 'BSC', totalCirculatingUSD: { peggedUSD: 5e9 } },
+  { name: 'CosmosHub', totalCirculatingUSD: {} },
+  { name: 'Empty' },
+  { totalCirculatingUSD: { peggedUSD: 1 } },
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('fetchStablecoinChains', () => {
+  it('maps chains by name, zeroing missing USD totals', async () => {
+    fetchJSON.mockResolvedValue(CHAINS);
+    const chains = await fetchStablecoinChains();
+
+    expect(Object.keys(chains)).toEqual(['Ethereum', 'BSC', 'CosmosHub', 'Empty']);
+    expect(chains.Ethereum).toEqual({ totalCirculatingUSD: 9e10, totalCirculating: { peggedUSD: 9e10, peggedEUR: 1e8 } });
+    expect(chains.Empty).toEqual({ totalCirculatingUSD: 0, totalCirculating: {} });
+  });
+
+  it('returns an empty map for a non-array payload or a failed request', async () => {
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchStablecoinChains()).toEqual({});
+
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+    expect(await fetchStablecoinChains()).toEqual({});
+  });
+});
+
+describe('fetchChainStablecoinTVL', () => {
+  it('matches the chain directly or through a registry alias', async () => {
+    fetchJSON.mockResolvedValue(CHAINS);
+
+    expect(await fetchChainStablecoinTVL('Ethereum')).toBe(9e10);
+    expect(await fetchChainStablecoinTVL('BNB Chain')).toBe(5e9);
+    expect(await fetchChainStablecoinTVL('ethereum')).toBe(9e10);
+  });
+
+  it('returns 0 for unknown chains and chains without a USD total', async () => {
+    fetchJSON.mockResolvedValue(CHAINS);
+
+    expect(await fetchChainStablecoinTVL('Cosmos')).toBe(0);
+    expect(await fetchChainStablecoinTVL('Nowhere')).toBe(0);
+  });
+});
+
+describe('fetchTopStablecoins', () => {
+  it('returns the ten largest stablecoins with a default $1 price', async () => {
+    const assets = Array.from({ length: 12 }, (_, i) => ({
+      name: `Coin ${i}`,
+      symbol: `C${i}`,
+      circulating: { peggedUSD: (i + 1) * 1e9 },
+      price: i === 11 ? 0.998 : undefined,
+    }));
+    fetchJSON.mockResolvedValue({ peggedAssets: [...assets, { name: 'Dead', circulating: { peggedUSD: 0 } }, { name: 'Broken' }] });
+    const top = await fetchTopStablecoins();
+
+    expect(top).toHaveLength(10);
+    expect(top[0]).toEqual({ name: 'Coin 11', symbol: 'C11', circulating: 12e9, price: 0.998, logo: null });
+    expect(top[1].price).toBe(1);
+    expect(top.map(s => s.name)).not.toContain('Dead');
+  });
+
+  it('returns an empty list when peggedAssets is missing', async () => {
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchTopStablecoins()).toEqual([]);
+  });
+});
+
+describe('fetchChainStablecoinBreakdown', () => {
+  const onChains = (pegType, chains) => Object.fromEntries(Object.entries(chains).map(([chain, [current, prevMonth]]) => [
+    chain,
+    { current: { [pegType]: current }, ...(prevMonth !== undefined && { circulatingPrevMonth: { [pegType]: prevMonth } }) },
+  ]));
+  const ASSETS = [
+    { name: 'Tether', symbol: 'USDT', pegType: 'peggedUSD', pegMechanism: 'fiat-backed', chainCirculating: onChains('peggedUSD', { Ethereum: [60, 50], Tron: [80, 80] }) },
+    { name: 'USD Coin', symbol: 'USDC', pegType: 'peggedUSD', pegMechanism: 'fiat-backed', chainCirculating: onChains('peggedUSD', { Ethereum: [30, 40] }) },
+    { name: 'Euro Coin', symbol: 'EURC', pegType: 'peggedEUR', price: 1.2, chainCirculating: onChains('peggedEUR', { Ethereum: [5, 5] }) },
+    { name: 'Fresh', symbol: 'NEW', pegType: 'peggedUSD', chainCirculating: onChains('peggedUSD', { Ethereum: [4] }) },
+    { name: 'Gone', symbol: 'OLD', pegType: 'peggedUSD', chainCirculating: onChains('peggedUSD', { Ethereum: [0, 10] }) },
+    { name: 'Elsewhere', symbol: 'BSCX', pegType: 'peggedUSD', chainCirculating: onChains('peggedUSD', { BSC: [7, 7] }) },
+  ];
+
+  it('splits supply by asset and peg type with 30d change and dominance', async () => {
+    fetchJSON.mockResolvedValue({ peggedAssets: ASSETS });
+    const breakdown = await fetchChainStablecoinBreakdown('Ethereum');
+
+    // 60 + 30 + 5 EUR at $1.20 + 4
+    expect(breakdown.total).toBe(100);
+    // NEW has no previous month, so it's left out of the change: (96 - 96) / 96
+    expect(breakdown.change30d).toBeCloseTo(0, 5);
+    expect(breakdown.assets.map(a => a.symbol)).toEqual(['USDT', 'USDC', 'EURC', 'NEW']);
+    expect(breakdown.assets[0]).toEqual({
+      name: 'Tether', symbol: 'USDT', pegType: 'peggedUSD', peg: 'USD', pegMechanism: 'fiat-backed',
+      circulating: 60, change30d: 20, dominance: 60,
+    });
+    expect(breakdown.assets[1].change30d).toBe(-25);
+    expect(breakdown.assets[3]).toMatchObject({ change30d: null, pegMechanism: null });
+    expect(breakdown.pegs).toEqual([
+      { peg: 'USD', circulating: 94, change30d: expect.any(Number), dominance: 94 },
+      { peg: 'EUR', circulating: 6, change30d: 0, dominance: 6 },
+    ]);
+  });
+
+  it('matches the chain through a registry alias', async () => {
+    fetchJSON.mockResolvedValue({ peggedAssets: ASSETS });
+    expect((await fetchChainStablecoinBreakdown('BNB Chain')).assets.map(a => a.symbol)).toEqual(['BSCX']);
+  });
+
+  it('prefers the DefiLlama name when an asset lists the chain under two spellings', async () => {
+    fetchJSON.mockResolvedValue({ peggedAssets: [
+      { name: 'Twice', symbol: 'TWO', pegType: 'peggedUSD', chainCirculating: onChains('peggedUSD', { Binance: [3], BSC: [9] }) },
+    ] });
+    expect((await fetchChainStablecoinBreakdown('Binance')).total).toBe(9);
+  });
+
+  it('returns null when the chain has no stablecoins or the request fails', async () => {
+    fetchJSON.mockResolvedValue({ peggedAssets: ASSETS });
+    expect(await fetchChainStablecoinBreakdown('Cardano')).toBeNull();
+
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+    expect(await fetchChainStablecoinBreakdown('Ethereum')).toBeNull();
+  });
+});
+
+describe('fetchStablecoinPegs', () => {
+  const ASSETS = [
+    {
+      name: 'USD Coin', symbol: 'USDC', gecko_id: 'usd-coin', pegType: 'peggedUSD', price: 0.97,
+      circulating: { peggedUSD: 100 },
+      chainCirculating: { Ethereum: { current: { peggedUSD: 60 } }, Binance: { current: { peggedUSD: 30 } }, Nowhere: { current: { peggedUSD: 10 } }, Dust: { current: {} } },
+    },
+    { name: 'Tether', symbol: 'USDT', gecko_id: 'tether', pegType: 'peggedUSD', price: 1.001, circulating: { peggedUSD: 200 } },
+    { name: 'Euro Coin', symbol: 'EURC', pegType: 'peggedEUR', price: 1.16, circulating: { peggedEUR: 500 } },
+    { name: 'Unpriced', symbol: 'UNP', pegType: 'peggedUSD', circulating: { peggedUSD: 300 } },
+  ];
+  const PRICES = [
+    { date: 1, prices: { 'usd-coin': 1, tether: 1 } },
+    { date: 2, prices: { 'usd-coin': 0.98, tether: null } },
+  ];
+  const respond = (prices = PRICES) => fetchJSON.mockImplementation(async url => (url.endsWith('/stablecoinprices') ? prices : { peggedAssets: ASSETS }));
+
+  it('tracks priced USD stablecoins, largest first, with chains and price history', async () => {
+    respond();
+    const pegs = await fetchStablecoinPegs();
+
+    expect(pegs.map(p => p.symbol)).toEqual(['USDT', 'USDC']);
+    expect(pegs[1]).toMatchObject({ geckoId: 'usd-coin', price: 0.97, circulating: 100 });
+    expect(pegs[1].deviation).toBeCloseTo(-3, 5);
+    expect(pegs[1].chains).toEqual([
+      { chain: 'Ethereum', network: 'Ethereum', circulating: 60, share: 60 },
+      { chain: 'Binance', network: 'BSC', circulating: 30, share: 30 },
+      { chain: 'Nowhere', network: null, circulating: 10, share: 10 },
+    ]);
+    expect(pegs[1].history).toEqual([{ date: 1, price: 1 }, { date: 2, price: 0.98 }]);
+    expect(pegs[0]).toMatchObject({ chains: [], history: [{ date: 1, price: 1 }] });
+    // Daily history is cached for hours rather than the host's few minutes
+    const historyCall = fetchJSON.mock.calls.find(([url]) => url.endsWith('/stablecoinprices'));
+    expect(historyCall[1].ttl).toBeGreaterThanOrEqual(60 * 60 * 1000);
+  });
+
+  it('still reports current prices when the history is unavailable', async () => {
+    fetchJSON.mockImplementation(async url => {
+      if (url.endsWith('/stablecoinprices')) throw new Error('HTTP error! status: 500');
+      return { peggedAssets: ASSETS };
+    });
+    expect((await fetchStablecoinPegs(1))[0]).toMatchObject({ symbol: 'USDT', history: [] });
+  });
+
+  it('returns null when the asset list fails', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+    expect(await fetchStablecoinPegs()).toBeNull();
+  });
+});
+
+describe('detectDepegs', () => {
+  const peg = (symbol, deviation, chains = []) => ({ symbol, deviation, chains });
+
+  it('keeps pegs beyond the threshold, worst first, with a growing severity', () => {
+    const depegs = detectDepegs([peg('A', 0.2), peg('B', -1), peg('C', 5), peg('D', -2.5)], 1);
+
+    expect(depegs.map(d => d.symbol)).toEqual(['C', 'D', 'B']);
+    expect(depegs[0].severity).toBe(1);
+    expect(depegs[1].severity).toBeCloseTo(0.35 + 0.65 * 0.5, 5);
+    expect(depegs[2].severity).toBeCloseTo(0.35, 5);
+  });
+
+  it('returns nothing without pegs or a threshold', () => {
+    expect(detectDepegs(null, 1)).toEqual([]);
+    expect(detectDepegs([peg('A', -50)], 0)).toEqual([]);
+  });
+});
+
+describe('depegNetworkWeights', () => {
+  it('weights chains by circulation relative to the largest, keeping the strongest depeg', () => {
+    const weights = depegNetworkWeights([
+      { severity: 1, chains: [{ network: 'Ethereum', circulating: 80 }, { network: 'Tron', circulating: 20 }, { network: null, circulating: 5 }] },
+      { severity: 0.5, chains: [{ network: 'Tron', circulating: 10 }] },
+    ]);
+
+    expect(weights).toEqual({ Ethereum: 1, Tron: 0.5 });
+  });
+});
@@ -0,0 +1,14 @@
+import { percentChange } from '../util';
+
+describe('percentChange', () => {
+  it('measures the change against the previous value', () => {
+    expect(percentChange(120, 100)).toBe(20);
+    expect(percentChange(75, 100)).toBe(-25);
+  });
+
+  it('has no answer without a positive, finite baseline', () => {
+    expect(percentChange(10, 0)).toBeNull();
+    expect(percentChange(10, undefined)).toBeNull();
+    expect(percentChange(NaN, 100)).toBeNull();
+  });
+});
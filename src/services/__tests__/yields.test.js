@@ -0,0 +1,150 @@
+import { fetchJSON } from '../http';
+import { fetchChainTopYields, fetchChainYieldStats, fetchChainYieldPools, queryYieldPools } from '../yields';
+
+jest.mock('../http', () => ({ fetchJSON: jest.fn() }));
+
+const pool = (overrides) => ({
+  pool: overrides.symbol,
+  project: 'aave-v3',
+  chain: 'Ethereum',
+  tvlUsd: 2e6,
+  apy: 5,
+  ...overrides,
+});
+
+const POOLS = [
+  pool({ symbol: 'USDC', tvlUsd: 4e6, apy: 4, apyBase: 3, apyReward: 1, stablecoin: true }),
+  pool({ symbol: 'WETH', tvlUsd: 2e6, apy: 10 }),
+  pool({ symbol: 'DAI', tvlUsd: 1e6, apy: 6 }),
+  pool({ symbol: 'SCAM', tvlUsd: 3e6, apy: 5000 }),
+  pool({ symbol: 'DUST', tvlUsd: 5e5, apy: 20 }),
+  pool({ symbol: 'BNB', chain: 'Binance', tvlUsd: 5e6, apy: 8 }),
+  pool({ symbol: 'NOCHAIN', chain: undefined }),
+];
+
+beforeEach(() => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+describe('fetchChainTopYields', () => {
+  it('returns pools over $1M with a sane APY, largest first', async () => {
+    fetchJSON.mockResolvedValue({ data: POOLS });
+    const yields = await fetchChainTopYields('Ethereum');
+
+    expect(yields.map(p => p.symbol)).toEqual(['USDC', 'WETH']);
+    expect(yields[0]).toEqual({
+      pool: 'USDC', project: 'aave-v3', symbol: 'USDC', chain: 'Ethereum',
+      apy: 4, apyBase: 3, apyReward: 1, tvlUsd: 4e6, stablecoin: true,
+    });
+    expect(yields[1]).toMatchObject({ apyBase: 0, apyReward: 0, stablecoin: false });
+  });
+
+  it('honours the limit', async () => {
+    fetchJSON.mockResolvedValue({ data: POOLS });
+    expect(await fetchChainTopYields('Ethereum', 1)).toHaveLength(1);
+  });
+
+  it('matches pools listed under a chain alt name', async () => {
+    fetchJSON.mockResolvedValue({ data: POOLS });
+    expect((await fetchChainTopYields('BSC')).map(p => p.symbol)).toEqual(['BNB']);
+  });
+
+  it('returns an empty list when the payload has no data or the request fails', async () => {
+    fetchJSON.mockResolvedValue({});
+    expect(await fetchChainTopYields('Ethereum')).toEqual([]);
+
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+    expect(await fetchChainTopYields('Ethereum')).toEqual([]);
+  });
+});
+
+describe('fetchChainYieldStats', () => {
+  it('computes pool count, TVL and mean/weighted/median APY', async () => {
+    fetchJSON.mockResolvedValue({ data: POOLS.filter(p => p.symbol !== 'SCAM') });
+    const stats = await fetchChainYieldStats('Ethereum');
+
+    // USDC 4M @4, WETH 2M @10, DAI 1M @6, DUST 0.5M @20
+    expect(stats.poolCount).toBe(4);
+    expect(stats.totalYieldTvl).toBe(7.5e6);
+    expect(stats.avgApy).toBeCloseTo(10, 5);
+    expect(stats.weightedAvgApy).toBeCloseTo((16e6 + 20e6 + 6e6 + 10e6) / 7.5e6, 5);
+    expect(stats.medianApy).toBe(10); // upper middle of [4, 6, 10, 20]
+  });
+
+  it('leaves out-of-range APYs out of the averages', async () => {
+    fetchJSON.mockResolvedValue({ data: [pool({ symbol: 'A', apy: 6 }), pool({ symbol: 'B', apy: 0 }), pool({ symbol: 'C', apy: 2000 })] });
+    const stats = await fetchChainYieldStats('Ethereum');
+
+    expect(stats.poolCount).toBe(3);
+    expect(stats.avgApy).toBe(6);
+    expect(stats.medianApy).toBe(6);
+  });
+
+  it('returns null when the chain has no pools', async () => {
+    fetchJSON.mockResolvedValue({ data: [] });
+    expect(await fetchChainYieldStats('Ethereum')).toBeNull();
+
+    fetchJSON.mockResolvedValue({ data: POOLS });
+    expect(await fetchChainYieldStats('Cardano')).toBeNull();
+  });
+
+  it('reports zero APYs when no pool has a usable APY', async () => {
+    fetchJSON.mockResolvedValue({ data: [pool({ symbol: 'A', apy: undefined })] });
+
+    expect(await fetchChainYieldStats('Ethereum')).toMatchObject({ poolCount: 1, avgApy: 0, weightedAvgApy: 0, medianApy: 0 });
+  });
+});
+
+describe('fetchChainYieldPools', () => {
+  it('keeps small pools but drops unrealistic APYs, largest first', async () => {
+    fetchJSON.mockResolvedValue({ data: POOLS });
+    const pools = await fetchChainYieldPools('Ethereum');
+
+    expect(pools.map(p => p.symbol)).toEqual(['USDC', 'WETH', 'DAI', 'DUST']);
+    expect(pools[3]).toMatchObject({ apyBase: 0, apyReward: 0, stablecoin: false });
+  });
+
+  it('drops pools without an APY', async () => {
+    fetchJSON.mockResolvedValue({ data: [pool({ symbol: 'A', apy: null }), pool({ symbol: 'B', apy: 0 })] });
+    expect((await fetchChainYieldPools('Ethereum')).map(p => p.symbol)).toEqual(['B']);
+  });
+
+  it('returns an empty list when the request fails', async () => {
+    fetchJSON.mockRejectedValue(new Error('HTTP error! status: 500'));
+    expect(await fetchChainYieldPools('Ethereum')).toEqual([]);
+  });
+});
+
+describe('queryYieldPools', () => {
+  const POOL_LIST = [
+    { symbol: 'USDC', project: 'aave-v3', tvlUsd: 4e6, apy: 4, apyBase: 3, apyReward: 1, stablecoin: true },
+    { symbol: 'WETH', project: 'aave-v3', tvlUsd: 2e6, apy: 10, apyBase: 10, apyReward: 0, stablecoin: false },
+    { symbol: 'USDC-WETH', project: 'uniswap-v3', tvlUsd: 1e6, apy: 6, apyBase: 2, apyReward: 4, stablecoin: false },
+    { symbol: 'DAI', project: 'spark', tvlUsd: 5e5, apy: 20, apyBase: 20, apyReward: 0, stablecoin: true },
+  ];
+  const symbols = result => result.pools.map(p => p.symbol);
+
+  it('sorts by TVL, largest first, by default', () => {
+    expect(symbols(queryYieldPools(POOL_LIST))).toEqual(['USDC', 'WETH', 'USDC-WETH', 'DAI']);
+  });
+
+  it('sorts by any APY component in either direction', () => {
+    expect(symbols(queryYieldPools(POOL_LIST, { sortBy: 'apy' }))).toEqual(['DAI', 'WETH', 'USDC-WETH', 'USDC']);
+    expect(symbols(queryYieldPools(POOL_LIST, { sortBy: 'apyReward', descending: false }))[3]).toBe('USDC-WETH');
+    expect(symbols(queryYieldPools(POOL_LIST, { sortBy: 'bogus' }))[0]).toBe('USDC');
+  });
+
+  it('filters by project, symbol, stablecoins and minimum TVL', () => {
+    expect(symbols(queryYieldPools(POOL_LIST, { project: 'AAVE' }))).toEqual(['USDC', 'WETH']);
+    expect(symbols(queryYieldPools(POOL_LIST, { symbol: ' usdc ' }))).toEqual(['USDC', 'USDC-WETH']);
+    expect(symbols(queryYieldPools(POOL_LIST, { stablecoinOnly: true }))).toEqual(['USDC', 'DAI']);
+    expect(symbols(queryYieldPools(POOL_LIST, { minTvl: 1e6 }))).toEqual(['USDC', 'WETH', 'USDC-WETH']);
+  });
+
+  it('paginates and clamps the page to the results', () => {
+    expect(queryYieldPools(POOL_LIST, { pageSize: 3, page: 1 })).toMatchObject({ total: 4, page: 1, pageCount: 2 });
+    expect(symbols(queryYieldPools(POOL_LIST, { pageSize: 3, page: 1 }))).toEqual(['DAI']);
+    expect(queryYieldPools(POOL_LIST, { pageSize: 3, page: 5, project: 'spark' })).toMatchObject({ total: 1, page: 0, pageCount: 1 });
+    expect(queryYieldPools([], { page: 2 })).toEqual({ pools: [], total: 0, page: 0, pageCount: 1 });
+  });
+});
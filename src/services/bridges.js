@@ -0,0 +1,131 @@
+/**
+ * DefiLlama Bridges API Service
+ * Fetches cross-chain bridge flows between networks
+ * Free API: https://bridges.llama.fi
+ */
+
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
+import { findChain } from '../chainRegistry';
+
+const BASE_URL = getBaseUrl('bridges', 'https://bridges.llama.fi');
+
+// Bridges are fetched one by one, so only the busiest are used for flows
+const TOP_BRIDGES = 12;
+const BRIDGE_TTL = 10 * 60 * 1000; // 10 minutes
+
+/**
+ * Network name for a DefiLlama chain name ('CosmosHub' -> 'Cosmos'), unchanged when unknown
+ */
+function toNetworkName(chainName) {
+  return findChain(chainName)?.name || chainName;
+}
+
+/**
+ * Fetch every bridge with its 24h volume and chains
+ */
+export async function fetchBridges() {
+  try {
+    const data = await fetchJSON(`${BASE_URL}/bridges?includeChains=true`, { ttl: BRIDGE_TTL });
+
+    return (data?.bridges || []).map(bridge => ({
+      id: bridge.id,
+      name: bridge.name,
+      displayName: bridge.displayName || bridge.name,
+      volume24h: bridge.last24hVolume || 0,
+      chains: bridge.chains || [],
+    }));
+  } catch (error) {
+    console.error('Error fetching bridges:', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch a bridge's previous-day USD deposits and withdrawals per chain
+ * @param {number} bridgeId - DefiLlama bridge id
+ * @returns {Promise<Object|null>} Map of DefiLlama chain name to { deposits, withdrawals }
+ */
+export async function fetchBridgeChainVolumes(bridgeId) {
+  try {
+    const data = await fetchJSON(`${BASE_URL}/bridge/${bridgeId}`, { ttl: BRIDGE_TTL });
+
+    const volumes = {};
+    Object.entries(data?.chainBreakdown || {}).forEach(([chain, breakdown]) => {
+      volumes[chain] = {
+        deposits: breakdown?.prevDayUsdDeposits || 0,
+        withdrawals: breakdown?.prevDayUsdWithdrawals || 0,
+      };
+    });
+    return volumes;
+  } catch (error) {
+    console.error(`Error fetching bridge ${bridgeId}:`, error);
+    return null;
+  }
+}
+
+/**
+ * Split one bridge's per-chain volumes into source -> destination flows
+ * DefiLlama only reports what entered and left the bridge on each chain, not
+ * where it went, so each chain's deposits are shared out over the other chains
+ * in proportion to their withdrawals
+ * @param {Object} chainVolumes - From fetchBridgeChainVolumes
+ * @returns {Array} [{ from, to, volume }] with DefiLlama chain names
+ */
+export function estimateBridgeFlows(chainVolumes) {
+  const chains = Object.keys(chainVolumes || {});
+  const flows = [];
+
+  chains.forEach(from => {
+    const deposits = chainVolumes[from].deposits;
+    if (!(deposits > 0)) return;
+
+    const destinations = chains.filter(to => to !== from && chainVolumes[to].withdrawals > 0);
+    const totalWithdrawals = destinations.reduce((sum, to) => sum + chainVolumes[to].withdrawals, 0);
+
+    destinations.forEach(to => {
+      flows.push({ from, to, volume: deposits * (chainVolumes[to].withdrawals / totalWithdrawals) });
+    });
+  });
+
+  return flows;
+}
+
+/**
+ * Fetch 24h bridge flows between networks, summed over the busiest bridges
+ * @param {number} limit - Number of bridges to include
+ * @returns {Promise<Array>} [{ from, to, volume24h, bridges: [{ name, volume24h }] }], largest first
+ */
+export async function fetchBridgeFlows(limit = TOP_BRIDGES) {
+  try {
+    const bridges = (await fetchBridges())
+      .filter(bridge => bridge.volume24h > 0)
+      .sort((a, b) => b.volume24h - a.volume24h)
+      .slice(0, limit);
+
+    const chainVolumes = await Promise.all(bridges.map(bridge => fetchBridgeChainVolumes(bridge.id)));
+
+    const flows = new Map();
+    bridges.forEach((bridge, i) => {
+      estimateBridgeFlows(chainVolumes[i]).forEach(({ from, to, volume }) => {
+        const source = toNetworkName(from);
+        const destination = toNetworkName(to);
+        const key = `${source}->${destination}`;
+
+        if (!flows.has(key)) {
+          flows.set(key, { from: source, to: destination, volume24h: 0, bridges: [] });
+        }
+        const flow = flows.get(key);
+        flow.volume24h += volume;
+        flow.bridges.push({ name: bridge.displayName, volume24h: volume });
+      });
+    });
+
+    return [...flows.values()]
+      .map(flow => ({ ...flow, bridges: flow.bridges.sort((a, b) => b.volume24h - a.volume24h) }))
+      .sort((a, b) => b.volume24h - a.volume24h);
+  } catch (error) {
+    console.error('Error fetching bridge flows:', error);
+    return [];
+  }
+}
@@ -5,31 +5,32 @@
  * Note: Free tier has rate limits (10-50 calls/minute)
  */
 
-const BASE_URL = 'https://api.coingecko.com/api/v3';
-
-// Map network names to CoinGecko IDs
-const COINGECKO_IDS = {
-  'Ethereum': 'ethereum',
-  'Solana': 'solana',
-  'Bitcoin': 'bitcoin',
-  'BSC': 'binancecoin',
-  'BNB Chain': 'binancecoin',
-  'Avalanche': 'avalanche-2',
-  'Polygon': 'matic-network',
-  'Arbitrum': 'arbitrum',
-  'Optimism': 'optimism',
-  'Base': 'ethereum',
-  'Sui': 'sui',
-  'Cardano': 'cardano',
-  'Tron': 'tron',
-  'TON': 'the-open-network',
-  'Polkadot': 'polkadot',
-  'Near': 'near',
-  'Fantom': 'fantom',
-  'Cosmos': 'cosmos',
-  'Aptos': 'aptos',
-  'Cronos': 'crypto-com-chain',
-  'Sei': 'sei-network',
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
+import { getChainPriceGeckoId } from '../chainRegistry';
+
+const BASE_URL = getBaseUrl('coingecko', 'https://api.coingecko.com/api/v3');
+
+const MINUTE = 60 * 1000;
+
+// Price chart ranges, in days as CoinGecko expects them
+export const PRICE_RANGES = {
+  '1d': 1,
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  max: 'max',
+};
+
+// Longer ranges move slowly, so keep them cached longer and spare the rate budget
+const PRICE_RANGE_TTL = {
+  '1d': 5 * MINUTE,
+  '7d': 10 * MINUTE,
+  '30d': 30 * MINUTE,
+  '90d': 60 * MINUTE,
+  '1y': 60 * MINUTE,
+  max: 60 * MINUTE,
 };
 
 /**
@@ -41,12 +42,7 @@ export async function fetchSimplePrices(coinIds, vsCurrencies = ['usd']) {
   try {
     const ids = coinIds.join(',');
     const vs = vsCurrencies.join(',');
-    const response = await fetch(`${BASE_URL}/simple/price?ids=${ids}&vs_currencies=${vs}&include_24hr_change=true&include_24hr_vol=true&include_market_cap=true`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/simple/price?ids=${ids}&vs_currencies=${vs}&include_24hr_change=true&include_24hr_vol=true&include_market_cap=true`);
     return data;
   } catch (error) {
     console.error('Error fetching CoinGecko prices:', error);
@@ -60,12 +56,7 @@ export async function fetchSimplePrices(coinIds, vsCurrencies = ['usd']) {
  */
 export async function fetchCoinData(coinId) {
   try {
-    const response = await fetch(`${BASE_URL}/coins/${coinId}?localization=false&tickers=false&market_data=true&community_data=true&developer_data=true&sparkline=false`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/coins/${coinId}?localization=false&tickers=false&market_data=true&community_data=true&developer_data=true&sparkline=false`);
     return data;
   } catch (error) {
     console.error('Error fetching coin data:', error);
@@ -76,16 +67,12 @@ export async function fetchCoinData(coinId) {
 /**
  * Fetch historical price data (7 days, 30 days, 1 year)
  * @param {string} coinId - CoinGecko coin ID
- * @param {number} days - Number of days (default: 7)
+ * @param {number|string} days - Number of days or 'max' (default: 7)
+ * @param {Object} options - Request options passed to fetchJSON (e.g. { ttl })
  */
-export async function fetchHistoricalPrice(coinId, days = 7) {
+export async function fetchHistoricalPrice(coinId, days = 7, options = {}) {
   try {
-    const response = await fetch(`${BASE_URL}/coins/${coinId}/market_chart?vs_currency=usd&days=${days}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/coins/${coinId}/market_chart?vs_currency=usd&days=${days}`, options);
     return data;
   } catch (error) {
     console.error('Error fetching historical price:', error);
@@ -93,17 +80,59 @@ export async function fetchHistoricalPrice(coinId, days = 7) {
   }
 }
 
+/**
+ * Fetch OHLC candles - CoinGecko picks the candle size from the range
+ * (30m up to 2 days, 4h up to 30 days, 4 days beyond)
+ * @param {string} coinId - CoinGecko coin ID
+ * @param {number|string} days - Number of days or 'max' (default: 7)
+ * @param {Object} options - Request options passed to fetchJSON (e.g. { ttl })
+ */
+export async function fetchOHLC(coinId, days = 7, options = {}) {
+  try {
+    const data = await fetchJSON(`${BASE_URL}/coins/${coinId}/ohlc?vs_currency=usd&days=${days}`, options);
+    return data;
+  } catch (error) {
+    console.error('Error fetching OHLC data:', error);
+    return null;
+  }
+}
+
+/**
+ * Fetch everything the price chart needs for one range
+ * Candles are only requested when asked for, as they cost an extra call against the rate limit
+ * @param {string} coinId - CoinGecko coin ID
+ * @param {string} range - Key of PRICE_RANGES (default: '7d')
+ * @param {Object} options - { candles: also fetch OHLC candles }
+ */
+export async function fetchPriceChart(coinId, range = '7d', options = {}) {
+  const days = PRICE_RANGES[range] || PRICE_RANGES['7d'];
+  const requestOptions = { ttl: PRICE_RANGE_TTL[range] || PRICE_RANGE_TTL['7d'] };
+
+  const [history, ohlc] = await Promise.all([
+    fetchHistoricalPrice(coinId, days, requestOptions),
+    options.candles ? fetchOHLC(coinId, days, requestOptions) : Promise.resolve(null),
+  ]);
+
+  if (!history || !Array.isArray(history.prices)) {
+    return null;
+  }
+
+  return {
+    range,
+    prices: history.prices.map(([time, price]) => ({ time, price })),
+    volumes: (history.total_volumes || []).map(([time, volume]) => ({ time, volume })),
+    candles: Array.isArray(ohlc)
+      ? ohlc.map(([time, open, high, low, close]) => ({ time, open, high, low, close }))
+      : null,
+  };
+}
+
 /**
  * Fetch trending coins
  */
 export async function fetchTrendingCoins() {
   try {
-    const response = await fetch(`${BASE_URL}/search/trending`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/search/trending`);
     return data;
   } catch (error) {
     console.error('Error fetching trending coins:', error);
@@ -129,12 +158,7 @@ export async function fetchMarketData(coinIds, options = {}) {
       price_change_percentage: options.price_change_percentage || '24h',
     });
     
-    const response = await fetch(`${BASE_URL}/coins/markets?${params}`);
-    
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/coins/markets?${params}`);
     return data;
   } catch (error) {
     console.error('Error fetching market data:', error);
@@ -146,7 +170,7 @@ export async function fetchMarketData(coinIds, options = {}) {
  * Get CoinGecko ID for a network
  */
 export function getCoinGeckoId(networkName) {
-  return COINGECKO_IDS[networkName] || null;
+  return getChainPriceGeckoId(networkName);
 }
 
 /**
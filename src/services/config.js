@@ -0,0 +1,40 @@
+/**
+ * API base URL configuration
+ * Set REACT_APP_MOCK_API_URL (e.g. http://localhost:4010) to point every service
+ * at the local fixture server in mock-server/ instead of the live providers
+ */
+
+const MOCK_API_URL = process.env.REACT_APP_MOCK_API_URL;
+
+// Mock base URL -> live host it stands in for
+const mockedHosts = new Map();
+
+/**
+ * Resolve a service's base URL
+ * @param {string} provider - Provider prefix on the mock server (e.g. 'llama', 'coingecko')
+ * @param {string} liveUrl - Live API base URL
+ */
+export function getBaseUrl(provider, liveUrl) {
+  if (!MOCK_API_URL) return liveUrl;
+  const baseUrl = `${MOCK_API_URL.replace(/\/+$/, '')}/${provider}`;
+  mockedHosts.set(baseUrl, new URL(liveUrl).host);
+  return baseUrl;
+}
+
+/**
+ * Host whose cache and rate policy a request falls under
+ * Mock server URLs resolve to the live host their provider stands in for, so offline
+ * runs keep each provider's own budget instead of sharing one for localhost
+ * @param {string} url - Absolute request URL
+ */
+export function getPolicyHost(url) {
+  for (const [baseUrl, host] of mockedHosts) {
+    if (url === baseUrl || url.startsWith(`${baseUrl}/`) || url.startsWith(`${baseUrl}?`)) return host;
+  }
+  try {
+    return new URL(url).host;
+  } catch (e) {
+    return '';
+  }
+}
+
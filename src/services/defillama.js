@@ -4,144 +4,14 @@
  * Note: Free endpoints use api.llama.fi, Pro endpoints use pro-api.llama.fi
  */
 
-const BASE_URL = 'https://api.llama.fi'; // Free API base URL
-const ICONS_BASE_URL = 'https://icons.llama.fi';
-
-// Map our network names to DefiLlama chain names and metadata
-// Note: BSC might be listed as "BSC" or "BNB Chain" in DefiLlama
-export const CHAIN_NAME_MAP = {
-  'Ethereum': {
-    defillamaName: 'Ethereum',
-    geckoId: 'ethereum',
-    iconPath: 'chains/rsz_ethereum.jpg',
-    altNames: ['Ethereum']
-  },
-  'Solana': {
-    defillamaName: 'Solana',
-    geckoId: 'solana',
-    iconPath: 'chains/rsz_solana.jpg',
-    altNames: ['Solana']
-  },
-  'Bitcoin': {
-    defillamaName: 'Bitcoin',
-    geckoId: 'bitcoin',
-    iconPath: 'chains/rsz_bitcoin.jpg',
-    altNames: ['Bitcoin']
-  },
-  'BSC': {
-    defillamaName: 'BSC',
-    geckoId: 'binancecoin',
-    iconPath: 'chains/rsz_bsc.jpg',
-    altNames: ['BSC', 'BNB Chain', 'Binance']
-  },
-  'Avalanche': {
-    defillamaName: 'Avalanche',
-    geckoId: 'avalanche-2',
-    iconPath: 'chains/rsz_avalanche.jpg',
-    altNames: ['Avalanche']
-  },
-  'Polygon': {
-    defillamaName: 'Polygon',
-    geckoId: 'matic-network',
-    iconPath: 'chains/rsz_polygon.jpg',
-    altNames: ['Polygon', 'Matic']
-  },
-  'Arbitrum': {
-    defillamaName: 'Arbitrum',
-    geckoId: 'arbitrum',
-    iconPath: 'chains/rsz_arbitrum.jpg',
-    altNames: ['Arbitrum', 'Arbitrum One']
-  },
-  'Optimism': {
-    defillamaName: 'Optimism',
-    geckoId: 'optimism',
-    iconPath: 'chains/rsz_optimism.jpg',
-    altNames: ['Optimism', 'OP Mainnet']
-  },
-  'Base': {
-    defillamaName: 'Base',
-    geckoId: 'ethereum',
-    iconPath: 'chains/rsz_base.jpg',
-    altNames: ['Base']
-  },
-  'Sui': {
-    defillamaName: 'Sui',
-    geckoId: 'sui',
-    iconPath: 'chains/rsz_sui.jpg',
-    altNames: ['Sui']
-  },
-  'Cardano': {
-    defillamaName: 'Cardano',
-    geckoId: 'cardano',
-    iconPath: 'chains/rsz_cardano.jpg',
-    altNames: ['Cardano']
-  },
-  'Tron': {
-    defillamaName: 'Tron',
-    geckoId: 'tron',
-    iconPath: 'chains/rsz_tron.jpg',
-    altNames: ['Tron', 'TRON']
-  },
-  'TON': {
-    defillamaName: 'TON',
-    geckoId: 'the-open-network',
-    iconPath: 'chains/rsz_ton.jpg',
-    altNames: ['TON', 'The Open Network']
-  },
-  'Polkadot': {
-    defillamaName: 'Polkadot',
-    geckoId: 'polkadot',
-    iconPath: 'chains/rsz_polkadot.jpg',
-    altNames: ['Polkadot']
-  },
-  'Near': {
-    defillamaName: 'Near',
-    geckoId: 'near',
-    iconPath: 'chains/rsz_near.jpg',
-    altNames: ['Near', 'NEAR', 'Aurora']
-  },
-  'Fantom': {
-    defillamaName: 'Fantom',
-    geckoId: 'fantom',
-    iconPath: 'chains/rsz_fantom.jpg',
-    altNames: ['Fantom', 'Sonic']
-  },
-  'Cosmos': {
-    defillamaName: 'CosmosHub',
-    geckoId: 'cosmos',
-    iconPath: 'chains/rsz_cosmos.jpg',
-    altNames: ['Cosmos', 'CosmosHub', 'Cosmos Hub']
-  },
-  'Aptos': {
-    defillamaName: 'Aptos',
-    geckoId: 'aptos',
-    iconPath: 'chains/rsz_aptos.jpg',
-    altNames: ['Aptos']
-  },
-  'Cronos': {
-    defillamaName: 'Cronos',
-    geckoId: 'crypto-com-chain',
-    iconPath: 'chains/rsz_cronos.jpg',
-    altNames: ['Cronos']
-  },
-  'Sei': {
-    defillamaName: 'Sei',
-    geckoId: 'sei-network',
-    iconPath: 'chains/rsz_sei.jpg',
-    altNames: ['Sei']
-  },
-};
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
+import { percentChange } from './util';
+import { formatUsdCompact } from '../format';
+import { CHAIN_REGISTRY, getChainPriceGeckoId, reportChainRegistryIssues } from '../chainRegistry';
 
-/**
- * Format large numbers for display
- */
-function formatNumber(num, decimals = 1) {
-  if (num >= 1e12) return `$${(num / 1e12).toFixed(decimals)}T`;
-  if (num >= 1e9) return `$${(num / 1e9).toFixed(decimals)}B`;
-  if (num >= 1e6) return `$${(num / 1e6).toFixed(decimals)}M`;
-  if (num >= 1e3) return `$${(num / 1e3).toFixed(decimals)}K`;
-  return `$${num.toFixed(decimals)}`;
-}
+const BASE_URL = getBaseUrl('llama', 'https://api.llama.fi'); // Free API base URL
+const ICONS_BASE_URL = 'https://icons.llama.fi';
 
 /**
  * Format number with suffix (M+, K+, etc.)
@@ -156,7 +26,7 @@ function formatCount(num) {
  * Get network logo URL
  */
 export function getNetworkLogo(networkName) {
-  const chainInfo = CHAIN_NAME_MAP[networkName];
+  const chainInfo = CHAIN_REGISTRY[networkName];
   if (!chainInfo) return null;
   return `${ICONS_BASE_URL}/${chainInfo.iconPath}`;
 }
@@ -167,14 +37,7 @@ export function getNetworkLogo(networkName) {
 export async function fetchChainTVL() {
   try {
     console.log('Fetching chain TVL from:', `${BASE_URL}/v2/chains`);
-    const response = await fetch(`${BASE_URL}/v2/chains`);
-    
-    if (!response.ok) {
-      console.error('TVL API response not OK:', response.status, response.statusText);
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/v2/chains`);
     console.log('TVL data received:', data?.length, 'chains');
     
     // Create a map of chain name to TVL and other data
@@ -202,16 +65,16 @@ export async function fetchChainTVL() {
 /**
  * Calculate market share percentages from TVL data
  * @param {Object} tvlData - Map of chain names to TVL data
- * @param {Array} networks - Optional array of networks to calculate for (if not provided, uses CHAIN_NAME_MAP)
+ * @param {Array} networks - Optional array of networks to calculate for (if not provided, uses CHAIN_REGISTRY)
  */
 export function calculateMarketShare(tvlData, networks = null) {
-  // If networks array provided, use it; otherwise use CHAIN_NAME_MAP
-  const networksToProcess = networks || Object.keys(CHAIN_NAME_MAP);
+  // If networks array provided, use it; otherwise use CHAIN_REGISTRY
+  const networksToProcess = networks || Object.keys(CHAIN_REGISTRY);
   
   // Calculate total TVL across all networks
   const totalTVL = networksToProcess.reduce((sum, network) => {
     const networkName = typeof network === 'string' ? network : network.name;
-    const defillamaName = CHAIN_NAME_MAP[networkName]?.defillamaName || networkName;
+    const defillamaName = CHAIN_REGISTRY[networkName]?.defillamaName || networkName;
     const chainData = tvlData[defillamaName];
     const tvl = chainData?.tvl || 0;
     return sum + tvl;
@@ -220,7 +83,7 @@ export function calculateMarketShare(tvlData, networks = null) {
   const marketShare = {};
   networksToProcess.forEach(network => {
     const networkName = typeof network === 'string' ? network : network.name;
-    const defillamaName = CHAIN_NAME_MAP[networkName]?.defillamaName || networkName;
+    const defillamaName = CHAIN_REGISTRY[networkName]?.defillamaName || networkName;
     const chainData = tvlData[defillamaName];
     const tvl = chainData?.tvl || 0;
     marketShare[networkName] = {
@@ -233,60 +96,99 @@ export function calculateMarketShare(tvlData, networks = null) {
   return marketShare;
 }
 
+// Session-wide protocol index - /protocols is several MB, so download it once
+let protocolIndexPromise = null;
+
+/**
+ * Group the raw /protocols payload by chain, each list sorted by TVL
+ */
+function buildProtocolIndex(protocols) {
+  const byChain = {};
+
+  if (!Array.isArray(protocols)) {
+    console.error('Protocols data is not an array:', protocols);
+    return { byChain };
+  }
+
+  protocols.forEach(protocol => {
+    if (!protocol.chains || !Array.isArray(protocol.chains)) return;
+
+    const entry = {
+      name: protocol.name,
+      tvl: protocol.tvl || 0,
+      category: protocol.category || 'Other',
+      slug: protocol.slug,
+      logo: protocol.logo || null,
+      url: protocol.url || null,
+      description: protocol.description || null,
+    };
+
+    protocol.chains.forEach(chain => {
+      if (!byChain[chain]) {
+        byChain[chain] = [];
+      }
+      byChain[chain].push(entry);
+    });
+  });
+
+  Object.values(byChain).forEach(list => list.sort((a, b) => b.tvl - a.tvl));
+
+  return { byChain };
+}
+
+/**
+ * Fetch the protocol list once per session and index it by DefiLlama chain name
+ */
+export async function fetchProtocolIndex() {
+  if (!protocolIndexPromise) {
+    console.log('Fetching protocols from:', `${BASE_URL}/protocols`);
+    // The index is kept for the whole session, no need to also cache the raw payload
+    protocolIndexPromise = fetchJSON(`${BASE_URL}/protocols`, { ttl: 0 })
+      .then(protocols => {
+        console.log('Protocols data received:', protocols?.length, 'protocols');
+        return buildProtocolIndex(protocols);
+      })
+      .catch(error => {
+        // Allow a later call to retry instead of caching the failure
+        protocolIndexPromise = null;
+        throw error;
+      });
+  }
+  return protocolIndexPromise;
+}
+
+/**
+ * Count protocols per category in a list of indexed protocols
+ */
+function countCategories(protocols) {
+  const categories = {};
+  protocols.forEach(protocol => {
+    categories[protocol.category] = (categories[protocol.category] || 0) + 1;
+  });
+  return categories;
+}
+
 /**
  * Fetch all protocols to count dapps per chain
  */
 export async function fetchProtocols() {
   try {
-    console.log('Fetching protocols from:', `${BASE_URL}/protocols`);
-    const response = await fetch(`${BASE_URL}/protocols`);
-    
-    if (!response.ok) {
-      console.error('Protocols API response not OK:', response.status, response.statusText);
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    
-    const protocols = await response.json();
-    console.log('Protocols data received:', protocols?.length, 'protocols');
-    
-    if (!Array.isArray(protocols)) {
-      console.error('Protocols data is not an array:', protocols);
-      return { counts: {}, categories: {} };
-    }
-    
+    const { byChain } = await fetchProtocolIndex();
+
     // Count protocols per chain and get category breakdown
     const chainProtocolCount = {};
     const chainCategories = {};
-    
-    protocols.forEach(protocol => {
-      if (protocol.chains && Array.isArray(protocol.chains)) {
-        protocol.chains.forEach(chain => {
-          // Check if this chain is in our known networks
-          const chainInfo = Object.values(CHAIN_NAME_MAP).find(c => c.defillamaName === chain);
-          if (chainInfo) {
-            const networkName = Object.keys(CHAIN_NAME_MAP).find(
-              key => CHAIN_NAME_MAP[key].defillamaName === chain
-            );
-            if (networkName) {
-              chainProtocolCount[networkName] = (chainProtocolCount[networkName] || 0) + 1;
-              
-              // Track categories
-              if (protocol.category) {
-                if (!chainCategories[networkName]) {
-                  chainCategories[networkName] = {};
-                }
-                chainCategories[networkName][protocol.category] = 
-                  (chainCategories[networkName][protocol.category] || 0) + 1;
-              }
-            }
-          } else {
-            // Also count for any chain (for dynamic network creation)
-            chainProtocolCount[chain] = (chainProtocolCount[chain] || 0) + 1;
-          }
-        });
-      }
+
+    Object.entries(byChain).forEach(([chain, protocols]) => {
+      // Key known networks by our name, any other chain by its DefiLlama name (for dynamic network creation)
+      const networkName = Object.keys(CHAIN_REGISTRY).find(
+        key => CHAIN_REGISTRY[key].defillamaName === chain
+      ) || chain;
+
+      chainProtocolCount[networkName] = protocols.length;
+      chainCategories[networkName] = countCategories(protocols);
     });
-    
+
     return { counts: chainProtocolCount, categories: chainCategories };
   } catch (error) {
     console.error('Error fetching protocols:', error);
@@ -299,14 +201,9 @@ export async function fetchProtocols() {
  */
 export async function fetchChainDEXVolume(chainName) {
   try {
-    const chainInfo = CHAIN_NAME_MAP[chainName];
+    const chainInfo = CHAIN_REGISTRY[chainName];
     const defillamaChainName = chainInfo?.defillamaName || chainName;
-    const response = await fetch(`${BASE_URL}/overview/dexs/${defillamaChainName}?excludeTotalDataChart=true&excludeTotalDataChartBreakdown=true`);
-    if (!response.ok) {
-      // Some chains might not have DEX data, return null gracefully
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/overview/dexs/${defillamaChainName}?excludeTotalDataChart=true&excludeTotalDataChartBreakdown=true`);
     
     return {
       volume24h: data.totalVolume || 0,
@@ -317,7 +214,62 @@ export async function fetchChainDEXVolume(chainName) {
       protocols: data.protocols || [],
     };
   } catch (error) {
-    console.error(`Error fetching DEX volume for ${chainName}:`, error);
+    // Some chains might not have DEX data (404), return null gracefully
+    if (error.status !== 404) {
+      console.error(`Error fetching DEX volume for ${chainName}:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Fetch a chain's DEX breakdown for the DEX tab
+ * Unlike fetchChainDEXVolume this keeps totalDataChart, so it's only requested when the tab opens
+ * @param {string} chainName - Network name or DefiLlama chain name
+ * @param {string} range - Key of TVL_RANGES for the volume history (default: full history)
+ * @returns {Promise<Object|null>} { volume24h, volume7d, change_1d, change_7d, dexes, series }
+ *   dexes carry their 24h/7d volume, 1d change and share (%) of the chain's volume, largest 24h first;
+ *   series is the chain's daily volume as [{ date, volume }]
+ */
+export async function fetchChainDEXOverview(chainName, range = 'all') {
+  try {
+    const chainInfo = CHAIN_REGISTRY[chainName];
+    const defillamaChainName = chainInfo?.defillamaName || chainName;
+    const data = await fetchJSON(`${BASE_URL}/overview/dexs/${defillamaChainName}?excludeTotalDataChartBreakdown=true`);
+
+    const volume24h = data.total24h || data.totalVolume || 0;
+    const volume7d = data.total7d || data.totalVolume7d || 0;
+
+    const dexes = (data.protocols || [])
+      .filter(dex => dex.total24h > 0 || dex.total7d > 0)
+      .map(dex => ({
+        name: dex.displayName || dex.name,
+        slug: dex.slug || null,
+        logo: dex.logo || null,
+        volume24h: dex.total24h || 0,
+        volume7d: dex.total7d || 0,
+        change_1d: Number.isFinite(dex.change_1d) ? dex.change_1d : null,
+        share24h: volume24h > 0 ? ((dex.total24h || 0) / volume24h) * 100 : 0,
+        share7d: volume7d > 0 ? ((dex.total7d || 0) / volume7d) * 100 : 0,
+      }))
+      .sort((a, b) => b.volume24h - a.volume24h);
+
+    const series = (data.totalDataChart || [])
+      .map(([date, volume]) => ({ date: Number(date), volume: volume || 0 }))
+      .filter(point => Number.isFinite(point.date));
+
+    return {
+      volume24h,
+      volume7d,
+      change_1d: data.change_1d || 0,
+      change_7d: data.change_7d || 0,
+      dexes,
+      series: sliceSeriesByRange(series, range),
+    };
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Error fetching DEX overview for ${chainName}:`, error);
+    }
     return null;
   }
 }
@@ -327,13 +279,9 @@ export async function fetchChainDEXVolume(chainName) {
  */
 export async function fetchChainFees(chainName) {
   try {
-    const chainInfo = CHAIN_NAME_MAP[chainName];
+    const chainInfo = CHAIN_REGISTRY[chainName];
     const defillamaChainName = chainInfo?.defillamaName || chainName;
-    const response = await fetch(`${BASE_URL}/overview/fees/${defillamaChainName}?excludeTotalDataChart=true&excludeTotalDataChartBreakdown=true`);
-    if (!response.ok) {
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/overview/fees/${defillamaChainName}?excludeTotalDataChart=true&excludeTotalDataChartBreakdown=true`);
     
     return {
       fees24h: data.totalFees24h || 0,
@@ -344,7 +292,116 @@ export async function fetchChainFees(chainName) {
       change_7d: data.change_7d || 0,
     };
   } catch (error) {
-    console.error(`Error fetching fees for ${chainName}:`, error);
+    // Not every chain has fees data (404) - that's not an error
+    if (error.status !== 404) {
+      console.error(`Error fetching fees for ${chainName}:`, error);
+    }
+    return null;
+  }
+}
+
+/**
+ * Fetch one dataType of a chain's fees overview with its charts, or null when unavailable
+ */
+async function fetchFeesOverviewData(defillamaChainName, dataType) {
+  try {
+    return await fetchJSON(`${BASE_URL}/overview/fees/${defillamaChainName}?dataType=${dataType}`);
+  } catch (error) {
+    if (error.status !== 404) {
+      console.error(`Error fetching ${dataType} for ${defillamaChainName}:`, error);
+    }
+    return null;
+  }
+}
+
+// [[date, value]] -> Map of date (unix seconds) to value
+function chartByDate(chart) {
+  return new Map((chart || []).map(([date, value]) => [Number(date), value || 0]));
+}
+
+/**
+ * Fetch a chain's fees and revenue broken down by protocol for the Fees tab
+ * Keeps the charts and the per-protocol breakdown that fetchChainFees excludes,
+ * so it's only requested when the tab opens
+ * @param {string} chainName - Network name or DefiLlama chain name
+ * @param {string} range - Key of TVL_RANGES for the time series (default: full history)
+ * @returns {Promise<Object|null>} { fees24h, fees7d, fees30d, revenue24h, revenue7d, revenue30d, change_1d,
+ *   protocols, series, protocolSeries } - protocols carry the same totals plus revenueRatio (revenue / fees
+ *   over 30d), largest 24h fees first; series and protocolSeries[name] are [{ date, fees, revenue }].
+ *   Revenue fields are null when DefiLlama has no revenue data for the chain.
+ */
+export async function fetchChainFeesOverview(chainName, range = 'all') {
+  try {
+    const chainInfo = CHAIN_REGISTRY[chainName];
+    const defillamaChainName = chainInfo?.defillamaName || chainName;
+    const [fees, revenue] = await Promise.all([
+      fetchFeesOverviewData(defillamaChainName, 'dailyFees'),
+      fetchFeesOverviewData(defillamaChainName, 'dailyRevenue'),
+    ]);
+    if (!fees) return null;
+
+    // Daily fees with the same day's revenue (null when there's no revenue data)
+    const mergeSeries = (feeChart, revenueChart) => {
+      const revenueByDate = chartByDate(revenueChart);
+      const series = [...chartByDate(feeChart)]
+        .filter(([date]) => Number.isFinite(date))
+        .map(([date, value]) => ({ date, fees: value, revenue: revenue ? revenueByDate.get(date) ?? 0 : null }));
+      return sliceSeriesByRange(series, range);
+    };
+
+    // totalDataChartBreakdown is [[date, { protocolName: value }]] - regroup it per protocol
+    const chartsByProtocol = (breakdown) => {
+      const charts = {};
+      (breakdown || []).forEach(([date, values]) => {
+        Object.entries(values || {}).forEach(([name, value]) => {
+          if (!charts[name]) charts[name] = [];
+          charts[name].push([date, value]);
+        });
+      });
+      return charts;
+    };
+    const feeCharts = chartsByProtocol(fees.totalDataChartBreakdown);
+    const revenueCharts = chartsByProtocol(revenue?.totalDataChartBreakdown);
+
+    const revenueByName = new Map((revenue?.protocols || []).map(p => [p.name, p]));
+    const protocolSeries = {};
+    const protocols = (fees.protocols || [])
+      .filter(p => p.total24h > 0 || p.total7d > 0 || p.total30d > 0)
+      .map(p => {
+        const name = p.displayName || p.name;
+        const earned = revenue ? revenueByName.get(p.name) : null;
+        const revenue30d = revenue ? earned?.total30d || 0 : null;
+        const feeChart = feeCharts[name] || feeCharts[p.name];
+        if (feeChart) protocolSeries[name] = mergeSeries(feeChart, revenueCharts[name] || revenueCharts[p.name]);
+        return {
+          name,
+          slug: p.slug || null,
+          category: p.category || null,
+          fees24h: p.total24h || 0,
+          fees7d: p.total7d || 0,
+          fees30d: p.total30d || 0,
+          revenue24h: revenue ? earned?.total24h || 0 : null,
+          revenue7d: revenue ? earned?.total7d || 0 : null,
+          revenue30d,
+          revenueRatio: revenue30d !== null && p.total30d > 0 ? revenue30d / p.total30d : null,
+        };
+      })
+      .sort((a, b) => b.fees24h - a.fees24h);
+
+    return {
+      fees24h: fees.total24h || 0,
+      fees7d: fees.total7d || 0,
+      fees30d: fees.total30d || 0,
+      revenue24h: revenue ? revenue.total24h || 0 : null,
+      revenue7d: revenue ? revenue.total7d || 0 : null,
+      revenue30d: revenue ? revenue.total30d || 0 : null,
+      change_1d: fees.change_1d || 0,
+      protocols,
+      series: mergeSeries(fees.totalDataChart, revenue?.totalDataChart),
+      protocolSeries,
+    };
+  } catch (error) {
+    console.error(`Error fetching fees overview for ${chainName}:`, error);
     return null;
   }
 }
@@ -354,13 +411,9 @@ export async function fetchChainFees(chainName) {
  */
 export async function fetchChainBridgeVolume(chainName) {
   try {
-    const chainInfo = CHAIN_NAME_MAP[chainName];
+    const chainInfo = CHAIN_REGISTRY[chainName];
     const defillamaChainName = chainInfo?.defillamaName || chainName;
-    const response = await fetch(`${BASE_URL}/bridges/${defillamaChainName}`);
-    if (!response.ok) {
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/bridges/${defillamaChainName}`);
     
     // Calculate total bridge volume
     let totalVolume24h = 0;
@@ -382,57 +435,100 @@ export async function fetchChainBridgeVolume(chainName) {
       bridgeCount: data.bridges?.length || 0,
     };
   } catch (error) {
-    console.error(`Error fetching bridge volume for ${chainName}:`, error);
+    // Not every chain has bridge volume data (404) - that's not an error
+    if (error.status !== 404) {
+      console.error(`Error fetching bridge volume for ${chainName}:`, error);
+    }
     return null;
   }
 }
 
+// Chart ranges for historical TVL, in days (null = full history)
+export const TVL_RANGES = {
+  '7d': 7,
+  '30d': 30,
+  '90d': 90,
+  '1y': 365,
+  all: null,
+};
+
+const DAY_SECONDS = 24 * 60 * 60;
+
 /**
- * Fetch historical TVL data for a chain (last 30 days)
+ * Trim a { date, ... } series to a TVL_RANGES window, measured back from its latest point
+ * @param {Array} series - Points sorted by date (unix seconds)
+ * @param {string} range - Key of TVL_RANGES
  */
-export async function fetchChainHistoricalTVL(chainName) {
+export function sliceSeriesByRange(series, range = 'all') {
+  const days = TVL_RANGES[range];
+  if (!days || series.length === 0) return series;
+
+  const cutoff = series[series.length - 1].date - days * DAY_SECONDS;
+  return series.filter(point => point.date >= cutoff);
+}
+
+/**
+ * Fetch historical TVL data for a chain
+ * Returns the latest value, 1d/7d change (null without a baseline) and the daily series for the requested range
+ * @param {string} chainName - Network name or DefiLlama chain name
+ * @param {string} range - Key of TVL_RANGES (default: full history)
+ */
+export async function fetchChainHistoricalTVL(chainName, range = 'all') {
   try {
-    const chainInfo = CHAIN_NAME_MAP[chainName];
+    const chainInfo = CHAIN_REGISTRY[chainName];
     const defillamaChainName = chainInfo?.defillamaName || chainName;
-    const response = await fetch(`${BASE_URL}/v2/historicalChainTvl/${defillamaChainName}`);
-    if (!response.ok) {
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/v2/historicalChainTvl/${defillamaChainName}`);
     
     if (data && Array.isArray(data) && data.length > 0) {
       const latest = data[data.length - 1];
-      const dayAgo = data.length > 1 ? data[data.length - 2] : latest;
-      const weekAgo = data.length > 7 ? data[data.length - 8] : latest;
+      const dayAgo = data.length > 1 ? data[data.length - 2] : null;
+      const weekAgo = data.length > 7 ? data[data.length - 8] : null;
+      
+      // A chain that launched (or was empty) inside the window has no baseline to compare
+      // against - its change is null (unknown), not 0%
+      const change1d = percentChange(latest.tvl, dayAgo?.tvl);
+      const change7d = percentChange(latest.tvl, weekAgo?.tvl);
       
-      const change1d = dayAgo && latest ? ((latest.tvl - dayAgo.tvl) / dayAgo.tvl) * 100 : 0;
-      const change7d = weekAgo && latest ? ((latest.tvl - weekAgo.tvl) / weekAgo.tvl) * 100 : 0;
+      const series = data
+        .map(point => ({ date: Number(point.date), tvl: point.tvl || 0 }))
+        .filter(point => Number.isFinite(point.date));
       
       return {
         currentTVL: latest.tvl || 0,
         change1d,
         change7d,
         dataPoints: data.length,
+        range,
+        series: sliceSeriesByRange(series, range),
       };
     }
     
     return null;
   } catch (error) {
-    console.error(`Error fetching historical TVL for ${chainName}:`, error);
+    // Not every chain has historical TVL data (404) - that's not an error
+    if (error.status !== 404) {
+      console.error(`Error fetching historical TVL for ${chainName}:`, error);
+    }
     return null;
   }
 }
 
+/**
+ * Fetch the full daily TVL history of several networks
+ * @param {string[]} networkNames
+ * @returns {Promise<Object>} Map of network name to [{ date, tvl }] (empty when unavailable)
+ */
+export async function fetchHistoricalTVLByNetwork(networkNames) {
+  const histories = await Promise.all(networkNames.map(name => fetchChainHistoricalTVL(name, 'all')));
+  return Object.fromEntries(networkNames.map((name, i) => [name, histories[i]?.series || []]));
+}
+
 /**
  * Get all available chains from DefiLlama
  */
 export async function fetchAllChains() {
   try {
-    const response = await fetch(`${BASE_URL}/v2/chains`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/v2/chains`);
     
     // Filter chains with significant TVL (> $1M) and return top chains
     const significantChains = (data || [])
@@ -481,14 +577,17 @@ export async function fetchAllNetworkAnalytics() {
     console.log('Sample TVL data:', Object.entries(tvlData).slice(0, 5));
     console.log('Protocol counts:', protocolData.counts);
     
+    // Flag registry entries that disagree with each other or with DefiLlama
+    reportChainRegistryIssues(tvlData);
+    
     const protocolCounts = protocolData.counts || {};
     const marketShare = calculateMarketShare(tvlData);
     
     const analytics = {};
     
     // Process each network
-    Object.keys(CHAIN_NAME_MAP).forEach(networkName => {
-      const chainInfo = CHAIN_NAME_MAP[networkName];
+    Object.keys(CHAIN_REGISTRY).forEach(networkName => {
+      const chainInfo = CHAIN_REGISTRY[networkName];
       const defillamaChainName = chainInfo.defillamaName;
       
       // Try multiple ways to find the chain data (including alt names)
@@ -521,13 +620,13 @@ export async function fetchAllNetworkAnalytics() {
       
       analytics[networkName] = {
         tvl,
-        tvlFormatted: tvl > 0 ? formatNumber(tvl) : '$0.0',
+        tvlFormatted: formatUsdCompact(tvl),
         dapps: dappCount > 0 ? formatCount(dappCount) : 'N/A',
         dappCount,
         marketShare: share.percentage,
         marketShareFormatted: `${share.percentage.toFixed(1)}%`,
         logo: getNetworkLogo(networkName),
-        geckoId: chainInfo.geckoId,
+        geckoId: getChainPriceGeckoId(networkName),
       };
     });
     
@@ -540,13 +639,59 @@ export async function fetchAllNetworkAnalytics() {
   }
 }
 
+// Per-network metrics the orb can encode as spike height
+export const SPIKE_METRICS = {
+  tvl: 'TVL',
+  volume: '24h DEX Volume',
+  fees: '24h Fees',
+};
+
+// Metrics the orb's colour modes can map (COLOR_MODES in colorScales)
+export const COLOR_METRICS = {
+  tvlChange: '24h TVL Change (%)',
+  volume: '24h DEX Volume',
+  fees: '24h Fees',
+};
+
+/**
+ * Fetch one metric for a set of networks
+ * @param {string} metric - Key of SPIKE_METRICS or COLOR_METRICS
+ * @param {string[]} networkNames - Registry or DefiLlama chain names
+ * @returns {Promise<Object>} Map of network name to raw value (0 when unavailable)
+ */
+export async function fetchNetworkMetric(metric, networkNames) {
+  try {
+    if (metric === 'tvl') {
+      const tvlData = await fetchChainTVL();
+      return Object.fromEntries(networkNames.map(name => {
+        const defillamaName = CHAIN_REGISTRY[name]?.defillamaName || name;
+        return [name, (tvlData[name] || tvlData[defillamaName])?.tvl || 0];
+      }));
+    }
+
+    const readers = {
+      volume: name => fetchChainDEXVolume(name).then(data => data?.volume24h),
+      fees: name => fetchChainFees(name).then(data => data?.fees24h),
+      tvlChange: name => fetchChainHistoricalTVL(name).then(data => data?.change1d),
+    };
+    const read = readers[metric];
+    if (!read) return {};
+
+    const values = await Promise.all(networkNames.map(read));
+    return Object.fromEntries(networkNames.map((name, i) => [name, values[i] || 0]));
+  } catch (error) {
+    console.error(`Error fetching ${metric} for networks:`, error);
+    return {};
+  }
+}
+
 /**
  * Fetch top protocols for a specific chain
  */
 export async function fetchChainProtocols(chainName) {
   try {
     // Try to get DefiLlama chain name from map, otherwise use the network name directly
-    const chainInfo = CHAIN_NAME_MAP[chainName];
+    const chainInfo = CHAIN_REGISTRY[chainName];
     let defillamaChainName = chainInfo?.defillamaName || chainName;
     
     // If network name doesn't match, try to find it in the chain list
@@ -566,33 +711,10 @@ export async function fetchChainProtocols(chainName) {
       }
     }
     
-    const response = await fetch(`${BASE_URL}/protocols`);
-    if (!response.ok) {
-      return [];
-    }
+    const { byChain } = await fetchProtocolIndex();
     
-    const allProtocols = await response.json();
-    
-    // Filter protocols that are on this chain and sort by TVL
-    const chainProtocols = allProtocols
-      .filter(protocol => 
-        protocol.chains && 
-        Array.isArray(protocol.chains) && 
-        protocol.chains.includes(defillamaChainName)
-      )
-      .map(protocol => ({
-        name: protocol.name,
-        tvl: protocol.tvl || 0,
-        category: protocol.category || 'Other',
-        slug: protocol.slug,
-        logo: protocol.logo || null,
-        url: protocol.url || null,
-        description: protocol.description || null,
-      }))
-      .sort((a, b) => (b.tvl || 0) - (a.tvl || 0))
-      .slice(0, 20); // Top 20 protocols
-    
-    return chainProtocols;
+    // Index lists are already sorted by TVL
+    return (byChain[defillamaChainName] || []).slice(0, 20); // Top 20 protocols
   } catch (error) {
     console.error(`Error fetching protocols for ${chainName}:`, error);
     return [];
@@ -601,11 +723,11 @@ export async function fetchChainProtocols(chainName) {
 
 /**
  * Get detailed analytics for a specific network
- * Works for all networks, not just those in CHAIN_NAME_MAP
+ * Works for all networks, not just those in CHAIN_REGISTRY
  */
 export async function fetchNetworkDetails(networkName) {
   try {
-    const chainInfo = CHAIN_NAME_MAP[networkName];
+    const chainInfo = CHAIN_REGISTRY[networkName];
     // Use chain name from map if available, otherwise use network name directly
     let defillamaChainName = chainInfo?.defillamaName || networkName;
     
@@ -644,14 +766,14 @@ export async function fetchNetworkDetails(networkName) {
     const protocolCounts = protocolData.counts || {};
     const dappCount = protocolCounts[networkName] || protocolCounts[defillamaChainName] || topProtocols.length || 0;
     
-    // Get categories from protocols
-    const categories = {};
-    topProtocols.forEach(protocol => {
-      const category = protocol.category || 'Other';
-      categories[category] = (categories[category] || 0) + 1;
-    });
+    // Category breakdown across every protocol on the chain, from the shared index
+    const protocolCategories = protocolData.categories || {};
+    const categories = protocolCategories[networkName] ||
+                       protocolCategories[defillamaChainName] ||
+                       countCategories(topProtocols);
     
     // Try to fetch DEX, fees, bridge, and historical data (may not be available for all chains)
+    // Their fields stay null when a source has nothing, so the UI can tell "no data" from a real 0
     let dexData = null;
     let feesData = null;
     let bridgeData = null;
@@ -693,52 +815,52 @@ export async function fetchNetworkDetails(networkName) {
     
     return {
       tvl,
-      tvlFormatted: formatNumber(tvl),
+      tvlFormatted: formatUsdCompact(tvl),
       dapps: dappCount > 0 ? formatCount(dappCount) : '0',
       dappCount,
       categories,
       topProtocols,
       protocolsByCategory,
-      dexVolume24h: dexData?.volume24h || 0,
-      dexVolume24hFormatted: dexData ? formatNumber(dexData.volume24h) : 'N/A',
-      dexVolume7d: dexData?.volume7d || 0,
-      dexVolume7dFormatted: dexData ? formatNumber(dexData.volume7d) : 'N/A',
-      dexChange1d: dexData?.change_1d || 0,
-      dexChange7d: dexData?.change_7d || 0,
-      fees24h: feesData?.fees24h || 0,
-      fees24hFormatted: feesData ? formatNumber(feesData.fees24h) : 'N/A',
-      fees7d: feesData?.fees7d || 0,
-      fees7dFormatted: feesData ? formatNumber(feesData.fees7d) : 'N/A',
-      revenue24h: feesData?.revenue24h || 0,
-      revenue24hFormatted: feesData ? formatNumber(feesData.revenue24h) : 'N/A',
-      revenue7d: feesData?.revenue7d || 0,
-      revenue7dFormatted: feesData ? formatNumber(feesData.revenue7d) : 'N/A',
-      bridgeVolume24h: bridgeData?.volume24h || 0,
-      bridgeVolume24hFormatted: bridgeData ? formatNumber(bridgeData.volume24h) : 'N/A',
-      bridgeVolume7d: bridgeData?.volume7d || 0,
-      bridgeVolume7dFormatted: bridgeData ? formatNumber(bridgeData.volume7d) : 'N/A',
-      bridgeCount: bridgeData?.bridgeCount || 0,
-      tvlChange1d: historicalData?.change1d || 0,
-      tvlChange7d: historicalData?.change7d || 0,
+      dexVolume24h: dexData ? dexData.volume24h : null,
+      dexVolume24hFormatted: dexData ? formatUsdCompact(dexData.volume24h) : 'N/A',
+      dexVolume7d: dexData ? dexData.volume7d : null,
+      dexVolume7dFormatted: dexData ? formatUsdCompact(dexData.volume7d) : 'N/A',
+      dexChange1d: dexData ? dexData.change_1d : null,
+      dexChange7d: dexData ? dexData.change_7d : null,
+      fees24h: feesData ? feesData.fees24h : null,
+      fees24hFormatted: feesData ? formatUsdCompact(feesData.fees24h) : 'N/A',
+      fees7d: feesData ? feesData.fees7d : null,
+      fees7dFormatted: feesData ? formatUsdCompact(feesData.fees7d) : 'N/A',
+      revenue24h: feesData ? feesData.revenue24h : null,
+      revenue24hFormatted: feesData ? formatUsdCompact(feesData.revenue24h) : 'N/A',
+      revenue7d: feesData ? feesData.revenue7d : null,
+      revenue7dFormatted: feesData ? formatUsdCompact(feesData.revenue7d) : 'N/A',
+      bridgeVolume24h: bridgeData ? bridgeData.volume24h : null,
+      bridgeVolume24hFormatted: bridgeData ? formatUsdCompact(bridgeData.volume24h) : 'N/A',
+      bridgeVolume7d: bridgeData ? bridgeData.volume7d : null,
+      bridgeVolume7dFormatted: bridgeData ? formatUsdCompact(bridgeData.volume7d) : 'N/A',
+      bridgeCount: bridgeData ? bridgeData.bridgeCount : null,
+      tvlChange1d: historicalData ? historicalData.change1d : null,
+      tvlChange7d: historicalData ? historicalData.change7d : null,
       logo: chainInfo ? getNetworkLogo(networkName) : null,
-      geckoId: chainInfo?.geckoId || null,
+      geckoId: getChainPriceGeckoId(networkName),
     };
   } catch (error) {
     console.error(`Error fetching details for ${networkName}:`, error);
     // Return minimal data instead of null so UI can still show something
     return {
       tvl: 0,
-      tvlFormatted: '$0.0',
+      tvlFormatted: '$0',
       dapps: '0',
       dappCount: 0,
       categories: {},
       topProtocols: [],
       protocolsByCategory: {},
-      dexVolume24h: 0,
+      dexVolume24h: null,
       dexVolume24hFormatted: 'N/A',
-      fees24h: 0,
+      fees24h: null,
       fees24hFormatted: 'N/A',
-      revenue24h: 0,
+      revenue24h: null,
       revenue24hFormatted: 'N/A',
       logo: null,
       geckoId: null,
@@ -4,32 +4,19 @@
  * Free API: https://api.dexscreener.com/latest/dex
  */
 
-const BASE_URL = 'https://api.dexscreener.com/latest/dex';
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
+import { findChain } from '../chainRegistry';
 
-// Map network names to DexScreener chain IDs
-export const DEXSCREENER_CHAIN_MAP = {
-  'Ethereum': 'ethereum',
-  'Solana': 'solana',
-  'Bitcoin': 'bitcoin',
-  'BSC': 'bsc',
-  'BNB Chain': 'bsc',
-  'Avalanche': 'avalanche',
-  'Polygon': 'polygon',
-  'Arbitrum': 'arbitrum',
-  'Optimism': 'optimism',
-  'Base': 'base',
-  'Sui': 'sui',
-  'Tron': 'tron',
-  'TON': 'ton',
-  'Near': 'near',
-  'Fantom': 'fantom',
-  'Aptos': 'aptos',
-  'Cronos': 'cronos',
-  'Sei': 'sei',
-  'Cardano': 'cardano',
-  'Polkadot': 'polkadot',
-  'Cosmos': 'cosmoshub',
-};
+const BASE_URL = getBaseUrl('dexscreener', 'https://api.dexscreener.com/latest/dex');
+
+/**
+ * Get DexScreener chain ID for a network
+ * Falls back to the lowercased network name for chains outside the registry
+ */
+export function getDexScreenerChainId(networkName) {
+  return findChain(networkName)?.dexscreenerId || networkName.toLowerCase();
+}
 
 /**
  * Fetch token data by address
@@ -38,11 +25,7 @@ export const DEXSCREENER_CHAIN_MAP = {
  */
 export async function fetchTokenData(chain, address) {
   try {
-    const response = await fetch(`${BASE_URL}/tokens/${address}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/tokens/${address}`);
     return data;
   } catch (error) {
     console.error('Error fetching DexScreener data:', error);
@@ -58,11 +41,7 @@ export async function fetchTokenData(chain, address) {
  */
 export async function fetchPairData(chain, token0Address, token1Address) {
   try {
-    const response = await fetch(`${BASE_URL}/pairs/${chain}/${token0Address}/${token1Address}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/pairs/${chain}/${token0Address}/${token1Address}`);
     return data;
   } catch (error) {
     console.error('Error fetching pair data:', error);
@@ -76,11 +55,7 @@ export async function fetchPairData(chain, token0Address, token1Address) {
  */
 export async function searchTokens(query) {
   try {
-    const response = await fetch(`${BASE_URL}/search?q=${encodeURIComponent(query)}`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/search?q=${encodeURIComponent(query)}`);
     return data;
   } catch (error) {
     console.error('Error searching tokens:', error);
@@ -95,11 +70,7 @@ export async function searchTokens(query) {
  */
 export async function fetchTokenByAddress(chainId, tokenAddress) {
   try {
-    const response = await fetch(`${BASE_URL}/tokens/${tokenAddress}`);
-    if (!response.ok) {
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/tokens/${tokenAddress}`);
     
     // Find the pair for the specific chain
     if (data.pairs && Array.isArray(data.pairs)) {
@@ -134,11 +105,7 @@ export async function fetchTokenByAddress(chainId, tokenAddress) {
  */
 export async function fetchTopPairs(chainId) {
   try {
-    const response = await fetch(`${BASE_URL}/pairs/${chainId}`);
-    if (!response.ok) {
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/pairs/${chainId}`);
     return data.pairs?.slice(0, 10) || []; // Top 10 pairs
   } catch (error) {
     console.error('Error fetching top pairs:', error);
@@ -152,11 +119,7 @@ export async function fetchTopPairs(chainId) {
  */
 export async function fetchChainTotalLiquidity(chainId) {
   try {
-    const response = await fetch(`${BASE_URL}/pairs/${chainId}`);
-    if (!response.ok) {
-      return null;
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/pairs/${chainId}`);
     
     if (!data.pairs || !Array.isArray(data.pairs)) {
       return null;
@@ -4,29 +4,18 @@
  * Free API: https://api.alternative.me/fng/
  */
 
-const BASE_URL = 'https://api.alternative.me/fng';
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
 
-// Cache
-let fngCache = null;
-let fngCacheTime = 0;
-const CACHE_TTL = 10 * 60 * 1000; // 10 minutes (updates once a day anyway)
+const BASE_URL = getBaseUrl('fng', 'https://api.alternative.me/fng');
 
 /**
  * Fetch current Fear & Greed Index
  * Returns value 0-100 and classification
  */
 export async function fetchFearGreedIndex() {
-  const now = Date.now();
-  if (fngCache && (now - fngCacheTime) < CACHE_TTL) {
-    return fngCache;
-  }
-
   try {
-    const response = await fetch(`${BASE_URL}/?limit=7&format=json`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/?limit=7&format=json`);
 
     if (!data.data || data.data.length === 0) {
       return null;
@@ -47,8 +36,6 @@ export async function fetchFearGreedIndex() {
       change7d: weekAgo ? parseInt(current.value) - parseInt(weekAgo.value) : null,
     };
 
-    fngCache = result;
-    fngCacheTime = now;
     return result;
   } catch (error) {
     console.error('Error fetching Fear & Greed Index:', error);
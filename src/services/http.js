@@ -0,0 +1,159 @@
+/**
+ * Shared HTTP client for all API services
+ * Dedupes identical in-flight requests, caches responses per host,
+ * retries with backoff on 429/5xx and enforces a per-host rate budget
+ */
+
+import { getPolicyHost } from './config';
+
+const MINUTE = 60 * 1000;
+
+// Per-host policies: cache TTL and request budget (maxRequests per interval)
+// CoinGecko's free tier is the tightest - stay well under its per-minute limit
+const HOST_POLICIES = {
+  'api.llama.fi': { ttl: 5 * MINUTE, maxRequests: 120, interval: MINUTE },
+  'stablecoins.llama.fi': { ttl: 5 * MINUTE, maxRequests: 60, interval: MINUTE },
+  'yields.llama.fi': { ttl: 5 * MINUTE, maxRequests: 60, interval: MINUTE },
+  'api.coingecko.com': { ttl: 5 * MINUTE, maxRequests: 10, interval: MINUTE },
+  'api.dexscreener.com': { ttl: 2 * MINUTE, maxRequests: 60, interval: MINUTE },
+  'api.alternative.me': { ttl: 10 * MINUTE, maxRequests: 30, interval: MINUTE },
+};
+
+const DEFAULT_POLICY = { ttl: 5 * MINUTE, maxRequests: 60, interval: MINUTE };
+
+const MAX_RETRIES = 3;
+const RETRY_BASE_DELAY = 500; // ms, doubled on every attempt
+const MAX_RETRY_DELAY = 30 * 1000;
+
+const responseCache = new Map(); // host -> Map(url -> { data, expires })
+const inFlight = new Map(); // url -> Promise
+const requestLog = new Map(); // host -> timestamps of recent requests
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+function getPolicy(host) {
+  return HOST_POLICIES[host] || DEFAULT_POLICY;
+}
+
+function isRetryable(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Wait until the host has room in its rate budget, then claim a slot
+ */
+async function acquireSlot(host) {
+  const { maxRequests, interval } = getPolicy(host);
+
+  for (;;) {
+    const now = Date.now();
+    const recent = (requestLog.get(host) || []).filter(t => now - t < interval);
+
+    if (recent.length < maxRequests) {
+      recent.push(now);
+      requestLog.set(host, recent);
+      return;
+    }
+
+    requestLog.set(host, recent);
+    await sleep(interval - (now - recent[0]) + 10);
+  }
+}
+
+/**
+ * Delay before the next retry - honours Retry-After when the server sends one
+ */
+function getRetryDelay(response, attempt) {
+  const retryAfter = response?.headers?.get?.('Retry-After');
+  if (retryAfter) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) return Math.min(seconds * 1000, MAX_RETRY_DELAY);
+  }
+  const backoff = RETRY_BASE_DELAY * Math.pow(2, attempt);
+  return Math.min(backoff + Math.random() * RETRY_BASE_DELAY, MAX_RETRY_DELAY);
+}
+
+async function requestWithRetry(url, host, retries) {
+  for (let attempt = 0; ; attempt++) {
+    await acquireSlot(host);
+
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      // Network failure - retry like a 5xx
+      if (attempt >= retries) throw error;
+      await sleep(getRetryDelay(null, attempt));
+      continue;
+    }
+
+    if (response.ok) {
+      return response.json();
+    }
+
+    if (isRetryable(response.status) && attempt < retries) {
+      console.warn(`Request to ${host} failed with ${response.status}, retrying (${attempt + 1}/${retries})`);
+      await sleep(getRetryDelay(response, attempt));
+      continue;
+    }
+
+    const error = new Error(`HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+}
+
+/**
+ * Fetch and parse JSON through the shared request layer
+ * Throws on non-OK responses (error.status holds the HTTP status)
+ * @param {string} url - Absolute request URL
+ * @param {Object} options - { ttl: cache lifetime in ms (0 disables caching), retries }
+ */
+export async function fetchJSON(url, options = {}) {
+  const host = getPolicyHost(url);
+  const ttl = options.ttl !== undefined ? options.ttl : getPolicy(host).ttl;
+  const retries = options.retries !== undefined ? options.retries : MAX_RETRIES;
+
+  if (!responseCache.has(host)) {
+    responseCache.set(host, new Map());
+  }
+  const hostCache = responseCache.get(host);
+
+  const cached = hostCache.get(url);
+  if (cached && cached.expires > Date.now()) {
+    return cached.data;
+  }
+
+  // Identical request already on the wire - share its result
+  if (inFlight.has(url)) {
+    return inFlight.get(url);
+  }
+
+  const request = requestWithRetry(url, host, retries)
+    .then(data => {
+      if (ttl > 0) {
+        hostCache.set(url, { data, expires: Date.now() + ttl });
+      }
+      return data;
+    })
+    .finally(() => {
+      inFlight.delete(url);
+    });
+
+  inFlight.set(url, request);
+  return request;
+}
+
+/**
+ * Drop cached responses for one host, or for every host
+ * @param {string} host - Optional host (e.g. 'api.coingecko.com')
+ */
+export function clearHttpCache(host = null) {
+  if (host) {
+    responseCache.delete(host);
+  } else {
+    responseCache.clear();
+  }
+}
@@ -0,0 +1,126 @@
+/**
+ * Market Events Service
+ * Polls price, TVL, DEX volume and sentiment signals and turns notable moves into
+ * events - each one flashes its network's region on the orb and lands in the ticker
+ */
+
+import { fetchSimplePrices } from './coingecko';
+import { fetchChainTVL, fetchChainDEXVolume } from './defillama';
+import { fetchFearGreedIndex } from './feargreed';
+import { CHAIN_REGISTRY, findChain } from '../chainRegistry';
+
+// Where each signal starts to count as an event (min) and where it reaches full magnitude (max)
+export const EVENT_THRESHOLDS = {
+  price: { min: 5, max: 20 }, // |24h price change| in %
+  tvl: { min: 2, max: 10 }, // |TVL change between polls| in %
+  volume: { min: 1.5, max: 4 }, // 24h DEX volume vs the 7d daily average
+};
+
+/**
+ * Fetch the current signals for a set of networks
+ * Prices only cover networks with their own token - L2s paying gas in ETH would all echo ETH
+ * @param {string[]} networkNames - Registry network names
+ * @returns {Promise<Object>} { prices, tvl, volumeRatio, fearGreed } - maps keyed by network name
+ */
+export async function fetchMarketSignals(networkNames) {
+  try {
+    const geckoIds = {};
+    networkNames.forEach(name => {
+      const geckoId = findChain(name)?.geckoId;
+      if (geckoId && !Object.values(geckoIds).includes(geckoId)) geckoIds[name] = geckoId;
+    });
+
+    const [prices, tvlData, volumes, fearGreed] = await Promise.all([
+      Object.keys(geckoIds).length > 0 ? fetchSimplePrices(Object.values(geckoIds)) : null,
+      fetchChainTVL(),
+      Promise.all(networkNames.map(name => fetchChainDEXVolume(name))),
+      fetchFearGreedIndex(),
+    ]);
+
+    const signals = { prices: {}, tvl: {}, volumeRatio: {}, fearGreed };
+
+    Object.entries(geckoIds).forEach(([name, geckoId]) => {
+      const change = prices?.[geckoId]?.usd_24h_change;
+      if (Number.isFinite(change)) signals.prices[name] = change;
+    });
+
+    networkNames.forEach((name, i) => {
+      const defillamaName = CHAIN_REGISTRY[name]?.defillamaName || name;
+      const tvl = (tvlData?.[name] || tvlData?.[defillamaName])?.tvl;
+      if (tvl > 0) signals.tvl[name] = tvl;
+
+      const volume = volumes[i];
+      if (volume?.volume24h > 0 && volume.volume7d > 0) {
+        signals.volumeRatio[name] = volume.volume24h / (volume.volume7d / 7);
+      }
+    });
+
+    return signals;
+  } catch (error) {
+    console.error('Error fetching market signals:', error);
+    return null;
+  }
+}
+
+// 0..1 position of a value between a threshold's min and max
+function magnitude(value, { min, max }) {
+  return Math.min(1, Math.max(0, (value - min) / (max - min)));
+}
+
+function formatSigned(value) {
+  return `${value >= 0 ? '+' : ''}${value.toFixed(1)}%`;
+}
+
+/**
+ * Compare two signal snapshots and list what happened in between
+ * A signal fires when it crosses its threshold, so a move that stays large doesn't
+ * repeat every poll. TVL jumps need a previous snapshot; the rest also fire on the first one.
+ * @param {Object|null} previous - Earlier fetchMarketSignals result
+ * @param {Object} current - Latest fetchMarketSignals result
+ * @param {number} timestamp - Event time in ms
+ * @returns {Array} [{ id, type, network, direction, magnitude, message, timestamp }], largest first
+ */
+export function detectMarketEvents(previous, current, timestamp = Date.now()) {
+  if (!current) return [];
+  const events = [];
+  const push = (type, network, direction, size, message) => {
+    events.push({ id: `${type}:${network || 'market'}:${timestamp}`, type, network, direction, magnitude: size, message, timestamp });
+  };
+
+  Object.entries(current.prices || {}).forEach(([name, change]) => {
+    const before = previous?.prices?.[name];
+    const crossed = before === undefined || Math.abs(before) < EVENT_THRESHOLDS.price.min || Math.sign(before) !== Math.sign(change);
+    if (Math.abs(change) >= EVENT_THRESHOLDS.price.min && crossed) {
+      push('price', name, Math.sign(change), magnitude(Math.abs(change), EVENT_THRESHOLDS.price), `${name} price ${formatSigned(change)} in 24h`);
+    }
+  });
+
+  Object.entries(current.tvl || {}).forEach(([name, tvl]) => {
+    const before = previous?.tvl?.[name];
+    if (!(before > 0)) return;
+    const change = ((tvl - before) / before) * 100;
+    if (Math.abs(change) >= EVENT_THRESHOLDS.tvl.min) {
+      push('tvl', name, Math.sign(change), magnitude(Math.abs(change), EVENT_THRESHOLDS.tvl), `${name} TVL ${formatSigned(change)} since last update`);
+    }
+  });
+
+  Object.entries(current.volumeRatio || {}).forEach(([name, ratio]) => {
+    const before = previous?.volumeRatio?.[name];
+    const crossed = before === undefined || before < EVENT_THRESHOLDS.volume.min;
+    if (ratio >= EVENT_THRESHOLDS.volume.min && crossed) {
+      push('volume', name, 1, magnitude(ratio, EVENT_THRESHOLDS.volume), `${name} DEX volume ${ratio.toFixed(1)}× its 7d average`);
+    }
+  });
+
+  // Sentiment regime change - against the last poll, or day over day on the first one
+  const fearGreed = current.fearGreed;
+  const lastRegime = previous ? previous.fearGreed?.classification : fearGreed?.previousClassification;
+  if (fearGreed?.classification && lastRegime && lastRegime !== fearGreed.classification) {
+    const lastValue = previous ? previous.fearGreed.value : fearGreed.previousValue;
+    const shift = Number.isFinite(lastValue) ? fearGreed.value - lastValue : 0;
+    push('sentiment', null, Math.sign(shift) || 1, magnitude(Math.abs(shift), { min: 0, max: 25 }),
+      `Fear & Greed: ${lastRegime} → ${fearGreed.classification} (${fearGreed.value})`);
+  }
+
+  return events.sort((a, b) => b.magnitude - a.magnitude);
+}
@@ -4,29 +4,20 @@
  * Free API: https://stablecoins.llama.fi
  */
 
-const BASE_URL = 'https://stablecoins.llama.fi';
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
+import { percentChange } from './util';
+import { findChain, findChainKey } from '../chainRegistry';
 
-// Cache to avoid repeated calls
-let stablecoinChainsCache = null;
-let stablecoinCacheTime = 0;
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const BASE_URL = getBaseUrl('stablecoins', 'https://stablecoins.llama.fi');
 
 /**
  * Fetch stablecoin market cap per chain
  * Returns stablecoin TVL for each chain
  */
 export async function fetchStablecoinChains() {
-  const now = Date.now();
-  if (stablecoinChainsCache && (now - stablecoinCacheTime) < CACHE_TTL) {
-    return stablecoinChainsCache;
-  }
-
   try {
-    const response = await fetch(`${BASE_URL}/stablecoinchains`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/stablecoinchains`);
 
     // Build a map of chain name to stablecoin market cap
     const chainMap = {};
@@ -41,8 +32,6 @@ export async function fetchStablecoinChains() {
       });
     }
 
-    stablecoinChainsCache = chainMap;
-    stablecoinCacheTime = now;
     return chainMap;
   } catch (error) {
     console.error('Error fetching stablecoin chains:', error);
@@ -52,20 +41,15 @@ export async function fetchStablecoinChains() {
 
 /**
  * Get stablecoin TVL for a specific chain
- * @param {string} chainName - The chain name (DefiLlama format)
+ * @param {string} chainName - Network name or DefiLlama chain name
  */
 export async function fetchChainStablecoinTVL(chainName) {
   try {
     const chains = await fetchStablecoinChains();
 
-    // Try direct match first, then case-insensitive
-    let data = chains[chainName];
-    if (!data) {
-      const key = Object.keys(chains).find(
-        k => k.toLowerCase() === chainName.toLowerCase()
-      );
-      if (key) data = chains[key];
-    }
+    // Direct match first, then registry aliases (case-insensitive)
+    const key = findChainKey(chains, chainName);
+    const data = key ? chains[key] : null;
 
     return data ? data.totalCirculatingUSD : 0;
   } catch (error) {
@@ -79,11 +63,7 @@ export async function fetchChainStablecoinTVL(chainName) {
  */
 export async function fetchTopStablecoins() {
   try {
-    const response = await fetch(`${BASE_URL}/stablecoins?includePrices=true`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
+    const data = await fetchJSON(`${BASE_URL}/stablecoins?includePrices=true`);
 
     if (!data.peggedAssets) return [];
 
@@ -103,3 +83,186 @@ export async function fetchTopStablecoins() {
     return [];
   }
 }
+
+// 'peggedUSD' -> 'USD'
+function pegLabel(pegType) {
+  return (pegType || '').replace(/^pegged/, '') || 'Other';
+}
+
+/**
+ * Break a chain's stablecoin supply down by asset and by peg type
+ * Uses each asset's chainCirculating entry; non-USD pegs are converted at the asset's price
+ * @param {string} chainName - Network name or DefiLlama chain name
+ * @returns {Promise<Object|null>} { total, change30d, assets, pegs } - assets and pegs sorted
+ *   largest first, each with circulating (USD), change30d (% or null) and dominance (% of total)
+ */
+export async function fetchChainStablecoinBreakdown(chainName) {
+  try {
+    const data = await fetchJSON(`${BASE_URL}/stablecoins?includePrices=true`);
+
+    const assets = [];
+    (data.peggedAssets || []).forEach(asset => {
+      const chains = asset.chainCirculating || {};
+      const key = findChainKey(chains, chainName);
+      if (!key) return;
+
+      const pegType = asset.pegType;
+      const usdRate = pegType === 'peggedUSD' ? 1 : asset.price || 1;
+      const circulating = (chains[key].current?.[pegType] || 0) * usdRate;
+      if (circulating <= 0) return;
+      const previous = (chains[key].circulatingPrevMonth?.[pegType] || 0) * usdRate;
+
+      assets.push({
+        name: asset.name,
+        symbol: asset.symbol,
+        pegType,
+        peg: pegLabel(pegType),
+        pegMechanism: asset.pegMechanism || null,
+        circulating,
+        previous,
+      });
+    });
+
+    if (assets.length === 0) return null;
+
+    const total = assets.reduce((sum, a) => sum + a.circulating, 0);
+    // Month-over-month only counts assets with a previous figure, so new listings don't read as growth
+    const tracked = assets.filter(a => a.previous > 0);
+    const previousTotal = tracked.reduce((sum, a) => sum + a.previous, 0);
+    const trackedTotal = tracked.reduce((sum, a) => sum + a.circulating, 0);
+
+    const pegs = {};
+    assets.forEach(a => {
+      if (!pegs[a.peg]) pegs[a.peg] = { peg: a.peg, circulating: 0, previous: 0 };
+      pegs[a.peg].circulating += a.circulating;
+      pegs[a.peg].previous += a.previous > 0 ? a.previous : a.circulating;
+    });
+
+    const finish = ({ previous, ...entry }) => ({
+      ...entry,
+      change30d: percentChange(entry.circulating, previous),
+      dominance: (entry.circulating / total) * 100,
+    });
+
+    return {
+      total,
+      change30d: percentChange(trackedTotal, previousTotal),
+      assets: assets.sort((a, b) => b.circulating - a.circulating).map(finish),
+      pegs: Object.values(pegs).sort((a, b) => b.circulating - a.circulating).map(finish),
+    };
+  } catch (error) {
+    console.error(`Error fetching stablecoin breakdown for ${chainName}:`, error);
+    return null;
+  }
+}
+
+// Days of daily prices kept for each stablecoin's peg history
+const PEG_HISTORY_DAYS = 30;
+// /stablecoinprices is several MB of daily prices - no point refetching it every depeg poll
+const PRICE_HISTORY_TTL = 6 * 60 * 60 * 1000; // 6 hours
+// Deviation (as a multiple of the alert threshold) at which a depeg reaches full severity
+const DEPEG_FULL_SEVERITY = 4;
+const DEPEG_MIN_SEVERITY = 0.35;
+
+/**
+ * Daily stablecoin prices, keyed by CoinGecko ID
+ * @returns {Promise<Object>} { [geckoId]: [{ date, price }] } - oldest first, last PEG_HISTORY_DAYS days
+ */
+async function fetchStablecoinPriceHistory() {
+  try {
+    const data = await fetchJSON(`${BASE_URL}/stablecoinprices`, { ttl: PRICE_HISTORY_TTL });
+    const history = {};
+    (Array.isArray(data) ? data.slice(-PEG_HISTORY_DAYS) : []).forEach(({ date, prices }) => {
+      Object.entries(prices || {}).forEach(([geckoId, price]) => {
+        if (!Number.isFinite(price)) return;
+        if (!history[geckoId]) history[geckoId] = [];
+        history[geckoId].push({ date, price });
+      });
+    });
+    return history;
+  } catch (error) {
+    console.error('Error fetching stablecoin price history:', error);
+    return {};
+  }
+}
+
+/**
+ * Peg status of the largest USD stablecoins
+ * @param {number} limit - How many stablecoins to track
+ * @returns {Promise<Array|null>} [{ name, symbol, geckoId, price, deviation, circulating, chains, history }]
+ *   deviation is the % distance from $1; chains lists where the coin circulates, largest first,
+ *   as { chain, network, circulating, share } with network the orb network name (or null)
+ */
+export async function fetchStablecoinPegs(limit = 10) {
+  try {
+    const [data, history] = await Promise.all([
+      fetchJSON(`${BASE_URL}/stablecoins?includePrices=true`),
+      fetchStablecoinPriceHistory(),
+    ]);
+
+    return (data.peggedAssets || [])
+      .filter(s => s.pegType === 'peggedUSD' && s.circulating?.peggedUSD > 0 && Number.isFinite(s.price))
+      .sort((a, b) => b.circulating.peggedUSD - a.circulating.peggedUSD)
+      .slice(0, limit)
+      .map(s => {
+        const circulating = s.circulating.peggedUSD;
+        const chains = Object.entries(s.chainCirculating || {})
+          .map(([chain, values]) => ({ chain, circulating: values.current?.peggedUSD || 0 }))
+          .filter(c => c.circulating > 0)
+          .sort((a, b) => b.circulating - a.circulating)
+          .map(c => ({ ...c, network: findChain(c.chain)?.name || null, share: (c.circulating / circulating) * 100 }));
+
+        return {
+          name: s.name,
+          symbol: s.symbol,
+          geckoId: s.gecko_id || null,
+          price: s.price,
+          deviation: (s.price - 1) * 100,
+          circulating,
+          chains,
+          history: (s.gecko_id && history[s.gecko_id]) || [],
+        };
+      });
+  } catch (error) {
+    console.error('Error fetching stablecoin pegs:', error);
+    return null;
+  }
+}
+
+/**
+ * Stablecoins trading further from their peg than the threshold, worst first
+ * @param {Array} pegs - fetchStablecoinPegs result
+ * @param {number} threshold - Alert threshold in % deviation
+ * @returns {Array} The matching pegs with a severity (0..1) that grows with the deviation
+ */
+export function detectDepegs(pegs, threshold) {
+  if (!pegs || !(threshold > 0)) return [];
+
+  return pegs
+    .filter(peg => Math.abs(peg.deviation) >= threshold)
+    .map(peg => {
+      const excess = (Math.abs(peg.deviation) - threshold) / (threshold * (DEPEG_FULL_SEVERITY - 1));
+      return { ...peg, severity: Math.min(1, DEPEG_MIN_SEVERITY + (1 - DEPEG_MIN_SEVERITY) * excess) };
+    })
+    .sort((a, b) => Math.abs(b.deviation) - Math.abs(a.deviation));
+}
+
+/**
+ * How strongly each orb network is exposed to the current depegs
+ * A chain's weight is the depegged coin's circulation there relative to its largest chain,
+ * scaled by the depeg's severity; with several depegs a chain keeps its highest weight
+ * @param {Array} depegs - detectDepegs result
+ * @returns {Object} { [networkName]: weight 0..1 }
+ */
+export function depegNetworkWeights(depegs) {
+  const weights = {};
+  depegs.forEach(depeg => {
+    const largest = depeg.chains[0]?.circulating || 0;
+    depeg.chains.forEach(({ network, circulating }) => {
+      if (!network || !(largest > 0)) return;
+      const weight = depeg.severity * (circulating / largest);
+      weights[network] = Math.max(weights[network] || 0, weight);
+    });
+  });
+  return weights;
+}
@@ -0,0 +1,11 @@
+/**
+ * Small helpers shared by the API services
+ */
+
+/**
+ * Percentage change between two values, null when there is no usable baseline
+ */
+export function percentChange(current, previous) {
+  if (!(previous > 0) || !Number.isFinite(current) || !Number.isFinite(previous)) return null;
+  return ((current - previous) / previous) * 100;
+}
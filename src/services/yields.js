@@ -4,37 +4,45 @@
  * Free API: https://yields.llama.fi
  */
 
-const BASE_URL = 'https://yields.llama.fi';
+import { fetchJSON } from './http';
+import { getBaseUrl } from './config';
+import { getChainAliases } from '../chainRegistry';
 
-// Cache
-let poolsCache = null;
-let poolsCacheTime = 0;
-const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+const BASE_URL = getBaseUrl('yields', 'https://yields.llama.fi');
 
 /**
  * Fetch all yield pools (cached)
  */
 async function fetchAllPools() {
-  const now = Date.now();
-  if (poolsCache && (now - poolsCacheTime) < CACHE_TTL) {
-    return poolsCache;
-  }
-
   try {
-    const response = await fetch(`${BASE_URL}/pools`);
-    if (!response.ok) {
-      throw new Error(`HTTP error! status: ${response.status}`);
-    }
-    const data = await response.json();
-    poolsCache = data.data || [];
-    poolsCacheTime = now;
-    return poolsCache;
+    const data = await fetchJSON(`${BASE_URL}/pools`);
+    return data.data || [];
   } catch (error) {
     console.error('Error fetching yield pools:', error);
     return [];
   }
 }
 
+// APYs above this are almost always broken or exploit pools
+const MAX_SANE_APY = 1000;
+
+// Sort keys accepted by queryYieldPools
+export const YIELD_SORT_KEYS = ['apy', 'tvlUsd', 'apyBase', 'apyReward'];
+
+function toYieldPool(pool) {
+  return {
+    pool: pool.pool,
+    project: pool.project,
+    symbol: pool.symbol,
+    chain: pool.chain,
+    apy: Number.isFinite(pool.apy) ? pool.apy : 0,
+    apyBase: pool.apyBase || 0,
+    apyReward: pool.apyReward || 0,
+    tvlUsd: pool.tvlUsd,
+    stablecoin: pool.stablecoin || false,
+  };
+}
+
 /**
  * Get top yield opportunities for a specific chain
  * @param {string} chainName - Chain name (e.g., 'Ethereum', 'Solana')
@@ -43,36 +51,97 @@ async function fetchAllPools() {
 export async function fetchChainTopYields(chainName, limit = 5) {
   try {
     const pools = await fetchAllPools();
+    const aliases = getChainAliases(chainName);
 
     // Filter for this chain, only TVL > $1M and reasonable APY
     const chainPools = pools
       .filter(pool =>
         pool.chain &&
-        pool.chain.toLowerCase() === chainName.toLowerCase() &&
+        aliases.includes(pool.chain.toLowerCase()) &&
         pool.tvlUsd > 1000000 &&
         pool.apy > 0 &&
-        pool.apy < 1000 // Filter out unrealistic APYs
+        pool.apy < MAX_SANE_APY // Filter out unrealistic APYs
       )
       .sort((a, b) => b.tvlUsd - a.tvlUsd) // Sort by TVL for safety
       .slice(0, limit);
 
-    return chainPools.map(pool => ({
-      pool: pool.pool,
-      project: pool.project,
-      symbol: pool.symbol,
-      chain: pool.chain,
-      apy: pool.apy,
-      apyBase: pool.apyBase || 0,
-      apyReward: pool.apyReward || 0,
-      tvlUsd: pool.tvlUsd,
-      stablecoin: pool.stablecoin || false,
-    }));
+    return chainPools.map(toYieldPool);
   } catch (error) {
     console.error(`Error fetching yields for ${chainName}:`, error);
     return [];
   }
 }
 
+/**
+ * Get every yield pool on a chain for the yield explorer
+ * Keeps small pools (the explorer filters by TVL itself) but still drops unrealistic APYs
+ * @param {string} chainName - Chain name
+ * @returns {Promise<Array>} Pools in the fetchChainTopYields shape, largest TVL first
+ */
+export async function fetchChainYieldPools(chainName) {
+  try {
+    const pools = await fetchAllPools();
+    const aliases = getChainAliases(chainName);
+
+    return pools
+      .filter(pool =>
+        pool.chain &&
+        aliases.includes(pool.chain.toLowerCase()) &&
+        pool.tvlUsd > 0 &&
+        Number.isFinite(pool.apy) &&
+        pool.apy >= 0 &&
+        pool.apy < MAX_SANE_APY
+      )
+      .sort((a, b) => b.tvlUsd - a.tvlUsd)
+      .map(toYieldPool);
+  } catch (error) {
+    console.error(`Error fetching yield pools for ${chainName}:`, error);
+    return [];
+  }
+}
+
+/**
+ * Filter, sort and paginate pools from fetchChainYieldPools
+ * @param {Array} pools - Pools for one chain
+ * @param {Object} query - { sortBy, descending, project, symbol, stablecoinOnly, minTvl, page, pageSize }
+ *   project and symbol are case-insensitive substring matches; page is 0-based
+ * @returns {{ pools: Array, total: number, page: number, pageCount: number }}
+ *   page is clamped to the last page so narrowing the filters never lands on an empty one
+ */
+export function queryYieldPools(pools, {
+  sortBy = 'tvlUsd',
+  descending = true,
+  project = '',
+  symbol = '',
+  stablecoinOnly = false,
+  minTvl = 0,
+  page = 0,
+  pageSize = 10,
+} = {}) {
+  const projectQuery = project.trim().toLowerCase();
+  const symbolQuery = symbol.trim().toLowerCase();
+  const sortKey = YIELD_SORT_KEYS.includes(sortBy) ? sortBy : 'tvlUsd';
+
+  const matching = pools
+    .filter(pool =>
+      (!projectQuery || (pool.project || '').toLowerCase().includes(projectQuery)) &&
+      (!symbolQuery || (pool.symbol || '').toLowerCase().includes(symbolQuery)) &&
+      (!stablecoinOnly || pool.stablecoin) &&
+      pool.tvlUsd >= minTvl
+    )
+    .sort((a, b) => (descending ? b[sortKey] - a[sortKey] : a[sortKey] - b[sortKey]));
+
+  const pageCount = Math.max(1, Math.ceil(matching.length / pageSize));
+  const clampedPage = Math.min(Math.max(0, page), pageCount - 1);
+
+  return {
+    pools: matching.slice(clampedPage * pageSize, (clampedPage + 1) * pageSize),
+    total: matching.length,
+    page: clampedPage,
+    pageCount,
+  };
+}
+
 /**
  * Get aggregate yield stats for a chain
  * @param {string} chainName - Chain name
@@ -80,10 +149,11 @@ export async function fetchChainTopYields(chainName, limit = 5) {
 export async function fetchChainYieldStats(chainName) {
   try {
     const pools = await fetchAllPools();
+    const aliases = getChainAliases(chainName);
 
     const chainPools = pools.filter(pool =>
       pool.chain &&
-      pool.chain.toLowerCase() === chainName.toLowerCase() &&
+      aliases.includes(pool.chain.toLowerCase()) &&
       pool.tvlUsd > 0
     );
 
@@ -92,12 +162,12 @@ export async function fetchChainYieldStats(chainName) {
     }
 
     const totalTvl = chainPools.reduce((sum, p) => sum + (p.tvlUsd || 0), 0);
-    const apys = chainPools.filter(p => p.apy > 0 && p.apy < 1000).map(p => p.apy);
+    const apys = chainPools.filter(p => p.apy > 0 && p.apy < MAX_SANE_APY).map(p => p.apy);
     const avgApy = apys.length > 0 ? apys.reduce((a, b) => a + b, 0) / apys.length : 0;
 
     // Weighted average APY (by TVL)
     const weightedSum = chainPools
-      .filter(p => p.apy > 0 && p.apy < 1000)
+      .filter(p => p.apy > 0 && p.apy < MAX_SANE_APY)
       .reduce((sum, p) => sum + (p.apy * (p.tvlUsd || 0)), 0);
     const weightedAvgApy = totalTvl > 0 ? weightedSum / totalTvl : 0;
 
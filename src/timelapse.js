@@ -0,0 +1,87 @@
+/**
+ * Historical time-lapse of the DeFi landscape
+ * Aligns every network's TVL history on one weekly timeline, then samples it at a
+ * fractional position so playback can interpolate smoothly between weeks
+ */
+
+const DAY = 86400; // seconds
+
+// One snapshot per week, from 2021 (before that the landscape is almost all Ethereum)
+export const TIMELAPSE_STEP = 7 * DAY;
+export const TIMELAPSE_START = Date.UTC(2021, 0, 1) / 1000;
+
+/**
+ * Value of a [{ date, tvl }] series at a timestamp
+ * 0 before the series starts, the last value after it ends, linear in between
+ * `cursor` carries the search position between calls with increasing timestamps
+ */
+function valueAt(series, date, cursor) {
+  if (series.length === 0 || date < series[0].date) return 0;
+  while (cursor.index < series.length - 1 && series[cursor.index + 1].date <= date) {
+    cursor.index++;
+  }
+  const current = series[cursor.index];
+  const next = series[cursor.index + 1];
+  if (!next) return current.tvl;
+  return current.tvl + (next.tvl - current.tvl) * ((date - current.date) / (next.date - current.date));
+}
+
+/**
+ * Build an aligned timeline from each network's TVL history
+ * @param {Object} seriesByNetwork - Map of network name to [{ date, tvl }] sorted by date (seconds)
+ * @param {Object} options - { start, step } in seconds
+ * @returns {{ dates: number[], tvl: Object, totals: Float64Array }|null} null when there is no history
+ */
+export function buildTimeline(seriesByNetwork, { start = TIMELAPSE_START, step = TIMELAPSE_STEP } = {}) {
+  const entries = Object.entries(seriesByNetwork || {}).filter(([, series]) => series && series.length > 0);
+  if (entries.length === 0) return null;
+
+  const firstDate = Math.max(start, Math.min(...entries.map(([, series]) => series[0].date)));
+  const lastDate = Math.max(...entries.map(([, series]) => series[series.length - 1].date));
+  if (lastDate < firstDate) return null;
+
+  const dates = [];
+  for (let date = firstDate; date < lastDate; date += step) {
+    dates.push(date);
+  }
+  dates.push(lastDate);
+
+  const tvl = {};
+  const totals = new Float64Array(dates.length);
+  entries.forEach(([name, series]) => {
+    const values = new Float64Array(dates.length);
+    const cursor = { index: 0 };
+    dates.forEach((date, i) => {
+      values[i] = valueAt(series, date, cursor);
+      totals[i] += values[i];
+    });
+    tvl[name] = values;
+  });
+
+  return { dates, tvl, totals };
+}
+
+/**
+ * Interpolated snapshot at a fractional timeline position
+ * @param {Object} timeline - From buildTimeline
+ * @param {number} position - 0 .. dates.length - 1
+ * @returns {{ date: number, tvl: Object, share: Object }} TVL in USD and share in % per network
+ */
+export function sampleTimeline(timeline, position) {
+  const lastIndex = timeline.dates.length - 1;
+  const clamped = Math.min(lastIndex, Math.max(0, position));
+  const index = Math.floor(clamped);
+  const nextIndex = Math.min(lastIndex, index + 1);
+  const t = clamped - index;
+  const lerp = (values) => values[index] + (values[nextIndex] - values[index]) * t;
+
+  const total = lerp(timeline.totals);
+  const tvl = {};
+  const share = {};
+  Object.entries(timeline.tvl).forEach(([name, values]) => {
+    tvl[name] = lerp(values);
+    share[name] = total > 0 ? (tvl[name] / total) * 100 : 0;
+  });
+
+  return { date: lerp(timeline.dates), tvl, share };
+}
@@ -11,7 +11,8 @@ import {
   VignetteEffect,
 } from "postprocessing";
 
-function usePostprocessing() {
+// Each pass can be switched off by the quality preset; the composer is rebuilt when they change
+function usePostprocessing({ smaa = true, bloom = true, vignette = true } = {}) {
   const { gl, scene, camera } = useThree();
   const [width, height] = useThree((state) => [state.size.width, state.size.height]);
 
@@ -44,12 +45,14 @@ function usePostprocessing() {
     });
 
     composer.addPass(renderPass);
-    composer.addPass(new EffectPass(camera, new SMAAEffect()));
-    composer.addPass(new EffectPass(camera, BLOOM));
-    composer.addPass(new EffectPass(camera, VIGNETTE));
+    if (smaa) composer.addPass(new EffectPass(camera, new SMAAEffect()));
+    if (bloom) composer.addPass(new EffectPass(camera, BLOOM));
+    if (vignette) composer.addPass(new EffectPass(camera, VIGNETTE));
 
     return [composer, BLOOM];
-  }, [gl, scene, camera]);
+  }, [gl, scene, camera, smaa, bloom, vignette]);
+
+  useEffect(() => () => composer.dispose(), [composer]);
 
   useEffect(
     () => void composer.setSize(width, height),
@@ -1,138 +1,510 @@
 /**
- * Test script to verify DefiLlama API endpoints
- * Run with: node test-api.js
+ * API health check - exercises every endpoint used by src/services
+ * Validates each response against the fields the services actually read,
+ * reports latency and exits non-zero when a provider's payload has drifted
+ *
+ * Run with: node test-api.js [--format=text|json|junit] [--output=<file>] [--mock-url=http://localhost:4010]
+ *
+ * Exit codes: 0 all healthy, 1 schema drift, 2 endpoint unreachable or HTTP error
  */
 
-const BASE_URLS = [
-  'https://api.llama.fi',
-  'https://defillama.com',
+const fs = require('fs');
+const UPSTREAMS = require('./mock-server/upstreams');
+
+const REQUEST_TIMEOUT = 20 * 1000;
+const MAX_ITEMS_CHECKED = 25; // Array payloads: validate the first N items
+
+/**
+ * Field specs use dotted paths and a type, '?' marks fields the services treat as optional
+ * A '*' segment checks every entry of an object (e.g. per-chain maps keyed by chain name)
+ * Types: string, number, numeric (number or numeric string), boolean, array, object
+ * `items` names the array whose entries are checked against `itemFields` ('' = root array)
+ */
+const CHECKS = [
+  // DefiLlama (services/defillama.js)
+  {
+    id: 'llama.chains',
+    provider: 'llama',
+    path: '/v2/chains',
+    items: '',
+    itemFields: { name: 'string', tvl: 'number', tokenSymbol: 'string?', gecko_id: 'string?', chainId: 'numeric?' },
+  },
+  {
+    id: 'llama.protocols',
+    provider: 'llama',
+    path: '/protocols',
+    items: '',
+    itemFields: { name: 'string', tvl: 'number?', category: 'string?', chains: 'array', slug: 'string', logo: 'string?', url: 'string?' },
+  },
+  {
+    id: 'llama.dexs',
+    provider: 'llama',
+    path: '/overview/dexs/Ethereum?excludeTotalDataChart=true&excludeTotalDataChartBreakdown=true',
+    fields: { totalVolume: 'number', totalVolume7d: 'number', change_1d: 'number?', change_7d: 'number?', protocols: 'array' },
+  },
+  {
+    id: 'llama.dexOverview',
+    provider: 'llama',
+    path: '/overview/dexs/Ethereum?excludeTotalDataChartBreakdown=true',
+    fields: {
+      total24h: 'number',
+      total7d: 'number',
+      change_1d: 'number?',
+      change_7d: 'number?',
+      totalDataChart: 'array',
+      'totalDataChart.0.0': 'numeric',
+      'totalDataChart.0.1': 'number',
+      protocols: 'array',
+    },
+    items: 'protocols',
+    itemFields: { name: 'string', displayName: 'string?', slug: 'string?', total24h: 'number?', total7d: 'number?', change_1d: 'number?' },
+  },
+  {
+    id: 'llama.fees',
+    provider: 'llama',
+    path: '/overview/fees/Ethereum?excludeTotalDataChart=true&excludeTotalDataChartBreakdown=true',
+    fields: {
+      totalFees24h: 'number',
+      totalFees7d: 'number',
+      totalRevenue24h: 'number?',
+      totalRevenue7d: 'number?',
+      change_1d: 'number?',
+      change_7d: 'number?',
+    },
+  },
+  {
+    id: 'llama.fees.dailyFees',
+    provider: 'llama',
+    path: '/overview/fees/Ethereum?dataType=dailyFees',
+    fields: {
+      total24h: 'number',
+      total7d: 'number',
+      total30d: 'number',
+      change_1d: 'number?',
+      totalDataChart: 'array',
+      'totalDataChart.0.1': 'number',
+      totalDataChartBreakdown: 'array',
+      'totalDataChartBreakdown.0.1': 'object',
+      protocols: 'array',
+    },
+    items: 'protocols',
+    itemFields: { name: 'string', displayName: 'string?', category: 'string?', total24h: 'number?', total7d: 'number?', total30d: 'number?' },
+  },
+  {
+    id: 'llama.fees.dailyRevenue',
+    provider: 'llama',
+    path: '/overview/fees/Ethereum?dataType=dailyRevenue',
+    fields: {
+      total24h: 'number',
+      total7d: 'number',
+      total30d: 'number',
+      change_1d: 'number?',
+      totalDataChart: 'array',
+      'totalDataChart.0.1': 'number',
+      totalDataChartBreakdown: 'array',
+      'totalDataChartBreakdown.0.1': 'object',
+      protocols: 'array',
+    },
+    items: 'protocols',
+    itemFields: { name: 'string', displayName: 'string?', category: 'string?', total24h: 'number?', total7d: 'number?', total30d: 'number?' },
+  },
+  {
+    id: 'llama.bridges',
+    provider: 'llama',
+    path: '/bridges/Ethereum',
+    fields: { bridges: 'array' },
+    items: 'bridges',
+    itemFields: { volume24h: 'number?', volume7d: 'number?', volume30d: 'number?' },
+  },
+  {
+    id: 'llama.historicalChainTvl',
+    provider: 'llama',
+    path: '/v2/historicalChainTvl/Ethereum',
+    items: '',
+    itemFields: { date: 'numeric', tvl: 'number' },
+  },
+
+  // CoinGecko (services/coingecko.js)
+  {
+    id: 'coingecko.simplePrice',
+    provider: 'coingecko',
+    path: '/simple/price?ids=ethereum&vs_currencies=usd&include_24hr_change=true&include_24hr_vol=true&include_market_cap=true',
+    fields: { 'ethereum.usd': 'number', 'ethereum.usd_24h_change': 'number?', 'ethereum.usd_market_cap': 'number?' },
+  },
+  {
+    id: 'coingecko.coin',
+    provider: 'coingecko',
+    path: '/coins/ethereum?localization=false&tickers=false&market_data=true&community_data=true&developer_data=true&sparkline=false',
+    fields: {
+      'market_data.current_price.usd': 'number',
+      'market_data.market_cap.usd': 'number?',
+      'market_data.total_volume.usd': 'number?',
+      'market_data.price_change_percentage_24h': 'number?',
+      'market_data.price_change_percentage_7d': 'number?',
+      'market_data.circulating_supply': 'number?',
+      'market_data.ath.usd': 'number?',
+      'community_data': 'object?',
+      'developer_data': 'object?',
+    },
+  },
+  {
+    id: 'coingecko.marketChart',
+    provider: 'coingecko',
+    path: '/coins/ethereum/market_chart?vs_currency=usd&days=7',
+    fields: { prices: 'array', market_caps: 'array?', total_volumes: 'array?' },
+    items: 'prices',
+    itemFields: { 0: 'number', 1: 'number' },
+  },
+  {
+    id: 'coingecko.ohlc',
+    provider: 'coingecko',
+    path: '/coins/ethereum/ohlc?vs_currency=usd&days=7',
+    items: '',
+    itemFields: { 0: 'number', 1: 'number', 2: 'number', 3: 'number', 4: 'number' },
+  },
+  {
+    id: 'coingecko.trending',
+    provider: 'coingecko',
+    path: '/search/trending',
+    fields: { coins: 'array' },
+  },
+  {
+    id: 'coingecko.markets',
+    provider: 'coingecko',
+    path: '/coins/markets?vs_currency=usd&ids=ethereum&order=market_cap_desc&per_page=100&page=1&sparkline=false&price_change_percentage=24h',
+    items: '',
+    itemFields: { id: 'string', current_price: 'number', market_cap: 'number?' },
+  },
+
+  // DexScreener (services/dexscreener.js)
+  {
+    id: 'dexscreener.pairs',
+    provider: 'dexscreener',
+    path: '/pairs/ethereum',
+    fields: { pairs: 'array' },
+    items: 'pairs',
+    itemFields: { chainId: 'string', 'liquidity.usd': 'numeric?', 'volume.h24': 'number?', pairAddress: 'string' },
+  },
+  {
+    id: 'dexscreener.search',
+    provider: 'dexscreener',
+    path: '/search?q=ETH',
+    fields: { pairs: 'array' },
+    items: 'pairs',
+    itemFields: { chainId: 'string', 'liquidity.usd': 'numeric?' },
+  },
+  {
+    id: 'dexscreener.tokens',
+    provider: 'dexscreener',
+    path: '/tokens/0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2',
+    fields: { pairs: 'array' },
+    items: 'pairs',
+    itemFields: { chainId: 'string', priceUsd: 'numeric?', 'priceChange.h24': 'number?', 'liquidity.usd': 'numeric?', fdv: 'number?', dexId: 'string' },
+  },
+
+  // Fear & Greed (services/feargreed.js)
+  {
+    id: 'fng.index',
+    provider: 'fng',
+    path: '/?limit=7&format=json',
+    fields: { data: 'array' },
+    items: 'data',
+    itemFields: { value: 'numeric', value_classification: 'string', timestamp: 'numeric' },
+  },
+
+  // Stablecoins (services/stablecoins.js)
+  {
+    id: 'stablecoins.chains',
+    provider: 'stablecoins',
+    path: '/stablecoinchains',
+    items: '',
+    itemFields: { name: 'string', totalCirculatingUSD: 'object', 'totalCirculatingUSD.peggedUSD': 'number?' },
+  },
+  {
+    id: 'stablecoins.assets',
+    provider: 'stablecoins',
+    path: '/stablecoins?includePrices=true',
+    fields: { peggedAssets: 'array' },
+    items: 'peggedAssets',
+    itemFields: {
+      name: 'string',
+      symbol: 'string',
+      gecko_id: 'string?',
+      pegType: 'string',
+      pegMechanism: 'string?',
+      circulating: 'object',
+      price: 'number?',
+      chainCirculating: 'object?',
+      'chainCirculating.*.current': 'object',
+      'chainCirculating.*.circulatingPrevMonth': 'object?',
+    },
+  },
+  {
+    id: 'stablecoins.prices',
+    provider: 'stablecoins',
+    path: '/stablecoinprices',
+    items: '',
+    itemFields: { date: 'numeric', prices: 'object' },
+  },
+
+  // Bridges (services/bridges.js)
+  {
+    id: 'bridges.list',
+    provider: 'bridges',
+    path: '/bridges?includeChains=true',
+    fields: { bridges: 'array' },
+    items: 'bridges',
+    itemFields: { id: 'number', name: 'string', displayName: 'string?', last24hVolume: 'number?', chains: 'array' },
+  },
+  {
+    id: 'bridges.detail',
+    provider: 'bridges',
+    path: '/bridge/1',
+    fields: {
+      chainBreakdown: 'object',
+      'chainBreakdown.Ethereum.prevDayUsdDeposits': 'number?',
+      'chainBreakdown.Ethereum.prevDayUsdWithdrawals': 'number?',
+    },
+  },
+
+  // Yields (services/yields.js)
+  {
+    id: 'yields.pools',
+    provider: 'yields',
+    path: '/pools',
+    fields: { data: 'array' },
+    items: 'data',
+    itemFields: {
+      pool: 'string',
+      chain: 'string',
+      project: 'string',
+      symbol: 'string',
+      tvlUsd: 'number',
+      apy: 'number?',
+      apyBase: 'number?',
+      apyReward: 'number?',
+      stablecoin: 'boolean?',
+    },
+  },
 ];
 
-async function testEndpoint(baseUrl, endpoint) {
-  try {
-    const url = `${baseUrl}${endpoint}`;
-    const response = await fetch(url);
-    
-    if (response.ok) {
-      const data = await response.json();
-      return { success: true, data, url, status: response.status };
-    } else {
-      const text = await response.text();
-      return { success: false, status: response.status, text: text.substring(0, 200), url };
-    }
-  } catch (error) {
-    return { success: false, error: error.message, url };
+function parseArgs(argv) {
+  const args = { format: 'text', output: null, mockUrl: null };
+  argv.forEach(arg => {
+    const [key, value] = arg.replace(/^--/, '').split('=');
+    if (key === 'format') args.format = value;
+    if (key === 'output') args.output = value;
+    if (key === 'mock-url') args.mockUrl = value.replace(/\/+$/, '');
+  });
+  if (!['text', 'json', 'junit'].includes(args.format)) {
+    throw new Error(`Unknown format "${args.format}" (expected text, json or junit)`);
+  }
+  return args;
+}
+
+function getPath(obj, path) {
+  if (path === '') return obj;
+  return path.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), obj);
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'string': return typeof value === 'string';
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'numeric': return (typeof value === 'number' && Number.isFinite(value)) ||
+      (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value)));
+    case 'boolean': return typeof value === 'boolean';
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    default: return false;
   }
 }
 
-async function testAPI() {
-  console.log('=== Testing DefiLlama API ===\n');
-
-  // Test different base URLs and endpoints
-  const endpoints = [
-    '/api/v2/chains',
-    '/v2/chains',
-    '/chains',
-    '/api/chains',
-  ];
-
-  console.log('1. Testing Chain TVL endpoints\n');
-  let workingEndpoint = null;
-  
-  for (const baseUrl of BASE_URLS) {
-    console.log(`\nBase URL: ${baseUrl}`);
-    for (const endpoint of endpoints) {
-      const result = await testEndpoint(baseUrl, endpoint);
-      if (result.success) {
-        console.log(`  ✓ SUCCESS: ${endpoint}`);
-        const data = result.data;
-        if (Array.isArray(data) && data.length > 0) {
-          console.log(`    Found ${data.length} chains`);
-          console.log(`    Sample: ${data[0].name} - TVL: $${(data[0].tvl || 0).toLocaleString()}`);
-          console.log(`    Sample keys: ${Object.keys(data[0]).join(', ')}`);
-          
-          // Check for our networks
-          const ourNetworks = ['Ethereum', 'Solana', 'Bitcoin', 'BSC', 'Avalanche'];
-          console.log(`\n    Looking for our networks:`);
-          ourNetworks.forEach(networkName => {
-            const found = data.find(c => c.name === networkName);
-            if (found) {
-              console.log(`      ✓ ${networkName}: TVL = $${(found.tvl || 0).toLocaleString()}`);
-            } else {
-              console.log(`      ✗ ${networkName}: NOT FOUND`);
-              // Try to find similar names
-              const similar = data.filter(c => 
-                c.name && (
-                  c.name.toLowerCase().includes(networkName.toLowerCase()) ||
-                  networkName.toLowerCase().includes(c.name.toLowerCase())
-                )
-              );
-              if (similar.length > 0) {
-                console.log(`        Similar: ${similar.map(s => s.name).join(', ')}`);
-              }
-            }
-          });
-          
-          workingEndpoint = { baseUrl, endpoint, data };
-          break;
-        }
-      } else {
-        console.log(`  ✗ ${endpoint}: ${result.status || result.error}`);
+function describe(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+// Values at a path whose '*' segments fan out over every entry of an object
+function getPathValues(obj, path) {
+  const star = path.indexOf('*');
+  if (star === -1) return [getPath(obj, path)];
+
+  const parent = getPath(obj, path.slice(0, Math.max(0, star - 1)));
+  if (parent === null || typeof parent !== 'object') return [];
+  const rest = path.slice(star + 2);
+  return Object.values(parent).flatMap(value => (rest ? getPathValues(value, rest) : [value]));
+}
+
+/**
+ * Check an object against a field spec, returning one message per mismatch
+ * A wildcard path passes when its parent is empty or missing - the parent's own spec covers that
+ */
+function validateFields(obj, fields, prefix = '') {
+  const errors = [];
+  Object.entries(fields).forEach(([path, spec]) => {
+    const optional = spec.endsWith('?');
+    const type = spec.replace('?', '');
+
+    getPathValues(obj, path).forEach(value => {
+      if (value === undefined || value === null) {
+        if (!optional) errors.push(`${prefix}${path}: missing (expected ${type})`);
+        return;
       }
+      if (!matchesType(value, type)) {
+        errors.push(`${prefix}${path}: expected ${type}, got ${describe(value)}`);
+      }
+    });
+  });
+  return [...new Set(errors)];
+}
+
+function validateResponse(check, data) {
+  const errors = [];
+
+  if (check.fields) {
+    errors.push(...validateFields(data, check.fields));
+  }
+
+  if (check.items !== undefined) {
+    const items = getPath(data, check.items);
+    const label = check.items || '(root)';
+    if (!Array.isArray(items)) {
+      errors.push(`${label}: expected array, got ${describe(items)}`);
+    } else if (items.length === 0) {
+      errors.push(`${label}: empty array, nothing to validate`);
+    } else {
+      items.slice(0, MAX_ITEMS_CHECKED).forEach((item, index) => {
+        errors.push(...validateFields(item, check.itemFields, `${label}[${index}].`));
+      });
     }
-    if (workingEndpoint) break;
   }
 
-  // Test Protocols endpoint
-  console.log('\n\n2. Testing Protocols endpoints\n');
-  
-  const protocolEndpoints = [
-    '/api/protocols',
-    '/protocols',
-  ];
-
-  for (const baseUrl of BASE_URLS) {
-    console.log(`\nBase URL: ${baseUrl}`);
-    for (const endpoint of protocolEndpoints) {
-      const result = await testEndpoint(baseUrl, endpoint);
-      if (result.success) {
-        console.log(`  ✓ SUCCESS: ${endpoint}`);
-        const data = result.data;
-        if (Array.isArray(data) && data.length > 0) {
-          console.log(`    Found ${data.length} protocols`);
-          
-          // Count protocols per chain
-          const chainCounts = {};
-          data.forEach(protocol => {
-            if (protocol.chains && Array.isArray(protocol.chains)) {
-              protocol.chains.forEach(chain => {
-                chainCounts[chain] = (chainCounts[chain] || 0) + 1;
-              });
-            }
-          });
-          
-          console.log(`\n    Protocol counts for our networks:`);
-          const ourNetworks = ['Ethereum', 'Solana', 'Bitcoin', 'BSC', 'Avalanche'];
-          ourNetworks.forEach(networkName => {
-            const count = chainCounts[networkName] || 0;
-            console.log(`      ${networkName}: ${count} protocols`);
-          });
-          break;
-        }
-      }
+  // Identical errors across items are one drift, not 25
+  return [...new Set(errors.map(error => error.replace(/\[\d+\]/, '[]')))];
+}
+
+async function runCheck(check, mockUrl) {
+  const baseUrl = mockUrl ? `${mockUrl}/${check.provider}` : UPSTREAMS[check.provider];
+  const url = `${baseUrl}${check.path}`;
+  const started = Date.now();
+
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(REQUEST_TIMEOUT) });
+    const latencyMs = Date.now() - started;
+
+    if (!response.ok) {
+      return { id: check.id, provider: check.provider, url, status: 'error', httpStatus: response.status, latencyMs, errors: [`HTTP ${response.status} ${response.statusText}`] };
+    }
+
+    let data;
+    try {
+      data = await response.json();
+    } catch (error) {
+      return { id: check.id, provider: check.provider, url, status: 'drift', httpStatus: response.status, latencyMs, errors: ['Response is not valid JSON'] };
     }
+
+    const errors = validateResponse(check, data);
+    return {
+      id: check.id,
+      provider: check.provider,
+      url,
+      status: errors.length > 0 ? 'drift' : 'pass',
+      httpStatus: response.status,
+      latencyMs: Date.now() - started,
+      errors,
+    };
+  } catch (error) {
+    return { id: check.id, provider: check.provider, url, status: 'error', httpStatus: null, latencyMs: Date.now() - started, errors: [error.message] };
   }
+}
 
-  // Summary
-  console.log('\n\n=== SUMMARY ===');
-  if (workingEndpoint) {
-    console.log(`✓ Working endpoint: ${workingEndpoint.baseUrl}${workingEndpoint.endpoint}`);
-    console.log(`  Use this in your code!`);
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatJUnit(results, totalMs) {
+  const failures = results.filter(r => r.status === 'drift').length;
+  const errors = results.filter(r => r.status === 'error').length;
+  const cases = results.map(result => {
+    const open = `    <testcase classname="api.${result.provider}" name="${escapeXml(result.id)}" time="${(result.latencyMs / 1000).toFixed(3)}">`;
+    if (result.status === 'pass') return `${open}</testcase>`;
+    const tag = result.status === 'drift' ? 'failure' : 'error';
+    const body = escapeXml([result.url, ...result.errors].join('\n'));
+    return `${open}\n      <${tag} message="${escapeXml(result.errors[0])}">${body}</${tag}>\n    </testcase>`;
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites tests="${results.length}" failures="${failures}" errors="${errors}" time="${(totalMs / 1000).toFixed(3)}">`,
+    `  <testsuite name="api-health" tests="${results.length}" failures="${failures}" errors="${errors}" time="${(totalMs / 1000).toFixed(3)}">`,
+    ...cases,
+    '  </testsuite>',
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+function formatJSON(results, totalMs) {
+  return JSON.stringify({
+    timestamp: new Date().toISOString(),
+    durationMs: totalMs,
+    summary: {
+      total: results.length,
+      passed: results.filter(r => r.status === 'pass').length,
+      drift: results.filter(r => r.status === 'drift').length,
+      errors: results.filter(r => r.status === 'error').length,
+    },
+    results,
+  }, null, 2) + '\n';
+}
+
+function formatText(results) {
+  const lines = ['=== API health check ===', ''];
+  results.forEach(result => {
+    const mark = result.status === 'pass' ? '✓' : result.status === 'drift' ? '✗' : '!';
+    lines.push(`${mark} ${result.id.padEnd(28)} ${String(result.latencyMs).padStart(6)}ms  ${result.status.toUpperCase()}`);
+    result.errors.forEach(error => lines.push(`    ${error}`));
+  });
+  const passed = results.filter(r => r.status === 'pass').length;
+  lines.push('', `${passed}/${results.length} endpoints healthy`, '');
+  return lines.join('\n');
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const started = Date.now();
+
+  // Sequential on purpose - keeps us inside CoinGecko's free-tier rate limit
+  const results = [];
+  for (const check of CHECKS) {
+    results.push(await runCheck(check, args.mockUrl));
+  }
+  const totalMs = Date.now() - started;
+
+  const formatters = { text: formatText, json: formatJSON, junit: formatJUnit };
+  const report = formatters[args.format](results, totalMs);
+
+  if (args.output) {
+    fs.writeFileSync(args.output, report);
+    if (args.format !== 'text') process.stdout.write(formatText(results));
   } else {
-    console.log('✗ No working endpoint found');
-    console.log('  The API might require authentication or the endpoints have changed');
+    process.stdout.write(report);
   }
+
+  if (results.some(r => r.status === 'drift')) return 1;
+  if (results.some(r => r.status === 'error')) return 2;
+  return 0;
 }
 
-// Run the test
-testAPI().catch(console.error);
+main()
+  .then(code => process.exit(code))
+  .catch(error => {
+    console.error(error.message);
+    process.exit(2);
+  });